@@ -0,0 +1,146 @@
+// Policy Peek - Built-in AI Adapter
+// One entry point for Chrome's built-in AI APIs in both shapes: the current
+// globals (Summarizer, Writer, Rewriter, Translator, LanguageDetector,
+// LanguageModel) with availability() states and download monitors, and the
+// older window.ai.* objects with capabilities().
+
+// Global name and legacy window.ai property for each API
+const AI_APIS = {
+    summarizer: { global: 'Summarizer', legacy: 'summarizer', label: 'Summarizer' },
+    writer: { global: 'Writer', legacy: 'writer', label: 'Writer' },
+    rewriter: { global: 'Rewriter', legacy: 'rewriter', label: 'Rewriter' },
+    translator: { global: 'Translator', legacy: 'translator', label: 'Translator' },
+    languageDetector: { global: 'LanguageDetector', legacy: 'languageDetector', label: 'Language Detector' },
+    languageModel: { global: 'LanguageModel', legacy: 'languageModel', label: 'Prompt API' }
+};
+
+// Options used for status checks and model downloads; availability depends on them
+const AI_DEFAULT_OPTIONS = {
+    summarizer: { type: 'key-points', format: 'plain-text', length: 'short' },
+    writer: { tone: 'neutral', format: 'plain-text', length: 'short' },
+    rewriter: { tone: 'more-casual', length: 'shorter' },
+    // A representative pair; translation always targets English
+    translator: { sourceLanguage: 'es', targetLanguage: 'en' },
+    languageDetector: {},
+    languageModel: {}
+};
+
+// Old and new availability values mapped onto the current four states
+const AI_AVAILABILITY_STATES = {
+    available: 'available',
+    readily: 'available',
+    downloadable: 'downloadable',
+    'after-download': 'downloadable',
+    downloading: 'downloading',
+    unavailable: 'unavailable',
+    no: 'unavailable'
+};
+
+// The API object for a name, in the current global shape or the legacy window.ai shape
+function getAIApi(name) {
+    const entry = AI_APIS[name];
+    if (!entry) {
+        return null;
+    }
+    if (typeof globalThis[entry.global] !== 'undefined') {
+        return { api: globalThis[entry.global], legacy: false };
+    }
+    if (globalThis.ai && globalThis.ai[entry.legacy]) {
+        return { api: globalThis.ai[entry.legacy], legacy: true };
+    }
+    return null;
+}
+
+function normalizeAvailability(value) {
+    return AI_AVAILABILITY_STATES[value] || 'unavailable';
+}
+
+// 'available', 'downloadable', 'downloading' or 'unavailable'; presence alone is not availability
+async function getAIAvailability(name, options) {
+    const found = getAIApi(name);
+    if (!found) {
+        return 'unavailable';
+    }
+
+    const createOptions = options || AI_DEFAULT_OPTIONS[name] || {};
+    try {
+        if (typeof found.api.availability === 'function') {
+            return normalizeAvailability(await found.api.availability(createOptions));
+        }
+        if (typeof found.api.capabilities === 'function') {
+            const capabilities = await found.api.capabilities();
+            return normalizeAvailability(capabilities && capabilities.available);
+        }
+        if (typeof found.api.canTranslate === 'function') {
+            return normalizeAvailability(await found.api.canTranslate(createOptions));
+        }
+    } catch (error) {
+        console.warn(`${AI_APIS[name].label} availability check failed:`, error);
+    }
+    return 'unavailable';
+}
+
+// Availability of every API at once, keyed like AI_APIS
+async function checkAllAIAvailability() {
+    const states = {};
+    for (const name of Object.keys(AI_APIS)) {
+        states[name] = await getAIAvailability(name);
+    }
+    return states;
+}
+
+// Create a session; onDownloadProgress receives 0..1 while the model downloads.
+// Creating a session for a 'downloadable' model starts the download (needs a user gesture).
+async function createAISession(name, options = {}, hooks = {}) {
+    const found = getAIApi(name);
+    if (!found) {
+        throw new Error(`${AI_APIS[name] ? AI_APIS[name].label : name} API is not available`);
+    }
+
+    const createOptions = { ...(AI_DEFAULT_OPTIONS[name] || {}), ...options };
+    if (hooks.signal) {
+        createOptions.signal = hooks.signal;
+    }
+    if (hooks.onDownloadProgress) {
+        createOptions.monitor = monitor => {
+            monitor.addEventListener('downloadprogress', event => {
+                // Current Chrome reports loaded as a fraction; older builds report bytes with a total
+                const fraction = event.total && event.total > 1 ? event.loaded / event.total : event.loaded;
+                hooks.onDownloadProgress(Math.max(0, Math.min(1, fraction || 0)));
+            });
+        };
+    }
+
+    return found.api.create(createOptions);
+}
+
+// Only create a session when the model is ready, so analysis never triggers a download implicitly
+async function createReadyAISession(name, options = {}, hooks = {}) {
+    const availability = await getAIAvailability(name, { ...(AI_DEFAULT_OPTIONS[name] || {}), ...options });
+    if (availability !== 'available') {
+        return null;
+    }
+    return createAISession(name, options, hooks);
+}
+
+// Start (or join) a model download and resolve when the model is ready
+async function downloadAIModel(name, onProgress) {
+    const session = await createAISession(name, {}, { onDownloadProgress: onProgress || (() => {}) });
+    if (session && typeof session.destroy === 'function') {
+        session.destroy();
+    }
+    return getAIAvailability(name);
+}
+
+// Export AI helpers (self works in the popup, the options page and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_APIS, getAIApi, normalizeAvailability, getAIAvailability, checkAllAIAvailability,
+        createAISession, createReadyAISession, downloadAIModel
+    };
+} else {
+    self.PolicyPeekAI = {
+        AI_APIS, getAIApi, normalizeAvailability, getAIAvailability, checkAllAIAvailability,
+        createAISession, createReadyAISession, downloadAIModel
+    };
+}
@@ -0,0 +1,132 @@
+// Policy Peek - Shared Analyzer
+// Heuristic risk analysis used by both the popup (pasted text) and the
+// background worker (fetched policy documents).
+
+const DEFAULT_RISK_THRESHOLDS = { risky: 1, highRisk: 3 };
+
+// Exported reports say which analyzer produced them: the extension's manifest version,
+// or this fallback outside the extension (Node, tests). Keep it in step with manifest.json.
+const FALLBACK_ANALYZER_VERSION = '1.0';
+
+function getAnalyzerVersion() {
+    try {
+        return chrome.runtime.getManifest().version;
+    } catch (error) {
+        return FALLBACK_ANALYZER_VERSION;
+    }
+}
+
+const ANALYZER_VERSION = getAnalyzerVersion();
+
+// Resolve the rule engine in Node (require) or in the browser (global from rules.js)
+function getRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+// Resolve the language helpers the same way
+function getLanguageSupport() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./language.js');
+    }
+    return self.PolicyPeekLanguage;
+}
+
+function analyzeRiskFactors(text, options = {}) {
+    // Without an explicit language, fall back to the offline stopword detector.
+    const language = options.language || getLanguageSupport().detectLanguageHeuristic(text).language;
+    
+    // Evaluate every sentence against the clause rules (plus any enabled rule packs);
+    // category scores add up to riskScore.
+    const customRules = options.customRules || { rules: [], categories: {} };
+    const evaluation = getRuleEngine().evaluatePolicyText(text, {
+        language,
+        extraRules: customRules.rules,
+        categories: customRules.categories
+    });
+    const riskScore = evaluation.score;
+
+    // Keep the flat label lists for compact displays (badges, link labels).
+    const foundRisks = evaluation.scoredFindings.filter(finding => finding.type === 'risk').map(finding => finding.label);
+    const foundPositives = evaluation.scoredFindings.filter(finding => finding.type === 'positive').map(finding => finding.label);
+
+    // Normalize to human-friendly level and a short description for the UI.
+    // Thresholds come from the options page; defaults match the original 1 / 3 cut-offs.
+    const thresholds = options.thresholds || DEFAULT_RISK_THRESHOLDS;
+    let level, description;
+    if (riskScore >= thresholds.highRisk) {
+        level = 'risky';
+        description = 'Multiple risk factors detected. Review carefully before accepting.';
+    } else if (riskScore >= thresholds.risky) {
+        level = 'risky';
+        description = 'Some concerning terms found. Consider the implications.';
+    } else {
+        level = 'safe';
+        description = 'No major red flags detected. Appears to be standard terms.';
+    }
+
+    // Return a compact object used by rendering functions and fallbacks.
+    return {
+        level,
+        description,
+        riskScore,
+        foundRisks,
+        foundPositives,
+        categories: evaluation.categories,
+        findings: evaluation.scoredFindings,
+        language: evaluation.language,
+        translated: false
+    };
+}
+
+// Every matched clause, not just the strongest per rule, for marking sentences in place.
+// Takes the same language and customRules options as analyzeRiskFactors.
+function findClauseMatches(text, options = {}) {
+    const language = options.language || getLanguageSupport().detectLanguageHeuristic(text).language;
+    const customRules = options.customRules || { rules: [], categories: {} };
+    const ruleEngine = getRuleEngine();
+    const evaluation = ruleEngine.evaluatePolicyText(text, {
+        language,
+        extraRules: customRules.rules,
+        categories: customRules.categories
+    });
+    const categoryLabels = { ...customRules.categories, ...ruleEngine.RULE_CATEGORIES };
+
+    return evaluation.findings.map(finding => ({
+        ...finding,
+        categoryLabel: categoryLabels[finding.category] ? categoryLabels[finding.category].label : finding.category
+    }));
+}
+
+// Detect the policy language and, when allowed and an on-device translator is ready,
+// analyze the English translation; otherwise use the native-language rules.
+async function analyzeMultilingualPolicy(text, options = {}) {
+    const languageSupport = getLanguageSupport();
+    const detected = await languageSupport.detectPolicyLanguage(text);
+    
+    if (detected.language !== 'en' && options.translate) {
+        try {
+            const translatedText = await languageSupport.translateToEnglish(text, detected.language);
+            if (translatedText) {
+                return {
+                    ...analyzeRiskFactors(translatedText, { ...options, language: 'en' }),
+                    language: detected.language,
+                    translated: true
+                };
+            }
+        } catch (error) {
+            console.warn('Translation failed, using native-language rules:', error);
+        }
+    }
+    
+    return analyzeRiskFactors(text, { ...options, language: detected.language });
+}
+
+// Export analyzer (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ANALYZER_VERSION, analyzeRiskFactors, analyzeMultilingualPolicy, findClauseMatches };
+} else {
+    self.PolicyPeekAnalyzer = { ANALYZER_VERSION, analyzeRiskFactors, analyzeMultilingualPolicy, findClauseMatches };
+}
@@ -1,59 +1,204 @@
 // Policy Peek - Background Script
 // Handles auto-popup functionality when visiting websites
 
-chrome.runtime.onInstalled.addListener(() => {
+importScripts('config.js', 'settings.js', 'rules.js', 'rule-packs.js', 'ai-adapter.js', 'language.js', 'analyzer.js', 'summarizer.js', 'readability.js', 'privacy-label.js', 'policy-fetcher.js', 'checklists.js', 'history.js', 'detector.js', 'consent.js', 'highlighter.js', 'page-cache.js', 'consent-guard.js', 'trackers.js');
+
+// How long fetched policy documents are reused before being downloaded again
+const POLICY_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Site policy cache: one policies_<hostname> entry per site, plus an index of when each
+// was stored and last used. Expired entries are removed and the least recently used
+// are dropped beyond MAX_CACHED_SITES (a site's documents take tens of KB).
+const POLICY_CACHE_PREFIX = 'policies_';
+const POLICY_CACHE_INDEX_KEY = 'policyCacheIndex';
+const MAX_CACHED_SITES = 50;
+
+// Index updates are read-modify-write; chaining them keeps concurrent scans from losing entries
+let policyCacheUpdates = Promise.resolve();
+
+// In-flight policy analyses keyed by hostname, so concurrent requests share one fetch
+const pendingPolicyAnalyses = new Map();
+
+// Scripts keep rendering after "complete" and after a route change; scan once the page settles
+const SCAN_SETTLE_DELAY_MS = 1500;
+
+// Pending scans by tab; a newer navigation in the same tab replaces the older scan
+const scheduledScans = new Map();
+
+// Documents analyzed for consent points that the site's own policy cache does not hold, by URL
+const consentPointDocuments = new Map();
+
+// Right-click entries; a click leaves its request in session storage for the popup to run
+const CONTEXT_MENU_SELECTION = 'policy-peek-analyze-selection';
+const CONTEXT_MENU_LINK = 'policy-peek-analyze-link';
+const PENDING_ANALYSIS_KEY = 'pendingAnalysis';
+
+chrome.runtime.onInstalled.addListener(async () => {
     console.log('Policy Peek extension installed');
+    
+    // Carry over the old local auto-open flag to the synced notification setting
+    try {
+        const legacy = await chrome.storage.local.get(['autoOpenEnabled']);
+        if (legacy.autoOpenEnabled !== undefined) {
+            await self.PolicyPeekSettings.saveSettings({ notificationsEnabled: legacy.autoOpenEnabled !== false });
+            await chrome.storage.local.remove(['autoOpenEnabled']);
+        }
+    } catch (error) {
+        console.error('Error migrating auto-open setting:', error);
+    }
+    
+    await prunePageCacheSafely();
+    await prunePolicyCacheSafely();
+    
+    // Menus persist across restarts; recreate them on install and update only
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: CONTEXT_MENU_SELECTION, title: 'Analyze selection with Policy Peek', contexts: ['selection'] });
+        chrome.contextMenus.create({ id: CONTEXT_MENU_LINK, title: 'Analyze this policy link', contexts: ['link'] });
+    });
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+    await prunePageCacheSafely();
+    await prunePolicyCacheSafely();
 });
 
+// Third-party requests per tab, for checking policy claims against the trackers a page loads
+self.PolicyPeekTrackers.startNetworkMonitor();
+
+async function prunePageCacheSafely() {
+    try {
+        await self.PolicyPeekPageCache.prunePageCache();
+    } catch (error) {
+        console.error('Error pruning page analysis cache:', error);
+    }
+}
+
+async function prunePolicyCacheSafely() {
+    try {
+        await prunePolicyCache();
+    } catch (error) {
+        console.error('Error pruning site policy cache:', error);
+    }
+}
+
+// Skip chrome:// and extension:// URLs
+function isScannableUrl(url) {
+    return Boolean(url) && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
+
 // Listen for tab updates (page navigation)
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Only proceed when page is completely loaded
-    if (changeInfo.status !== 'complete' || !tab.url) {
+    if (changeInfo.status === 'complete' && isScannableUrl(tab.url)) {
+        scheduleTabScan(tabId, tab.url);
+    }
+});
+
+// Single-page apps change routes without a load; treat each route as a new page
+function onRouteChange(details) {
+    if (details.frameId !== 0 || !isScannableUrl(details.url)) {
         return;
     }
     
-    // Skip chrome:// and extension:// URLs
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-        return;
+    // Tab-specific badges only reset on real navigations, so clear the previous route's state
+    chrome.action.setBadgeText({ text: '', tabId: details.tabId }).catch(() => {});
+    chrome.action.setTitle({ title: '', tabId: details.tabId }).catch(() => {});
+    scheduleTabScan(details.tabId, details.url);
+}
+
+chrome.webNavigation.onHistoryStateUpdated.addListener(onRouteChange);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(details => {
+    // Plain #anchors stay on the same page; only hash routes (#/path) are new pages
+    if (/#!?\//.test(details.url)) {
+        onRouteChange(details);
+    }
+});
+
+function scheduleTabScan(tabId, url) {
+    clearTimeout(scheduledScans.get(tabId));
+    scheduledScans.set(tabId, setTimeout(async () => {
+        scheduledScans.delete(tabId);
+        try {
+            // Respect auto-scan and the allow/deny lists before injecting anything
+            const settings = await self.PolicyPeekSettings.getSettings();
+            if (self.PolicyPeekSettings.shouldScanSite(new URL(url).hostname, settings)) {
+                await analyzePageForPolicies(tabId, settings);
+            }
+        } catch (error) {
+            console.error('Error in tab update listener:', error);
+        }
+    }, SCAN_SETTLE_DELAY_MS));
+}
+
+// Scan the current document, reusing the cached analysis for the same URL and content
+async function getCurrentPageAnalysis(tabId, rulePacks, settings) {
+    const { fingerprintTab, getPageAnalysis, storeTabAnalysis } = self.PolicyPeekPageCache;
+    const page = await fingerprintTab(tabId);
+    if (!page) {
+        return null;
     }
     
+    // Inject the shared detector to look for policy-related content. It runs even when the
+    // analysis is cached: the link indicators and the late-content watcher live in the page.
+    const policyData = await self.PolicyPeekDetector.scanTab(tabId, {
+        showIndicators: settings.indicatorsEnabled,
+        extraKeywords: rulePacks.pageKeywords
+    });
+    if (!policyData) {
+        return null;
+    }
+    
+    const cached = await getPageAnalysis(page.url, page.contentHash);
+    if (cached && cached.policyData.version === self.PolicyPeekDetector.DETECTION_RESULT_VERSION) {
+        return cached;
+    }
+    
+    // A cookie banner counts even on pages without policy text
+    let consent = null;
     try {
-        // Wait a moment for page to fully load
-        setTimeout(async () => {
-            await analyzePageForPolicies(tabId, tab);
-        }, 2000);
-        
+        consent = await self.PolicyPeekConsent.scanTabConsent(tabId);
     } catch (error) {
-        console.error('Error in tab update listener:', error);
+        console.warn('Error analyzing cookie consent banner:', error);
     }
-});
+    
+    return storeTabAnalysis(tabId, {
+        hostname: policyData.hostname,
+        policyData: policyData,
+        consent: consent
+    });
+}
 
 // Analyze page for privacy policies and terms
-async function analyzePageForPolicies(tabId, tab) {
+async function analyzePageForPolicies(tabId, settings) {
     try {
-        // Inject content script to look for policy-related content
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            function: detectPolicyContent
-        });
+        const rulePacks = await self.PolicyPeekRulePacks.getActiveRulePacks();
+
+        if (settings.highlightsEnabled) {
+            await highlightPolicyPage(tabId, rulePacks);
+        }
+
+        if (settings.consentGuardEnabled) {
+            await installConsentGuard(tabId, rulePacks);
+        }
+
+        const analysis = await getCurrentPageAnalysis(tabId, rulePacks, settings);
         
-        if (results && results[0] && results[0].result) {
-            const policyData = results[0].result;
-            
+        if (analysis) {
+            const { policyData, consent } = analysis;
             // Check if we found policy-related content
-            if (policyData.hasPolicyContent || policyData.hasRiskyKeywords) {
-                // Store the analysis data
-                await chrome.storage.local.set({
-                    [`analysis_${tabId}`]: {
-                        url: tab.url,
-                        hostname: new URL(tab.url).hostname,
-                        policyData: policyData,
-                        timestamp: Date.now()
-                    }
-                });
-                
+            if (policyData.hasPolicyContent || policyData.hasRiskyKeywords || (consent && consent.found)) {
                 // Show notification or badge
-                await showPolicyAlert(tabId, policyData);
+                await showPolicyAlert(tabId, policyData, settings, consent);
+                
+                // Follow the detected links and analyze the policies themselves
+                if (policyData.foundPolicyLinks.length > 0) {
+                    const sitePolicies = await analyzeLinkedPolicies(
+                        policyData.hostname,
+                        policyData.foundPolicyLinks,
+                        analysis.url
+                    );
+                    await showLinkedPolicyAlert(tabId, sitePolicies, settings);
+                }
             }
         }
         
@@ -62,206 +207,360 @@ async function analyzePageForPolicies(tabId, tab) {
     }
 }
 
-// Content script function to detect policy-related content
-function detectPolicyContent() {
-    const policyKeywords = [
-        'privacy policy', 'terms of service', 'terms and conditions', 
-        'cookie policy', 'cookies policy', 'data protection', 'user agreement',
-        'privacy notice', 'terms of use', 'legal notice', 'gdpr', 'ccpa',
-        'cookie notice', 'cookie consent', 'privacy statement', 'legal terms',
-        'acceptable use', 'end user license', 'eula', 'terms & conditions', 'terms', 
-        'data policy', 'cookie user', 'cookie settings', 'privacy settings',
-        'manage cookies', 'cookie preferences', 'privacy center', 'legal',
-        'privacy rights', 'data use policy', 'cookie information', 'cookie details',
-        'privacy information', 'cookie banner', 'terms of use policy'
-    ];
-    
-    const riskyKeywords = [
-        'sell your data', 'third parties', 'advertising partners',
-        'indefinitely', 'without notice', 'at our discretion',
-        'no liability', 'as is', 'no warranty'
-    ];
-    
-    const pageText = document.body.innerText.toLowerCase();
-    
-    let hasPolicyContent = false;
-    let hasRiskyKeywords = false;
-    let foundPolicyLinks = [];
-    let foundRiskyTerms = [];
-    
-    // Debug: Log some info about the page
-    console.log('Policy Peek: Analyzing page:', window.location.hostname);
-    console.log('Policy Peek: Found', document.querySelectorAll('a[href]').length, 'links on page');
-    
-    // Check for policy keywords
-    policyKeywords.forEach(keyword => {
-        if (pageText.includes(keyword.toLowerCase())) {
-            hasPolicyContent = true;
-            console.log('Policy Peek: Found policy keyword in page text:', keyword);
+// On a policy page itself, mark the matched clauses in place
+async function highlightPolicyPage(tabId, rulePacks) {
+    try {
+        const page = await self.PolicyPeekHighlighter.readPolicyTab(tabId);
+        if (!page) {
+            return;
+        }
+        
+        const matches = self.PolicyPeekAnalyzer.findClauseMatches(page.text, { customRules: rulePacks });
+        if (matches.length > 0) {
+            await self.PolicyPeekHighlighter.highlightTab(tabId, matches);
+        }
+    } catch (error) {
+        console.warn('Error highlighting policy page:', error);
+    }
+}
+
+// Watch sign-up, checkout and clickwrap consent points in the page
+async function installConsentGuard(tabId, rulePacks) {
+    try {
+        await self.PolicyPeekConsentGuard.installGuardInTab(tabId, rulePacks.pageKeywords);
+    } catch (error) {
+        console.warn('Error installing consent-point guard:', error);
+    }
+}
+
+function queuePolicyCacheUpdate(task) {
+    const update = policyCacheUpdates.then(task);
+    policyCacheUpdates = update.catch(() => {});
+    return update;
+}
+
+function isPolicyCacheEntryFresh(entry, now) {
+    return Boolean(entry) && now - entry.storedAt < POLICY_CACHE_TTL_MS;
+}
+
+// Fresh index entries, most recently used first, at most MAX_CACHED_SITES of them
+function keepPolicyCacheEntries(index, now) {
+    return Object.fromEntries(Object.entries(index)
+        .filter(([, entry]) => isPolicyCacheEntryFresh(entry, now))
+        .sort((a, b) => b[1].usedAt - a[1].usedAt)
+        .slice(0, MAX_CACHED_SITES));
+}
+
+// Store a site's documents and evict expired and least recently used sites
+function storeSitePolicies(sitePolicies) {
+    return queuePolicyCacheUpdate(async () => {
+        const key = `${POLICY_CACHE_PREFIX}${sitePolicies.hostname}`;
+        const stored = await chrome.storage.local.get([POLICY_CACHE_INDEX_KEY]);
+        const index = {
+            ...(stored[POLICY_CACHE_INDEX_KEY] || {}),
+            [key]: { storedAt: sitePolicies.timestamp, usedAt: sitePolicies.timestamp }
+        };
+        const kept = keepPolicyCacheEntries(index, sitePolicies.timestamp);
+        const dropped = Object.keys(index).filter(indexKey => !kept[indexKey]);
+        
+        await chrome.storage.local.set({ [key]: sitePolicies, [POLICY_CACHE_INDEX_KEY]: kept });
+        if (dropped.length > 0) {
+            await chrome.storage.local.remove(dropped);
         }
     });
-    
-    // Check for risky keywords
-    riskyKeywords.forEach(keyword => {
-        if (pageText.includes(keyword.toLowerCase())) {
-            hasRiskyKeywords = true;
-            foundRiskyTerms.push(keyword);
+}
+
+// Mark a site's cached documents as used, so they are evicted last
+function touchSitePolicies(hostname) {
+    return queuePolicyCacheUpdate(async () => {
+        const key = `${POLICY_CACHE_PREFIX}${hostname}`;
+        const stored = await chrome.storage.local.get([POLICY_CACHE_INDEX_KEY]);
+        const index = stored[POLICY_CACHE_INDEX_KEY] || {};
+        if (index[key]) {
+            index[key] = { ...index[key], usedAt: Date.now() };
+            await chrome.storage.local.set({ [POLICY_CACHE_INDEX_KEY]: index });
         }
     });
-    
-    // Look for policy-related links and add visual indicators
-    const links = document.querySelectorAll('a[href]');
-    links.forEach(link => {
-        const linkText = link.textContent.toLowerCase().trim();
-        const href = link.href.toLowerCase();
-        
-        // Also check aria-label and title attributes
-        const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-        const title = (link.getAttribute('title') || '').toLowerCase();
+}
+
+// Remove expired sites and policies_ entries the index does not list (older versions kept
+// every site forever); returns how many entries were removed
+function prunePolicyCache() {
+    return queuePolicyCacheUpdate(async () => {
+        const everything = await chrome.storage.local.get(null);
+        const kept = keepPolicyCacheEntries(everything[POLICY_CACHE_INDEX_KEY] || {}, Date.now());
+        const stale = Object.keys(everything).filter(key => key.startsWith(POLICY_CACHE_PREFIX) && !kept[key]);
         
-        policyKeywords.forEach(keyword => {
-            const keywordLower = keyword.toLowerCase();
-            
-            // Check multiple sources: text content, href, aria-label, and title
-            const isMatch = linkText.includes(keywordLower) || 
-                           href.includes(keywordLower.replace(/\s+/g, '')) ||
-                           href.includes(keywordLower.replace(/\s+/g, '-')) ||
-                           href.includes(keywordLower.replace(/\s+/g, '_')) ||
-                           ariaLabel.includes(keywordLower) ||
-                           title.includes(keywordLower) ||
-                           // Also check for partial matches without punctuation
-                           linkText.replace(/[^\w\s]/g, '').includes(keywordLower) ||
-                           // Check if the link text starts or ends with the keyword
-                           linkText.startsWith(keywordLower) ||
-                           linkText.endsWith(keywordLower);
-            
-            if (isMatch) {
-                // Avoid duplicate entries
-                const alreadyExists = foundPolicyLinks.some(existing => 
-                    existing.href === link.href && existing.text === link.textContent.trim()
-                );
-                
-                if (!alreadyExists) {
-                    foundPolicyLinks.push({
-                        text: link.textContent.trim(),
-                        href: link.href
-                    });
-                    
-                    // Add visual indicator next to the link on the webpage, passing the detected keyword
-                    addPolicyLinkIndicator(link, keyword);
-                }
-            }
-        });
+        await chrome.storage.local.set({ [POLICY_CACHE_INDEX_KEY]: kept });
+        if (stale.length > 0) {
+            await chrome.storage.local.remove(stale);
+        }
+        return stale.length;
     });
+}
+
+// Fetch and analyze the linked policy documents for a site, reusing recent results
+async function analyzeLinkedPolicies(hostname, policyLinks, pageUrl) {
+    const storageKey = `${POLICY_CACHE_PREFIX}${hostname}`;
     
-    // Helper function to add caution emoji next to policy links
-    function addPolicyLinkIndicator(linkElement, detectedKeyword) {
-        // Check if we already added an indicator to avoid duplicates
-        if (linkElement.querySelector('.policy-peek-indicator') || 
-            linkElement.parentElement.querySelector('.policy-peek-indicator')) {
-            return;
+    try {
+        const stored = await chrome.storage.local.get([storageKey]);
+        const cached = stored[storageKey];
+        if (cached && Date.now() - cached.timestamp < POLICY_CACHE_TTL_MS) {
+            await touchSitePolicies(hostname);
+            return cached;
         }
+    } catch (error) {
+        console.error('Error reading cached policies:', error);
+    }
+    
+    if (pendingPolicyAnalyses.has(hostname)) {
+        return pendingPolicyAnalyses.get(hostname);
+    }
+    
+    const analysisPromise = (async () => {
+        const options = await getDocumentAnalysisOptions();
+        const documents = [];
         
-        // Create the caution emoji indicator
-        const indicator = document.createElement('span');
-        indicator.className = 'policy-peek-indicator';
-        indicator.textContent = '⚠️';
-        
-        indicator.style.cssText = `
-            margin-left: 4px;
-            font-size: 14px;
-            opacity: 1;
-            transition: all 0.3s ease;
-            cursor: pointer;
-            display: inline;
-            text-decoration: none;
-        `;
+        // Download one document at a time to stay polite to the site
+        for (const link of self.PolicyPeekFetcher.selectPolicyLinks(policyLinks, pageUrl)) {
+            documents.push(await analyzePolicyDocument(hostname, link, options));
+        }
         
-        // Add hover effect
-        indicator.addEventListener('mouseenter', () => {
-            indicator.style.transform = 'scale(1.2)';
-            indicator.style.filter = 'brightness(1.2)';
-        });
+        const sitePolicies = {
+            hostname: hostname,
+            documents: documents,
+            timestamp: Date.now()
+        };
         
-        indicator.addEventListener('mouseleave', () => {
-            indicator.style.transform = 'scale(1)';
-            indicator.style.filter = 'brightness(1)';
-        });
+        await storeSitePolicies(sitePolicies);
+        return sitePolicies;
+    })();
+    
+    pendingPolicyAnalyses.set(hostname, analysisPromise);
+    try {
+        return await analysisPromise;
+    } finally {
+        pendingPolicyAnalyses.delete(hostname);
+    }
+}
+
+// Translation, risk thresholds, rule packs and compliance checklists used to analyze fetched documents
+async function getDocumentAnalysisOptions() {
+    const settings = await self.PolicyPeekSettings.getSettings();
+    return {
+        translate: self.PolicyPeekConfig.CONFIG.ENABLE_TRANSLATION,
+        thresholds: self.PolicyPeekSettings.getRiskThresholds(settings),
+        customRules: await self.PolicyPeekRulePacks.getActiveRulePacks(),
+        checklistIds: settings.complianceChecklists
+    };
+}
+
+// Regulatory disclosure checklists for a fetched document; a missing checklist file never fails the analysis
+async function checkPolicyCompliance(text, checklistIds) {
+    try {
+        const checklists = await self.PolicyPeekChecklists.loadChecklists();
+        return self.PolicyPeekChecklists.evaluateChecklists(text, checklists, checklistIds);
+    } catch (error) {
+        console.warn('Error checking policy compliance:', error);
+        return null;
+    }
+}
+
+// Analyzer result plus how hard the text is to read (measured on the original, untranslated text)
+async function analyzeDocumentText(text, options) {
+    const analysis = await self.PolicyPeekAnalyzer.analyzeMultilingualPolicy(text, options);
+    return { ...analysis, readability: self.PolicyPeekReadability.measureReadability(text, { language: analysis.language }) };
+}
+
+// Fetch and analyze one linked document; failures are kept as { error } entries.
+//   hostname  site whose policy history records the document's version, or null to leave
+//             the history alone (its entries are keyed by site and type, not by URL)
+async function analyzePolicyDocument(hostname, link, options) {
+    try {
+        const policyDocument = await self.PolicyPeekFetcher.fetchPolicyDocument(link.href);
+        const wordCount = policyDocument.text ? policyDocument.text.split(/\s+/).length : 0;
+        const analysis = wordCount > 0 ? await analyzeDocumentText(policyDocument.text, options) : null;
         
-        // Add click handler to show a tooltip
-        indicator.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            
-            // Create a tooltip
-            const tooltip = document.createElement('div');
-            tooltip.style.cssText = `
-                position: fixed;
-                background: #FF9800;
-                color: white;
-                padding: 8px 12px;
-                border-radius: 6px;
-                font-size: 12px;
-                z-index: 10000;
-                pointer-events: none;
-                white-space: nowrap;
-                box-shadow: 0 4px 12px rgba(255, 152, 0, 0.3);
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-weight: 500;
-            `;
-            // Capitalize the first letter of each word in the detected keyword for display
-            const capitalizedKeyword = detectedKeyword.replace(/\b\w/g, l => l.toUpperCase());
-            tooltip.textContent = `⚠️ ${capitalizedKeyword} - Review with Policy Peek`;
-            
-            // Position tooltip near the icon
-            const rect = indicator.getBoundingClientRect();
-            tooltip.style.left = (rect.right + 8) + 'px';
-            tooltip.style.top = (rect.top - 35) + 'px';
-            
-            // Adjust if tooltip would go off-screen
-            if (rect.right + 200 > window.innerWidth) {
-                tooltip.style.left = (rect.left - 180) + 'px';
+        return {
+            text: link.text,
+            href: link.href,
+            type: link.type,
+            title: policyDocument.title,
+            wordCount: wordCount,
+            analysis: analysis,
+            // Rule-based label; the Prompt API is only used for policies analyzed in the popup
+            label: wordCount > 0 ? self.PolicyPeekLabel.extractPrivacyLabel(policyDocument.text) : null,
+            compliance: wordCount > 0 ? await checkPolicyCompliance(policyDocument.text, options.checklistIds) : null,
+            changed: analysis && hostname ? await trackPolicyVersion(hostname, link.type, policyDocument.text, analysis) : false
+        };
+    } catch (error) {
+        console.warn('Policy Peek: Could not fetch policy document:', link.href, error);
+        return {
+            text: link.text,
+            href: link.href,
+            type: link.type,
+            error: error.message
+        };
+    }
+}
+
+// Documents linked from a consent point (sign-up checkbox, "By clicking..." text, clickwrap
+// dialog), trimmed to what the in-page card shows. Documents the site cache already holds
+// are reused; the rest are fetched and kept in consentPointDocuments.
+async function analyzeConsentPointLinks(links, pageUrl) {
+    const hostname = new URL(pageUrl).hostname;
+    const selected = self.PolicyPeekFetcher.selectPolicyLinks(links, pageUrl);
+    const storageKey = `${POLICY_CACHE_PREFIX}${hostname}`;
+    const stored = await chrome.storage.local.get([storageKey]);
+    const sitePolicies = stored[storageKey];
+    const siteDocuments = sitePolicies && Date.now() - sitePolicies.timestamp < POLICY_CACHE_TTL_MS ? sitePolicies.documents : [];
+    if (siteDocuments.length > 0) {
+        await touchSitePolicies(hostname);
+    }
+    let options = null;
+    const documents = [];
+    
+    for (const link of selected) {
+        let policyDocument = siteDocuments.find(doc => doc.href === link.href && !doc.error);
+        const recent = consentPointDocuments.get(link.href);
+        if (!policyDocument && recent && Date.now() - recent.timestamp < POLICY_CACHE_TTL_MS) {
+            policyDocument = recent.document;
+        }
+        if (!policyDocument) {
+            options = options || await getDocumentAnalysisOptions();
+            // A consent point can link another company's terms (a payment provider, a partner);
+            // recording it would overwrite the site's own version of that policy type
+            policyDocument = await analyzePolicyDocument(null, link, options);
+            if (!policyDocument.error) {
+                consentPointDocuments.set(link.href, { document: policyDocument, timestamp: Date.now() });
             }
-            
-            document.body.appendChild(tooltip);
-            
-            // Remove tooltip after 3 seconds
-            setTimeout(() => {
-                if (tooltip.parentNode) {
-                    tooltip.parentNode.removeChild(tooltip);
-                }
-            }, 3000);
-        });
+        }
         
-        // Append the indicator directly to the link
-        linkElement.appendChild(indicator);
+        const analysis = policyDocument.analysis;
+        documents.push({
+            text: link.text,
+            href: link.href,
+            type: link.type,
+            title: policyDocument.title,
+            level: analysis ? analysis.level : null,
+            riskScore: analysis ? analysis.riskScore : null,
+            findings: analysis
+                ? analysis.findings
+                    .filter(finding => finding.type === 'risk')
+                    .sort((a, b) => b.weight - a.weight)
+                    .slice(0, 3)
+                    .map(({ label, explanation, category }) => ({
+                        label,
+                        explanation,
+                        categoryLabel: analysis.categories[category] ? analysis.categories[category].label : category
+                    }))
+                : []
+        });
+    }
+    
+    return { hostname: hostname, documents: documents };
+}
+
+// One policy by address, for comparison mode; not added to the site cache or its history
+async function analyzePolicyUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error('Only http and https addresses can be fetched');
+    }
+    
+    const policyDocument = await self.PolicyPeekFetcher.fetchPolicyDocument(parsed.href);
+    const wordCount = policyDocument.text ? policyDocument.text.split(/\s+/).length : 0;
+    if (wordCount === 0) {
+        throw new Error('No policy text found at that address');
     }
     
     return {
-        hasPolicyContent,
-        hasRiskyKeywords,
-        foundPolicyLinks: foundPolicyLinks.slice(0, 5), // Limit to 5 links
-        foundRiskyTerms: foundRiskyTerms.slice(0, 5), // Limit to 5 terms
-        hostname: window.location.hostname,
-        url: window.location.href
+        url: policyDocument.url,
+        title: policyDocument.title,
+        wordCount: wordCount,
+        analysis: await analyzeDocumentText(policyDocument.text, await getDocumentAnalysisOptions())
     };
 }
 
+// Every analyzed document the site policy cache still holds, for picking one to compare
+async function getAnalyzedPolicies() {
+    const stored = await chrome.storage.local.get([POLICY_CACHE_INDEX_KEY]);
+    const keys = Object.keys(keepPolicyCacheEntries(stored[POLICY_CACHE_INDEX_KEY] || {}, Date.now()));
+    const everything = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+    const policies = [];
+    
+    keys.filter(key => everything[key]).forEach(key => {
+        const sitePolicies = everything[key];
+        sitePolicies.documents.filter(doc => doc.analysis).forEach(doc => {
+            policies.push({
+                hostname: sitePolicies.hostname,
+                href: doc.href,
+                type: doc.type,
+                title: doc.title || doc.text,
+                analyzedAt: sitePolicies.timestamp,
+                analysis: doc.analysis
+            });
+        });
+    });
+    
+    return policies.sort((a, b) => a.hostname.localeCompare(b.hostname) || a.type.localeCompare(b.type));
+}
+
+// Keep a hashed copy of the policy when the history checker is enabled; returns whether it changed
+async function trackPolicyVersion(hostname, policyType, text, analysis) {
+    if (!self.PolicyPeekConfig.CONFIG.ENABLE_HISTORY_CHECKER) {
+        return false;
+    }
+    
+    try {
+        const { changed } = await self.PolicyPeekHistory.recordPolicyVersion(hostname, policyType, text, analysis);
+        return changed;
+    } catch (error) {
+        console.error('Error recording policy version:', error);
+        return false;
+    }
+}
+
+// Escalate the badge when a fetched policy document itself turns out to be risky
+async function showLinkedPolicyAlert(tabId, sitePolicies, settings) {
+    if (!settings.badgesEnabled) {
+        return;
+    }
+    
+    try {
+        const hasRiskyDocument = sitePolicies.documents.some(doc => doc.analysis && doc.analysis.level === 'risky');
+        if (hasRiskyDocument) {
+            await chrome.action.setBadgeText({ text: '⚠️', tabId: tabId });
+            await chrome.action.setBadgeBackgroundColor({ color: '#f44336', tabId: tabId });
+        }
+    } catch (error) {
+        console.error('Error showing linked policy alert:', error);
+    }
+}
+
 // Show policy alert via badge or notification
-async function showPolicyAlert(tabId, policyData) {
+async function showPolicyAlert(tabId, policyData, settings, consent) {
     try {
+        const darkPatternCount = consent && consent.darkPatterns ? consent.darkPatterns.length : 0;
+
         // Set badge text to indicate policy detected
-        if (policyData.hasRiskyKeywords) {
+        if (settings.badgesEnabled && (policyData.hasRiskyKeywords || darkPatternCount > 0)) {
             await chrome.action.setBadgeText({ text: '⚠️', tabId: tabId });
             await chrome.action.setBadgeBackgroundColor({ color: '#f44336', tabId: tabId });
-        } else if (policyData.hasPolicyContent) {
+        } else if (settings.badgesEnabled && policyData.hasPolicyContent) {
             await chrome.action.setBadgeText({ text: '📄', tabId: tabId });
             await chrome.action.setBadgeBackgroundColor({ color: '#ff9800', tabId: tabId });
         }
+        if (settings.badgesEnabled && darkPatternCount > 0) {
+            await chrome.action.setTitle({
+                title: `Policy Peek: cookie banner uses ${darkPatternCount} dark pattern(s)`,
+                tabId: tabId
+            });
+        }
         
-        // Auto-open popup for risky content (optional - can be disabled)
-        const autoOpenEnabled = await getAutoOpenSetting();
-        if (autoOpenEnabled && policyData.hasRiskyKeywords) {
+        // Notify about risky content (can be disabled on the options page)
+        if (settings.notificationsEnabled && policyData.hasRiskyKeywords) {
             // Note: Chrome doesn't allow programmatic popup opening
             // Instead, we'll show a notification
             chrome.notifications.create({
@@ -277,38 +576,72 @@ async function showPolicyAlert(tabId, policyData) {
     }
 }
 
-// Get auto-open setting from storage
-async function getAutoOpenSetting() {
-    try {
-        const result = await chrome.storage.local.get(['autoOpenEnabled']);
-        return result.autoOpenEnabled !== false; // Default to true
-    } catch (error) {
-        console.error('Error getting auto-open setting:', error);
-        return true;
-    }
-}
-
 // Handle extension icon click
 chrome.action.onClicked.addListener(async (tab) => {
     // The popup will handle the display, but we can prepare data
     console.log('Extension icon clicked for tab:', tab.id);
 });
 
-// Clean up old analysis data
-chrome.tabs.onRemoved.addListener(async (tabId) => {
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info, tab).catch(error => {
+        console.error('Error handling context menu click:', error);
+    });
+});
+
+// Hand the selection or link to the popup, which runs the same analysis as its Analyze button
+async function handleContextMenuClick(info, tab) {
+    let pending = null;
+    if (info.menuItemId === CONTEXT_MENU_SELECTION) {
+        pending = { kind: 'selection', text: await readSelectionText(info, tab), pageUrl: info.pageUrl || null, title: tab ? tab.title : '' };
+    } else if (info.menuItemId === CONTEXT_MENU_LINK && info.linkUrl) {
+        pending = { kind: 'url', url: info.linkUrl };
+    }
+    if (!pending) {
+        return;
+    }
+    
+    await chrome.storage.session.set({ [PENDING_ANALYSIS_KEY]: { ...pending, createdAt: Date.now() } });
     try {
-        await chrome.storage.local.remove([`analysis_${tabId}`]);
+        await chrome.action.openPopup();
     } catch (error) {
-        console.error('Error cleaning up tab data:', error);
+        // Older Chrome versions and windows without focus cannot open the action popup
+        console.warn('Could not open the popup, opening a window instead:', error);
+        await chrome.windows.create({ url: chrome.runtime.getURL('popup.html'), type: 'popup', width: 420, height: 640 });
     }
+}
+
+// info.selectionText loses the selection's line breaks; read it from the frame when the page allows scripting
+async function readSelectionText(info, tab) {
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+            func: () => window.getSelection().toString()
+        });
+        if (result && result.result && result.result.trim()) {
+            return result.result.trim();
+        }
+    } catch (error) {
+        console.warn('Could not read the selection from the page:', error);
+    }
+    return (info.selectionText || '').trim();
+}
+
+// Results are keyed by page, not tab; only a pending scan and the tab's traffic record need clearing
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearTimeout(scheduledScans.get(tabId));
+    scheduledScans.delete(tabId);
+    self.PolicyPeekTrackers.clearTabNetworkActivity(tabId).catch(error => {
+        console.error('Error clearing network activity:', error);
+    });
 });
 
 // Message handler for communication with popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Only a result for the exact document the popup sees (URL and content fingerprint)
     if (request.action === 'getPageAnalysis') {
-        chrome.storage.local.get([`analysis_${request.tabId}`])
-            .then(result => {
-                sendResponse(result[`analysis_${request.tabId}`] || null);
+        self.PolicyPeekPageCache.getPageAnalysis(request.url, request.contentHash)
+            .then(analysis => {
+                sendResponse(analysis);
             })
             .catch(error => {
                 console.error('Error getting page analysis:', error);
@@ -317,8 +650,78 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true; // Indicates async response
     }
     
+    // The detector's late-content watcher found new policy links or terms in this tab
+    if (request.action === 'policyContentChanged' && sender.tab && isScannableUrl(sender.tab.url)) {
+        scheduleTabScan(sender.tab.id, sender.tab.url);
+        return false;
+    }
+    
+    if (request.action === 'getSitePolicies') {
+        analyzeLinkedPolicies(request.hostname, request.links || [], request.pageUrl)
+            .then(sitePolicies => sendResponse(sitePolicies))
+            .catch(error => {
+                console.error('Error getting site policies:', error);
+                sendResponse(null);
+            });
+        return true;
+    }
+    
+    // A consent-point card in the page wants the score of the documents it links to
+    if (request.action === 'getConsentPointAnalysis') {
+        analyzeConsentPointLinks(request.links || [], request.pageUrl)
+            .then(analysis => sendResponse(analysis))
+            .catch(error => {
+                console.error('Error analyzing consent point:', error);
+                sendResponse({ error: error.message, documents: [] });
+            });
+        return true;
+    }
+    
+    // Comparison mode: a policy by URL, or the documents analyzed for earlier sites
+    if (request.action === 'analyzePolicyUrl') {
+        analyzePolicyUrl(request.url)
+            .then(result => sendResponse(result))
+            .catch(error => {
+                console.warn('Error analyzing policy URL:', error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+    
+    if (request.action === 'getAnalyzedPolicies') {
+        getAnalyzedPolicies()
+            .then(policies => sendResponse(policies))
+            .catch(error => {
+                console.error('Error listing analyzed policies:', error);
+                sendResponse([]);
+            });
+        return true;
+    }
+    
+    // Third-party hosts the tab contacted since its last top-level navigation
+    if (request.action === 'getTabNetworkActivity') {
+        self.PolicyPeekTrackers.getTabNetworkActivity(request.tabId)
+            .then(activity => sendResponse(activity))
+            .catch(error => {
+                console.error('Error getting network activity:', error);
+                sendResponse(null);
+            });
+        return true;
+    }
+    
+    if (request.action === 'getPolicyHistory') {
+        self.PolicyPeekHistory.getPolicyHistory(request.hostname)
+            .then(history => sendResponse(history))
+            .catch(error => {
+                console.error('Error getting policy history:', error);
+                sendResponse(null);
+            });
+        return true;
+    }
+    
+    // Kept for older callers; auto-open now maps to the notifications setting
     if (request.action === 'setAutoOpen') {
-        chrome.storage.local.set({ autoOpenEnabled: request.enabled })
+        self.PolicyPeekSettings.saveSettings({ notificationsEnabled: request.enabled })
             .then(() => sendResponse({ success: true }))
             .catch(error => {
                 console.error('Error setting auto-open:', error);
@@ -0,0 +1,215 @@
+// Policy Peek - Regulatory Disclosure Checklists
+// Checks a policy against the disclosures a regulation requires (GDPR, CCPA,
+// COPPA). The checklists are data files in checklists/ listed by
+// checklists/index.json; each item has "present" patterns for a clear
+// disclosure and "ambiguous" patterns for a vague mention. Every item comes
+// back as present, ambiguous or missing, with the sentence that supports it.
+// A checklist can limit itself to policies matching "appliesWhen" and step
+// aside for policies matching "exemptWhen" (COPPA and services not aimed at children).
+
+const CHECKLIST_FORMAT_VERSION = 1;
+const CHECKLIST_DIRECTORY = 'checklists';
+const MAX_CHECKLIST_EVIDENCE_LENGTH = 300;
+
+const CHECKLIST_PATTERN_LIST = { type: 'array', maxItems: 20, items: { type: 'string', minLength: 2, maxLength: 500 } };
+
+// JSON Schema (same subset as RULE_PACK_SCHEMA) describing a checklist file
+const CHECKLIST_SCHEMA = {
+    type: 'object',
+    required: ['formatVersion', 'id', 'name', 'jurisdiction', 'items'],
+    additionalProperties: false,
+    properties: {
+        formatVersion: { type: 'integer', enum: [CHECKLIST_FORMAT_VERSION] },
+        id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{1,29}$' },
+        name: { type: 'string', minLength: 1, maxLength: 60 },
+        jurisdiction: { type: 'string', minLength: 1, maxLength: 80 },
+        reference: { type: 'string', maxLength: 200 },
+        description: { type: 'string', maxLength: 500 },
+        appliesWhen: { type: 'string', minLength: 2, maxLength: 500 },
+        exemptWhen: { type: 'string', minLength: 2, maxLength: 500 },
+        items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: 'object',
+                required: ['id', 'label', 'present'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,59}$' },
+                    label: { type: 'string', minLength: 1, maxLength: 100 },
+                    citation: { type: 'string', maxLength: 80 },
+                    explanation: { type: 'string', maxLength: 300 },
+                    present: { ...CHECKLIST_PATTERN_LIST, minItems: 1 },
+                    ambiguous: CHECKLIST_PATTERN_LIST
+                }
+            }
+        }
+    }
+};
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getChecklistRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+function getChecklistSchemaValidator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rule-packs.js').validateAgainstSchema;
+    }
+    return self.PolicyPeekRulePacks.validateAgainstSchema;
+}
+
+// Schema validation plus the checks JSON Schema cannot express (regex syntax, unique ids)
+function validateChecklist(checklist) {
+    const errors = getChecklistSchemaValidator()(checklist, CHECKLIST_SCHEMA, 'checklist');
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const checkPattern = (pattern, path) => {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            errors.push(`${path} is not a valid regular expression: ${error.message}`);
+        }
+    };
+
+    ['appliesWhen', 'exemptWhen'].forEach(key => {
+        if (checklist[key]) checkPattern(checklist[key], `checklist.${key}`);
+    });
+    const seenIds = new Set();
+    checklist.items.forEach((item, index) => {
+        if (seenIds.has(item.id)) {
+            errors.push(`checklist.items[${index}].id "${item.id}" is used more than once`);
+        }
+        seenIds.add(item.id);
+        item.present.forEach((pattern, patternIndex) => checkPattern(pattern, `checklist.items[${index}].present[${patternIndex}]`));
+        (item.ambiguous || []).forEach((pattern, patternIndex) => checkPattern(pattern, `checklist.items[${index}].ambiguous[${patternIndex}]`));
+    });
+
+    return errors;
+}
+
+async function readChecklistFile(fileName) {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require(`./${CHECKLIST_DIRECTORY}/${fileName}`);
+    }
+    const response = await fetch(chrome.runtime.getURL(`${CHECKLIST_DIRECTORY}/${fileName}`));
+    if (!response.ok) {
+        throw new Error(`Could not read ${fileName}: status ${response.status}`);
+    }
+    return response.json();
+}
+
+// Bundled checklists are read once per page or worker
+let checklistsPromise = null;
+
+// Every valid checklist listed in checklists/index.json; invalid files are skipped with a warning
+function loadChecklists() {
+    if (!checklistsPromise) {
+        checklistsPromise = (async () => {
+            const index = await readChecklistFile('index.json');
+            const checklists = [];
+            for (const fileName of index.checklists) {
+                try {
+                    const checklist = await readChecklistFile(fileName);
+                    const errors = validateChecklist(checklist);
+                    if (errors.length > 0) {
+                        console.warn(`Policy Peek: Skipping invalid checklist ${fileName}:\n${errors.join('\n')}`);
+                    } else {
+                        checklists.push(checklist);
+                    }
+                } catch (error) {
+                    console.warn('Policy Peek: Could not load checklist:', fileName, error);
+                }
+            }
+            return checklists;
+        })().catch(error => {
+            checklistsPromise = null;
+            throw error;
+        });
+    }
+    return checklistsPromise;
+}
+
+// Compiled patterns per checklist object, so repeated evaluations skip the RegExp parsing
+const compiledChecklists = new WeakMap();
+
+function compileChecklist(checklist) {
+    if (!compiledChecklists.has(checklist)) {
+        const compile = pattern => new RegExp(pattern, 'i');
+        compiledChecklists.set(checklist, {
+            appliesWhen: checklist.appliesWhen ? compile(checklist.appliesWhen) : null,
+            exemptWhen: checklist.exemptWhen ? compile(checklist.exemptWhen) : null,
+            items: checklist.items.map(item => ({
+                present: item.present.map(compile),
+                ambiguous: (item.ambiguous || []).map(compile)
+            }))
+        });
+    }
+    return compiledChecklists.get(checklist);
+}
+
+function trimEvidence(sentence) {
+    return sentence.length > MAX_CHECKLIST_EVIDENCE_LENGTH ? `${sentence.slice(0, MAX_CHECKLIST_EVIDENCE_LENGTH)}...` : sentence;
+}
+
+// { id, name, jurisdiction, reference, applicable, exemption, counts, items: [{ id, label, citation, explanation, status, evidence }] }
+// A clear disclosure anywhere wins over a vague one; the first supporting sentence is cited.
+function evaluateChecklist(sentences, checklist) {
+    const compiled = compileChecklist(checklist);
+    const exemption = compiled.exemptWhen ? sentences.find(sentence => compiled.exemptWhen.test(sentence)) : null;
+    const applicable = !exemption && (!compiled.appliesWhen || sentences.some(sentence => compiled.appliesWhen.test(sentence)));
+
+    const items = checklist.items.map((item, index) => {
+        const patterns = compiled.items[index];
+        const presentSentence = sentences.find(sentence => patterns.present.some(pattern => pattern.test(sentence)));
+        const ambiguousSentence = presentSentence ? null : sentences.find(sentence => patterns.ambiguous.some(pattern => pattern.test(sentence)));
+        const evidence = presentSentence || ambiguousSentence;
+        return {
+            id: item.id,
+            label: item.label,
+            citation: item.citation || null,
+            explanation: item.explanation || null,
+            status: presentSentence ? 'present' : ambiguousSentence ? 'ambiguous' : 'missing',
+            evidence: evidence ? trimEvidence(evidence) : null
+        };
+    });
+
+    const counts = { present: 0, ambiguous: 0, missing: 0 };
+    items.forEach(item => {
+        counts[item.status] += 1;
+    });
+
+    return {
+        id: checklist.id,
+        name: checklist.name,
+        jurisdiction: checklist.jurisdiction,
+        reference: checklist.reference || null,
+        applicable,
+        exemption: exemption ? trimEvidence(exemption) : null,
+        counts,
+        items
+    };
+}
+
+// Run the selected checklists (all when checklistIds is omitted) over a policy's text
+function evaluateChecklists(text, checklists, checklistIds) {
+    const selected = checklists.filter(checklist => !checklistIds || checklistIds.includes(checklist.id));
+    if (selected.length === 0) {
+        return [];
+    }
+    const sentences = getChecklistRuleEngine().splitSentences(text);
+    return selected.map(checklist => evaluateChecklist(sentences, checklist));
+}
+
+// Export checklist helpers (self works in the options page, the popup and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHECKLIST_SCHEMA, validateChecklist, loadChecklists, evaluateChecklist, evaluateChecklists };
+} else {
+    self.PolicyPeekChecklists = { CHECKLIST_SCHEMA, validateChecklist, loadChecklists, evaluateChecklist, evaluateChecklists };
+}
@@ -0,0 +1,99 @@
+// Policy Peek - Policy Comparison
+// Lines two analyzed policies up category by category: the score each gets per
+// rule category, the risky clauses only one of them contains, and the
+// protections one offers that the other lacks. Clauses are matched by rule, so
+// two policies wording the same practice differently still count as shared.
+
+// Findings by rule and type; a negated risk rule ("we do not sell") is a protection, not the risk
+function indexFindings(analysis) {
+    const byKey = new Map();
+    (analysis.findings || []).forEach(finding => {
+        byKey.set(`${finding.ruleId}:${finding.type}`, finding);
+    });
+    return byKey;
+}
+
+// Findings of one type present in `from` but not in `other`, strongest first
+function findingsOnlyIn(from, other, type) {
+    return Array.from(from.entries())
+        .filter(([key, finding]) => finding.type === type && !other.has(key))
+        .map(([, finding]) => finding)
+        .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+}
+
+// Readability measures compared row by row; a higher value is harder to read for every one of them
+const READABILITY_COMPARISON_ROWS = [
+    { key: 'fleschKincaidGrade', label: 'Reading grade' },
+    { key: 'readingMinutes', label: 'Reading time (min)' },
+    { key: 'averageSentenceLength', label: 'Words per sentence' },
+    { key: 'legalesePer100Words', label: 'Legalese per 100 words' },
+    { key: 'passiveSentencePercent', label: 'Passive sentences (%)' },
+    { key: 'crossReferences', label: 'Cross-references' }
+];
+
+// Rows for the measures at least one side has; harder is 'left', 'right' or null on a tie
+function compareReadability(left, right) {
+    if (!left && !right) {
+        return [];
+    }
+    return READABILITY_COMPARISON_ROWS.map(row => {
+        const leftValue = left ? left[row.key] : null;
+        const rightValue = right ? right[row.key] : null;
+        let harder = null;
+        if (leftValue !== null && rightValue !== null && leftValue !== rightValue) {
+            harder = leftValue > rightValue ? 'left' : 'right';
+        }
+        return { key: row.key, label: row.label, left: leftValue, right: rightValue, harder };
+    }).filter(row => row.left !== null || row.right !== null);
+}
+
+// left / right: { name, analysis } where analysis is an analyzeRiskFactors result
+// (with its readability metrics, when they were measured)
+function comparePolicies(left, right) {
+    const leftCategories = left.analysis.categories || {};
+    const rightCategories = right.analysis.categories || {};
+    const categoryIds = Array.from(new Set(Object.keys(leftCategories).concat(Object.keys(rightCategories))));
+
+    const categories = categoryIds.map(category => {
+        const leftEntry = leftCategories[category];
+        const rightEntry = rightCategories[category];
+        const leftScore = leftEntry ? leftEntry.score : 0;
+        const rightScore = rightEntry ? rightEntry.score : 0;
+        return {
+            category,
+            label: (leftEntry || rightEntry).label,
+            left: leftEntry ? leftScore : null,
+            right: rightEntry ? rightScore : null,
+            // Positive when the left policy is riskier in this category
+            difference: leftScore - rightScore
+        };
+    }).sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    const leftFindings = indexFindings(left.analysis);
+    const rightFindings = indexFindings(right.analysis);
+    const shared = Array.from(leftFindings.keys()).filter(key => rightFindings.has(key)).map(key => leftFindings.get(key));
+
+    return {
+        left: { name: left.name, level: left.analysis.level, riskScore: left.analysis.riskScore },
+        right: { name: right.name, level: right.analysis.level, riskScore: right.analysis.riskScore },
+        categories,
+        readability: compareReadability(left.analysis.readability, right.analysis.readability),
+        risksOnlyIn: {
+            left: findingsOnlyIn(leftFindings, rightFindings, 'risk'),
+            right: findingsOnlyIn(rightFindings, leftFindings, 'risk')
+        },
+        protectionsOnlyIn: {
+            left: findingsOnlyIn(leftFindings, rightFindings, 'positive'),
+            right: findingsOnlyIn(rightFindings, leftFindings, 'positive')
+        },
+        sharedRisks: shared.filter(finding => finding.type === 'risk'),
+        sharedProtections: shared.filter(finding => finding.type === 'positive')
+    };
+}
+
+// Export comparison helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { comparePolicies };
+} else {
+    self.PolicyPeekComparison = { comparePolicies };
+}
@@ -11,7 +11,8 @@ const CONFIG = {
     CHROME_REWRITER_API: "AzBtegCBY7n56LeZHe7MGIWWVx8RGlyQaChIppnJ1fpOFe9WnLrLW9Qp0xrM2acoUXEBemHzzhWfGx9ugX67rwYAAACCeyJvcmlnaW4iOiJjaHJvbWUtZXh0ZW5zaW9uOi8vbGdvaWlpaG1naG5pZmhwcGdkamdkb2dwcGJqZXBiYnAiLCJmZWF0dXJlIjoiQUlSZXdyaXRlckFQSSIsImV4cGlyeSI6MTc2OTQ3MjAwMCwiaXNUaGlyZFBhcnR5Ijp0cnVlfQ==",
     
     // Feature flags
-    ENABLE_EXTERNAL_AI: false,
+    // External providers are configured on the options page and stay off until one is chosen
+    ENABLE_EXTERNAL_AI: true,
     ENABLE_HISTORY_CHECKER: true,
     ENABLE_TRANSLATION: true,
     
@@ -43,26 +44,16 @@ function initializeAIAPIs() {
     }
 }
 
-// Check if Chrome Built-in AI APIs are available
+// Check the real state of each Chrome Built-in AI API ('available', 'downloadable',
+// 'downloading' or 'unavailable') through the adapter in ai-adapter.js
 async function checkAIAvailability() {
-    const availability = {
-        summarizer: false,
-        writer: false,
-        rewriter: false,
-        translator: false,
-        proofreader: false
-    };
+    const aiAdapter = typeof module !== 'undefined' && module.exports ? require('./ai-adapter.js') : self.PolicyPeekAI;
+    const availability = {};
     
     try {
-        if (typeof window !== 'undefined' && window.ai) {
-            // Check each API individually to avoid errors
-            try { availability.summarizer = !!window.ai.summarizer; } catch (e) { /* ignore */ }
-            try { availability.writer = !!window.ai.writer; } catch (e) { /* ignore */ }
-            try { availability.rewriter = !!window.ai.rewriter; } catch (e) { /* ignore */ }
-            try { availability.translator = !!window.ai.translator; } catch (e) { /* ignore */ }
-            try { availability.proofreader = !!window.ai.proofreader; } catch (e) { /* ignore */ }
-        } else {
-            console.info('Chrome Built-in AI APIs not available - running in fallback mode');
+        Object.assign(availability, await aiAdapter.checkAllAIAvailability());
+        if (!Object.values(availability).includes('available')) {
+            console.info('No Chrome Built-in AI model is ready - running in fallback mode');
         }
     } catch (error) {
         console.warn('Error checking AI availability, continuing with fallback mode:', error);
@@ -71,9 +62,9 @@ async function checkAIAvailability() {
     return availability;
 }
 
-// Export configuration
+// Export configuration (self works in both the popup window and the service worker)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { CONFIG, initializeAIAPIs, checkAIAvailability };
 } else {
-    window.PolicyPeekConfig = { CONFIG, initializeAIAPIs, checkAIAvailability };
+    self.PolicyPeekConfig = { CONFIG, initializeAIAPIs, checkAIAvailability };
 }
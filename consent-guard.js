@@ -0,0 +1,381 @@
+// Policy Peek - Consent-Point Guard
+// Finds the places where a user is about to agree to something: "I agree to
+// the Terms" checkboxes, "By clicking Sign up you accept..." text next to a
+// submit button, and clickwrap dialogs. When the user reaches one (focus or
+// hover, or the dialog appearing) an inline card next to the control shows
+// the risk score and top findings of the documents it links to. The card
+// never blocks the form: it sits beside the control and can be dismissed.
+//
+// Policy links are found with the detector's link matcher, so detector.js
+// must be injected first. The linked documents are fetched and scored by
+// the background worker (getConsentPointAnalysis).
+//
+// Wrapped in a function because the file is injected into the same page
+// more than once; the first instance is kept so its listeners are not doubled.
+
+(function () {
+    if (typeof module === 'undefined' && self.PolicyPeekConsentGuard) {
+        return;
+    }
+
+    const CARD_HOST_ID = 'policy-peek-consent-guard';
+    const RESCAN_DELAY_MS = 1000;
+    const MAX_CONTEXT_CHARS = 600;
+    const MAX_FINDINGS_PER_DOCUMENT = 3;
+
+    // "I agree to the Terms", "I have read and accept the Privacy Policy", "I consent to..."
+    const AGREEMENT_PATTERN = /\b(i (have read|agree|accept|consent|acknowledge|understand)|(agree|consent) to|accept (the|our|these|this|all))\b[\s\S]{0,160}\b(terms|conditions|privacy|policy|policies|agreement|eula|notice)\b|\b(akzeptiere|stimme)\b[\s\S]{0,80}\b(agb|nutzungsbedingungen|datenschutz)|\bj'accepte\b|\bacepto\b|\baccetto\b|\bik ga akkoord\b|\bconcordo\b/i;
+    // "By clicking Sign up, you agree to our Terms"
+    const SUBMIT_CONSENT_PATTERN = /\bby (clicking|tapping|signing up|signing in|creating|registering|continuing|placing|submitting|proceeding|using|joining|selecting|pressing)\b[\s\S]{0,160}\b(agree|accept|consent|acknowledge)\b/i;
+    const ACCEPT_BUTTON_PATTERN = /\b(i agree|agree|accept|i accept|continue|got it|ok|confirm)\b/i;
+
+    const DIALOG_SELECTOR = '[role="dialog"], [role="alertdialog"], [aria-modal="true"], dialog[open], .modal';
+    const SUBMIT_SELECTOR = 'button[type="submit"], input[type="submit"], form button:not([type]), [role="button"][type="submit"]';
+
+    const CARD_STYLES = `
+        :host { all: initial; }
+        .card {
+            position: absolute;
+            z-index: 2147483646;
+            width: 280px;
+            padding: 10px 12px;
+            border-radius: 10px;
+            background: #37306b;
+            color: #fff;
+            font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3);
+        }
+        .card[hidden] { display: none; }
+        .card-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px; font-weight: 600; }
+        .close { border: none; background: none; color: #fff; font-size: 16px; cursor: pointer; padding: 0 2px; }
+        .document + .document { margin-top: 8px; padding-top: 6px; border-top: 1px solid rgba(255, 255, 255, 0.2); }
+        .document-title { display: flex; justify-content: space-between; gap: 6px; }
+        .score { padding: 0 6px; border-radius: 8px; white-space: nowrap; }
+        .score-risky { background: #f44336; }
+        .score-safe { background: #4caf50; }
+        .score-unknown { background: rgba(255, 255, 255, 0.25); }
+        ul { margin: 4px 0 0; padding-left: 16px; }
+        li { margin-bottom: 2px; }
+        .explanation { opacity: 0.75; font-size: 11px; }
+        .note { opacity: 0.8; }
+    `;
+
+    // Consent points by the control the card is anchored to
+    const points = new Map();
+    // Analyses by linked-document set, so a point is only analyzed once per page
+    const analyses = new Map();
+    const dismissed = new Set();
+    const guard = { active: false, keywordSets: null, observer: null, rescanTimer: null, host: null, card: null, current: null };
+
+    function getText(element) {
+        return (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // The label text of a checkbox: <label for>, a wrapping <label>, aria-labelledby, or its nearest container
+    function getCheckboxContext(checkbox) {
+        const doc = checkbox.ownerDocument;
+        const labels = Array.from(checkbox.labels || []);
+        const labelledBy = (checkbox.getAttribute('aria-labelledby') || '').split(/\s+/)
+            .map(id => id && doc.getElementById(id))
+            .filter(Boolean);
+        const containers = labels.concat(labelledBy);
+        if (containers.length === 0 && checkbox.parentElement) {
+            containers.push(checkbox.parentElement.closest('label, li, p, div') || checkbox.parentElement);
+        }
+        return containers;
+    }
+
+    // Text around a submit button: inside its form, or in the button's nearest block
+    function getSubmitContext(button) {
+        const form = button.form || button.closest('form');
+        if (form) {
+            return [form];
+        }
+        const container = button.parentElement ? button.parentElement.closest('div, section, p') : null;
+        return container ? [container] : [];
+    }
+
+    function findLinks(containers) {
+        const detector = self.PolicyPeekDetector;
+        const links = [];
+        containers.forEach(container => {
+            detector.findPolicyLinks(container, guard.keywordSets).forEach(link => {
+                if (!links.some(existing => existing.href === link.href)) {
+                    links.push({ text: link.text, href: link.href });
+                }
+            });
+        });
+        return links;
+    }
+
+    function isVisible(element) {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+    }
+
+    // Every consent point in the document: { kind, anchor, links, text }
+    function findConsentPoints(doc) {
+        const found = [];
+
+        doc.querySelectorAll('input[type="checkbox"], [role="checkbox"]').forEach(checkbox => {
+            const containers = getCheckboxContext(checkbox);
+            const text = containers.map(getText).join(' ').slice(0, MAX_CONTEXT_CHARS);
+            if (AGREEMENT_PATTERN.test(text)) {
+                found.push({ kind: 'checkbox', anchor: checkbox, links: findLinks(containers), text });
+            }
+        });
+
+        doc.querySelectorAll(SUBMIT_SELECTOR).forEach(button => {
+            const containers = getSubmitContext(button);
+            const text = containers.map(getText).join(' ');
+            const sentence = (text.match(new RegExp(`[^.]*${SUBMIT_CONSENT_PATTERN.source}[^.]*`, 'i')) || [])[0];
+            if (sentence && !found.some(point => point.anchor === button)) {
+                found.push({ kind: 'submit', anchor: button, links: findLinks(containers), text: sentence.trim().slice(0, MAX_CONTEXT_CHARS) });
+            }
+        });
+
+        doc.querySelectorAll(DIALOG_SELECTOR).forEach(dialog => {
+            const text = getText(dialog);
+            if (text.length > 5000 || !(AGREEMENT_PATTERN.test(text) || SUBMIT_CONSENT_PATTERN.test(text))) {
+                return;
+            }
+            const acceptButton = Array.from(dialog.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"]'))
+                .find(button => ACCEPT_BUTTON_PATTERN.test(getText(button) || button.value || ''));
+            if (acceptButton && !found.some(point => point.anchor === acceptButton)) {
+                found.push({ kind: 'clickwrap', anchor: acceptButton, links: findLinks([dialog]), text: text.slice(0, MAX_CONTEXT_CHARS) });
+            }
+        });
+
+        return found;
+    }
+
+    function ensureCard() {
+        if (guard.host && guard.host.isConnected) {
+            return;
+        }
+        const host = document.createElement('div');
+        host.id = CARD_HOST_ID;
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `<style>${CARD_STYLES}</style><div class="card" role="note" hidden></div>`;
+        guard.host = host;
+        guard.card = root.querySelector('.card');
+        document.documentElement.appendChild(host);
+    }
+
+    function hideCard() {
+        if (guard.card) {
+            guard.card.hidden = true;
+        }
+        guard.current = null;
+    }
+
+    // Next to the control: below it when there is room, otherwise above; in page coordinates so it scrolls along
+    function positionCard(anchor) {
+        const rect = anchor.getBoundingClientRect();
+        const card = guard.card;
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - card.offsetWidth - 8));
+        const below = rect.bottom + 8 + card.offsetHeight < window.innerHeight;
+        const top = below ? rect.bottom + 8 : Math.max(8, rect.top - card.offsetHeight - 8);
+        card.style.left = `${left + window.scrollX}px`;
+        card.style.top = `${top + window.scrollY}px`;
+    }
+
+    function appendElement(parent, tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        parent.appendChild(element);
+        return element;
+    }
+
+    // Header, one block per linked document (score and top findings), or a note
+    function renderCard(point, analysis) {
+        const card = guard.card;
+        card.textContent = '';
+
+        const header = appendElement(card, 'div', 'card-header');
+        appendElement(header, 'span', '', '🔍 Before you agree');
+        const close = appendElement(header, 'button', 'close', '×');
+        close.type = 'button';
+        close.title = 'Dismiss';
+        close.addEventListener('click', () => {
+            dismissed.add(point.anchor);
+            hideCard();
+        });
+
+        if (point.links.length === 0) {
+            appendElement(card, 'div', 'note', 'This agreement does not link the terms it refers to. Ask for them before agreeing.');
+            return;
+        }
+        if (!analysis) {
+            appendElement(card, 'div', 'note', `Checking ${point.links.length} linked document(s)...`);
+            return;
+        }
+        if (analysis.error || analysis.documents.length === 0) {
+            appendElement(card, 'div', 'note', 'The linked documents could not be checked.');
+            return;
+        }
+
+        analysis.documents.forEach(policyDocument => {
+            const block = appendElement(card, 'div', 'document');
+            const title = appendElement(block, 'div', 'document-title');
+            appendElement(title, 'strong', '', policyDocument.title || policyDocument.text || policyDocument.type);
+            const level = policyDocument.level || 'unknown';
+            appendElement(title, 'span', `score score-${level}`,
+                policyDocument.level ? `${level === 'risky' ? 'Risky' : 'Safe'} · ${policyDocument.riskScore}` : 'Not checked');
+
+            if (policyDocument.findings.length > 0) {
+                const list = appendElement(block, 'ul');
+                policyDocument.findings.slice(0, MAX_FINDINGS_PER_DOCUMENT).forEach(finding => {
+                    const item = appendElement(list, 'li', '', `⚠️ ${finding.label}`);
+                    if (finding.explanation) appendElement(item, 'div', 'explanation', finding.explanation);
+                });
+            } else if (policyDocument.level) {
+                appendElement(block, 'div', 'note', 'No major red flags found.');
+            }
+        });
+    }
+
+    function linksKey(links) {
+        return links.map(link => link.href).sort().join('\n');
+    }
+
+    async function showCard(point) {
+        if (dismissed.has(point.anchor) || guard.current === point) {
+            return;
+        }
+        ensureCard();
+        guard.current = point;
+        guard.card.hidden = false;
+
+        const key = linksKey(point.links);
+        renderCard(point, analyses.get(key) || null);
+        positionCard(point.anchor);
+        if (point.links.length === 0 || analyses.has(key)) {
+            return;
+        }
+
+        let analysis;
+        try {
+            analysis = await chrome.runtime.sendMessage({
+                action: 'getConsentPointAnalysis',
+                links: point.links,
+                pageUrl: location.href
+            });
+        } catch (error) {
+            analysis = { error: error.message, documents: [] };
+        }
+        analyses.set(key, analysis || { error: 'No response', documents: [] });
+
+        if (guard.current === point) {
+            renderCard(point, analyses.get(key));
+            positionCard(point.anchor);
+        }
+    }
+
+    // Which consent point an event target belongs to (the control itself or its label)
+    function pointForTarget(target) {
+        if (!target || target.nodeType !== 1) {
+            return null;
+        }
+        for (const [anchor, point] of points) {
+            if (anchor === target || anchor.contains(target)) {
+                return point;
+            }
+            if (point.kind === 'checkbox' && Array.from(anchor.labels || []).some(label => label.contains(target))) {
+                return point;
+            }
+        }
+        return null;
+    }
+
+    function onUserReachesControl(event) {
+        const point = pointForTarget(event.target);
+        if (point) {
+            showCard(point);
+        }
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Escape' && guard.current) {
+            dismissed.add(guard.current.anchor);
+            hideCard();
+        }
+    }
+
+    function refreshPoints() {
+        points.clear();
+        findConsentPoints(document).forEach(point => points.set(point.anchor, point));
+
+        // A clickwrap dialog is the consent moment itself: show its card as soon as it is visible
+        const dialogPoint = Array.from(points.values()).find(point => point.kind === 'clickwrap' && isVisible(point.anchor));
+        if (dialogPoint && !guard.current) {
+            showCard(dialogPoint);
+        }
+        if (guard.current && !guard.current.anchor.isConnected) {
+            hideCard();
+        }
+    }
+
+    // The card lives outside <body>, so only page changes get here
+    function scheduleRefresh() {
+        clearTimeout(guard.rescanTimer);
+        guard.rescanTimer = setTimeout(refreshPoints, RESCAN_DELAY_MS);
+    }
+
+    // Entry point inside the page: find consent points now and as forms and dialogs appear
+    function installGuard(keywordSets) {
+        guard.keywordSets = keywordSets;
+        refreshPoints();
+        if (guard.active) {
+            return { consentPoints: points.size };
+        }
+
+        guard.active = true;
+        document.addEventListener('focusin', onUserReachesControl, true);
+        document.addEventListener('pointerover', onUserReachesControl, true);
+        document.addEventListener('keydown', onKeyDown, true);
+        guard.observer = new MutationObserver(scheduleRefresh);
+        guard.observer.observe(document.body, { childList: true, subtree: true });
+        return { consentPoints: points.size };
+    }
+
+    function removeGuard() {
+        document.removeEventListener('focusin', onUserReachesControl, true);
+        document.removeEventListener('pointerover', onUserReachesControl, true);
+        document.removeEventListener('keydown', onKeyDown, true);
+        if (guard.observer) guard.observer.disconnect();
+        clearTimeout(guard.rescanTimer);
+        if (guard.host) guard.host.remove();
+        points.clear();
+        Object.assign(guard, { active: false, observer: null, host: null, card: null, current: null });
+    }
+
+    // Extension-side helper: inject the detector and this file, then install the guard
+    async function installGuardInTab(tabId, extraKeywords) {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['detector.js', 'consent-guard.js']
+        });
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: keywordSets => self.PolicyPeekConsentGuard.installGuard(keywordSets),
+            args: [self.PolicyPeekDetector.getScanKeywordSets(extraKeywords)]
+        });
+        return results && results[0] ? results[0].result : null;
+    }
+
+    const PolicyPeekConsentGuard = {
+        findConsentPoints,
+        installGuard,
+        removeGuard,
+        installGuardInTab
+    };
+
+    // Export guard (self works in the page and the service worker)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PolicyPeekConsentGuard;
+    } else {
+        self.PolicyPeekConsentGuard = PolicyPeekConsentGuard;
+    }
+})();
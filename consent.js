@@ -0,0 +1,369 @@
+// Policy Peek - Cookie Consent Analyzer
+// Finds the page's consent banner (known consent-management platforms or a
+// generic cookie banner), reads the purposes and vendors it discloses, and
+// flags dark patterns. analyzeConsentBanner() only needs a DOM document, so
+// it also runs in Node against saved HTML.
+//
+// CMP globals such as the IAB TCF __tcfapi live in the page's own JavaScript
+// world, which injected extension scripts cannot see. scanTabConsent() reads
+// them with a separate MAIN-world script (readConsentGlobals) and passes the
+// result in.
+//
+// Wrapped in a function because the file is injected into the same page
+// more than once, and top-level declarations cannot be repeated.
+
+(function () {
+    // Bump when the result shape changes so stored results from older versions are re-scanned
+    const CONSENT_RESULT_VERSION = 1;
+
+    const MAX_PURPOSES = 15;
+    const MAX_BANNER_TEXT = 6000;
+
+    // Root elements of well-known consent-management platforms
+    const CMP_SELECTORS = [
+        { platform: 'onetrust', label: 'OneTrust', selector: '#onetrust-consent-sdk, #onetrust-banner-sdk' },
+        { platform: 'cookiebot', label: 'Cookiebot', selector: '#CybotCookiebotDialog' },
+        { platform: 'didomi', label: 'Didomi', selector: '#didomi-host, #didomi-notice, #didomi-popup' },
+        { platform: 'quantcast', label: 'Quantcast Choice', selector: '#qc-cmp2-container, .qc-cmp2-container' },
+        { platform: 'trustarc', label: 'TrustArc', selector: '#truste-consent-track, #truste-consent-content' },
+        { platform: 'usercentrics', label: 'Usercentrics', selector: '#usercentrics-root, #usercentrics-cmp-ui' },
+        { platform: 'iubenda', label: 'iubenda', selector: '#iubenda-cs-banner' },
+        { platform: 'osano', label: 'Osano', selector: '.osano-cm-window' },
+        { platform: 'complianz', label: 'Complianz', selector: '.cmplz-cookiebanner' },
+        { platform: 'cookieyes', label: 'CookieYes', selector: '.cky-consent-container' }
+    ];
+
+    const PLATFORM_LABELS = { tcf: 'IAB TCF', generic: 'Cookie banner' };
+    CMP_SELECTORS.forEach(entry => {
+        PLATFORM_LABELS[entry.platform] = entry.label;
+    });
+
+    const GENERIC_BANNER_SELECTOR = [
+        '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]',
+        '[id*="gdpr" i]', '[class*="gdpr" i]', '[aria-label*="cookie" i]', '[role="dialog"]', '[aria-modal="true"]'
+    ].join(', ');
+
+    const BANNER_TEXT_PATTERN = /cookie|consent|tracking|your privacy|datenschutz|einwilligung|confidentialité|consentement|privacidad|consentimiento|consenso|toestemming|privacidade/i;
+
+    // Button wording, English plus the languages the rule engine supports
+    const BUTTON_PATTERNS = {
+        reject: /\b(reject|decline|deny|refuse|disagree|no,? thanks)\b|(necessary|essential|required) (cookies )?only|only (necessary|essential|required)|continue without|ablehnen|nur (notwendige|erforderliche)|refuser|continuer sans|rechazar|rifiut|weigeren|rejeitar|recusar/i,
+        accept: /\b(accept|agree|allow|got it|i understand|okay|ok|yes)\b|akzeptieren|zustimmen|alle zulassen|einverstanden|accepter|j'accepte|aceptar|acepto|accett|accepteren|akkoord|aceitar|concordo/i,
+        settings: /\b(settings|preferences|customi[sz]e|manage|options|choices|more info|learn more|details|purposes|partners|vendors)\b|einstellungen|anpassen|paramètres|personnaliser|configurar|preferencias|impostazioni|personalizza|instellingen|configurações|preferências/i
+    };
+
+    const LEGITIMATE_INTEREST_PATTERN = /legitimate interest|berechtigtes interesse|intérêt légitime|interés legítimo|legittimo interesse|gerechtvaardigd belang|interesse legítimo/i;
+    const IMPLIED_CONSENT_PATTERN = /\bby (continuing|using|browsing|clicking|scrolling|staying)\b[^.]{0,80}\b(you (agree|accept|consent)|consent to|agree to)\b|\b(weitere nutzung|en poursuivant (votre )?navigation|si contin[úu]as? navegando|proseguendo (la )?navigazione)/i;
+    const VENDOR_COUNT_PATTERN = /\b(\d{2,4})\s+(?:[\w-]+\s+)?(vendors|partners|third parties|partner|partenaires|socios|fornitori|parceiros)\b/gi;
+
+    const DARK_PATTERNS = {
+        'no-reject-first-layer': { label: 'No "Reject all" on the first layer', weight: 2 },
+        'pre-ticked-purposes': { label: 'Purposes switched on before you choose', weight: 2 },
+        'legitimate-interest-default': { label: '"Legitimate interest" switched on by default', weight: 1.5 },
+        'unequal-prominence': { label: 'Accept is far more prominent than reject', weight: 1 },
+        'implied-consent': { label: 'Treats continued browsing as consent', weight: 1.5 }
+    };
+
+    function getWindow(doc) {
+        return doc.defaultView || (typeof window !== 'undefined' ? window : null);
+    }
+
+    function isElementHidden(element, win) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.hidden || node.getAttribute('aria-hidden') === 'true') {
+                return true;
+            }
+            const style = win ? win.getComputedStyle(node) : null;
+            if (style && (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0')) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function getElementText(element) {
+        return (element.textContent || element.value || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // The first CMP root on the page, or the outermost generic cookie banner with buttons
+    function findConsentBanner(doc) {
+        for (const cmp of CMP_SELECTORS) {
+            const root = doc.querySelector(cmp.selector);
+            if (root) {
+                return { root, platform: cmp.platform };
+            }
+        }
+
+        const win = getWindow(doc);
+        const candidates = Array.from(doc.querySelectorAll(GENERIC_BANNER_SELECTOR)).filter(element => {
+            const text = getElementText(element);
+            return text.length > 0 && text.length < MAX_BANNER_TEXT &&
+                BANNER_TEXT_PATTERN.test(text) &&
+                element.querySelector('button, [role="button"], input[type="button"], input[type="submit"], a') &&
+                !isElementHidden(element, win);
+        });
+        const outermost = candidates.filter(element => !candidates.some(other => other !== element && other.contains(element)));
+
+        let best = null;
+        let bestScore = 0;
+        outermost.forEach(element => {
+            const score = classifyButtons(element, win).filter(button => button.kind !== 'other').length;
+            if (score > bestScore) {
+                best = element;
+                bestScore = score;
+            }
+        });
+        return best ? { root: best, platform: 'generic' } : null;
+    }
+
+    // Visible buttons in the banner, classified as reject, accept, settings or other
+    function classifyButtons(root, win) {
+        const elements = root.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], a');
+        return Array.from(elements)
+            .filter(element => !isElementHidden(element, win))
+            .map(element => {
+                const text = getElementText(element).slice(0, 80);
+                // Reject wording is checked first: "Accept only necessary" is a reject button
+                const kind = BUTTON_PATTERNS.reject.test(text) ? 'reject'
+                    : BUTTON_PATTERNS.accept.test(text) ? 'accept'
+                        : BUTTON_PATTERNS.settings.test(text) ? 'settings'
+                            : 'other';
+                return { element, text, kind };
+            })
+            .filter(button => button.text);
+    }
+
+    function hasVisibleBackground(color) {
+        if (!color || color === 'transparent') {
+            return false;
+        }
+        const alpha = color.match(/rgba?\([^)]*,\s*([\d.]+)\s*\)$/);
+        return !(color.startsWith('rgba') && alpha && Number(alpha[1]) === 0);
+    }
+
+    // Rough visual weight of a button: size, fill, border and font
+    function measureProminence(element, win) {
+        const style = win ? win.getComputedStyle(element) : null;
+        const rect = element.getBoundingClientRect ? element.getBoundingClientRect() : { width: 0, height: 0 };
+        return {
+            area: rect.width * rect.height,
+            filled: style ? hasVisibleBackground(style.backgroundColor) : false,
+            bordered: style ? style.borderStyle !== 'none' && style.borderStyle !== '' && parseFloat(style.borderWidth) > 0 : false,
+            fontSize: style ? parseFloat(style.fontSize) || 0 : 0
+        };
+    }
+
+    function isUnequallyProminent(accept, reject) {
+        if (accept.area > 0 && reject.area > 0 && accept.area >= 2 * reject.area) {
+            return true;
+        }
+        if (accept.filled && !reject.filled && !reject.bordered) {
+            return true;
+        }
+        return accept.fontSize > 0 && reject.fontSize > 0 && accept.fontSize >= 1.3 * reject.fontSize;
+    }
+
+    // Label text for a purpose toggle: <label>, aria-label, or the heading of its list item
+    function getToggleLabel(toggle) {
+        const labelElements = toggle.labels ? Array.from(toggle.labels) : [];
+        const labelText = labelElements.map(getElementText).join(' ').trim();
+        // A label that only says "Legitimate interest" names the switch type, not the purpose
+        if (labelText && !LEGITIMATE_INTEREST_PATTERN.test(labelText)) {
+            return labelText;
+        }
+        if (toggle.getAttribute('aria-label')) {
+            return toggle.getAttribute('aria-label').trim();
+        }
+        const item = toggle.closest('li, [class*="purpose" i], [class*="category" i], [class*="cat-item" i]');
+        const heading = item ? item.querySelector('h3, h4, h5, label, strong, [class*="title" i], [class*="name" i]') : null;
+        return heading ? getElementText(heading) : labelText;
+    }
+
+    function isToggleOn(toggle) {
+        return toggle.checked === true || toggle.getAttribute('aria-checked') === 'true';
+    }
+
+    // Read the banner and return a versioned, serializable result. globals comes from readConsentGlobals().
+    function analyzeConsentBanner(doc, globals = {}) {
+        const win = getWindow(doc);
+        const platforms = [...new Set(globals.platforms || [])];
+        const banner = findConsentBanner(doc);
+        const tcf = globals.tcf || null;
+
+        const result = {
+            version: CONSENT_RESULT_VERSION,
+            found: Boolean(banner) || platforms.length > 0,
+            // A named platform beats the generic banner match
+            platform: banner && banner.platform !== 'generic' ? banner.platform : (platforms[0] || (banner ? 'generic' : null)),
+            platformLabel: null,
+            platforms: banner && banner.platform !== 'generic' ? [...new Set([banner.platform, ...platforms])] : platforms,
+            bannerVisible: false,
+            buttons: { accept: [], reject: [], settings: [] },
+            purposes: [],
+            vendorCount: null,
+            tcf,
+            darkPatterns: [],
+            riskScore: 0
+        };
+        result.platformLabel = result.platform ? PLATFORM_LABELS[result.platform] || result.platform : null;
+
+        const addDarkPattern = (id, detail) => {
+            if (!result.darkPatterns.some(pattern => pattern.id === id)) {
+                result.darkPatterns.push({ id, label: DARK_PATTERNS[id].label, detail });
+                result.riskScore += DARK_PATTERNS[id].weight;
+            }
+        };
+
+        if (banner) {
+            const buttons = classifyButtons(banner.root, win);
+            result.bannerVisible = buttons.length > 0 && !isElementHidden(banner.root, win);
+            buttons.forEach(button => {
+                if (result.buttons[button.kind] && !result.buttons[button.kind].includes(button.text)) {
+                    result.buttons[button.kind].push(button.text);
+                }
+            });
+
+            // First layer = what is visible before opening any settings
+            const accepts = buttons.filter(button => button.kind === 'accept');
+            const rejects = buttons.filter(button => button.kind === 'reject');
+            if (result.bannerVisible && accepts.length > 0 && rejects.length === 0) {
+                addDarkPattern('no-reject-first-layer', `Only "${accepts[0].text}" is offered without opening the settings.`);
+            }
+            if (accepts.length > 0 && rejects.length > 0) {
+                const accept = measureProminence(accepts[0].element, win);
+                const reject = measureProminence(rejects[0].element, win);
+                if (isUnequallyProminent(accept, reject)) {
+                    addDarkPattern('unequal-prominence', `"${accepts[0].text}" stands out much more than "${rejects[0].text}".`);
+                }
+            }
+
+            // Toggles count even inside a hidden preference centre: that is the default the user finds
+            const toggles = Array.from(banner.root.querySelectorAll('input[type="checkbox"], [role="switch"], [role="checkbox"]'))
+                .filter(toggle => !toggle.disabled && toggle.getAttribute('aria-disabled') !== 'true');
+            const preTicked = [];
+            const legitimateInterest = [];
+            toggles.forEach(toggle => {
+                const label = getToggleLabel(toggle).slice(0, 60);
+                const context = `${label} ${toggle.id || ''} ${toggle.name || ''} ${getElementText(toggle.closest('li, div') || toggle).slice(0, 200)}`;
+                if (label && !result.purposes.includes(label) && result.purposes.length < MAX_PURPOSES) {
+                    result.purposes.push(label);
+                }
+                if (isToggleOn(toggle)) {
+                    (LEGITIMATE_INTEREST_PATTERN.test(context) ? legitimateInterest : preTicked).push(label || 'Unnamed purpose');
+                }
+            });
+            if (preTicked.length > 0) {
+                addDarkPattern('pre-ticked-purposes', `Already on: ${[...new Set(preTicked)].slice(0, 5).join(', ')}`);
+            }
+            if (legitimateInterest.length > 0) {
+                addDarkPattern('legitimate-interest-default', `${legitimateInterest.length} legitimate-interest switch(es) on by default.`);
+            }
+
+            const bannerText = getElementText(banner.root).slice(0, MAX_BANNER_TEXT * 4);
+            if (IMPLIED_CONSENT_PATTERN.test(bannerText)) {
+                addDarkPattern('implied-consent', (bannerText.match(IMPLIED_CONSENT_PATTERN) || [''])[0]);
+            }
+
+            // Disclosed vendor count: listed vendor entries, or the largest "N partners" in the text
+            const listedVendors = banner.root.querySelectorAll('.ot-host-item, .ot-ven-item, .CybotCookiebotDialogDetailBodyContentCookieProvider, .didomi-vendor').length;
+            const statedCounts = Array.from(bannerText.matchAll(VENDOR_COUNT_PATTERN)).map(match => Number(match[1]));
+            const vendorCount = Math.max(listedVendors, ...statedCounts, 0);
+            result.vendorCount = vendorCount > 0 ? vendorCount : null;
+        }
+
+        // TCF data from the page: purposes already allowed while the banner is still showing
+        if (tcf && tcf.eventStatus === 'cmpuishown') {
+            if (tcf.purposeConsents > 0) {
+                addDarkPattern('pre-ticked-purposes', `${tcf.purposeConsents} TCF purpose(s) already have consent before you choose.`);
+            }
+            if (tcf.purposeLegitimateInterests > 0) {
+                addDarkPattern('legitimate-interest-default', `${tcf.purposeLegitimateInterests} TCF purpose(s) rely on legitimate interest by default.`);
+            }
+        }
+        if (tcf && !result.vendorCount && tcf.vendorCount > 0) {
+            result.vendorCount = tcf.vendorCount;
+        }
+
+        return result;
+    }
+
+    // Runs in the page's MAIN world (serialized by chrome.scripting), so it must stay self-contained
+    function readConsentGlobals() {
+        const result = { platforms: [], tcf: null };
+        if (window.OneTrust || window.Optanon) result.platforms.push('onetrust');
+        if (window.Cookiebot) result.platforms.push('cookiebot');
+        if (window.Didomi) result.platforms.push('didomi');
+        if (window.UC_UI || window.usercentrics) result.platforms.push('usercentrics');
+        if (typeof window.__tcfapi !== 'function') {
+            return result;
+        }
+
+        result.platforms.push('tcf');
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(() => resolve(result), 1500);
+            const countTrue = map => Object.values(map || {}).filter(Boolean).length;
+            try {
+                window.__tcfapi('getTCData', 2, (tcData, success) => {
+                    clearTimeout(timeoutId);
+                    if (success && tcData) {
+                        result.tcf = {
+                            cmpId: tcData.cmpId || null,
+                            gdprApplies: tcData.gdprApplies === true,
+                            eventStatus: tcData.eventStatus || null,
+                            purposeConsents: countTrue(tcData.purpose && tcData.purpose.consents),
+                            purposeLegitimateInterests: countTrue(tcData.purpose && tcData.purpose.legitimateInterests),
+                            vendorCount: Object.keys((tcData.vendor && tcData.vendor.consents) || {}).length
+                        };
+                    }
+                    resolve(result);
+                });
+            } catch (error) {
+                clearTimeout(timeoutId);
+                resolve(result);
+            }
+        });
+    }
+
+    // Inject into a tab (from the popup or the service worker) and analyze its consent banner
+    async function scanTabConsent(tabId) {
+        let globals = {};
+        try {
+            const globalResults = await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                world: 'MAIN',
+                func: readConsentGlobals
+            });
+            globals = (globalResults && globalResults[0] && globalResults[0].result) || {};
+        } catch (error) {
+            console.warn('Could not read consent platform globals:', error);
+        }
+
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['consent.js']
+        });
+
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: globals => self.PolicyPeekConsent.analyzeConsentBanner(document, globals),
+            args: [globals]
+        });
+
+        return results && results[0] ? results[0].result : null;
+    }
+
+    const PolicyPeekConsent = {
+        CONSENT_RESULT_VERSION,
+        DARK_PATTERNS,
+        analyzeConsentBanner,
+        readConsentGlobals,
+        scanTabConsent
+    };
+
+    // Export analyzer (self works in the page, the popup window and the service worker)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PolicyPeekConsent;
+    } else {
+        self.PolicyPeekConsent = PolicyPeekConsent;
+    }
+})();
@@ -0,0 +1,662 @@
+// Policy Peek - Policy Detector
+// Single detection module shared by the background worker and the popup.
+// Both inject this file into the page and call scanPage(), so they always
+// get the same versioned result. detectPolicyContent() only needs a DOM
+// document, which makes it usable in Node against saved HTML fixtures
+// (e.g. a jsdom document).
+//
+// Keywords are compiled once into an Aho-Corasick automaton, so the page is
+// read in a single pass over its text nodes instead of once per keyword. In
+// the page the pass runs in idle-time slices, and a MutationObserver picks up
+// links and footers that load later. Every result carries timing metrics.
+//
+// Wrapped in a function because the file is injected into the same page
+// more than once, and top-level declarations cannot be repeated. The first
+// instance is kept so its compiled keywords and late-content watcher survive
+// later injections.
+
+(function () {
+    if (typeof module === 'undefined' && self.PolicyPeekDetector) {
+        return;
+    }
+
+    // Bump when the result shape changes so stored results from older versions are re-scanned
+    const DETECTION_RESULT_VERSION = 2;
+
+    const MAX_POLICY_LINKS = 5;
+    const MAX_RISKY_TERMS = 5;
+
+    const POLICY_KEYWORDS = [
+        'privacy policy', 'terms of service', 'terms and conditions', 
+        'cookie policy', 'cookies policy', 'data protection', 'user agreement',
+        'privacy notice', 'terms of use', 'legal notice', 'gdpr', 'ccpa',
+        'cookie notice', 'cookie consent', 'privacy statement', 'legal terms',
+        'acceptable use', 'end user license', 'eula', 'terms & conditions', 'terms', 
+        'data policy', 'cookie user', 'cookie settings', 'privacy settings',
+        'manage cookies', 'cookie preferences', 'privacy center', 'legal',
+        'privacy rights', 'data use policy', 'cookie information', 'cookie details',
+        'privacy information', 'cookie banner', 'terms of use policy'
+    ];
+    
+    const RISKY_KEYWORDS = [
+        'sell your data', 'third parties', 'advertising partners',
+        'indefinitely', 'without notice', 'at our discretion',
+        'no liability', 'as is', 'no warranty'
+    ];
+
+    // English keywords plus the native-language sets (called from extension pages, not the web page)
+    function getDetectionKeywords() {
+        const languageSupport = typeof module !== 'undefined' && module.exports
+            ? require('./language.js')
+            : self.PolicyPeekLanguage;
+
+        if (!languageSupport) {
+            return { policyKeywords: POLICY_KEYWORDS, riskyKeywords: RISKY_KEYWORDS };
+        }
+        return languageSupport.getPageKeywordSets(POLICY_KEYWORDS, RISKY_KEYWORDS);
+    }
+
+    // Text fields of a link are joined with a character no keyword contains, so a
+    // keyword never matches across two fields
+    const FIELD_SEPARATOR = '\u0000';
+    const FIELD_TEXT = 1;
+    const FIELD_HREF = 2;
+
+    // Subtrees that never hold visible page text
+    const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME'];
+
+    // Idle-time scanning: each slice handles at least this many nodes, even when the
+    // browser reports no idle time left, so a busy page still finishes
+    const MIN_NODES_PER_SLICE = 200;
+    const IDLE_TIMEOUT_MS = 500;
+    // How long after a scan newly added links and footers are still picked up
+    const LATE_CONTENT_WATCH_MS = 60000;
+
+    // Aho-Corasick automaton: one pass over a text finds every pattern in it.
+    // patterns: [{ text, id }] with lower-case text; output[state] lists the ids ending there.
+    function compileMatcher(patterns) {
+        const transitions = [new Map()];
+        const failure = [0];
+        const output = [[]];
+
+        patterns.forEach(pattern => {
+            let state = 0;
+            for (let index = 0; index < pattern.text.length; index++) {
+                const char = pattern.text[index];
+                let next = transitions[state].get(char);
+                if (next === undefined) {
+                    next = transitions.length;
+                    transitions.push(new Map());
+                    failure.push(0);
+                    output.push([]);
+                    transitions[state].set(char, next);
+                }
+                state = next;
+            }
+            output[state].push(pattern.id);
+        });
+
+        // Breadth-first, so every failure link points at an already finished state
+        const queue = Array.from(transitions[0].values());
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+            transitions[state].forEach((next, char) => {
+                queue.push(next);
+                let fallback = failure[state];
+                while (fallback && !transitions[fallback].has(char)) {
+                    fallback = failure[fallback];
+                }
+                const target = transitions[fallback].get(char);
+                failure[next] = target !== undefined && target !== next ? target : 0;
+                if (output[failure[next]].length > 0) {
+                    output[next] = output[next].concat(output[failure[next]]);
+                }
+            });
+        }
+
+        return { transitions, failure, output };
+    }
+
+    function stepMatcher(matcher, state, char) {
+        while (state && !matcher.transitions[state].has(char)) {
+            state = matcher.failure[state];
+        }
+        const next = matcher.transitions[state].get(char);
+        return next === undefined ? 0 : next;
+    }
+
+    function isWhitespace(code) {
+        return code === 32 || (code >= 9 && code <= 13) || code === 160;
+    }
+
+    // Feed text through the matcher with whitespace collapsed; the state carries over
+    // between calls, so a keyword split across text nodes is still found
+    function createTextStream(matcher, onMatch) {
+        let state = 0;
+        let lastWasSpace = true;
+        return {
+            feed(text) {
+                const lower = text.toLowerCase();
+                for (let index = 0; index < lower.length; index++) {
+                    let char = lower[index];
+                    if (isWhitespace(lower.charCodeAt(index))) {
+                        if (lastWasSpace) continue;
+                        char = ' ';
+                        lastWasSpace = true;
+                    } else {
+                        lastWasSpace = false;
+                    }
+                    state = stepMatcher(matcher, state, char);
+                    const matches = matcher.output[state];
+                    for (let match = 0; match < matches.length; match++) {
+                        onMatch(matches[match]);
+                    }
+                }
+            },
+            reset() {
+                state = 0;
+                lastWasSpace = true;
+            }
+        };
+    }
+
+    // Page keywords are matched in the page text; policy keywords also in link text,
+    // and (with spaces removed, or replaced by - or _) in link URLs
+    function compileKeywordSets(keywordSets) {
+        const started = now();
+        const { policyKeywords, riskyKeywords, riskyPatterns = [] } = keywordSets;
+        const patterns = [];
+        const info = [];
+        const byText = new Map();
+
+        const addPattern = (text, set, keywordIndex, field) => {
+            const key = `${set}:${text}`;
+            if (byText.has(key)) {
+                const existing = info[byText.get(key)];
+                existing.fields |= field;
+                existing.keywordIndex = Math.min(existing.keywordIndex, keywordIndex);
+                return;
+            }
+            byText.set(key, info.length);
+            patterns.push({ text, id: info.length });
+            info.push({ set, keywordIndex, fields: field });
+        };
+
+        policyKeywords.forEach((keyword, keywordIndex) => {
+            const lower = keyword.toLowerCase().replace(/\s+/g, ' ').trim();
+            addPattern(lower, 'policy', keywordIndex, FIELD_TEXT);
+            ['', '-', '_'].forEach(joiner => addPattern(lower.replace(/ /g, joiner), 'policy', keywordIndex, FIELD_HREF));
+        });
+        riskyKeywords.forEach((keyword, keywordIndex) => {
+            addPattern(keyword.toLowerCase().replace(/\s+/g, ' ').trim(), 'risky', keywordIndex, FIELD_TEXT);
+        });
+
+        return {
+            policyKeywords,
+            riskyKeywords,
+            riskyPatterns,
+            matcher: compileMatcher(patterns),
+            info,
+            compileMs: now() - started
+        };
+    }
+
+    // Compiled sets are reused while the keywords stay the same
+    const compiledKeywordSets = new Map();
+
+    function getCompiledKeywordSets(keywordSets) {
+        const sets = keywordSets || getDetectionKeywords();
+        const cacheKey = JSON.stringify([sets.policyKeywords, sets.riskyKeywords]);
+        const cached = compiledKeywordSets.get(cacheKey);
+        const compiled = cached || compileKeywordSets(sets);
+        if (!cached) {
+            compiledKeywordSets.set(cacheKey, compiled);
+        }
+        // Rule-pack patterns are regexes and are not part of the automaton
+        return { ...compiled, riskyPatterns: sets.riskyPatterns || [], compileMs: cached ? 0 : compiled.compileMs };
+    }
+
+    function now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    // Whether a link points at a policy, checked against text, href, aria-label and title.
+    // Returns the earliest matching keyword in list order, like the keyword list reads.
+    function matchPolicyLink(link, compiled) {
+        const linkText = link.textContent || '';
+        const fields = [
+            linkText,
+            // Also check for partial matches without punctuation
+            linkText.replace(/[^\w\s]/g, ''),
+            link.getAttribute('aria-label') || '',
+            link.getAttribute('title') || ''
+        ].join(FIELD_SEPARATOR);
+        const href = link.href || link.getAttribute('href') || '';
+
+        let best = -1;
+        const consider = field => id => {
+            const pattern = compiled.info[id];
+            if (pattern.set === 'policy' && (pattern.fields & field) && (best === -1 || pattern.keywordIndex < best)) {
+                best = pattern.keywordIndex;
+            }
+        };
+        createTextStream(compiled.matcher, consider(FIELD_TEXT)).feed(fields);
+        createTextStream(compiled.matcher, consider(FIELD_HREF)).feed(href);
+
+        return best === -1 ? null : compiled.policyKeywords[best];
+    }
+
+    // Accumulated detection over any number of nodes; several scans may feed one state
+    function createDetectionState(compiled, location) {
+        const state = {
+            compiled,
+            location,
+            policyKeywordFound: false,
+            riskyKeywordIndexes: new Set(),
+            textChunks: [],
+            links: [],
+            linkKeys: new Set(),
+            metrics: { compileMs: compiled.compileMs, scanMs: 0, textNodes: 0, links: 0, idleSlices: 0, lateScans: 0, lateScanMs: 0 }
+        };
+        state.stream = createTextStream(compiled.matcher, id => {
+            const pattern = compiled.info[id];
+            if (!(pattern.fields & FIELD_TEXT)) {
+                return;
+            }
+            if (pattern.set === 'policy') {
+                state.policyKeywordFound = true;
+            } else {
+                state.riskyKeywordIndexes.add(pattern.keywordIndex);
+            }
+        });
+        return state;
+    }
+
+    function isSkippedElement(element) {
+        return SKIPPED_TAGS.includes(element.tagName.toUpperCase()) ||
+            (element.classList && element.classList.contains('policy-peek-indicator'));
+    }
+
+    // Text nodes and links under root, in document order, skipping script-like subtrees
+    function createNodeWalker(root) {
+        const doc = root.ownerDocument || root;
+        return doc.createTreeWalker(root, 1 | 4 /* NodeFilter.SHOW_ELEMENT | SHOW_TEXT */, {
+            acceptNode(node) {
+                if (node.nodeType === 3) {
+                    return 1 /* FILTER_ACCEPT */;
+                }
+                if (isSkippedElement(node)) {
+                    return 2 /* FILTER_REJECT */;
+                }
+                return node.tagName.toUpperCase() === 'A' && node.hasAttribute('href') ? 1 : 3 /* FILTER_SKIP */;
+            }
+        });
+    }
+
+    function visitNode(state, node) {
+        if (node.nodeType === 3) {
+            state.metrics.textNodes += 1;
+            state.stream.feed(node.nodeValue);
+            if (state.compiled.riskyPatterns.length > 0) {
+                state.textChunks.push(node.nodeValue.toLowerCase());
+            }
+            return;
+        }
+
+        state.metrics.links += 1;
+        const keyword = matchPolicyLink(node, state.compiled);
+        if (!keyword) {
+            return;
+        }
+        // Skip duplicates (same href and text)
+        const text = node.textContent.trim();
+        const href = node.href || new URL(node.getAttribute('href'), state.location.href).href;
+        const key = `${href}\n${text}`;
+        if (!state.linkKeys.has(key)) {
+            state.linkKeys.add(key);
+            state.links.push({ text, href, keyword, element: node });
+        }
+    }
+
+    function scanRootSync(state, root) {
+        const started = now();
+        const walker = createNodeWalker(root);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            visitNode(state, node);
+        }
+        state.metrics.scanMs += now() - started;
+    }
+
+    function whenIdle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(resolve, { timeout: IDLE_TIMEOUT_MS });
+            } else {
+                setTimeout(() => resolve(null), 0);
+            }
+        });
+    }
+
+    // The same walk, split into idle-time slices so a large page never blocks its own rendering
+    async function scanRootInIdleTime(state, root) {
+        const walker = createNodeWalker(root);
+        let node = walker.nextNode();
+        while (node) {
+            const deadline = await whenIdle();
+            const started = now();
+            state.metrics.idleSlices += 1;
+            let visited = 0;
+            while (node && (visited < MIN_NODES_PER_SLICE || (deadline && deadline.timeRemaining() > 1))) {
+                visitNode(state, node);
+                visited += 1;
+                node = walker.nextNode();
+            }
+            state.metrics.scanMs += now() - started;
+        }
+    }
+
+    function getRiskyTerms(state) {
+        const { riskyKeywords, riskyPatterns } = state.compiled;
+        const foundRiskyTerms = riskyKeywords.filter((keyword, index) => state.riskyKeywordIndexes.has(index));
+
+        // Patterns from custom rule packs arrive as strings (regexes do not survive injection args)
+        if (riskyPatterns.length > 0) {
+            const pageText = state.textChunks.join(' ');
+            riskyPatterns.forEach(({ source, flags, label }) => {
+                try {
+                    if (new RegExp(source, flags).test(pageText) && !foundRiskyTerms.includes(label)) {
+                        foundRiskyTerms.push(label);
+                    }
+                } catch (error) {
+                    console.warn('Policy Peek: Skipping invalid rule pack pattern:', source);
+                }
+            });
+        }
+        return foundRiskyTerms;
+    }
+
+    function buildResult(state, doc) {
+        const foundRiskyTerms = getRiskyTerms(state);
+        return {
+            version: DETECTION_RESULT_VERSION,
+            hasPolicyContent: state.policyKeywordFound || state.links.length > 0,
+            hasRiskyKeywords: foundRiskyTerms.length > 0,
+            foundPolicyLinks: state.links.slice(0, MAX_POLICY_LINKS).map(({ text, href }) => ({ text, href })),
+            foundRiskyTerms: foundRiskyTerms.slice(0, MAX_RISKY_TERMS),
+            hostname: state.location.hostname,
+            url: state.location.href,
+            language: ((doc.documentElement && doc.documentElement.lang) || '').split('-')[0].toLowerCase(),
+            metrics: { ...state.metrics }
+        };
+    }
+
+    function getDocumentLocation(doc, options) {
+        return doc.location && doc.location.href && doc.location.href !== 'about:blank'
+            ? doc.location
+            : new URL(options.url || 'about:blank');
+    }
+
+    // Detect policy content in a document in one synchronous pass. Pure: reads the DOM,
+    // never modifies it.
+    //   keywordSets   { policyKeywords, riskyKeywords }, defaults to getDetectionKeywords()
+    //   options.url   page URL when the document has no location (e.g. parsed fixtures)
+    function detectPolicyContent(doc, keywordSets, options = {}) {
+        const state = createDetectionState(getCompiledKeywordSets(keywordSets), getDocumentLocation(doc, options));
+        if (doc.body) {
+            scanRootSync(state, doc.body);
+        }
+        return buildResult(state, doc);
+    }
+
+    // Add a caution emoji next to a policy link on the webpage
+    function addPolicyLinkIndicator(linkElement, detectedKeyword) {
+        // Check if we already added an indicator to avoid duplicates
+        if (linkElement.querySelector('.policy-peek-indicator') || 
+            linkElement.parentElement.querySelector('.policy-peek-indicator')) {
+            return;
+        }
+        
+        // Create the caution emoji indicator
+        const indicator = document.createElement('span');
+        indicator.className = 'policy-peek-indicator';
+        indicator.textContent = '⚠️';
+        
+        indicator.style.cssText = `
+            margin-left: 4px;
+            font-size: 14px;
+            opacity: 1;
+            transition: all 0.3s ease;
+            cursor: pointer;
+            display: inline;
+            text-decoration: none;
+        `;
+        
+        // Add hover effect
+        indicator.addEventListener('mouseenter', () => {
+            indicator.style.transform = 'scale(1.2)';
+            indicator.style.filter = 'brightness(1.2)';
+        });
+        
+        indicator.addEventListener('mouseleave', () => {
+            indicator.style.transform = 'scale(1)';
+            indicator.style.filter = 'brightness(1)';
+        });
+        
+        // Add click handler to show a tooltip
+        indicator.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Create a tooltip
+            const tooltip = document.createElement('div');
+            tooltip.style.cssText = `
+                position: fixed;
+                background: #FF9800;
+                color: white;
+                padding: 8px 12px;
+                border-radius: 6px;
+                font-size: 12px;
+                z-index: 10000;
+                pointer-events: none;
+                white-space: nowrap;
+                box-shadow: 0 4px 12px rgba(255, 152, 0, 0.3);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-weight: 500;
+            `;
+            // Capitalize the first letter of each word in the detected keyword for display
+            const capitalizedKeyword = detectedKeyword.replace(/\b\w/g, l => l.toUpperCase());
+            tooltip.textContent = `⚠️ ${capitalizedKeyword} - Review with Policy Peek`;
+            
+            // Position tooltip near the icon
+            const rect = indicator.getBoundingClientRect();
+            tooltip.style.left = (rect.right + 8) + 'px';
+            tooltip.style.top = (rect.top - 35) + 'px';
+            
+            // Adjust if tooltip would go off-screen
+            if (rect.right + 200 > window.innerWidth) {
+                tooltip.style.left = (rect.left - 180) + 'px';
+            }
+            
+            document.body.appendChild(tooltip);
+            
+            // Remove tooltip after 3 seconds
+            setTimeout(() => {
+                if (tooltip.parentNode) {
+                    tooltip.parentNode.removeChild(tooltip);
+                }
+            }, 3000);
+        });
+        
+        // Append the indicator directly to the link
+        linkElement.appendChild(indicator);
+    }
+
+    // The page's active watcher for late content; a newer scan replaces it
+    let lateContentWatcher = null;
+    let lastScanMetrics = null;
+
+    function stopWatchingLateContent() {
+        if (!lateContentWatcher) {
+            return;
+        }
+        lateContentWatcher.observer.disconnect();
+        clearTimeout(lateContentWatcher.timer);
+        lateContentWatcher = null;
+    }
+
+    // Links and footers added after the scan (lazy loading, client rendering) are scanned
+    // in idle time; when they add policy links or terms, the extension is told to rescan.
+    function watchLateContent(state, options) {
+        stopWatchingLateContent();
+        const pending = [];
+        let scheduled = false;
+
+        const scanPending = async () => {
+            await whenIdle();
+            scheduled = false;
+            const started = now();
+            const before = {
+                links: state.links.length,
+                policyKeywordFound: state.policyKeywordFound,
+                riskyTerms: state.riskyKeywordIndexes.size
+            };
+
+            pending.splice(0).filter(node => node.isConnected).forEach(node => {
+                // Added subtrees are separate text; do not continue a match from elsewhere
+                state.stream.reset();
+                // The walker never returns its own root, so an added text node or link is visited directly
+                if (node.nodeType === 3 || (node.tagName.toUpperCase() === 'A' && node.hasAttribute('href'))) {
+                    visitNode(state, node);
+                }
+                if (node.nodeType === 1) {
+                    const walker = createNodeWalker(node);
+                    for (let child = walker.nextNode(); child; child = walker.nextNode()) {
+                        visitNode(state, child);
+                    }
+                }
+            });
+            state.metrics.lateScans += 1;
+            state.metrics.lateScanMs += now() - started;
+            lastScanMetrics = { ...state.metrics };
+
+            const newLinks = state.links.slice(before.links);
+            if (options.showIndicators !== false) {
+                newLinks.forEach(match => addPolicyLinkIndicator(match.element, match.keyword));
+            }
+            const changed = newLinks.length > 0 ||
+                state.policyKeywordFound !== before.policyKeywordFound ||
+                state.riskyKeywordIndexes.size !== before.riskyTerms;
+            if (changed && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+                chrome.runtime.sendMessage({ action: 'policyContentChanged' }).catch(() => {});
+            }
+        };
+
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === 3 || (node.nodeType === 1 && !isSkippedElement(node))) {
+                        pending.push(node);
+                    }
+                });
+            });
+            if (pending.length > 0 && !scheduled) {
+                scheduled = true;
+                scanPending();
+            }
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        lateContentWatcher = { observer, timer: setTimeout(stopWatchingLateContent, LATE_CONTENT_WATCH_MS) };
+    }
+
+    // Entry point inside the web page: detect in idle time, optionally mark links, keep
+    // watching for late content, and resolve with a serializable result
+    //   options.showIndicators  add ⚠️ markers next to policy links (default true)
+    //   options.watch           pick up links and footers added later (default true)
+    async function scanPage(keywordSets, options = {}) {
+        const state = createDetectionState(getCompiledKeywordSets(keywordSets), document.location);
+        if (document.body) {
+            await scanRootInIdleTime(state, document.body);
+        }
+        const result = buildResult(state, document);
+        lastScanMetrics = result.metrics;
+        
+        if (options.showIndicators !== false) {
+            // The matched elements stay in the page; the result only carries their text and href
+            state.links.forEach(match => addPolicyLinkIndicator(match.element, match.keyword));
+        }
+        if (options.watch !== false && document.body) {
+            watchLateContent(state, options);
+        }
+        
+        return result;
+    }
+
+    // Timings of the last scan in this page (compile, scan, idle slices, late scans)
+    function getScanMetrics() {
+        return lastScanMetrics;
+    }
+
+    // Policy links inside one element (a form, a consent label, a dialog), without indicators
+    function findPolicyLinks(root, keywordSets) {
+        const doc = root.ownerDocument || root;
+        const state = createDetectionState(getCompiledKeywordSets(keywordSets), doc.location);
+        scanRootSync(state, root);
+        return state.links;
+    }
+
+    // Merge extra keyword sets (e.g. from rule packs) into the built-in ones
+    function mergeKeywordSets(base, extra) {
+        if (!extra) {
+            return base;
+        }
+        return {
+            policyKeywords: [...new Set([...base.policyKeywords, ...(extra.policyKeywords || [])])],
+            riskyKeywords: [...new Set([...base.riskyKeywords, ...(extra.riskyKeywords || [])])],
+            riskyPatterns: [...(base.riskyPatterns || []), ...(extra.riskyPatterns || [])]
+        };
+    }
+
+    // Built-in keywords plus extras, as sent into a page (called from extension pages)
+    function getScanKeywordSets(extraKeywords) {
+        return mergeKeywordSets(getDetectionKeywords(), extraKeywords);
+    }
+
+    // Extension-side helper: inject this file into a tab and run scanPage there
+    //   options.showIndicators  add ⚠️ markers next to policy links (default true)
+    //   options.watch           keep picking up late links and footers (default true)
+    //   options.extraKeywords   additional { policyKeywords, riskyKeywords, riskyPatterns }
+    async function scanTab(tabId, options = {}) {
+        const { extraKeywords, ...scanOptions } = options;
+        
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['detector.js']
+        });
+        
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: (keywordSets, scanOptions) => self.PolicyPeekDetector.scanPage(keywordSets, scanOptions),
+            args: [getScanKeywordSets(extraKeywords), scanOptions]
+        });
+        
+        return results && results[0] ? results[0].result : null;
+    }
+
+    const PolicyPeekDetector = {
+        DETECTION_RESULT_VERSION,
+        getDetectionKeywords,
+        getScanKeywordSets,
+        detectPolicyContent,
+        findPolicyLinks,
+        scanPage,
+        getScanMetrics,
+        scanTab
+    };
+
+    // Export detector (self works in the page, the popup window and the service worker)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PolicyPeekDetector;
+    } else {
+        self.PolicyPeekDetector = PolicyPeekDetector;
+    }
+})();
@@ -0,0 +1,185 @@
+// Policy Peek - File Import
+// Extracts the text of a policy file dropped on or picked in the popup, entirely
+// on the device: PDF through pdf-text.js, DOCX by unzipping word/document.xml,
+// HTML through the policy fetcher's boilerplate stripping, and plain text as is.
+
+const MAX_IMPORT_FILE_BYTES = 20 * 1024 * 1024;
+
+// Supported file types, recognized by content first and then by extension or MIME type
+const IMPORT_FILE_TYPES = {
+    pdf: { label: 'PDF', extensions: ['pdf'], mimeTypes: ['application/pdf'] },
+    docx: { label: 'Word document', extensions: ['docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    html: { label: 'Web page', extensions: ['html', 'htm', 'xhtml'], mimeTypes: ['text/html', 'application/xhtml+xml'] },
+    txt: { label: 'Text file', extensions: ['txt', 'text', 'md'], mimeTypes: ['text/plain', 'text/markdown'] }
+};
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getImportPdfReader() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./pdf-text.js');
+    }
+    return self.PolicyPeekPdf;
+}
+
+function getImportFetcher() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./policy-fetcher.js');
+    }
+    return self.PolicyPeekFetcher;
+}
+
+// 'pdf' | 'docx' | 'html' | 'txt' | null
+function detectFileType(name, mimeType, bytes) {
+    const head = String.fromCharCode.apply(null, bytes.subarray(0, 5));
+    const extension = (String(name || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+    const byExtension = Object.keys(IMPORT_FILE_TYPES).find(type => extension && IMPORT_FILE_TYPES[type].extensions.includes(extension.toLowerCase()));
+    const byMimeType = Object.keys(IMPORT_FILE_TYPES).find(type => IMPORT_FILE_TYPES[type].mimeTypes.includes(String(mimeType || '').toLowerCase()));
+
+    if (head === '%PDF-') return 'pdf';
+    // A ZIP file is only a Word document if it says so; .xlsx or .zip files are not supported
+    if (head.startsWith('PK\x03\x04')) return byExtension === 'docx' || byMimeType === 'docx' ? 'docx' : null;
+    return byExtension || byMimeType || null;
+}
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+}
+
+// name -> { method, compressedSize, offset } from the ZIP central directory
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xFFFF); offset--) {
+        if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('This file is damaged: its ZIP directory is missing');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let index = 0; index < count && offset + 46 <= bytes.length; index++) {
+        if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) break;
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            offset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Uncompressed contents of one ZIP entry as text (stored or deflated, the only methods Office uses)
+async function readZipText(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_HEADER) {
+        throw new Error('This file is damaged: a ZIP entry is missing');
+    }
+    const dataStart = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+// { title, text } of a DOCX file: one line per paragraph, tabs and line breaks kept, deleted revisions left out
+async function extractDocxText(bytes) {
+    const entries = readZipDirectory(bytes);
+    const documentEntry = entries.get('word/document.xml');
+    if (!documentEntry) {
+        throw new Error('This file is not a Word document');
+    }
+
+    const xml = await readZipText(bytes, documentEntry);
+    let text = '';
+    for (const [token, content] of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g)) {
+        if (content !== undefined) {
+            text += decodeXmlEntities(content);
+        } else if (token === '<w:tab/>') {
+            text += '\t';
+        } else {
+            text += '\n';
+        }
+    }
+
+    let title = '';
+    const propertiesEntry = entries.get('docProps/core.xml');
+    if (propertiesEntry) {
+        const properties = await readZipText(bytes, propertiesEntry);
+        title = decodeXmlEntities((properties.match(/<dc:title>([^<]*)<\/dc:title>/) || [])[1] || '').trim();
+    }
+
+    return { title, text: text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim() };
+}
+
+// { name, type, label, title, pages, text } for a File or Blob with a name; throws with a user-facing message
+async function extractFileText(file) {
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+        throw new Error(`${file.name} is larger than ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB`);
+    }
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const type = detectFileType(file.name, file.type, bytes);
+    if (!type) {
+        throw new Error(`${file.name} is not a PDF, DOCX, HTML or TXT file`);
+    }
+
+    let extracted;
+    if (type === 'pdf') {
+        extracted = { title: '', ...await getImportPdfReader().extractPdfText(bytes) };
+    } else if (type === 'docx') {
+        extracted = await extractDocxText(bytes);
+    } else if (type === 'html') {
+        extracted = getImportFetcher().extractMainText(new TextDecoder().decode(bytes));
+    } else {
+        extracted = { title: '', text: new TextDecoder().decode(bytes).trim() };
+    }
+
+    if (!extracted.text) {
+        throw new Error(type === 'pdf'
+            ? `${file.name} has no text layer; scanned documents need text recognition (OCR) first`
+            : `${file.name} contains no text`);
+    }
+    return {
+        name: file.name,
+        type,
+        label: IMPORT_FILE_TYPES[type].label,
+        title: extracted.title || '',
+        pages: extracted.pages || null,
+        text: extracted.text
+    };
+}
+
+// Export import helpers (self is the popup window, the only page that loads them)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MAX_IMPORT_FILE_BYTES, IMPORT_FILE_TYPES, detectFileType, extractDocxText, extractFileText };
+} else {
+    self.PolicyPeekFileImport = { MAX_IMPORT_FILE_BYTES, IMPORT_FILE_TYPES, detectFileType, extractDocxText, extractFileText };
+}
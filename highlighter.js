@@ -0,0 +1,640 @@
+// Policy Peek - In-Page Clause Highlighter
+// Marks the sentences the rule engine matched directly on a policy page,
+// colored by category, with a hover explanation and a floating navigator
+// that steps through the findings. A MutationObserver puts highlights back
+// when the page re-renders them away, and clearHighlights() removes every
+// trace (marks, styles, navigator, listeners).
+//
+// Analysis runs on the extension side: readPageText() returns the page text
+// in the same form the highlights are located in, and highlightFindings()
+// receives the findings to mark.
+//
+// Wrapped in a function because the file is injected into the same page
+// more than once. Unlike the detector it keeps state between injections, so
+// a second injection keeps the first instance instead of replacing it.
+
+(function () {
+    if (typeof module === 'undefined' && self.PolicyPeekHighlighter) {
+        return;
+    }
+
+    const HIGHLIGHT_ATTRIBUTE = 'data-policy-peek-highlight';
+    const STYLE_ID = 'policy-peek-highlight-style';
+    const UI_HOST_ID = 'policy-peek-highlighter';
+    const MAX_HIGHLIGHTS = 200;
+    // Findings quote at most this much of a sentence (MAX_EVIDENCE_LENGTH in rules.js)
+    const MAX_QUOTED_SENTENCE = 300;
+    const MAX_SENTENCE_EXTENSION = 2000;
+    const REAPPLY_DELAY_MS = 400;
+    // A page that keeps removing the marks wins eventually
+    const MAX_REAPPLIES = 30;
+
+    const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'SVG', 'CANVAS', 'IFRAME', 'TEMPLATE'];
+    const BLOCK_SELECTOR = 'p, div, li, dd, dt, td, th, h1, h2, h3, h4, h5, h6, section, article, aside, header, footer, main, nav, blockquote, pre, table, tr, ul, ol, dl, form, fieldset, figure, figcaption, details, summary';
+
+    const POLICY_PAGE_PATTERN = /privacy|terms|conditions|cookie[s]?[-_ ]policy|legal|data[-_ ]protection|gdpr|ccpa|datenschutz|confidentialit|privacidad|nutzungsbedingungen|conditions[-_ ]g[ée]n[ée]rales|condiciones/i;
+
+    // Risk colors by rule category (rule-pack categories fall back to TYPE_COLORS);
+    // protections are always green so they never read as a warning
+    const CATEGORY_COLORS = {
+        'data-sale': '#e53935',
+        'third-party-sharing': '#fb8c00',
+        'advertising': '#fdd835',
+        'retention': '#8e24aa',
+        'content-rights': '#d81b60',
+        'arbitration': '#6d4c41',
+        'unilateral-changes': '#f4511e',
+        'liability': '#546e7a',
+        'user-rights': '#43a047',
+        'security': '#00897b',
+        'transparency': '#1e88e5'
+    };
+    const TYPE_COLORS = { risk: '#e53935', positive: '#43a047' };
+
+    const PAGE_STYLES = `
+        mark[${HIGHLIGHT_ATTRIBUTE}] {
+            background: color-mix(in srgb, var(--policy-peek-color) 28%, transparent) !important;
+            color: inherit !important;
+            border-bottom: 2px solid var(--policy-peek-color) !important;
+            border-radius: 2px !important;
+            padding: 0 !important;
+            cursor: help !important;
+        }
+        mark[${HIGHLIGHT_ATTRIBUTE}][data-policy-peek-type="positive"] {
+            border-bottom-style: dashed !important;
+        }
+        mark[${HIGHLIGHT_ATTRIBUTE}][data-policy-peek-active] {
+            background: color-mix(in srgb, var(--policy-peek-color) 55%, transparent) !important;
+            outline: 2px solid var(--policy-peek-color) !important;
+        }
+    `;
+
+    // The navigator and tooltip live in a shadow root, out of reach of the page's CSS
+    const UI_STYLES = `
+        :host { all: initial; }
+        .tooltip, .navigator {
+            position: fixed;
+            z-index: 2147483647;
+            font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            color: #fff;
+            background: #37306b;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+        }
+        .tooltip {
+            max-width: 320px;
+            padding: 8px 10px;
+            pointer-events: none;
+        }
+        .tooltip[hidden] { display: none; }
+        .tooltip-finding + .tooltip-finding { margin-top: 6px; }
+        .tooltip-category { opacity: 0.75; font-size: 11px; }
+        .navigator {
+            right: 16px;
+            bottom: 16px;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 8px;
+        }
+        .navigator button {
+            border: none;
+            border-radius: 4px;
+            padding: 2px 8px;
+            background: rgba(255, 255, 255, 0.2);
+            color: #fff;
+            font: inherit;
+            cursor: pointer;
+        }
+        .navigator button:hover { background: rgba(255, 255, 255, 0.35); }
+        .navigator-position { min-width: 150px; }
+        .swatch {
+            display: inline-block;
+            width: 8px;
+            height: 8px;
+            margin-right: 4px;
+            border-radius: 50%;
+        }
+    `;
+
+    // One instance per page: the findings, the groups they were placed in, and the UI
+    const state = {
+        active: false,
+        findings: [],
+        groups: [],
+        pieces: [],
+        current: -1,
+        observer: null,
+        reapplyTimer: null,
+        reapplies: 0,
+        host: null,
+        tooltip: null,
+        position: null
+    };
+
+    function shouldSkipNode(node) {
+        const parent = node.parentElement;
+        if (!parent || SKIPPED_TAGS.includes(parent.tagName.toUpperCase())) {
+            return true;
+        }
+        return Boolean(parent.closest(`#${UI_HOST_ID}, [contenteditable=""], [contenteditable="true"]`));
+    }
+
+    // Page text with whitespace collapsed and a line break between blocks, plus where each character came from
+    function buildTextIndex(root) {
+        const chars = [];
+        const nodes = [];
+        const offsets = [];
+        let lastBlock = null;
+        const walker = root.ownerDocument.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (shouldSkipNode(node)) {
+                continue;
+            }
+            const block = node.parentElement.closest(BLOCK_SELECTOR);
+            if (block !== lastBlock && chars.length > 0 && chars[chars.length - 1] !== '\n') {
+                if (chars[chars.length - 1] === ' ') {
+                    chars[chars.length - 1] = '\n';
+                } else {
+                    chars.push('\n');
+                    nodes.push(null);
+                    offsets.push(-1);
+                }
+            }
+            lastBlock = block;
+
+            const value = node.nodeValue;
+            for (let offset = 0; offset < value.length; offset++) {
+                let char = value[offset];
+                if (/\s/.test(char)) {
+                    const previous = chars[chars.length - 1];
+                    if (chars.length === 0 || previous === ' ' || previous === '\n') {
+                        continue;
+                    }
+                    char = ' ';
+                }
+                chars.push(char);
+                nodes.push(node);
+                offsets.push(offset);
+            }
+        }
+
+        return { text: chars.join(''), nodes, offsets };
+    }
+
+    function readPageText() {
+        return document.body ? buildTextIndex(document.body).text : '';
+    }
+
+    function looksLikePolicyPage() {
+        return POLICY_PAGE_PATTERN.test(`${location.pathname} ${document.title}`);
+    }
+
+    function normalizeSentence(sentence) {
+        let text = String(sentence || '').replace(/\s+/g, ' ').trim();
+        // Long sentences arrive cut at MAX_QUOTED_SENTENCE with "..." appended
+        if (text.length > MAX_QUOTED_SENTENCE && text.endsWith('...')) {
+            text = text.slice(0, -3);
+        }
+        return text;
+    }
+
+    // Character range of a quoted sentence in the index text; a cut quote is extended to its sentence end
+    function locateSentence(indexText, lowerText, sentence, fromIndex) {
+        const needle = normalizeSentence(sentence);
+        if (!needle) {
+            return null;
+        }
+        const start = lowerText.indexOf(needle.toLowerCase(), fromIndex);
+        if (start === -1) {
+            return null;
+        }
+
+        let end = start + needle.length;
+        if (needle.length >= MAX_QUOTED_SENTENCE) {
+            const rest = indexText.slice(end, end + MAX_SENTENCE_EXTENSION);
+            const stop = rest.search(/[.!?;](\s|$)|\n/);
+            end += stop === -1 ? rest.length : stop + (rest[stop] === '\n' ? 0 : 1);
+        }
+        return { start, end };
+    }
+
+    // Group findings by the sentence they quote; every occurrence of that sentence is highlighted
+    function placeFindings(index, findings) {
+        const lowerText = index.text.toLowerCase();
+        const bySentence = new Map();
+        findings.forEach(finding => {
+            const key = normalizeSentence(finding.sentence).toLowerCase();
+            if (!key) return;
+            if (!bySentence.has(key)) bySentence.set(key, []);
+            bySentence.get(key).push(finding);
+        });
+
+        const ranges = [];
+        bySentence.forEach((sentenceFindings, key) => {
+            let fromIndex = 0;
+            for (let range = locateSentence(index.text, lowerText, key, fromIndex); range; range = locateSentence(index.text, lowerText, key, fromIndex)) {
+                ranges.push({ ...range, findings: sentenceFindings });
+                fromIndex = range.end;
+            }
+        });
+
+        // Earlier ranges win when two quotes overlap
+        ranges.sort((a, b) => a.start - b.start);
+        const placed = [];
+        ranges.forEach(range => {
+            const previous = placed[placed.length - 1];
+            if ((!previous || range.start >= previous.end) && placed.length < MAX_HIGHLIGHTS) {
+                placed.push(range);
+            }
+        });
+        return placed;
+    }
+
+    // Risks color the highlight before protections; a rule matching twice is explained once
+    function describeGroup(findings) {
+        const unique = findings.filter((finding, index) =>
+            findings.findIndex(other => other.type === finding.type && other.label === finding.label) === index);
+        const ordered = unique.sort((a, b) => (a.type === 'risk' ? 0 : 1) - (b.type === 'risk' ? 0 : 1));
+        const lead = ordered[0];
+        return {
+            findings: ordered,
+            type: lead.type,
+            color: lead.type === 'risk' ? CATEGORY_COLORS[lead.category] || TYPE_COLORS.risk : TYPE_COLORS.positive,
+            categoryLabel: lead.categoryLabel || lead.category
+        };
+    }
+
+    // Wrap [start, end) of the index in <mark>s, one per text node touched
+    function collectSegments(index, range) {
+        const segments = new Map();
+        for (let position = range.start; position < range.end; position++) {
+            const node = index.nodes[position];
+            if (!node) continue;
+            const offset = index.offsets[position];
+            const segment = segments.get(node);
+            if (segment) {
+                segment.end = offset + 1;
+            } else {
+                segments.set(node, { node, start: offset, end: offset + 1 });
+            }
+        }
+        return Array.from(segments.values());
+    }
+
+    function createMark(group, groupIndex) {
+        const mark = document.createElement('mark');
+        mark.setAttribute(HIGHLIGHT_ATTRIBUTE, String(groupIndex));
+        mark.setAttribute('data-policy-peek-type', group.type);
+        mark.style.setProperty('--policy-peek-color', group.color);
+        return mark;
+    }
+
+    function applyHighlights() {
+        const index = buildTextIndex(document.body);
+        const ranges = placeFindings(index, state.findings);
+        state.groups = ranges.map(range => ({ ...describeGroup(range.findings), marks: [] }));
+
+        const byNode = new Map();
+        ranges.forEach((range, groupIndex) => {
+            collectSegments(index, range).forEach(segment => {
+                if (!byNode.has(segment.node)) byNode.set(segment.node, []);
+                byNode.get(segment.node).push({ ...segment, groupIndex });
+            });
+        });
+
+        // Split each text node from its last segment backwards so earlier offsets stay valid.
+        // The split-off pieces are remembered so removeMarks() can join them back.
+        byNode.forEach(nodeSegments => {
+            nodeSegments.sort((a, b) => b.start - a.start).forEach(segment => {
+                const target = segment.node.splitText(segment.start);
+                const rest = target.splitText(segment.end - segment.start);
+                state.pieces.push(target, rest);
+                const mark = createMark(state.groups[segment.groupIndex], segment.groupIndex);
+                target.parentNode.replaceChild(mark, target);
+                mark.appendChild(target);
+                state.groups[segment.groupIndex].marks.push(mark);
+            });
+        });
+
+        state.groups.forEach(group => {
+            group.marks.sort((a, b) => (a.compareDocumentPosition(b) & 4 /* DOCUMENT_POSITION_FOLLOWING */) ? -1 : 1);
+        });
+        return state.groups.length;
+    }
+
+    // Unwrap the marks and join split text back into the page's own nodes
+    // (not normalize(), which would also merge text nodes the page keeps apart)
+    function removeMarks() {
+        document.querySelectorAll(`mark[${HIGHLIGHT_ATTRIBUTE}]`).forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+        });
+
+        state.pieces
+            .filter(piece => piece.isConnected)
+            .sort((a, b) => (a.compareDocumentPosition(b) & 4 /* DOCUMENT_POSITION_FOLLOWING */) ? -1 : 1)
+            .forEach(piece => {
+                const previous = piece.previousSibling;
+                if (previous && previous.nodeType === 3 /* TEXT_NODE */) {
+                    previous.appendData(piece.data);
+                    piece.remove();
+                }
+            });
+        state.pieces = [];
+        state.groups = [];
+    }
+
+    function ensurePageStyles() {
+        if (document.getElementById(STYLE_ID)) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = PAGE_STYLES;
+        (document.head || document.documentElement).appendChild(style);
+    }
+
+    function ensureUI() {
+        if (state.host && state.host.isConnected) {
+            return;
+        }
+
+        const host = document.createElement('div');
+        host.id = UI_HOST_ID;
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>${UI_STYLES}</style>
+            <div class="tooltip" hidden></div>
+            <div class="navigator" role="toolbar" aria-label="Policy Peek findings">
+                <button type="button" data-action="previous" title="Previous finding">‹</button>
+                <span class="navigator-position"></span>
+                <button type="button" data-action="next" title="Next finding">›</button>
+                <button type="button" data-action="close" title="Remove highlights">×</button>
+            </div>
+        `;
+        root.querySelector('[data-action="previous"]').addEventListener('click', () => goToFinding(state.current - 1));
+        root.querySelector('[data-action="next"]').addEventListener('click', () => goToFinding(state.current + 1));
+        root.querySelector('[data-action="close"]').addEventListener('click', () => clearHighlights());
+
+        state.host = host;
+        state.tooltip = root.querySelector('.tooltip');
+        state.position = root.querySelector('.navigator-position');
+        document.documentElement.appendChild(host);
+    }
+
+    function updateNavigator() {
+        if (!state.position) {
+            return;
+        }
+        const risks = state.groups.filter(group => group.type === 'risk').length;
+        const group = state.groups[state.current];
+        state.position.textContent = '';
+
+        if (!group) {
+            state.position.textContent = `Policy Peek: ${risks} risk(s), ${state.groups.length - risks} protection(s)`;
+            return;
+        }
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = group.color;
+        state.position.append(swatch, `${state.current + 1} / ${state.groups.length} · ${group.categoryLabel}`);
+    }
+
+    // Scroll to a finding (wrapping around) and mark it as the active one
+    function goToFinding(groupIndex) {
+        if (state.groups.length === 0) {
+            return;
+        }
+        const previous = state.groups[state.current];
+        if (previous) {
+            previous.marks.forEach(mark => mark.removeAttribute('data-policy-peek-active'));
+        }
+
+        state.current = (groupIndex + state.groups.length) % state.groups.length;
+        const group = state.groups[state.current];
+        group.marks.forEach(mark => mark.setAttribute('data-policy-peek-active', ''));
+        if (group.marks[0]) {
+            group.marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        updateNavigator();
+    }
+
+    function showTooltip(mark) {
+        const group = state.groups[Number(mark.getAttribute(HIGHLIGHT_ATTRIBUTE))];
+        if (!group || !state.tooltip) {
+            return;
+        }
+
+        state.tooltip.textContent = '';
+        group.findings.forEach(finding => {
+            const entry = document.createElement('div');
+            entry.className = 'tooltip-finding';
+            const title = document.createElement('strong');
+            title.textContent = `${finding.type === 'risk' ? '⚠️' : '✅'} ${finding.label}`;
+            const category = document.createElement('div');
+            category.className = 'tooltip-category';
+            category.textContent = finding.categoryLabel || finding.category;
+            const explanation = document.createElement('div');
+            explanation.textContent = finding.explanation || '';
+            entry.append(title, category, explanation);
+            state.tooltip.appendChild(entry);
+        });
+
+        const rect = mark.getBoundingClientRect();
+        state.tooltip.hidden = false;
+        const below = rect.bottom + 8 + state.tooltip.offsetHeight < window.innerHeight;
+        state.tooltip.style.top = `${below ? rect.bottom + 8 : Math.max(8, rect.top - state.tooltip.offsetHeight - 8)}px`;
+        state.tooltip.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - state.tooltip.offsetWidth - 8))}px`;
+    }
+
+    function onMouseOver(event) {
+        const mark = event.target && event.target.closest ? event.target.closest(`mark[${HIGHLIGHT_ATTRIBUTE}]`) : null;
+        if (mark) {
+            showTooltip(mark);
+        } else if (state.tooltip) {
+            state.tooltip.hidden = true;
+        }
+    }
+
+    // Run a DOM change without the observer seeing it as a page re-render
+    function withoutObserver(change) {
+        if (state.observer) state.observer.disconnect();
+        try {
+            return change();
+        } finally {
+            if (state.observer) {
+                state.observer.takeRecords();
+                state.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+            }
+        }
+    }
+
+    // After the page re-renders, put the highlights back if any of them went missing
+    function scheduleReapply() {
+        clearTimeout(state.reapplyTimer);
+        state.reapplyTimer = setTimeout(() => {
+            const intact = state.groups.every(group => group.marks.every(mark => mark.isConnected)) &&
+                (!state.host || state.host.isConnected);
+            if (intact || !state.active || state.reapplies >= MAX_REAPPLIES) {
+                return;
+            }
+
+            state.reapplies += 1;
+            const current = state.current;
+            withoutObserver(() => {
+                removeMarks();
+                ensurePageStyles();
+                ensureUI();
+                applyHighlights();
+            });
+            state.current = current < state.groups.length ? current : -1;
+            if (state.current >= 0) {
+                state.groups[state.current].marks.forEach(mark => mark.setAttribute('data-policy-peek-active', ''));
+            }
+            updateNavigator();
+        }, REAPPLY_DELAY_MS);
+    }
+
+    // Entry point inside the page. findings: [{ sentence, type, category, categoryLabel, label, explanation }]
+    function highlightFindings(findings) {
+        if (!document.body) {
+            return { highlighted: 0 };
+        }
+        clearHighlights();
+
+        state.active = true;
+        state.findings = findings || [];
+        state.reapplies = 0;
+        state.observer = new MutationObserver(scheduleReapply);
+        withoutObserver(() => {
+            ensurePageStyles();
+            ensureUI();
+            applyHighlights();
+        });
+        document.addEventListener('mouseover', onMouseOver, true);
+
+        if (state.groups.length === 0) {
+            clearHighlights();
+            return { highlighted: 0 };
+        }
+        updateNavigator();
+        return { highlighted: state.groups.length };
+    }
+
+    // Remove every mark, the styles, the navigator and the listeners
+    function clearHighlights() {
+        const removed = state.groups.length;
+        clearTimeout(state.reapplyTimer);
+        if (state.observer) {
+            state.observer.disconnect();
+            state.observer = null;
+        }
+        document.removeEventListener('mouseover', onMouseOver, true);
+
+        removeMarks();
+        const style = document.getElementById(STYLE_ID);
+        if (style) style.remove();
+        if (state.host) state.host.remove();
+
+        Object.assign(state, { active: false, findings: [], current: -1, host: null, tooltip: null, position: null, reapplies: 0 });
+        return { removed };
+    }
+
+    function getHighlightSummary() {
+        return {
+            active: state.active,
+            count: state.groups.length,
+            risks: state.groups.filter(group => group.type === 'risk').length
+        };
+    }
+
+    // Extension-side helpers: inject this file into a tab, then call into it
+    async function runInTab(tabId, func, args) {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['highlighter.js']
+        });
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: func,
+            args: args || []
+        });
+        return results && results[0] ? results[0].result : null;
+    }
+
+    // { text, isPolicyPage } for analysis on the extension side
+    function readTab(tabId) {
+        return runInTab(tabId, () => ({
+            text: self.PolicyPeekHighlighter.readPageText(),
+            isPolicyPage: self.PolicyPeekHighlighter.looksLikePolicyPage()
+        }));
+    }
+
+    // Runs in the page on its own (serialized by chrome.scripting), before highlighter.js is
+    // injected. Clears the highlights of a policy page a single-page app has routed away from.
+    function checkPolicyPage(patternSource, patternFlags) {
+        const isPolicyPage = new RegExp(patternSource, patternFlags).test(`${location.pathname} ${document.title}`);
+        const highlighter = self.PolicyPeekHighlighter;
+        if (!isPolicyPage && highlighter && highlighter.getHighlightSummary().active) {
+            highlighter.clearHighlights();
+        }
+        return isPolicyPage;
+    }
+
+    // { text, isPolicyPage } for automatic highlighting, or null when the tab is not a policy
+    // page; other pages are never injected into or have their text read
+    async function readPolicyTab(tabId) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: checkPolicyPage,
+            args: [POLICY_PAGE_PATTERN.source, POLICY_PAGE_PATTERN.flags]
+        });
+        if (!results || !results[0] || !results[0].result) {
+            return null;
+        }
+        return readTab(tabId);
+    }
+
+    // Only the fields the page needs; findings must survive structured cloning
+    function highlightTab(tabId, findings) {
+        const serializable = findings.map(({ sentence, type, category, categoryLabel, label, explanation }) => ({
+            sentence, type, category, categoryLabel, label, explanation
+        }));
+        return runInTab(tabId, findings => self.PolicyPeekHighlighter.highlightFindings(findings), [serializable]);
+    }
+
+    function clearTabHighlights(tabId) {
+        return runInTab(tabId, () => self.PolicyPeekHighlighter.clearHighlights());
+    }
+
+    function getTabHighlightSummary(tabId) {
+        return runInTab(tabId, () => self.PolicyPeekHighlighter.getHighlightSummary());
+    }
+
+    const PolicyPeekHighlighter = {
+        CATEGORY_COLORS,
+        buildTextIndex,
+        readPageText,
+        looksLikePolicyPage,
+        highlightFindings,
+        clearHighlights,
+        getHighlightSummary,
+        readTab,
+        readPolicyTab,
+        highlightTab,
+        clearTabHighlights,
+        getTabHighlightSummary
+    };
+
+    // Export highlighter (self works in the page, the popup window and the service worker)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PolicyPeekHighlighter;
+    } else {
+        self.PolicyPeekHighlighter = PolicyPeekHighlighter;
+    }
+})();
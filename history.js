@@ -0,0 +1,307 @@
+// Policy Peek - Policy History
+// Keeps a normalized, hashed copy of every analyzed policy per hostname and
+// policy type, and produces a clause-level diff when the text changes.
+
+const HISTORY_KEY_PREFIX = 'history_';
+const HISTORY_INDEX_KEY = 'history_index';
+
+// Retention limits: chrome.storage.local is capped at 10 MB for the whole extension
+const MAX_VERSIONS_PER_TYPE = 3;
+const MAX_HISTORY_HOSTS = 50;
+const MAX_HISTORY_BYTES = 4 * 1024 * 1024;
+const MAX_VERSION_SENTENCES = 2000;
+
+// Sentences at least this similar (word overlap) are treated as rewordings
+const REWORD_SIMILARITY = 0.5;
+// Rewordings are only looked for between the unchanged sentences around them. A stretch with
+// more removed x added pairs than this is a rewrite and is reported as added and removed.
+const MAX_REWORD_COMPARISONS = 10000;
+
+// Versions are recorded one at a time: each is a read-modify-write of its host's record and
+// of the shared index, and tabs analyzing different sites at once would overwrite each other
+let historyUpdates = Promise.resolve();
+
+// Resolve the rule engine in Node (require) or in the browser (global from rules.js)
+function getHistoryRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+// Normalize quotes, dashes and whitespace so cosmetic edits do not count as changes
+function normalizePolicyText(text) {
+    return String(text || '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+async function hashPolicyText(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function sentenceWords(sentence) {
+    return new Set(sentence.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+// Jaccard similarity of two sentences' word sets
+function wordSetSimilarity(wordsA, wordsB) {
+    if (wordsA.size === 0 && wordsB.size === 0) {
+        return 1;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared += 1;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Risk labels a single sentence triggers, used to call out risk changes in the diff
+function sentenceRiskLabels(sentence, language) {
+    return getHistoryRuleEngine().evaluatePolicyText(sentence, { language }).scoredFindings
+        .map(finding => `${finding.type === 'risk' ? '+' : '-'}${finding.label}`);
+}
+
+// Longest common subsequence over sentences; returns the indexes that stayed the same
+function matchUnchangedSentences(oldSentences, newSentences) {
+    const rows = oldSentences.length;
+    const cols = newSentences.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            table[i][j] = oldSentences[i] === newSentences[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const unchangedOld = new Set();
+    const unchangedNew = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldSentences[i] === newSentences[j]) {
+            unchangedOld.add(i);
+            unchangedNew.add(j);
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return { unchangedOld, unchangedNew };
+}
+
+// Runs of changed sentences between two unchanged ones: [{ removed, added }], in document order
+function findChangedStretches(oldSentences, newSentences, unchangedOld, unchangedNew) {
+    const stretches = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldSentences.length || j < newSentences.length) {
+        const stretch = { removed: [], added: [] };
+        while (i < oldSentences.length && !unchangedOld.has(i)) {
+            stretch.removed.push(oldSentences[i++]);
+        }
+        while (j < newSentences.length && !unchangedNew.has(j)) {
+            stretch.added.push(newSentences[j++]);
+        }
+        if (stretch.removed.length > 0 || stretch.added.length > 0) {
+            stretches.push(stretch);
+        }
+        // Both now point at the same unchanged sentence (or past the end)
+        i++;
+        j++;
+    }
+    return stretches;
+}
+
+// Pair each removed sentence in a stretch with its most similar added sentence
+function pairRewordings(stretch, reworded, removed, added) {
+    if (stretch.removed.length * stretch.added.length > MAX_REWORD_COMPARISONS) {
+        removed.push(...stretch.removed);
+        added.push(...stretch.added);
+        return;
+    }
+
+    const addedWords = stretch.added.map(sentenceWords);
+    const pairedAdded = new Set();
+    stretch.removed.forEach(before => {
+        const beforeWords = sentenceWords(before);
+        let bestIndex = -1;
+        let bestSimilarity = REWORD_SIMILARITY;
+        addedWords.forEach((afterWords, index) => {
+            if (pairedAdded.has(index)) return;
+            const similarity = wordSetSimilarity(beforeWords, afterWords);
+            if (similarity >= bestSimilarity) {
+                bestSimilarity = similarity;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex >= 0) {
+            pairedAdded.add(bestIndex);
+            reworded.push({ before, after: stretch.added[bestIndex] });
+        } else {
+            removed.push(before);
+        }
+    });
+    added.push(...stretch.added.filter((sentence, index) => !pairedAdded.has(index)));
+}
+
+// Clause-level diff: added, removed and reworded sentences plus the risk changes they cause
+function diffPolicyVersions(oldSentences, newSentences, language) {
+    const { unchangedOld, unchangedNew } = matchUnchangedSentences(oldSentences, newSentences);
+    const reworded = [];
+    const removed = [];
+    const added = [];
+    findChangedStretches(oldSentences, newSentences, unchangedOld, unchangedNew)
+        .forEach(stretch => pairRewordings(stretch, reworded, removed, added));
+
+    // Call out sentences whose rule findings differ between versions
+    const riskChanges = [];
+    added.forEach(sentence => {
+        const labels = sentenceRiskLabels(sentence, language);
+        if (labels.length > 0) riskChanges.push({ change: 'added', sentence, gained: labels, lost: [] });
+    });
+    removed.forEach(sentence => {
+        const labels = sentenceRiskLabels(sentence, language);
+        if (labels.length > 0) riskChanges.push({ change: 'removed', sentence, gained: [], lost: labels });
+    });
+    reworded.forEach(({ before, after }) => {
+        const beforeLabels = sentenceRiskLabels(before, language);
+        const afterLabels = sentenceRiskLabels(after, language);
+        const gained = afterLabels.filter(label => !beforeLabels.includes(label));
+        const lost = beforeLabels.filter(label => !afterLabels.includes(label));
+        if (gained.length > 0 || lost.length > 0) {
+            riskChanges.push({ change: 'reworded', sentence: after, previous: before, gained, lost });
+        }
+    });
+
+    return { added, removed, reworded, riskChanges };
+}
+
+// Drop least recently seen hosts until both the host count and byte budget fit
+async function evictPolicyHistory(index) {
+    const hostnames = Object.keys(index).sort((a, b) => index[a] - index[b]);
+    const evicted = [];
+
+    while (hostnames.length > MAX_HISTORY_HOSTS) {
+        evicted.push(hostnames.shift());
+    }
+
+    if (chrome.storage.local.getBytesInUse && hostnames.length > 1) {
+        const historyKeys = hostnames.map(hostname => `${HISTORY_KEY_PREFIX}${hostname}`);
+        let bytesInUse = await chrome.storage.local.getBytesInUse(historyKeys);
+        while (bytesInUse > MAX_HISTORY_BYTES && hostnames.length > 1) {
+            const hostname = hostnames.shift();
+            bytesInUse -= await chrome.storage.local.getBytesInUse([`${HISTORY_KEY_PREFIX}${hostname}`]);
+            evicted.push(hostname);
+        }
+    }
+
+    if (evicted.length > 0) {
+        await chrome.storage.local.remove(evicted.map(hostname => `${HISTORY_KEY_PREFIX}${hostname}`));
+        evicted.forEach(hostname => delete index[hostname]);
+    }
+
+    return index;
+}
+
+async function writePolicyVersion(hostname, policyType, text, analysis) {
+    const normalized = normalizePolicyText(text);
+    const hash = await hashPolicyText(normalized);
+    const historyKey = `${HISTORY_KEY_PREFIX}${hostname}`;
+    const now = Date.now();
+
+    const stored = await chrome.storage.local.get([historyKey, HISTORY_INDEX_KEY]);
+    const record = stored[historyKey] || { hostname, types: {} };
+    const index = stored[HISTORY_INDEX_KEY] || {};
+    const entry = record.types[policyType] || { versions: [], lastDiff: null };
+    const latest = entry.versions[entry.versions.length - 1];
+
+    let result = { changed: false, diff: null };
+
+    if (latest && latest.hash === hash) {
+        latest.lastSeen = now;
+    } else {
+        const sentences = getHistoryRuleEngine().splitSentences(normalized).slice(0, MAX_VERSION_SENTENCES);
+        const version = {
+            hash,
+            firstSeen: now,
+            lastSeen: now,
+            sentences,
+            riskScore: analysis ? analysis.riskScore : null
+        };
+
+        if (latest) {
+            const diff = diffPolicyVersions(latest.sentences, sentences, analysis ? analysis.language : 'en');
+            entry.lastDiff = {
+                fromHash: latest.hash,
+                toHash: hash,
+                fromDate: latest.lastSeen,
+                toDate: now,
+                previousRiskScore: latest.riskScore,
+                riskScore: version.riskScore,
+                ...diff
+            };
+            result = { changed: true, diff: entry.lastDiff };
+        }
+
+        entry.versions.push(version);
+        entry.versions = entry.versions.slice(-MAX_VERSIONS_PER_TYPE);
+    }
+
+    record.types[policyType] = entry;
+    index[hostname] = now;
+
+    await chrome.storage.local.set({ [historyKey]: record });
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: await evictPolicyHistory(index) });
+
+    return result;
+}
+
+// Store a new version of a policy if its text changed, and return the diff against the previous one
+function recordPolicyVersion(hostname, policyType, text, analysis) {
+    const update = historyUpdates.then(() => writePolicyVersion(hostname, policyType, text, analysis));
+    historyUpdates = update.catch(() => {});
+    return update;
+}
+
+// Latest diffs per policy type for a hostname (null when nothing has changed yet)
+async function getPolicyHistory(hostname) {
+    const historyKey = `${HISTORY_KEY_PREFIX}${hostname}`;
+    const stored = await chrome.storage.local.get([historyKey]);
+    const record = stored[historyKey];
+    if (!record) {
+        return null;
+    }
+
+    const changes = {};
+    Object.entries(record.types).forEach(([policyType, entry]) => {
+        changes[policyType] = {
+            versionCount: entry.versions.length,
+            lastDiff: entry.lastDiff
+        };
+    });
+
+    return { hostname, changes };
+}
+
+// Export history helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizePolicyText, hashPolicyText, diffPolicyVersions, recordPolicyVersion, getPolicyHistory };
+} else {
+    self.PolicyPeekHistory = { normalizePolicyText, hashPolicyText, diffPolicyVersions, recordPolicyVersion, getPolicyHistory };
+}
@@ -0,0 +1,168 @@
+// Policy Peek - Language Support
+// Detects the language of a policy, translates it with the on-device
+// Translator API when available, and provides native-language keyword sets
+// for page scanning so detection still works in fallback mode.
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    it: 'Italian',
+    nl: 'Dutch',
+    pt: 'Portuguese'
+};
+
+// Frequent function words per language, used by the offline detector
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'we', 'you', 'your', 'is', 'that', 'for', 'with', 'our', 'this', 'are', 'or', 'will'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'wir', 'sie', 'ihre', 'nicht', 'mit', 'von', 'zu', 'den', 'für', 'auf', 'werden', 'dass'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'du', 'nous', 'vous', 'vos', 'est', 'pour', 'que', 'une', 'dans', 'pas', 'sur', 'avec'],
+    es: ['el', 'los', 'las', 'y', 'que', 'en', 'para', 'con', 'sus', 'su', 'por', 'una', 'del', 'se', 'es', 'como', 'usted'],
+    it: ['il', 'gli', 'di', 'che', 'per', 'con', 'non', 'una', 'sono', 'dei', 'della', 'noi', 'suoi', 'nel', 'alla', 'questo'],
+    nl: ['de', 'het', 'en', 'van', 'een', 'wij', 'uw', 'niet', 'met', 'voor', 'op', 'zijn', 'dat', 'worden', 'deze', 'je'],
+    pt: ['os', 'as', 'que', 'para', 'com', 'não', 'uma', 'seus', 'dos', 'das', 'nós', 'em', 'por', 'você', 'ao', 'seu']
+};
+
+// Link text / href fragments that point at policies, per language
+const POLICY_LINK_KEYWORDS = {
+    de: ['datenschutz', 'datenschutzerklärung', 'nutzungsbedingungen', 'agb', 'allgemeine geschäftsbedingungen', 'impressum', 'cookie-richtlinie', 'cookie-einstellungen', 'rechtliche hinweise'],
+    fr: ['politique de confidentialité', 'confidentialité', 'conditions générales', "conditions d'utilisation", 'mentions légales', 'politique de cookies', 'gestion des cookies', 'données personnelles'],
+    es: ['política de privacidad', 'privacidad', 'términos y condiciones', 'condiciones de uso', 'aviso legal', 'política de cookies', 'protección de datos'],
+    it: ['informativa sulla privacy', 'informativa privacy', 'termini e condizioni', "condizioni d'uso", 'note legali', 'protezione dei dati'],
+    nl: ['privacybeleid', 'privacyverklaring', 'algemene voorwaarden', 'gebruiksvoorwaarden', 'cookiebeleid', 'juridische informatie'],
+    pt: ['política de privacidade', 'privacidade', 'termos de uso', 'termos e condições', 'política de cookies', 'aviso legal', 'proteção de dados']
+};
+
+// Risky phrases worth flagging when they appear anywhere on a page, per language
+const RISKY_PAGE_KEYWORDS = {
+    de: ['an dritte weiter', 'verkaufen ihre daten', 'ohne vorherige ankündigung', 'keine haftung', 'nach eigenem ermessen', 'auf unbestimmte zeit'],
+    fr: ['vendre vos données', 'avec des tiers', 'sans préavis', 'aucune garantie', 'à notre seule discrétion', 'indéfiniment'],
+    es: ['vender sus datos', 'con terceros', 'sin previo aviso', 'ninguna garantía', 'a nuestra discreción', 'indefinidamente'],
+    it: ['vendere i tuoi dati', 'con terzi', 'senza preavviso', 'nessuna garanzia', 'a nostra discrezione', 'indefinitamente'],
+    nl: ['uw gegevens verkopen', 'met derden', 'zonder voorafgaande kennisgeving', 'geen garantie', 'naar eigen goeddunken', 'onbepaalde tijd'],
+    pt: ['vender seus dados', 'com terceiros', 'sem aviso prévio', 'nenhuma garantia', 'a nosso critério', 'indefinidamente']
+};
+
+const LANGUAGE_SAMPLE_WORDS = 3000;
+const TRANSLATION_CHUNK_CHARS = 4000;
+
+// Offline detector: count stopword hits per language in the first few thousand words
+function detectLanguageHeuristic(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+    const sample = words.slice(0, LANGUAGE_SAMPLE_WORDS);
+    if (sample.length === 0) {
+        return { language: 'en', confidence: 0 };
+    }
+
+    const stopwordSets = {};
+    Object.entries(LANGUAGE_STOPWORDS).forEach(([language, stopwords]) => {
+        stopwordSets[language] = new Set(stopwords);
+    });
+
+    const scores = {};
+    sample.forEach(word => {
+        Object.keys(stopwordSets).forEach(language => {
+            if (stopwordSets[language].has(word)) {
+                scores[language] = (scores[language] || 0) + 1;
+            }
+        });
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { language: 'en', confidence: 0 };
+    }
+
+    const [bestLanguage, bestScore] = ranked[0];
+    const runnerUp = ranked[1] ? ranked[1][1] : 0;
+    return {
+        language: bestLanguage,
+        confidence: Math.min(1, (bestScore - runnerUp) / Math.max(1, bestScore))
+    };
+}
+
+// Resolve the built-in AI adapter in Node (require) or in the browser (global from ai-adapter.js)
+function getLanguageAI() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./ai-adapter.js');
+    }
+    return self.PolicyPeekAI;
+}
+
+// Detect the policy language, preferring the on-device LanguageDetector
+async function detectPolicyLanguage(text) {
+    const heuristic = detectLanguageHeuristic(text);
+
+    if (await getLanguageAI().getAIAvailability('languageDetector') === 'available') {
+        try {
+            const session = await getLanguageAI().createAISession('languageDetector');
+            const [best] = await session.detect(String(text).slice(0, TRANSLATION_CHUNK_CHARS));
+            if (session.destroy) session.destroy();
+
+            if (best && best.detectedLanguage && best.confidence >= 0.5) {
+                return { language: best.detectedLanguage.split('-')[0], confidence: best.confidence, source: 'ai' };
+            }
+        } catch (error) {
+            console.warn('LanguageDetector API failed, using heuristic detection:', error);
+        }
+    }
+
+    return { ...heuristic, source: 'heuristic' };
+}
+
+// Translate text to English in paragraph-sized chunks; returns null when no translator is ready
+// for the language pair (models are never downloaded implicitly)
+async function translateToEnglish(text, sourceLanguage) {
+    if (sourceLanguage === 'en') {
+        return null;
+    }
+
+    const session = await getLanguageAI().createReadyAISession('translator', { sourceLanguage, targetLanguage: 'en' });
+    if (!session) {
+        return null;
+    }
+
+    try {
+        // Keep paragraphs together so sentences are not split across chunks
+        const chunks = [];
+        let current = '';
+        String(text).split(/\n+/).forEach(paragraph => {
+            if (current && current.length + paragraph.length > TRANSLATION_CHUNK_CHARS) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${paragraph}` : paragraph;
+        });
+        if (current) chunks.push(current);
+
+        const translated = [];
+        for (const chunk of chunks) {
+            translated.push(await session.translate(chunk));
+        }
+        return translated.join('\n');
+    } finally {
+        if (session.destroy) session.destroy();
+    }
+}
+
+// All policy-link and risky keywords (English plus native sets) for injected page scans
+function getPageKeywordSets(englishPolicyKeywords, englishRiskyKeywords) {
+    const policyKeywords = [...englishPolicyKeywords];
+    const riskyKeywords = [...englishRiskyKeywords];
+
+    Object.values(POLICY_LINK_KEYWORDS).forEach(keywords => policyKeywords.push(...keywords));
+    Object.values(RISKY_PAGE_KEYWORDS).forEach(keywords => riskyKeywords.push(...keywords));
+
+    return {
+        policyKeywords: [...new Set(policyKeywords)],
+        riskyKeywords: [...new Set(riskyKeywords)]
+    };
+}
+
+// Export language helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LANGUAGE_NAMES, detectLanguageHeuristic, detectPolicyLanguage, translateToEnglish, getPageKeywordSets };
+} else {
+    self.PolicyPeekLanguage = { LANGUAGE_NAMES, detectLanguageHeuristic, detectPolicyLanguage, translateToEnglish, getPageKeywordSets };
+}
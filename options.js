@@ -0,0 +1,313 @@
+// Policy Peek - Options Page Script
+// Loads the saved settings into the form and writes them back to chrome.storage.sync.
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const { getSettings, saveSettings, normalizeSitePattern } = window.PolicyPeekSettings;
+    
+    const toggleIds = ['autoScanEnabled', 'badgesEnabled', 'indicatorsEnabled', 'highlightsEnabled', 'consentGuardEnabled', 'notificationsEnabled'];
+    const riskThreshold = document.getElementById('riskThreshold');
+    const highRiskThreshold = document.getElementById('highRiskThreshold');
+    const allowList = document.getElementById('allowList');
+    const denyList = document.getElementById('denyList');
+    const saveButton = document.getElementById('saveButton');
+    const saveStatus = document.getElementById('saveStatus');
+    const checklistList = document.getElementById('checklistList');
+    
+    function showStatus(message, isError) {
+        saveStatus.textContent = message;
+        saveStatus.className = isError ? 'save-status error' : 'save-status';
+    }
+    
+    // One hostname per line; blank lines and duplicates are dropped.
+    function parseSiteList(value) {
+        const entries = value.split(/[\n,]+/).map(normalizeSitePattern).filter(Boolean);
+        return [...new Set(entries)];
+    }
+    
+    function renderSettings(settings) {
+        toggleIds.forEach(id => {
+            document.getElementById(id).checked = settings[id];
+        });
+        riskThreshold.value = settings.riskThreshold;
+        highRiskThreshold.value = settings.highRiskThreshold;
+        allowList.value = settings.allowList.join('\n');
+        denyList.value = settings.denyList.join('\n');
+        checklistList.querySelectorAll('input[data-checklist]').forEach(checkbox => {
+            checkbox.checked = settings.complianceChecklists.includes(checkbox.dataset.checklist);
+        });
+    }
+    
+    // One toggle per bundled checklist file, named by regulation and jurisdiction.
+    async function renderChecklists() {
+        try {
+            const checklists = await window.PolicyPeekChecklists.loadChecklists();
+            checklistList.textContent = '';
+            checklists.forEach(checklist => {
+                const toggle = document.createElement('label');
+                toggle.className = 'toggle';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.checklist = checklist.id;
+                const name = document.createElement('span');
+                name.textContent = `${checklist.name} · ${checklist.jurisdiction} · ${checklist.items.length} disclosure(s)`;
+                name.title = checklist.reference || '';
+                toggle.append(checkbox, name);
+                checklistList.appendChild(toggle);
+            });
+        } catch (error) {
+            console.error('Error loading checklists:', error);
+            checklistList.textContent = 'Could not load the bundled checklists.';
+        }
+    }
+    
+    const { PROVIDER_TYPES, getProviderSettings, saveProviderSettings } = window.PolicyPeekProviders;
+    const { CONFIG } = window.PolicyPeekConfig;
+    const providerType = document.getElementById('providerType');
+    const providerEndpoint = document.getElementById('providerEndpoint');
+    const providerModel = document.getElementById('providerModel');
+    const providerApiKey = document.getElementById('providerApiKey');
+    const providerTimeout = document.getElementById('providerTimeout');
+    const providerRetries = document.getElementById('providerRetries');
+    
+    // Show each provider's defaults as placeholders and hide fields it does not use.
+    function updateProviderFields() {
+        const type = PROVIDER_TYPES[providerType.value];
+        const fields = [providerEndpoint, providerModel, providerApiKey, providerTimeout, providerRetries];
+        fields.forEach(field => {
+            field.closest('label').style.display = type ? '' : 'none';
+        });
+        if (!type) {
+            return;
+        }
+        
+        providerEndpoint.placeholder = providerType.value === 'generic' ? CONFIG.POLICY_ANALYSIS_API_URL : type.defaultEndpoint;
+        providerModel.placeholder = type.defaultModel;
+        providerModel.closest('label').style.display = type.defaultModel ? '' : 'none';
+        providerApiKey.closest('label').style.display = providerType.value === 'ollama' ? 'none' : '';
+    }
+    
+    function renderProviderSettings(providerSettings) {
+        providerType.value = providerSettings.type;
+        providerEndpoint.value = providerSettings.endpoint;
+        providerModel.value = providerSettings.model;
+        providerApiKey.value = providerSettings.apiKey;
+        providerTimeout.value = Math.round(providerSettings.timeoutMs / 1000);
+        providerRetries.value = providerSettings.retries;
+        updateProviderFields();
+    }
+    
+    providerType.addEventListener('change', updateProviderFields);
+    
+    const { listRulePacks, importRulePack, exportRulePack, setRulePackEnabled, removeRulePack } = window.PolicyPeekRulePacks;
+    const rulePackList = document.getElementById('rulePackList');
+    const rulePackFile = document.getElementById('rulePackFile');
+    const rulePackStatus = document.getElementById('rulePackStatus');
+    
+    function showRulePackStatus(message, isError) {
+        rulePackStatus.textContent = message;
+        rulePackStatus.className = isError ? 'save-status error' : 'save-status';
+    }
+    
+    // Offer a JSON string as a file download.
+    function downloadJSON(fileName, json) {
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    async function renderRulePacks() {
+        const packs = await listRulePacks();
+        rulePackList.textContent = '';
+        
+        if (packs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'hint';
+            empty.textContent = 'No rule packs imported yet.';
+            rulePackList.appendChild(empty);
+            return;
+        }
+        
+        packs.forEach(({ pack, enabled }) => {
+            const item = document.createElement('li');
+            item.className = 'rule-pack';
+            
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            checkbox.addEventListener('change', () => setRulePackEnabled(pack.id, checkbox.checked));
+            const name = document.createElement('span');
+            name.textContent = `${pack.name}${pack.version ? ` v${pack.version}` : ''} · ${pack.rules.length} rule(s)`;
+            name.title = pack.description || '';
+            toggle.append(checkbox, name);
+            
+            const exportButton = document.createElement('button');
+            exportButton.className = 'small-btn';
+            exportButton.textContent = 'Export';
+            exportButton.addEventListener('click', async () => {
+                downloadJSON(`${pack.id}.json`, await exportRulePack(pack.id));
+            });
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'small-btn';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', async () => {
+                await removeRulePack(pack.id);
+                showRulePackStatus(`Removed "${pack.name}"`);
+                await renderRulePacks();
+            });
+            
+            item.append(toggle, exportButton, removeButton);
+            rulePackList.appendChild(item);
+        });
+    }
+    
+    rulePackFile.addEventListener('change', async () => {
+        const file = rulePackFile.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const entry = await importRulePack(await file.text());
+            showRulePackStatus(`Imported "${entry.pack.name}"`);
+            await renderRulePacks();
+        } catch (error) {
+            // Validation errors list every problem, one per line.
+            console.error('Error importing rule pack:', error);
+            showRulePackStatus(error.message, true);
+        } finally {
+            rulePackFile.value = '';
+        }
+    });
+    
+    const { loadRatings, importRatings, resetRatings } = window.PolicyPeekRatings;
+    const ratingsInfo = document.getElementById('ratingsInfo');
+    const ratingsFile = document.getElementById('ratingsFile');
+    const ratingsReset = document.getElementById('ratingsReset');
+    const ratingsStatus = document.getElementById('ratingsStatus');
+    
+    function showRatingsStatus(message, isError) {
+        ratingsStatus.textContent = message;
+        ratingsStatus.className = isError ? 'save-status error' : 'save-status';
+    }
+    
+    async function renderRatingsInfo() {
+        try {
+            const ratings = await loadRatings();
+            ratingsReset.disabled = !ratings;
+            if (!ratings) {
+                ratingsInfo.textContent = 'No ratings are imported, so no grades are shown.';
+                return;
+            }
+            const { dataset, importedAt } = ratings;
+            const sourceText = [dataset.source, dataset.license].filter(Boolean).join(', ');
+            ratingsInfo.textContent = `Using ${dataset.services.length} service rating(s), version ${dataset.version} of ${dataset.updated} (imported ${new Date(importedAt).toLocaleDateString()}). Source: ${sourceText || 'not stated'}.`;
+        } catch (error) {
+            console.error('Error loading service ratings:', error);
+            ratingsInfo.textContent = 'Could not load the service ratings.';
+        }
+    }
+    
+    ratingsFile.addEventListener('change', async () => {
+        const file = ratingsFile.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const entry = await importRatings(await file.text());
+            showRatingsStatus(`Imported ratings version ${entry.dataset.version}`);
+            await renderRatingsInfo();
+        } catch (error) {
+            // Checksum and validation errors list every problem, one per line.
+            console.error('Error importing service ratings:', error);
+            showRatingsStatus(error.message, true);
+        } finally {
+            ratingsFile.value = '';
+        }
+    });
+    
+    ratingsReset.addEventListener('click', async () => {
+        try {
+            await resetRatings();
+            showRatingsStatus('Removed the imported ratings');
+            await renderRatingsInfo();
+        } catch (error) {
+            console.error('Error resetting service ratings:', error);
+            showRatingsStatus('Could not reset the ratings', true);
+        }
+    });
+    
+    try {
+        await renderRulePacks();
+        await renderRatingsInfo();
+        await renderChecklists();
+        renderSettings(await getSettings());
+        renderProviderSettings(await getProviderSettings());
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        showStatus('Could not load settings', true);
+    }
+    
+    saveButton.addEventListener('click', async function() {
+        const risky = Number(riskThreshold.value);
+        const highRisk = Number(highRiskThreshold.value);
+        
+        // Thresholds must be numbers and the high-risk cut-off cannot be below the risky one.
+        if (!Number.isFinite(risky) || !Number.isFinite(highRisk) || risky < 0) {
+            showStatus('Thresholds must be positive numbers', true);
+            return;
+        }
+        if (highRisk < risky) {
+            showStatus('The high-risk threshold must be at least the risky threshold', true);
+            return;
+        }
+        
+        // Endpoints must be http(s) URLs; an empty field means the provider default.
+        const endpoint = providerEndpoint.value.trim();
+        if (endpoint && !/^https?:\/\/[^\s]+$/i.test(endpoint)) {
+            showStatus('The provider endpoint must start with http:// or https://', true);
+            return;
+        }
+        const providerChanges = {
+            type: providerType.value,
+            endpoint,
+            model: providerModel.value.trim(),
+            apiKey: providerApiKey.value.trim(),
+            timeoutMs: Math.min(300, Math.max(5, Number(providerTimeout.value) || 30)) * 1000,
+            retries: Math.min(5, Math.max(0, Math.round(Number(providerRetries.value) || 0)))
+        };
+        
+        const changes = {
+            riskThreshold: risky,
+            highRiskThreshold: highRisk,
+            allowList: parseSiteList(allowList.value),
+            denyList: parseSiteList(denyList.value)
+        };
+        toggleIds.forEach(id => {
+            changes[id] = document.getElementById(id).checked;
+        });
+        // Left unchanged when the checklist files could not be read.
+        const checklistBoxes = checklistList.querySelectorAll('input[data-checklist]');
+        if (checklistBoxes.length > 0) {
+            changes.complianceChecklists = Array.from(checklistBoxes).filter(box => box.checked).map(box => box.dataset.checklist);
+        }
+        
+        try {
+            saveButton.disabled = true;
+            renderSettings(await saveSettings(changes));
+            renderProviderSettings(await saveProviderSettings(providerChanges));
+            showStatus('Settings saved');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showStatus('Could not save settings', true);
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+});
@@ -0,0 +1,145 @@
+// Policy Peek - Page Analysis Cache
+// Page scan results keyed by normalized URL and a fingerprint of the page
+// content, so a result is only ever shown for the document it was computed
+// on. A single-page app that changes route (or content) in the same tab gets
+// a new key instead of the previous route's result. Entries expire after
+// PAGE_CACHE_TTL_MS and the oldest are dropped beyond MAX_CACHED_PAGES.
+
+const PAGE_CACHE_PREFIX = 'analysis_';
+const PAGE_CACHE_INDEX_KEY = 'analysis_index';
+const PAGE_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_PAGES = 200;
+
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|igshid|yclid|ref_src)$/i;
+
+// Same page, same key: no tracking parameters, sorted query, no anchor, no trailing slash.
+// Hash routes (#/path, #!/path) are kept because they select a different page in SPAs.
+function normalizePageUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return String(url || '');
+    }
+
+    if (!/^#!?\//.test(parsed.hash)) {
+        parsed.hash = '';
+    }
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([name]) => !TRACKING_PARAMS.test(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+}
+
+function getPageCacheKey(url, contentHash) {
+    return `${PAGE_CACHE_PREFIX}${contentHash}_${normalizePageUrl(url)}`;
+}
+
+// Runs in the page (serialized by chrome.scripting), so it must stay self-contained.
+// FNV-1a over the title and visible text; digits are left out because clocks and
+// counters change without the page changing, and so are the ⚠️ markers the
+// detector adds to policy links.
+function readPageFingerprint() {
+    const text = `${document.title}\n${document.body ? document.body.innerText : ''}`
+        .replace(/⚠️?/g, '')
+        .replace(/\d+/g, '')
+        .replace(/\s+/g, ' ');
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return { url: location.href, contentHash: (hash >>> 0).toString(16).padStart(8, '0') };
+}
+
+// { url, contentHash } of the document the tab is showing right now
+async function fingerprintTab(tabId) {
+    const results = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: readPageFingerprint
+    });
+    return results && results[0] ? results[0].result : null;
+}
+
+// Cached result for this exact document, or null when missing or expired
+async function getPageAnalysis(url, contentHash) {
+    const key = getPageCacheKey(url, contentHash);
+    const stored = await chrome.storage.local.get([key]);
+    const entry = stored[key];
+    if (!entry || Date.now() - entry.timestamp > PAGE_CACHE_TTL_MS) {
+        return null;
+    }
+    return entry;
+}
+
+async function storePageAnalysis(record) {
+    const key = getPageCacheKey(record.url, record.contentHash);
+    const entry = { ...record, normalizedUrl: normalizePageUrl(record.url), timestamp: Date.now() };
+
+    const stored = await chrome.storage.local.get([PAGE_CACHE_INDEX_KEY]);
+    const index = { ...(stored[PAGE_CACHE_INDEX_KEY] || {}), [key]: entry.timestamp };
+    const kept = Object.entries(index)
+        .filter(([, timestamp]) => entry.timestamp - timestamp <= PAGE_CACHE_TTL_MS)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_CACHED_PAGES);
+    const keptKeys = new Set(kept.map(([keptKey]) => keptKey));
+    const dropped = Object.keys(index).filter(indexKey => !keptKeys.has(indexKey));
+
+    await chrome.storage.local.set({ [key]: entry, [PAGE_CACHE_INDEX_KEY]: Object.fromEntries(kept) });
+    if (dropped.length > 0) {
+        await chrome.storage.local.remove(dropped);
+    }
+    return entry;
+}
+
+// Store a result under the fingerprint of what the tab shows after the scan, which is
+// what a later lookup for the same document will compute
+async function storeTabAnalysis(tabId, record) {
+    const page = await fingerprintTab(tabId);
+    if (!page) {
+        return null;
+    }
+    return storePageAnalysis({ ...record, url: page.url, contentHash: page.contentHash });
+}
+
+// Remove expired entries, entries the index lost track of, and the per-tab
+// analysis_<tabId> entries older versions stored
+async function prunePageCache() {
+    const everything = await chrome.storage.local.get(null);
+    const index = everything[PAGE_CACHE_INDEX_KEY] || {};
+    const now = Date.now();
+
+    const stale = Object.keys(everything).filter(key => {
+        if (!key.startsWith(PAGE_CACHE_PREFIX) || key === PAGE_CACHE_INDEX_KEY) {
+            return false;
+        }
+        const entry = everything[key];
+        return /^analysis_\d+$/.test(key) || !index[key] || !entry || now - entry.timestamp > PAGE_CACHE_TTL_MS;
+    });
+    if (stale.length === 0) {
+        return 0;
+    }
+
+    stale.forEach(key => delete index[key]);
+    await chrome.storage.local.remove(stale);
+    await chrome.storage.local.set({ [PAGE_CACHE_INDEX_KEY]: index });
+    return stale.length;
+}
+
+// Export cache helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAGE_CACHE_TTL_MS, normalizePageUrl, getPageCacheKey, readPageFingerprint, fingerprintTab,
+        getPageAnalysis, storePageAnalysis, storeTabAnalysis, prunePageCache
+    };
+} else {
+    self.PolicyPeekPageCache = {
+        PAGE_CACHE_TTL_MS, normalizePageUrl, getPageCacheKey, readPageFingerprint, fingerprintTab,
+        getPageAnalysis, storePageAnalysis, storeTabAnalysis, prunePageCache
+    };
+}
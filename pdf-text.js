@@ -0,0 +1,132 @@
+// Policy Peek - PDF Text Extraction
+// Reads the text of a PDF with the bundled pdf.js (vendor/pdfjs, the legacy build
+// copied by tools/vendor-pdfjs.js). Parsing runs in pdf.js's worker, loaded from
+// the extension package, so every filter, font encoding and character map pdf.js
+// supports is covered. Line breaks come from pdf.js's end-of-line markers and
+// pages are separated by a blank line. Password-protected PDFs and PDFs whose
+// fonts cannot be mapped back to characters are refused, and scanned PDFs (page
+// images only) simply have no text.
+
+const PDF_MAX_PAGES = 500;
+const PDFJS_DIR = 'vendor/pdfjs';
+
+// Subset fonts without a ToUnicode map come out as control or private-use characters;
+// text with more of them than this share is refused rather than analyzed as garbage
+const PDF_UNDECODABLE_SHARE = 0.1;
+const PDF_UNDECODABLE_PATTERN = /[\u0000-\u0008\u000e-\u001f\ue000-\uf8ff\ufffd]/gu;
+
+let pdfjsLoading = null;
+
+// { pdfjs, cMapUrl }: the library is imported once, from the extension package in
+// the popup and from the same vendored files in Node (where pdf.js runs its worker
+// code in-process)
+function loadPdfjs() {
+    if (!pdfjsLoading) {
+        pdfjsLoading = (async () => {
+            if (typeof module !== 'undefined' && module.exports) {
+                const path = require('path');
+                const { pathToFileURL } = require('url');
+                const vendorDir = path.join(__dirname, PDFJS_DIR);
+                const pdfjs = await import(pathToFileURL(path.join(vendorDir, 'pdf.min.mjs')).href);
+                pdfjs.GlobalWorkerOptions.workerSrc = pathToFileURL(path.join(vendorDir, 'pdf.worker.min.mjs')).href;
+                return { pdfjs, cMapUrl: `${path.join(vendorDir, 'cmaps')}${path.sep}` };
+            }
+            const pdfjs = await import(chrome.runtime.getURL(`${PDFJS_DIR}/pdf.min.mjs`));
+            pdfjs.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(`${PDFJS_DIR}/pdf.worker.min.mjs`);
+            return { pdfjs, cMapUrl: chrome.runtime.getURL(`${PDFJS_DIR}/cmaps/`) };
+        })();
+        pdfjsLoading.catch(() => {
+            pdfjsLoading = null;
+        });
+    }
+    return pdfjsLoading;
+}
+
+// One page's text items joined, with a line break wherever pdf.js ends a line
+function joinTextItems(items) {
+    let text = '';
+    items.forEach(item => {
+        if (item.str !== undefined) {
+            text += item.str + (item.hasEOL ? '\n' : '');
+        }
+    });
+    return text;
+}
+
+function isUndecodableText(text) {
+    const visible = text.replace(/\s+/g, '').length;
+    const undecodable = (text.match(PDF_UNDECODABLE_PATTERN) || []).length;
+    return visible > 0 && undecodable / visible > PDF_UNDECODABLE_SHARE;
+}
+
+// pdf.js errors carry a name; the ones a user can act on get a message they can read
+function describePdfError(error) {
+    if (error && error.name === 'PasswordException') {
+        return new Error('This PDF is password-protected; save an unprotected copy to analyze it');
+    }
+    if (error && (error.name === 'InvalidPDFException' || error.name === 'FormatError')) {
+        return new Error('This file is not a PDF or is damaged');
+    }
+    return error;
+}
+
+// { pages, text } of a PDF given as a Uint8Array; throws for files that are not PDFs,
+// are damaged, need a password or use fonts whose text cannot be decoded
+async function extractPdfText(bytes) {
+    const { pdfjs, cMapUrl } = await loadPdfjs();
+    const loadingTask = pdfjs.getDocument({
+        // pdf.js takes ownership of (and detaches) the buffer it is given
+        data: bytes.slice(),
+        cMapUrl,
+        cMapPacked: true,
+        // Text only: no font loading, no eval (blocked by the extension's CSP), no network
+        disableFontFace: true,
+        isEvalSupported: false,
+        useSystemFonts: false,
+        disableAutoFetch: true,
+        stopAtErrors: false,
+        verbosity: 0
+    });
+
+    let pdf;
+    try {
+        pdf = await loadingTask.promise;
+    } catch (error) {
+        await loadingTask.destroy();
+        throw describePdfError(error);
+    }
+
+    try {
+        const pageTexts = [];
+        const pageCount = Math.min(pdf.numPages, PDF_MAX_PAGES);
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pageTexts.push(joinTextItems(content.items));
+            page.cleanup();
+        }
+
+        const text = pageTexts
+            .map(pageText => pageText.trim())
+            .join('\n\n')
+            // Rejoin words hyphenated across lines
+            .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n[ \t]+/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        if (isUndecodableText(text)) {
+            throw new Error('The text of this PDF cannot be read because its fonts do not map to characters; like a scanned document, it needs text recognition (OCR) first');
+        }
+        return { pages: pdf.numPages, text };
+    } finally {
+        await loadingTask.destroy();
+    }
+}
+
+// Export PDF helpers (self is the popup window, the only page that loads them)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { extractPdfText };
+} else {
+    self.PolicyPeekPdf = { extractPdfText };
+}
@@ -0,0 +1,219 @@
+// Policy Peek - Policy Fetcher
+// Downloads linked policy documents and extracts their main text.
+// Runs in the service worker, so there is no DOMParser: HTML is cleaned up
+// with a small tag scanner instead.
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_DOCUMENT_BYTES = 2 * 1024 * 1024;
+const MAX_POLICY_DOCUMENTS = 3;
+
+// Elements that never contain policy text
+const STRIPPED_TAGS = ['script', 'style', 'noscript', 'svg', 'template', 'iframe', 'head'];
+
+// Page chrome around the policy itself
+const CHROME_TAGS = ['nav', 'header', 'footer', 'aside', 'form', 'button'];
+
+// id/class fragments used by cookie banners, menus and other overlays
+const CHROME_ATTRIBUTE_PATTERN = /\b(?:id|class|role)\s*=\s*["'][^"']*(?:cookie|consent|gdpr|banner|navbar|navigation|menu|breadcrumb|sidebar|modal|popup|newsletter)[^"']*["']/i;
+
+// Block-level tags that should become line breaks when tags are stripped
+const BLOCK_TAGS_PATTERN = /<\/?(?:p|div|section|article|main|br|li|ul|ol|h[1-6]|tr|table|blockquote|dd|dt)\b[^>]*>/gi;
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+    mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®'
+};
+
+// Classify a policy link as privacy, cookies or terms so one document per type is fetched
+function classifyPolicyLink(link) {
+    const haystack = `${link.text || ''} ${link.href || ''}`.toLowerCase();
+
+    if (/cookie/.test(haystack)) {
+        return 'cookies';
+    }
+    if (/privacy|data[\s_-]?(?:protection|policy|use)|gdpr|ccpa|datenschutz|confidentialit|privacidad|privacidade|privacybeleid|privacyverklaring|protezione[\s_-]?dei[\s_-]?dati|protecci[oó]n[\s_-]?de[\s_-]?datos|donn[eé]es[\s_-]?personnelles/.test(haystack)) {
+        return 'privacy';
+    }
+    if (/terms|conditions|eula|license|user[\s_-]?agreement|acceptable[\s_-]?use|legal|nutzungsbedingungen|agb|gesch[aä]ftsbedingungen|t[eé]rminos|condiciones|termini|condizioni|voorwaarden|termos|mentions[\s_-]?l[eé]gales/.test(haystack)) {
+        return 'terms';
+    }
+    return 'other';
+}
+
+// Pick the links worth downloading: http(s) only, one per policy type, no in-page anchors
+function selectPolicyLinks(links, pageUrl) {
+    const selected = [];
+    const seenTypes = new Set();
+    const seenUrls = new Set();
+
+    (links || []).forEach(link => {
+        let url;
+        try {
+            url = new URL(link.href, pageUrl);
+        } catch (error) {
+            return;
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return;
+        }
+
+        url.hash = '';
+        const normalized = url.toString();
+
+        // Skip links that just point back at the page we are already on
+        if (pageUrl && normalized === new URL(pageUrl).toString().split('#')[0]) {
+            return;
+        }
+
+        const type = classifyPolicyLink(link);
+        if (type === 'other' || seenTypes.has(type) || seenUrls.has(normalized)) {
+            return;
+        }
+
+        seenTypes.add(type);
+        seenUrls.add(normalized);
+        selected.push({ text: link.text, href: normalized, type });
+    });
+
+    return selected.slice(0, MAX_POLICY_DOCUMENTS);
+}
+
+// Remove every element matching the predicate, including nested children of the same tag
+function removeElements(html, tagNames, predicate) {
+    const tagPattern = new RegExp(`<(/?)(${tagNames.join('|')})\\b([^>]*)>`, 'gi');
+    let output = '';
+    let cursor = 0;
+    let match;
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        const [openTag, isClosing, tagName, attributes] = match;
+        if (isClosing || !predicate(tagName.toLowerCase(), attributes)) {
+            continue;
+        }
+
+        // Walk forward, counting nested tags with the same name, to find the matching close
+        const nestedPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+        nestedPattern.lastIndex = match.index + openTag.length;
+        let depth = 1;
+        let end = html.length;
+        let nested;
+
+        while (depth > 0 && (nested = nestedPattern.exec(html)) !== null) {
+            if (nested[0].endsWith('/>')) {
+                continue;
+            }
+            depth += nested[1] ? -1 : 1;
+            if (depth === 0) {
+                end = nested.index + nested[0].length;
+            }
+        }
+
+        output += html.slice(cursor, match.index) + '\n';
+        cursor = end;
+        tagPattern.lastIndex = end;
+    }
+
+    return output + html.slice(cursor);
+}
+
+// Prefer <main> or the largest <article>, which most policy pages use for the document body
+function pickMainContent(html) {
+    const candidates = [];
+    const containerPattern = /<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+    let match;
+
+    while ((match = containerPattern.exec(html)) !== null) {
+        candidates.push(match[2]);
+    }
+
+    if (candidates.length === 0) {
+        const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+        return bodyMatch ? bodyMatch[1] : html;
+    }
+
+    return candidates.reduce((largest, candidate) => candidate.length > largest.length ? candidate : largest);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+// Turn a policy HTML document into plain text without nav, footer and cookie chrome
+function extractMainText(html) {
+    let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+
+    cleaned = removeElements(cleaned, STRIPPED_TAGS, () => true);
+    cleaned = removeElements(cleaned, CHROME_TAGS, () => true);
+
+    const title = (cleaned.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+    cleaned = pickMainContent(cleaned);
+    cleaned = removeElements(cleaned, ['div', 'section', 'dialog', 'ul'], (tag, attributes) => CHROME_ATTRIBUTE_PATTERN.test(attributes));
+
+    const text = decodeEntities(
+        cleaned
+            .replace(BLOCK_TAGS_PATTERN, '\n')
+            .replace(/<[^>]+>/g, ' ')
+    )
+        .replace(/[ \t\f\v ]+/g, ' ')
+        .replace(/ *\n[\s]*/g, '\n')
+        .trim();
+
+    return {
+        title: title ? decodeEntities(title).trim() : '',
+        text
+    };
+}
+
+// Download a single policy document and return its extracted text
+async function fetchPolicyDocument(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, {
+            signal: controller.signal,
+            credentials: 'omit',
+            redirect: 'follow'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/text\/html|text\/plain|application\/xhtml/i.test(contentType)) {
+            throw new Error(`Unsupported content type: ${contentType}`);
+        }
+
+        let body = await response.text();
+        if (body.length > MAX_DOCUMENT_BYTES) {
+            body = body.slice(0, MAX_DOCUMENT_BYTES);
+        }
+
+        if (/text\/plain/i.test(contentType)) {
+            return { url: response.url || url, title: '', text: body.trim() };
+        }
+
+        const { title, text } = extractMainText(body);
+        return { url: response.url || url, title, text };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Export fetcher (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { classifyPolicyLink, selectPolicyLinks, extractMainText, fetchPolicyDocument };
+} else {
+    self.PolicyPeekFetcher = { classifyPolicyLink, selectPolicyLinks, extractMainText, fetchPolicyDocument };
+}
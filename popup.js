@@ -13,9 +13,90 @@ document.addEventListener('DOMContentLoaded', function() {
     const riskDescription = document.getElementById('riskDescription'); // human-friendly summary line
     const policyText = document.getElementById('policyText'); // textarea for manual policy input
     const analyzeButton = document.getElementById('analyzeButton'); // button to trigger manual analysis
+    const fileDrop = document.getElementById('fileDrop'); // drop zone for PDF, DOCX, HTML and TXT files
+    const policyFile = document.getElementById('policyFile'); // file picker inside the drop zone
+    const policyUrl = document.getElementById('policyUrl'); // address of a remote policy to fetch and analyze
+    const analyzeUrlButton = document.getElementById('analyzeUrlButton');
+    const importStatus = document.getElementById('importStatus'); // progress or error of the last file or URL import
+    const cancelButton = document.getElementById('cancelButton'); // cancels running AI and provider work
+    const analysisProgress = document.getElementById('analysisProgress'); // progress bar for long analyses
+    const progressFill = document.getElementById('progressFill');
+    const progressLabel = document.getElementById('progressLabel');
     const results = document.getElementById('results'); // results container that is shown/hidden
     const summary = document.getElementById('summary'); // summary output element
+    const analysisSource = document.getElementById('analysisSource'); // file the analyzed text came from
+    const privacyLabel = document.getElementById('privacyLabel'); // structured "nutrition label" card
+    const complianceChecklist = document.getElementById('complianceChecklist'); // GDPR / CCPA / COPPA disclosure checks
+    const readabilityCard = document.getElementById('readabilityCard'); // reading level, time and complexity
+    const sectionOutline = document.getElementById('sectionOutline'); // table of contents with per-section risk
     const keyPoints = document.getElementById('keyPoints'); // list of found risks / positives
+    const highlightButton = document.getElementById('highlightButton'); // toggles in-page clause highlights
+    const comparison = document.getElementById('comparison'); // collapsible two-policy comparison
+    const compareButton = document.getElementById('compareButton');
+    const comparisonResults = document.getElementById('comparisonResults');
+    
+    // Shared heuristic analyzer (also used by the background worker for fetched policies).
+    const { analyzeRiskFactors, analyzeMultilingualPolicy, findClauseMatches } = window.PolicyPeekAnalyzer;
+    const { LANGUAGE_NAMES } = window.PolicyPeekLanguage;
+    const PolicyPeekDetector = window.PolicyPeekDetector;
+    const PolicyPeekSettings = window.PolicyPeekSettings;
+    
+    const PolicyPeekRulePacks = window.PolicyPeekRulePacks;
+    const PolicyPeekProviders = window.PolicyPeekProviders;
+    const PolicyPeekSummarizer = window.PolicyPeekSummarizer;
+    const PolicyPeekAI = window.PolicyPeekAI;
+    const PolicyPeekLabel = window.PolicyPeekLabel;
+    const PolicyPeekConsent = window.PolicyPeekConsent;
+    const PolicyPeekHighlighter = window.PolicyPeekHighlighter;
+    const PolicyPeekPageCache = window.PolicyPeekPageCache;
+    const PolicyPeekReport = window.PolicyPeekReport;
+    const PolicyPeekComparison = window.PolicyPeekComparison;
+    const PolicyPeekChecklists = window.PolicyPeekChecklists;
+    const PolicyPeekTrackers = window.PolicyPeekTrackers;
+    const PolicyPeekRatings = window.PolicyPeekRatings;
+    const PolicyPeekReadability = window.PolicyPeekReadability;
+    const PolicyPeekSections = window.PolicyPeekSections;
+    const PolicyPeekFileImport = window.PolicyPeekFileImport;
+    const PolicyPeekFetcher = window.PolicyPeekFetcher;
+    
+    // Session storage key the background worker leaves context-menu requests under (see background.js).
+    const PENDING_ANALYSIS_KEY = 'pendingAnalysis';
+    const PENDING_ANALYSIS_MAX_AGE_MS = 60 * 1000;
+    
+    // User settings from the options page; defaults until init() has loaded the saved values.
+    let settings = { ...PolicyPeekSettings.DEFAULT_SETTINGS };
+    // Enabled custom rule packs, compiled once on load.
+    let customRules = { rules: [], categories: {}, pageKeywords: null };
+    // Bundled regulatory checklists; settings.complianceChecklists picks which ones run.
+    let checklists = [];
+    // Offline service ratings ({ dataset }) imported on the options page; null when none are.
+    let serviceRatings = null;
+    // Where the text in #policyText came from, when it was not pasted: an imported file, a fetched URL or a
+    // selection sent from the context menu ({ name, type, label, title, pages, url }); editing the text clears it.
+    let policyTextSource = null;
+    // Aborts the AI sessions and provider request of the manual analysis in progress.
+    let analysisController = null;
+    // The tab the popup describes; set by analyzeCurrentPage().
+    let currentTab = null;
+    // Delays re-analysis after a route change until the new route has rendered.
+    let routeChangeTimer = null;
+    // What the export buttons write out: the last analysis shown in #results, and the
+    // current site's linked policies with their change history.
+    let lastAnalysis = null;
+    let lastSiteReport = null;
+    // Documents analyzed for earlier sites, offered as comparison sources; loaded when the comparison opens.
+    let analyzedPolicies = null;
+    // Third-party traffic the background recorded for currentTab; requested once per page analysis.
+    let networkActivityPromise = null;
+    
+    // Open the options page from the header link.
+    const settingsLink = document.getElementById('settingsLink');
+    if (settingsLink) {
+        settingsLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+    }
     
     // Verify DOM elements exist
     if (!riskLevel || !riskDescription) {
@@ -45,13 +126,7 @@ document.addEventListener('DOMContentLoaded', function() {
             };
             // Minimal no-op implementations so later calls are safe.
             initializeAIAPIs = () => console.log('AI APIs initialization skipped - config not available');
-            checkAIAvailability = async () => ({
-                summarizer: false,
-                writer: false,
-                rewriter: false,
-                translator: false,
-                proofreader: false
-            });
+            checkAIAvailability = async () => unavailableAIStates();
         }
     } catch (error) {
         // If accessing the config throws for any reason, log and fallback.
@@ -62,13 +137,7 @@ document.addEventListener('DOMContentLoaded', function() {
             ENABLE_TRANSLATION: true
         };
         initializeAIAPIs = () => {};
-        checkAIAvailability = async () => ({
-            summarizer: false,
-            writer: false,
-            rewriter: false,
-            translator: false,
-            proofreader: false
-        });
+        checkAIAvailability = async () => unavailableAIStates();
     }
     
     // Immediately initialize behavior (UI status, AI checks, auto-analysis).
@@ -83,6 +152,20 @@ document.addEventListener('DOMContentLoaded', function() {
 
     async function init() {
         try {
+            // Load thresholds and toggles saved on the options page.
+            settings = await PolicyPeekSettings.getSettings();
+            customRules = await PolicyPeekRulePacks.getActiveRulePacks();
+            try {
+                checklists = await PolicyPeekChecklists.loadChecklists();
+            } catch (error) {
+                console.warn('Could not load compliance checklists:', error);
+            }
+            try {
+                serviceRatings = await PolicyPeekRatings.loadRatings();
+            } catch (error) {
+                console.warn('Could not load service ratings:', error);
+            }
+            
             // Initialize tokens or any required setup for browser-provided AI APIs.
             // This call may be a no-op when using the fallback implementation above.
             if (typeof initializeAIAPIs === 'function') {
@@ -94,19 +177,29 @@ document.addEventListener('DOMContentLoaded', function() {
             if (typeof checkAIAvailability === 'function') {
                 aiAvailability = await checkAIAvailability();
             } else {
-                aiAvailability = {
-                    summarizer: false,
-                    writer: false,
-                    rewriter: false,
-                    translator: false,
-                    proofreader: false
-                };
+                aiAvailability = unavailableAIStates();
             }
             console.log('AI APIs availability:', aiAvailability);
             
             // Render a compact status indicator in the popup to inform the user.
             displayAIStatus(aiAvailability);
             
+            // Opened from the context menu: take its request before anything slow can let it expire.
+            let pending = null;
+            try {
+                pending = await takePendingAnalysis();
+            } catch (error) {
+                console.warn('Could not read the context menu request:', error);
+            }
+            
+            if (pending) {
+                // The popup was opened for this request, possibly in a window of its own whose
+                // "current tab" is the popup itself, so the page analysis is skipped.
+                updateRiskIndicator('analyzing', pending.kind === 'url' ? 'Analyzing the linked policy...' : 'Analyzing the selected text...');
+                await runPendingAnalysis(pending);
+                return;
+            }
+            
             // Attempt to analyze the current active tab automatically so the user sees something immediately.
             // This works regardless of AI availability because the analysis has local fallbacks.
             await analyzeCurrentPage();
@@ -119,20 +212,23 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Try to show basic AI status
             try {
-                displayAIStatus({
-                    summarizer: false,
-                    writer: false,
-                    rewriter: false,
-                    translator: false,
-                    proofreader: false
-                });
+                displayAIStatus(unavailableAIStates());
             } catch (statusError) {
                 console.warn('Could not display AI status:', statusError);
             }
         }
     }
 
-    function displayAIStatus(aiAvailability) {
+    function unavailableAIStates() {
+        // Every built-in AI API reported as unavailable (fallback mode).
+        const states = {};
+        Object.keys(PolicyPeekAI.AI_APIS).forEach(name => {
+            states[name] = 'unavailable';
+        });
+        return states;
+    }
+
+    function displayAIStatus(aiAvailability, expanded) {
         try {
             // Find the main container in the popup to attach a tiny status badge.
             const container = document.querySelector('.container');
@@ -141,32 +237,65 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
-            // Build a visually small status indicator. Inline style used since popup CSS is minimal.
+            // Replace the badge rendered earlier (e.g. before a model download finished).
+            const previous = document.getElementById('aiStatus');
+            if (previous) {
+                previous.remove();
+            }
+            
             const statusDiv = document.createElement('div');
-            statusDiv.style.cssText = `
-                position: absolute;
-                top: 5px;
-                right: 5px;
-                font-size: 10px;
-                padding: 2px 6px;
-                border-radius: 10px;
-                background: rgba(255,255,255,0.1);
-                color: rgba(255,255,255,0.7);
-            `;
-            
-            // Count available vs total APIs to show a concise ratio.
-            const availableAPIs = Object.entries(aiAvailability || {}).filter(([_, available]) => available).length;
-            const totalAPIs = Object.keys(aiAvailability || {}).length;
+            statusDiv.id = 'aiStatus';
+            statusDiv.className = 'ai-status';
+            
+            // Count ready APIs, and APIs whose model can still be downloaded.
+            const states = aiAvailability || {};
+            const availableAPIs = Object.values(states).filter(state => state === 'available').length;
+            const downloadableAPIs = Object.values(states).filter(state => state === 'downloadable' || state === 'downloading').length;
+            const totalAPIs = Object.keys(states).length;
             
             // Different color to quickly indicate fallback vs partial availability.
+            const badge = document.createElement('button');
+            badge.className = 'ai-status-badge';
             if (availableAPIs > 0) {
-                statusDiv.textContent = `AI: ${availableAPIs}/${totalAPIs}`;
-                statusDiv.style.background = 'rgba(76,175,80,0.3)'; // greenish when some AI is available
+                badge.textContent = `AI: ${availableAPIs}/${totalAPIs}`;
+                badge.classList.add('ai-status-ready'); // greenish when some AI is available
+            } else if (downloadableAPIs > 0) {
+                badge.textContent = 'AI: Download needed';
+                badge.classList.add('ai-status-download'); // blue while models can be downloaded
             } else {
-                statusDiv.textContent = 'AI: Fallback Mode';
-                statusDiv.style.background = 'rgba(255,152,0,0.3)'; // amber when using fallback
+                badge.textContent = 'AI: Fallback Mode';
+                badge.classList.add('ai-status-fallback'); // amber when using fallback
             }
             
+            // Clicking the badge lists each API's state, with download buttons where possible.
+            const panel = document.createElement('div');
+            panel.className = 'ai-status-panel';
+            panel.style.display = expanded ? 'block' : 'none';
+            badge.addEventListener('click', () => {
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            });
+            
+            Object.entries(states).forEach(([name, state]) => {
+                const row = document.createElement('div');
+                row.className = 'ai-status-row';
+                const label = document.createElement('span');
+                label.textContent = PolicyPeekAI.AI_APIS[name] ? PolicyPeekAI.AI_APIS[name].label : name;
+                const stateText = document.createElement('span');
+                stateText.className = `ai-state ai-state-${state}`;
+                stateText.textContent = { available: 'Ready', downloadable: 'Not downloaded', downloading: 'Downloading', unavailable: 'Unavailable' }[state] || state;
+                row.append(label, stateText);
+                
+                if (state === 'downloadable' || state === 'downloading') {
+                    const downloadButton = document.createElement('button');
+                    downloadButton.className = 'ai-download-btn';
+                    downloadButton.textContent = state === 'downloadable' ? 'Download' : 'Track';
+                    downloadButton.addEventListener('click', () => startModelDownload(name, downloadButton, stateText));
+                    row.appendChild(downloadButton);
+                }
+                panel.appendChild(row);
+            });
+            
+            statusDiv.append(badge, panel);
             container.appendChild(statusDiv);
         } catch (error) {
             // UI display errors should not break core functionality.
@@ -174,10 +303,31 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    async function startModelDownload(name, downloadButton, stateText) {
+        // Must run from the click handler: creating a session for a downloadable model needs user activation.
+        downloadButton.disabled = true;
+        stateText.textContent = 'Downloading 0%';
+        try {
+            await PolicyPeekAI.downloadAIModel(name, fraction => {
+                stateText.textContent = `Downloading ${Math.round(fraction * 100)}%`;
+            });
+            displayAIStatus(await checkAIAvailability(), true);
+        } catch (error) {
+            console.error(`Model download for ${name} failed:`, error);
+            stateText.textContent = 'Download failed';
+            downloadButton.disabled = false;
+        }
+    }
+
     async function analyzeCurrentPage() {
         try {
             // Show immediate analyzing state in the UI so user knows work is in progress.
             updateRiskIndicator('analyzing', 'Analyzing current website...');
+            // Sections from a previous page (before a route change) must not linger.
+            ['knownRating', 'policyLinks', 'policyChanges', 'sitePrivacyLabel', 'siteCompliance', 'consentAnalysis', 'networkActivity', 'siteReportExport', 'pageOutline'].forEach(id => {
+                const staleSection = document.getElementById(id);
+                if (staleSection) staleSection.remove();
+            });
 
             // Get active tab (only one expected) from Chrome's tabs API.
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -187,16 +337,35 @@ document.addEventListener('DOMContentLoaded', function() {
                 updateRiskIndicator('safe', 'No active tab found');
                 return;
             }
+            
+            currentTab = tab;
+            
+            // The background worker has been recording this tab's requests since the page loaded.
+            networkActivityPromise = chrome.runtime.sendMessage({ action: 'getTabNetworkActivity', tabId: tab.id })
+                .catch(error => {
+                    console.warn('Could not read third-party traffic:', error);
+                    return null;
+                });
+            displayNetworkActivity(null);
+            
+            // Offer in-page highlighting independently of how the detection result is obtained.
+            displayHighlightToggle(tab);
+            displayPageOutline(tab);
 
             // First, try to use pre-computed detection results from the background script
             // (this is faster if the background script already analyzed the page).
+            // Results are looked up by the URL and content the tab shows now, so a
+            // single-page app that changed routes never gets the previous route's result.
             try {
-                const response = await chrome.runtime.sendMessage({
+                const page = await PolicyPeekPageCache.fingerprintTab(tab.id);
+                const response = page ? await chrome.runtime.sendMessage({
                     action: 'getPageAnalysis',
-                    tabId: tab.id
-                });
+                    url: page.url,
+                    contentHash: page.contentHash
+                }) : null;
 
-                if (response && response.policyData) {
+                // Results stored by an older detector version have a different shape; re-scan those.
+                if (response && response.policyData && response.policyData.version === PolicyPeekDetector.DETECTION_RESULT_VERSION) {
                     // If the background provided analysis, display that (no injection required).
                     displayAutoDetectedAnalysis(response);
                 } else {
@@ -219,6 +388,9 @@ document.addEventListener('DOMContentLoaded', function() {
     function displayAutoDetectedAnalysis(analysisData) {
         // analysisData is expected to contain policyData and the hostname it applies to.
         const { policyData, hostname } = analysisData;
+        // Consent results stored by an older analyzer version are ignored rather than misread.
+        const consent = analysisData.consent && analysisData.consent.version === PolicyPeekConsent.CONSENT_RESULT_VERSION
+            ? analysisData.consent : null;
         
         // Default to 'safe' with a neutral description; update below if risks found.
         let level = 'safe';
@@ -234,22 +406,391 @@ document.addEventListener('DOMContentLoaded', function() {
             description = `Privacy policy detected on ${hostname}. ${policyData.foundPolicyLinks.length} policy links found.`;
         }
         
+        // A manipulative cookie banner makes the page risky even when its policy text is not.
+        if (consent && consent.darkPatterns.length > 0) {
+            const bannerNote = `Cookie banner uses ${consent.darkPatterns.length} dark pattern(s).`;
+            description = level === 'risky' ? `${description}. ${bannerNote}` : `${hostname}: ${bannerNote}`;
+            level = 'risky';
+        }
+        
         // Update the compact risk indicator UI.
         updateRiskIndicator(level, description);
+        displayKnownRating(hostname, level);
+        displayConsentAnalysis(consent);
+        
+        // Scan timings, for checking the detector's cost on heavy pages (hover the description).
+        const metrics = policyData.metrics;
+        riskDescription.title = metrics
+            ? `Page scan: ${metrics.scanMs.toFixed(1)} ms over ${metrics.textNodes} text nodes and ${metrics.links} links in ${metrics.idleSlices} idle slice(s); keyword compile ${metrics.compileMs.toFixed(1)} ms; ${metrics.lateScans} late scan(s)`
+            : '';
         
         // If the background found policy links, render them in the popup for quick access.
         if (policyData.foundPolicyLinks.length > 0) {
-            displayPolicyLinks(policyData.foundPolicyLinks);
+            displayPolicyLinks(policyData.foundPolicyLinks, null);
+            loadLinkedPolicyAnalysis(analysisData);
+        }
+    }
+
+    function displayKnownRating(hostname, level) {
+        const existingRatingDiv = document.getElementById('knownRating');
+        if (existingRatingDiv) {
+            existingRatingDiv.remove();
+        }
+        const rating = serviceRatings ? PolicyPeekRatings.findServiceRating(hostname, serviceRatings.dataset) : null;
+        if (!rating) {
+            return;
+        }
+        
+        // The reviewed grade sits next to our own page scan, so the two can be read together.
+        const service = rating.service;
+        const dataset = serviceRatings.dataset;
+        const gradeClass = rating.grade >= 'D' ? ' label-chip-warning' : rating.grade <= 'B' ? ' label-chip-good' : '';
+        const via = rating.alias || rating.domain !== hostname.replace(/^www\./, '')
+            ? ` <span class="label-source">via ${escapeHTML(rating.domain)}</span>` : '';
+        const notableIcons = { risk: '⚠️', positive: '✅', neutral: 'ℹ️' };
+        const notableHTML = (service.notable || []).length > 0
+            ? `<ul class="rating-notable">${service.notable.map(item => `<li>${notableIcons[item.type]} ${escapeHTML(item.text)}</li>`).join('')}</ul>`
+            : '';
+        
+        const ratingDiv = document.createElement('div');
+        ratingDiv.id = 'knownRating';
+        ratingDiv.className = 'privacy-label';
+        // Ratings are the dataset publisher's, so its source and license go with every one shown.
+        const attribution = [dataset.source || 'Ratings dataset', dataset.license, dataset.version].filter(Boolean).map(escapeHTML).join(' · ');
+        ratingDiv.innerHTML = `<h4 class="label-heading">📚 Known rating <span class="label-source">${attribution}</span></h4>` +
+            `<div class="label-row"><span class="label-title">Service</span><span class="label-values"><span class="label-chip">${escapeHTML(service.name)}</span>${via}</span></div>` +
+            `<div class="label-row"><span class="label-title">Grade</span><span class="label-values"><span class="label-chip${gradeClass}">${rating.grade} · ${escapeHTML(rating.gradeLabel)}</span></span></div>` +
+            `<div class="label-row"><span class="label-title">Our scan</span><span class="label-values"><span class="label-chip${level === 'risky' ? ' label-chip-warning' : ''}">${level === 'risky' ? 'Risky terms found' : 'No risky terms found'}</span></span></div>` +
+            (service.summary ? `<p class="rating-summary">${escapeHTML(service.summary)}</p>` : '') +
+            notableHTML;
+        riskIndicator.appendChild(ratingDiv);
+    }
+
+    async function loadLinkedPolicyAnalysis(analysisData) {
+        const { policyData, hostname, url } = analysisData;
+        
+        try {
+            // The background worker fetches the linked documents (or returns its cached results).
+            const sitePolicies = await chrome.runtime.sendMessage({
+                action: 'getSitePolicies',
+                hostname: hostname,
+                links: policyData.foundPolicyLinks,
+                pageUrl: url
+            });
+            
+            if (!sitePolicies || !sitePolicies.documents) {
+                displayPolicyLinks(policyData.foundPolicyLinks, []);
+                return;
+            }
+            
+            displayPolicyLinks(policyData.foundPolicyLinks, sitePolicies.documents);
+            displaySitePrivacyLabel(sitePolicies.documents);
+            displaySiteCompliance(sitePolicies.documents);
+            displayNetworkActivity(sitePolicies.documents);
+            
+            // Show what changed since the last visit when any fetched policy has a new version.
+            const history = CONFIG.ENABLE_HISTORY_CHECKER ? await loadPolicyHistory(hostname) : null;
+            displaySiteReportExport(url, sitePolicies, history);
+            
+            // The policies themselves outrank keyword hits on the linking page.
+            const riskyDocuments = sitePolicies.documents.filter(doc => doc.analysis && doc.analysis.level === 'risky');
+            if (riskyDocuments.length > 0) {
+                const names = riskyDocuments.map(doc => doc.title || doc.text).join(', ');
+                updateRiskIndicator('risky', `Linked policy review found concerning terms in: ${names}`);
+            }
+        } catch (error) {
+            console.warn('Could not load linked policy analysis:', error);
+            displayPolicyLinks(policyData.foundPolicyLinks, []);
+        }
+    }
+
+    async function loadPolicyHistory(hostname) {
+        try {
+            const history = await chrome.runtime.sendMessage({
+                action: 'getPolicyHistory',
+                hostname: hostname
+            });
+            
+            if (history && history.changes) {
+                displayPolicyChanges(history.changes);
+            }
+            return history;
+        } catch (error) {
+            console.warn('Could not load policy history:', error);
+            return null;
+        }
+    }
+
+    function renderExportButtons(reportName) {
+        return `<div class="export-bar" data-report="${reportName}"><span>Export:</span>` +
+            Object.entries({ markdown: 'Markdown', json: 'JSON', html: 'Printable HTML' })
+                .map(([format, name]) => `<button type="button" class="export-btn" data-format="${format}">${name}</button>`)
+                .join('') +
+            '</div>';
+    }
+
+    function displaySiteReportExport(pageUrl, sitePolicies, history) {
+        // Every linked document with its analysis and last change, for attaching to a review ticket.
+        const changes = history && history.changes ? history.changes : {};
+        lastSiteReport = {
+            url: pageUrl,
+            title: currentTab ? currentTab.title : null,
+            source: 'Linked policies and change history',
+            documents: sitePolicies.documents.map(doc => ({
+                title: doc.title || doc.text,
+                url: doc.href,
+                type: doc.type,
+                summary: doc.analysis ? doc.analysis.description : `Could not be analyzed: ${doc.error || 'no text found'}`,
+                analysis: doc.analysis,
+                label: doc.label,
+                compliance: doc.compliance,
+                change: changes[doc.type] ? changes[doc.type].lastDiff : null
+            }))
+        };
+        
+        const existingExportDiv = document.getElementById('siteReportExport');
+        if (existingExportDiv) {
+            existingExportDiv.remove();
+        }
+        
+        const exportDiv = document.createElement('div');
+        exportDiv.id = 'siteReportExport';
+        exportDiv.title = 'Site report: linked policies and their change history';
+        exportDiv.innerHTML = renderExportButtons('site');
+        riskIndicator.appendChild(exportDiv);
+    }
+
+    function exportReport(reportName, format) {
+        const policySource = lastAnalysis && lastAnalysis.analysis.policySource;
+        const reportInput = reportName === 'site' ? lastSiteReport : lastAnalysis && {
+            url: policySource && policySource.url ? policySource.url : (currentTab ? currentTab.url : null),
+            title: currentTab ? currentTab.title : null,
+            source: policySource ? describePolicySource(policySource) : 'Pasted policy text',
+            documents: [{ type: 'pasted', title: policySource ? policySource.title || policySource.name : undefined, summary: lastAnalysis.summary, analysis: lastAnalysis.analysis, label: lastAnalysis.analysis.label }]
+        };
+        if (!reportInput) {
+            return;
+        }
+        
+        try {
+            // Download through a temporary link; the popup needs no downloads permission for that.
+            const file = PolicyPeekReport.renderReport(PolicyPeekReport.buildReport(reportInput), format);
+            const objectUrl = URL.createObjectURL(new Blob([file.content], { type: `${file.mimeType};charset=utf-8` }));
+            const link = document.createElement('a');
+            link.href = objectUrl;
+            link.download = file.fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+        } catch (error) {
+            console.error('Could not export report:', error);
+        }
+    }
+
+    async function loadAnalyzedPolicies() {
+        try {
+            analyzedPolicies = await chrome.runtime.sendMessage({ action: 'getAnalyzedPolicies' }) || [];
+        } catch (error) {
+            console.warn('Could not load analyzed policies:', error);
+            analyzedPolicies = [];
+        }
+        
+        const typeLabels = { privacy: 'Privacy policy', terms: 'Terms', cookies: 'Cookie policy' };
+        const optionsHTML = analyzedPolicies.length > 0
+            ? analyzedPolicies.map((policy, index) =>
+                `<option value="${index}">${escapeHTML(policy.hostname)} · ${escapeHTML(typeLabels[policy.type] || policy.title)}</option>`).join('')
+            : '<option value="">No analyzed sites yet</option>';
+        comparison.querySelectorAll('.comparison-site').forEach(select => {
+            select.innerHTML = optionsHTML;
+        });
+    }
+
+    // { name, analysis } for one side of the comparison; throws with a message to show when the input is unusable.
+    async function readComparisonSide(side) {
+        const sideName = side.querySelector('.comparison-side-title').textContent;
+        const source = side.querySelector('.comparison-source').value;
+        
+        if (source === 'url') {
+            const url = side.querySelector('.comparison-url').value.trim();
+            if (!url) {
+                throw new Error(`${sideName}: enter the address of a policy.`);
+            }
+            const fetched = await chrome.runtime.sendMessage({ action: 'analyzePolicyUrl', url: url });
+            if (!fetched || fetched.error) {
+                throw new Error(`${sideName}: could not analyze ${url} (${fetched ? fetched.error : 'no response'}).`);
+            }
+            return { name: fetched.title || new URL(fetched.url).hostname, analysis: fetched.analysis };
+        }
+        
+        if (source === 'site') {
+            const policy = analyzedPolicies ? analyzedPolicies[side.querySelector('.comparison-site').value] : null;
+            if (!policy) {
+                throw new Error(`${sideName}: no previously analyzed site selected.`);
+            }
+            return { name: `${policy.hostname} · ${policy.title}`, analysis: policy.analysis };
+        }
+        
+        // Pasted text gets the same minimum as the single-policy analysis.
+        const text = side.querySelector('.comparison-text').value.trim();
+        if (text.length < 100) {
+            throw new Error(`${sideName}: paste at least 100 characters of policy text.`);
+        }
+        const analysis = await analyzeMultilingualPolicy(text, {
+            translate: CONFIG.ENABLE_TRANSLATION,
+            thresholds: PolicyPeekSettings.getRiskThresholds(settings),
+            customRules: customRules
+        });
+        return { name: 'Pasted text', analysis: { ...analysis, readability: measureReadability(text, analysis) } };
+    }
+
+    function displayComparison(result) {
+        const describe = side => `${escapeHTML(side.name)} <span class="label-chip${side.level === 'risky' ? ' label-chip-warning' : ''}">${side.level === 'risky' ? 'Risky' : 'Safe'} · ${side.riskScore}</span>`;
+        const formatScore = score => score === null ? '–' : `${score > 0 ? '+' : ''}${score}`;
+        const renderFindings = (title, findings) => findings.length === 0 ? '' :
+            `<h4>${title}</h4><ul>` + findings.map(finding =>
+                `<li title="${escapeHTML(finding.sentence)}">${escapeHTML(finding.label)}<div style="opacity: 0.7; font-size: 11px;">${escapeHTML(finding.explanation)}</div></li>`
+            ).join('') + '</ul>';
+        
+        let comparisonHTML = `<div>A: ${describe(result.left)}</div><div>B: ${describe(result.right)}</div>`;
+        
+        // Category scores side by side; the riskier side of each row is marked.
+        if (result.categories.length > 0) {
+            comparisonHTML += '<table class="comparison-table"><tr><th>Category</th><th>A</th><th>B</th></tr>';
+            result.categories.forEach(row => {
+                const leftClass = row.difference > 0 ? ' comparison-worse' : '';
+                const rightClass = row.difference < 0 ? ' comparison-worse' : '';
+                comparisonHTML += `<tr><td>${escapeHTML(row.label)}</td>` +
+                    `<td class="comparison-score${leftClass}">${formatScore(row.left)}</td>` +
+                    `<td class="comparison-score${rightClass}">${formatScore(row.right)}</td></tr>`;
+            });
+            comparisonHTML += '</table>';
+        }
+        
+        // Reading effort side by side; the harder side of each row is marked.
+        if (result.readability.length > 0) {
+            comparisonHTML += '<table class="comparison-table"><tr><th>Readability</th><th>A</th><th>B</th></tr>';
+            result.readability.forEach(row => {
+                const leftClass = row.harder === 'left' ? ' comparison-worse' : '';
+                const rightClass = row.harder === 'right' ? ' comparison-worse' : '';
+                comparisonHTML += `<tr><td>${escapeHTML(row.label)}</td>` +
+                    `<td class="comparison-score${leftClass}">${row.left === null ? '–' : row.left}</td>` +
+                    `<td class="comparison-score${rightClass}">${row.right === null ? '–' : row.right}</td></tr>`;
+            });
+            comparisonHTML += '</table>';
+        }
+        
+        comparisonHTML += renderFindings('⚠️ Risky clauses only in A', result.risksOnlyIn.left);
+        comparisonHTML += renderFindings('⚠️ Risky clauses only in B', result.risksOnlyIn.right);
+        comparisonHTML += renderFindings('✅ Protections only A offers', result.protectionsOnlyIn.left);
+        comparisonHTML += renderFindings('✅ Protections only B offers', result.protectionsOnlyIn.right);
+        comparisonHTML += `<p style="opacity: 0.8; margin-top: 8px;">Both contain ${result.sharedRisks.length} risky clause(s) and ${result.sharedProtections.length} protection(s).</p>`;
+        
+        comparisonResults.innerHTML = comparisonHTML;
+    }
+
+    function displayPolicyChanges(changes) {
+        // Only policy types whose text changed at least once have a diff to show.
+        const changedTypes = Object.entries(changes).filter(([_, entry]) => entry.lastDiff);
+        
+        const existingChangesDiv = document.getElementById('policyChanges');
+        if (existingChangesDiv) {
+            existingChangesDiv.remove();
+        }
+        
+        if (changedTypes.length === 0) {
+            return;
+        }
+        
+        const typeLabels = { privacy: 'Privacy policy', terms: 'Terms', cookies: 'Cookie policy' };
+        let changesHTML = '';
+        
+        changedTypes.forEach(([policyType, entry]) => {
+            const diff = entry.lastDiff;
+            const changedOn = new Date(diff.toDate).toLocaleDateString();
+            const scoreChange = diff.previousRiskScore !== null && diff.riskScore !== null
+                ? ` · risk score ${diff.previousRiskScore} → ${diff.riskScore}`
+                : '';
+            
+            changesHTML += `<h4>📝 ${typeLabels[policyType] || policyType} changed ${changedOn}${scoreChange}</h4>`;
+            
+            // Risk changes are called out first since they matter most to the user.
+            if (diff.riskChanges.length > 0) {
+                changesHTML += '<ul class="diff-risk-changes">';
+                diff.riskChanges.forEach(riskChange => {
+                    const labels = [...riskChange.gained, ...riskChange.lost].map(escapeHTML).join(', ');
+                    changesHTML += `<li title="${escapeHTML(riskChange.sentence)}">${riskChange.change}: ${labels}</li>`;
+                });
+                changesHTML += '</ul>';
+            }
+            
+            changesHTML += `<details><summary>+${diff.added.length} added, −${diff.removed.length} removed, ${diff.reworded.length} reworded</summary><ul class="diff-list">`;
+            diff.added.forEach(sentence => {
+                changesHTML += `<li class="diff-added">${escapeHTML(sentence)}</li>`;
+            });
+            diff.removed.forEach(sentence => {
+                changesHTML += `<li class="diff-removed">${escapeHTML(sentence)}</li>`;
+            });
+            diff.reworded.forEach(({ before, after }) => {
+                changesHTML += `<li class="diff-reworded"><span class="diff-removed">${escapeHTML(before)}</span><span class="diff-added">${escapeHTML(after)}</span></li>`;
+            });
+            changesHTML += '</ul></details>';
+        });
+        
+        const changesDiv = document.createElement('div');
+        changesDiv.id = 'policyChanges';
+        changesDiv.className = 'policy-changes';
+        changesDiv.innerHTML = changesHTML;
+        riskIndicator.appendChild(changesDiv);
+    }
+
+    function formatPolicyDocumentStatus(policyDocument, isPending) {
+        // Small inline label rendered next to each policy link.
+        const labelStyle = 'margin-left: 6px; padding: 1px 6px; border-radius: 8px; font-size: 10px;';
+        
+        if (!policyDocument) {
+            return isPending ? `<span style="${labelStyle} background: rgba(255,152,0,0.3);">Analyzing...</span>` : '';
+        }
+        
+        if (policyDocument.error || !policyDocument.analysis) {
+            return `<span style="${labelStyle} background: rgba(255,255,255,0.15);" title="${escapeHTML(policyDocument.error || 'No text found')}">Unavailable</span>`;
+        }
+        
+        const { level, riskScore, foundRisks } = policyDocument.analysis;
+        const background = level === 'risky' ? 'rgba(244,67,54,0.6)' : 'rgba(76,175,80,0.5)';
+        const details = foundRisks.length > 0 ? `Found: ${foundRisks.join(', ')}` : 'No risk keywords found';
+        const statusHTML = `<span style="${labelStyle} background: ${background};" title="${escapeHTML(details)}">${level === 'risky' ? 'Risky' : 'Safe'} · ${riskScore}</span>`;
+        
+        // Documents cached before readability was measured have no metrics.
+        const readability = policyDocument.analysis.readability;
+        if (!readability) {
+            return statusHTML;
         }
+        const readabilityDetails = PolicyPeekReadability.describeReadability(readability).map(row => `${row.title}: ${row.value}`).join('\n');
+        return `${statusHTML}<span style="${labelStyle} background: rgba(255,255,255,0.15);" title="${escapeHTML(readabilityDetails)}">📖 ${readability.readingMinutes} min` +
+            `${readability.fleschKincaidGrade !== null ? ` · grade ${readability.fleschKincaidGrade}` : ''}</span>`;
     }
 
-    function displayPolicyLinks(policyLinks) {
+    function displayPolicyLinks(policyLinks, policyDocuments) {
+        // Index fetched documents by URL (the background strips the #fragment before fetching).
+        const documentsByHref = {};
+        (policyDocuments || []).forEach(doc => {
+            documentsByHref[doc.href] = doc;
+        });
+        
         // Build a small list of links with styling that fits the popup theme.
         const linksHTML = policyLinks.map(link => 
-            `<li><a href="${link.href}" target="_blank" style="color: rgba(255,255,255,0.8); text-decoration: none;">${link.text}</a></li>`
+            `<li><a href="${escapeHTML(link.href)}" target="_blank" style="color: rgba(255,255,255,0.8); text-decoration: none;">${escapeHTML(link.text)}</a>${formatPolicyDocumentStatus(documentsByHref[link.href.split('#')[0]], policyDocuments === null)}</li>`
         ).join('');
         
+        // Re-render in place when the linked document analysis arrives.
+        const existingLinksDiv = document.getElementById('policyLinks');
+        if (existingLinksDiv) {
+            existingLinksDiv.remove();
+        }
+        
         const policyLinksDiv = document.createElement('div');
+        policyLinksDiv.id = 'policyLinks';
         // Inline HTML snippet to keep popup markup simple and self-contained.
         policyLinksDiv.innerHTML = `
             <div style="margin-top: 10px; padding: 10px; background: rgba(255,255,255,0.1); border-radius: 8px;">
@@ -262,53 +803,225 @@ document.addEventListener('DOMContentLoaded', function() {
         riskIndicator.appendChild(policyLinksDiv);
     }
 
-    async function performRealTimeAnalysis(tab) {
+    function displaySitePrivacyLabel(policyDocuments) {
+        // Prefer the privacy policy's label; terms or cookie policies are used when that is all there is.
+        const labeled = policyDocuments.filter(doc => doc.label);
+        const policyDocument = labeled.find(doc => doc.type === 'privacy') || labeled[0];
+        const labelHTML = policyDocument ? renderPrivacyLabel(policyDocument.label) : '';
+        
+        const existingLabelDiv = document.getElementById('sitePrivacyLabel');
+        if (existingLabelDiv) {
+            existingLabelDiv.remove();
+        }
+        if (!labelHTML) {
+            return;
+        }
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.id = 'sitePrivacyLabel';
+        labelDiv.className = 'privacy-label';
+        labelDiv.innerHTML = labelHTML;
+        riskIndicator.appendChild(labelDiv);
+    }
+
+    function displaySiteCompliance(policyDocuments) {
+        // Disclosure requirements apply to the privacy policy; other documents only when there is none.
+        const checked = policyDocuments.filter(doc => doc.compliance && doc.compliance.length > 0);
+        const policyDocument = checked.find(doc => doc.type === 'privacy') || checked[0];
+        const complianceHTML = policyDocument ? renderCompliance(policyDocument.compliance) : '';
+        
+        const existingComplianceDiv = document.getElementById('siteCompliance');
+        if (existingComplianceDiv) {
+            existingComplianceDiv.remove();
+        }
+        if (!complianceHTML) {
+            return;
+        }
+        
+        const complianceDiv = document.createElement('div');
+        complianceDiv.id = 'siteCompliance';
+        complianceDiv.className = 'privacy-label';
+        complianceDiv.innerHTML = complianceHTML;
+        riskIndicator.appendChild(complianceDiv);
+    }
+
+    async function displayNetworkActivity(policyDocuments) {
+        const activityPromise = networkActivityPromise;
+        let activity = null;
+        let trackerList = null;
         try {
-            // Inject a small script into the active tab to collect plaintext and detect keywords.
-            // Using chrome.scripting.executeScript to run inside the page context (safer than eval).
-            const results = await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                function: () => {
-                    // This function runs in the context of the web page (not in the popup).
-                    // Extract visible textual content and normalize to lowercase for keyword checks.
-                    const pageText = document.body.innerText.toLowerCase();
-                    // Keywords used to detect policy presence and risky terms.
-                    const policyKeywords = ['privacy policy', 'terms of service', 'cookie policy'];
-                    const riskyKeywords = ['sell your data', 'third parties', 'without notice'];
-                    
-                    let hasPolicyContent = false;
-                    let hasRiskyKeywords = false;
-                    
-                    // Simple containment checks; fine for heuristic detection in the popup.
-                    policyKeywords.forEach(keyword => {
-                        if (pageText.includes(keyword)) hasPolicyContent = true;
-                    });
-                    
-                    riskyKeywords.forEach(keyword => {
-                        if (pageText.includes(keyword)) hasRiskyKeywords = true;
-                    });
-                    
-                    // Return a compact object with the analysis result to the popup.
-                    return { hasPolicyContent, hasRiskyKeywords, hostname: window.location.hostname };
+            [activity, trackerList] = await Promise.all([activityPromise, PolicyPeekTrackers.loadTrackerList()]);
+        } catch (error) {
+            console.warn('Could not load the tracker list:', error);
+            return;
+        }
+        // A newer page analysis has started (route change) or nothing third-party was contacted.
+        if (activityPromise !== networkActivityPromise || !activity || activity.thirdParties.length === 0) {
+            return;
+        }
+        
+        // A claim is contradicted once, quoting the first document that makes it.
+        const analyzedDocuments = (policyDocuments || []).filter(doc => doc.analysis);
+        const contradictions = [];
+        analyzedDocuments.forEach(doc => {
+            PolicyPeekTrackers.findClaimContradictions(doc.analysis, activity, trackerList).forEach(contradiction => {
+                if (!contradictions.some(existing => existing.id === contradiction.id)) {
+                    contradictions.push({ ...contradiction, document: doc.title || doc.text });
                 }
             });
+        });
+        
+        // Same row-and-chip layout as the privacy label card: one row per tracker category.
+        const rows = Object.entries(trackerList.categories).map(([category, info]) => {
+            const trackers = activity.thirdParties.filter(entry => entry.category === category);
+            if (trackers.length === 0) {
+                return '';
+            }
+            const chipsHTML = trackers.map(entry =>
+                `<span class="label-chip" title="${escapeHTML(entry.hosts.join(', '))} · ${entry.requests} request(s)">${escapeHTML(entry.company)}</span>`
+            ).join('');
+            return `<div class="label-row"><span class="label-title">${info.icon} ${escapeHTML(info.label)}</span><span class="label-values">${chipsHTML}</span></div>`;
+        });
+        const otherCount = activity.thirdParties.length - activity.trackerCount;
+        if (otherCount > 0) {
+            const otherSites = activity.thirdParties.filter(entry => !entry.category).map(entry => entry.site);
+            rows.push(`<div class="label-row"><span class="label-title">Other</span><span class="label-values"><span class="label-chip" title="${escapeHTML(otherSites.join(', '))}">${otherCount} site(s)</span></span></div>`);
+        }
+        
+        let claimsHTML = '';
+        if (contradictions.length > 0) {
+            claimsHTML = `<ul class="consent-patterns">${contradictions.map(contradiction => {
+                const companies = Array.from(new Set(contradiction.trackers.map(tracker => tracker.company)));
+                return `<li title="${escapeHTML(contradiction.evidence)}"><strong>${escapeHTML(contradiction.label)}</strong> (${escapeHTML(contradiction.document)})` +
+                    ` — but this page loads trackers from ${escapeHTML(companies.join(', '))}</li>`;
+            }).join('')}</ul>`;
+        } else if (analyzedDocuments.length > 0) {
+            claimsHTML = '<p class="consent-fair">✅ No policy claims contradicted by this traffic.</p>';
+        }
+        
+        const existingNetworkDiv = document.getElementById('networkActivity');
+        if (existingNetworkDiv) {
+            existingNetworkDiv.remove();
+        }
+        const networkDiv = document.createElement('div');
+        networkDiv.id = 'networkActivity';
+        networkDiv.className = 'privacy-label';
+        networkDiv.innerHTML = `<h4 class="label-heading">🛰️ Third-party traffic <span class="label-source">${activity.thirdParties.length} site(s), ${activity.trackerCount} known tracker(s)</span></h4>` +
+            `${rows.join('')}${claimsHTML}`;
+        riskIndicator.appendChild(networkDiv);
+    }
+
+    async function displayHighlightToggle(tab) {
+        try {
+            // Fails on pages the extension cannot script (chrome://, the web store); the button stays hidden.
+            const highlightSummary = await PolicyPeekHighlighter.getTabHighlightSummary(tab.id);
+            setHighlightButton(highlightSummary && highlightSummary.active, highlightSummary ? highlightSummary.count : 0);
+            highlightButton.style.display = 'block';
+        } catch (error) {
+            console.warn('In-page highlighting unavailable on this tab:', error);
+            highlightButton.style.display = 'none';
+        }
+    }
+    
+    function setHighlightButton(active, count) {
+        highlightButton.dataset.active = active ? 'true' : 'false';
+        highlightButton.textContent = active ? `✖ Remove ${count} highlight(s) from this page` : '🖍️ Highlight clauses on this page';
+    }
+    
+    async function toggleHighlights(tab) {
+        highlightButton.disabled = true;
+        try {
+            if (highlightButton.dataset.active === 'true') {
+                await PolicyPeekHighlighter.clearTabHighlights(tab.id);
+                setHighlightButton(false, 0);
+                return;
+            }
+            
+            // Analyze the text exactly as the highlighter indexed it, so every quote can be found again.
+            const page = await PolicyPeekHighlighter.readTab(tab.id);
+            const matches = page ? findClauseMatches(page.text, { customRules }) : [];
+            const outcome = matches.length > 0 ? await PolicyPeekHighlighter.highlightTab(tab.id, matches) : null;
+            if (outcome && outcome.highlighted > 0) {
+                setHighlightButton(true, outcome.highlighted);
+            } else {
+                highlightButton.textContent = '🖍️ No matching clauses on this page';
+            }
+        } catch (error) {
+            console.error('Highlighting failed:', error);
+            highlightButton.textContent = '🖍️ Could not highlight this page';
+        } finally {
+            highlightButton.disabled = false;
+        }
+    }
+
+    function displayConsentAnalysis(consent) {
+        const existingConsentDiv = document.getElementById('consentAnalysis');
+        if (existingConsentDiv) {
+            existingConsentDiv.remove();
+        }
+        if (!consent || !consent.found) {
+            return;
+        }
+        
+        // Same row-and-chip layout as the privacy label card.
+        const chips = (values, className) => values.map(value => `<span class="label-chip${className ? ` ${className}` : ''}">${escapeHTML(value)}</span>`).join('');
+        const rows = [];
+        const addRow = (title, valueHTML) => {
+            if (valueHTML) rows.push(`<div class="label-row"><span class="label-title">${title}</span><span class="label-values">${valueHTML}</span></div>`);
+        };
+        
+        addRow('Accept', chips(consent.buttons.accept));
+        addRow('Reject', consent.buttons.reject.length > 0 ? chips(consent.buttons.reject) : chips(['None on first screen'], 'label-chip-warning'));
+        addRow('Settings', chips(consent.buttons.settings));
+        addRow('Purposes', chips(consent.purposes));
+        addRow('Vendors', consent.vendorCount ? chips([`${consent.vendorCount} disclosed`]) : '');
+        
+        const patternsHTML = consent.darkPatterns.length > 0
+            ? `<ul class="consent-patterns">${consent.darkPatterns.map(pattern =>
+                `<li><strong>${escapeHTML(pattern.label)}</strong>${pattern.detail ? ` — ${escapeHTML(pattern.detail)}` : ''}</li>`
+            ).join('')}</ul>`
+            : '<p class="consent-fair">✅ No dark patterns found in the banner.</p>';
+        const visibility = consent.bannerVisible ? '' : ' <span class="label-source">(banner not showing)</span>';
+        
+        const consentDiv = document.createElement('div');
+        consentDiv.id = 'consentAnalysis';
+        consentDiv.className = 'privacy-label';
+        consentDiv.innerHTML = `<h4 class="label-heading">🍪 Cookie banner <span class="label-source">${escapeHTML(consent.platformLabel)}</span>${visibility}</h4>${rows.join('')}${patternsHTML}`;
+        riskIndicator.appendChild(consentDiv);
+    }
+
+    async function performRealTimeAnalysis(tab) {
+        try {
+            // Inject the same detector the background worker uses, so both paths agree.
+            // Indicators are left to the background scan; the popup only reads the page.
+            const policyData = await PolicyPeekDetector.scanTab(tab.id, {
+                showIndicators: false,
+                // Late content is the background scan's job; the popup only needs a snapshot
+                watch: false,
+                extraKeywords: customRules.pageKeywords
+            });
             
-            // The results array mirrors the scripting API's responses; take first frame's result.
-            if (results && results[0]) {
-                const analysis = results[0].result;
-                let level = 'safe';
-                let description = `${analysis.hostname} appears to have standard privacy practices.`;
-                
-                // Elevate to risky if risky keywords were found.
-                if (analysis.hasRiskyKeywords) {
-                    level = 'risky';
-                    description = `Potential privacy risks detected on ${analysis.hostname}`;
-                } else if (analysis.hasPolicyContent) {
-                    // If policy content is present but no risky keywords, indicate presence.
-                    description = `Privacy policy content found on ${analysis.hostname}`;
-                }
+            // The consent banner is optional: a failed scan still shows the policy detection.
+            let consent = null;
+            try {
+                consent = await PolicyPeekConsent.scanTabConsent(tab.id);
+            } catch (consentError) {
+                console.warn('Cookie consent analysis failed:', consentError);
+            }
+            
+            if (policyData) {
+                const analysisData = {
+                    policyData: policyData,
+                    hostname: policyData.hostname,
+                    url: policyData.url,
+                    consent: consent
+                };
+                displayAutoDetectedAnalysis(analysisData);
                 
-                updateRiskIndicator(level, description);
+                // Cache the result so the next popup (and the background) can reuse it for this document.
+                PolicyPeekPageCache.storeTabAnalysis(tab.id, analysisData).catch(cacheError => {
+                    console.warn('Could not cache page analysis:', cacheError);
+                });
             } else {
                 // If injection returned no useful result, fall back to a message telling user how to proceed.
                 const hostname = new URL(tab.url).hostname;
@@ -335,11 +1048,9 @@ document.addEventListener('DOMContentLoaded', function() {
         riskDescription.textContent = description;
     }
 
-    // Manual policy analysis flow triggered by the Analyze button in the popup.
-    analyzeButton.addEventListener('click', async function() {
-        // Read trimmed text from the textarea to avoid leading/trailing whitespace affecting length checks.
-        const text = policyText.value.trim();
-        
+    // Manual policy analysis flow, shared by the Analyze button, imported files, fetched URLs and
+    // selections sent from the context menu.
+    async function runManualAnalysis(text, source) {
         // Simple input validation: require some text.
         if (!text) {
             alert('Please paste some policy text to analyze');
@@ -347,7 +1058,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         // Encourage a meaningful minimum to reduce false-negative/positive results.
-        if (text.length < 100) {
+        // A selection is a deliberate pick, so a single clause is enough.
+        if (text.length < 100 && !(source && source.type === 'selection')) {
             alert('Please provide more text for a meaningful analysis (at least 100 characters)');
             return;
         }
@@ -356,9 +1068,11 @@ document.addEventListener('DOMContentLoaded', function() {
             // Disable button to prevent multiple concurrent requests and show a temporary label.
             analyzeButton.disabled = true;
             analyzeButton.textContent = 'Analyzing...';
+            analysisController = new AbortController();
+            cancelButton.style.display = 'block';
             
             // Main analysis function (tries AI-enhanced flow and falls back to heuristics).
-            await analyzePolicyText(text);
+            await analyzePolicyText(text, source);
             
         } catch (error) {
             console.error('Analysis error:', error);
@@ -367,153 +1081,415 @@ document.addEventListener('DOMContentLoaded', function() {
             // Restore button state regardless of success/failure.
             analyzeButton.disabled = false;
             analyzeButton.textContent = 'Analyze Policy';
+            analysisController = null;
+            cancelButton.style.display = 'none';
+            showProgress(null);
+        }
+    }
+
+    analyzeButton.addEventListener('click', function() {
+        // Read trimmed text from the textarea to avoid leading/trailing whitespace affecting length checks.
+        runManualAnalysis(policyText.value.trim(), policyTextSource);
+    });
+
+    // Files are read locally; their text fills the textarea and is analyzed like pasted text.
+    async function importPolicyFile(file) {
+        importStatus.style.display = 'block';
+        importStatus.textContent = `Reading ${file.name}...`;
+        
+        try {
+            const extracted = await PolicyPeekFileImport.extractFileText(file);
+            policyText.value = extracted.text;
+            policyTextSource = { name: extracted.name, type: extracted.type, label: extracted.label, title: extracted.title, pages: extracted.pages };
+            importStatus.textContent = `📄 ${describePolicySource(policyTextSource)}`;
+            await runManualAnalysis(extracted.text, policyTextSource);
+        } catch (error) {
+            console.warn('File import failed:', error);
+            importStatus.textContent = error.message;
+        }
+    }
+    
+    function describePolicySource(policySource) {
+        const pages = policySource.pages ? `, ${policySource.pages} page(s)` : '';
+        return `${policySource.name} (${policySource.label}${pages})`;
+    }
+    
+    // A remote policy is fetched by the popup (it has the same host access as the worker), then analyzed like
+    // pasted text. Resolves to false when the address is invalid or the policy could not be fetched.
+    async function analyzeRemotePolicy(url) {
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || (parsed.protocol !== 'https:' && parsed.protocol !== 'http:')) {
+            importStatus.style.display = 'block';
+            importStatus.textContent = 'Enter an http or https address of a policy.';
+            return false;
+        }
+        
+        importStatus.style.display = 'block';
+        importStatus.textContent = `Fetching ${parsed.href}...`;
+        analyzeUrlButton.disabled = true;
+        try {
+            const policyDocument = await PolicyPeekFetcher.fetchPolicyDocument(parsed.href);
+            if (!policyDocument.text) {
+                throw new Error('No policy text found at that address');
+            }
+            policyText.value = policyDocument.text;
+            policyTextSource = { name: policyDocument.url, type: 'url', label: 'Policy URL', title: policyDocument.title, url: policyDocument.url };
+            importStatus.textContent = `🔗 ${policyDocument.title || policyDocument.url}`;
+            await runManualAnalysis(policyDocument.text, policyTextSource);
+            return true;
+        } catch (error) {
+            console.warn('Policy URL fetch failed:', error);
+            importStatus.textContent = `Could not fetch ${parsed.href}: ${error.name === 'AbortError' ? 'the site took too long to answer' : error.message}`;
+            return false;
+        } finally {
+            analyzeUrlButton.disabled = false;
+        }
+    }
+    
+    // The context menu leaves its request in session storage and opens the popup to run it.
+    async function takePendingAnalysis() {
+        const stored = await chrome.storage.session.get([PENDING_ANALYSIS_KEY]);
+        const pending = stored[PENDING_ANALYSIS_KEY];
+        if (!pending) {
+            return null;
+        }
+        await chrome.storage.session.remove([PENDING_ANALYSIS_KEY]);
+        // A request the popup did not open for (it could not be opened) should not run on a later visit
+        return Date.now() - pending.createdAt > PENDING_ANALYSIS_MAX_AGE_MS ? null : pending;
+    }
+    
+    async function runPendingAnalysis(pending) {
+        if (pending.kind === 'url') {
+            policyUrl.value = pending.url;
+            if (!await analyzeRemotePolicy(pending.url)) {
+                showError(importStatus.textContent);
+            }
+        } else if (pending.kind === 'selection') {
+            const hostname = pending.pageUrl ? new URL(pending.pageUrl).hostname : '';
+            policyText.value = pending.text;
+            policyTextSource = { name: pending.title || hostname || 'Web page', type: 'selection', label: 'Selected text', title: pending.title, url: pending.pageUrl };
+            importStatus.style.display = 'block';
+            importStatus.textContent = `✂️ ${describePolicySource(policyTextSource)}`;
+            await runManualAnalysis(pending.text, policyTextSource);
+        }
+    }
+    
+    analyzeUrlButton.addEventListener('click', () => analyzeRemotePolicy(policyUrl.value.trim()));
+    policyUrl.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            analyzeRemotePolicy(policyUrl.value.trim());
+        }
+    });
+    
+    policyText.addEventListener('input', () => {
+        policyTextSource = null;
+        importStatus.style.display = 'none';
+    });
+    
+    policyFile.addEventListener('change', () => {
+        if (policyFile.files.length > 0) {
+            importPolicyFile(policyFile.files[0]);
+        }
+        // Picking the same file again should import it again
+        policyFile.value = '';
+    });
+    
+    // Files can be dropped on the drop zone or straight onto the textarea.
+    [fileDrop, policyText].forEach(target => {
+        target.addEventListener('dragover', (event) => {
+            if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+                event.preventDefault();
+                fileDrop.classList.add('file-drop-active');
+            }
+        });
+        target.addEventListener('dragleave', () => fileDrop.classList.remove('file-drop-active'));
+        target.addEventListener('drop', (event) => {
+            fileDrop.classList.remove('file-drop-active');
+            if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+                event.preventDefault();
+                importPolicyFile(event.dataTransfer.files[0]);
+            }
+        });
+    });
+
+    highlightButton.addEventListener('click', function() {
+        if (currentTab) {
+            toggleHighlights(currentTab);
+        }
+    });
+    
+    // Keep the popup on the document the tab is showing: a single-page app can change
+    // routes while the popup is open, and each route is analyzed as its own page.
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (!currentTab || tabId !== currentTab.id || !(changeInfo.url || changeInfo.status === 'complete')) {
+            return;
+        }
+        clearTimeout(routeChangeTimer);
+        routeChangeTimer = setTimeout(analyzeCurrentPage, 1000);
+    });
+
+    // Cancelling stops the AI sessions and the external provider; the local analysis is still shown.
+    cancelButton.addEventListener('click', function() {
+        if (analysisController) {
+            analysisController.abort();
+        }
+    });
+
+    // Comparison mode: each side is pasted text, a URL, or a policy analyzed for an earlier site.
+    comparison.addEventListener('toggle', () => {
+        if (comparison.open && !analyzedPolicies) {
+            loadAnalyzedPolicies();
+        }
+    });
+    
+    comparison.querySelectorAll('.comparison-side').forEach(side => {
+        const source = side.querySelector('.comparison-source');
+        source.addEventListener('change', () => {
+            side.querySelector('.comparison-text').style.display = source.value === 'text' ? 'block' : 'none';
+            side.querySelector('.comparison-url').style.display = source.value === 'url' ? 'block' : 'none';
+            side.querySelector('.comparison-site').style.display = source.value === 'site' ? 'block' : 'none';
+        });
+    });
+    
+    compareButton.addEventListener('click', async function() {
+        const sides = Array.from(comparison.querySelectorAll('.comparison-side'));
+        
+        try {
+            compareButton.disabled = true;
+            compareButton.textContent = 'Comparing...';
+            comparisonResults.style.display = 'block';
+            comparisonResults.textContent = 'Analyzing both policies...';
+            
+            const [left, right] = await Promise.all(sides.map(readComparisonSide));
+            displayComparison(PolicyPeekComparison.comparePolicies(left, right));
+        } catch (error) {
+            console.warn('Comparison failed:', error);
+            comparisonResults.textContent = error.message;
+        } finally {
+            compareButton.disabled = false;
+            compareButton.textContent = 'Compare Policies';
         }
     });
+    
+    // One listener covers the results bar and the site report bar, which is re-rendered per page.
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest('.export-btn');
+        if (button) {
+            exportReport(button.closest('.export-bar').dataset.report, button.dataset.format);
+        }
+    });
+
+    function showProgress(progress) {
+        // null hides the bar; otherwise show the stage label and how far along it is.
+        if (!progress) {
+            analysisProgress.style.display = 'none';
+            return;
+        }
+        analysisProgress.style.display = 'block';
+        progressLabel.textContent = progress.label;
+        progressFill.style.width = `${Math.round((progress.fraction || 0) * 100)}%`;
+    }
 
-    async function analyzePolicyText(text) {
+    function isCancelled(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    // policySource: the imported file, fetched URL or context-menu selection the text came from; null for pasted text
+    async function analyzePolicyText(text, policySource = null) {
+        const signal = analysisController ? analysisController.signal : undefined;
+        let cancelled = false;
+        
         try {
             // These variables will hold progressively improved summaries.
             let summaryText = '';
             let enhancedSummary = '';
             
-            // Attempt to use an available Summarizer API if the environment exposes one.
-            if (window.ai && window.ai.summarizer) {
+            // Summarize with the Summarizer API if the environment exposes one. Long policies are
+            // split along their sections, summarized part by part and then merged.
+            // Models that still need downloading are skipped; the AI status badge offers the download.
+            if (await PolicyPeekAI.getAIAvailability('summarizer') === 'available') {
                 try {
-                    // Create a summarizer instance with a configuration tuned for concise key points.
-                    const summarizer = await window.ai.summarizer.create({
-                        type: 'key-points',
-                        format: 'plain-text',
-                        length: 'short'
+                    summaryText = await PolicyPeekSummarizer.summarizeLongText(text, {
+                        signal,
+                        // A configuration tuned for concise key points.
+                        createSession: ({ signal }) => PolicyPeekAI.createAISession('summarizer', {
+                            type: 'key-points',
+                            format: 'plain-text',
+                            length: 'short'
+                        }, { signal }),
+                        onProgress: ({ stage, completed, total }) => showProgress(stage === 'map'
+                            ? { label: `Summarizing part ${Math.min(completed + 1, total)} of ${total}...`, fraction: 0.8 * completed / total }
+                            : { label: 'Merging summaries...', fraction: 0.8 + 0.1 * completed / total })
                     });
-                    // Summarize the provided policy text.
-                    summaryText = await summarizer.summarize(text);
                 } catch (error) {
                     // If the AI summarizer fails (network, quota), log and continue to fallbacks.
-                    console.warn('Summarizer API failed:', error);
+                    if (isCancelled(error)) {
+                        cancelled = true;
+                    } else {
+                        console.warn('Summarizer API failed:', error);
+                    }
                 }
             }
             
             // If we obtained a summary, attempt to enhance it with a writer API that can refocus on risks.
-            if (window.ai && window.ai.writer && summaryText) {
+            if (summaryText && !cancelled) {
+                let writer = null;
                 try {
-                    const writer = await window.ai.writer.create({
+                    writer = await PolicyPeekAI.createReadyAISession('writer', {
                         tone: 'neutral',
                         format: 'plain-text',
                         length: 'short'
-                    });
+                    }, { signal });
                     
                     // Provide a focused instruction so the writer highlights risks/benefits plainly.
-                    const prompt = `Rewrite this privacy policy summary to highlight key risks and benefits in simple terms: ${summaryText}`;
-                    enhancedSummary = await writer.write(prompt);
+                    if (writer) {
+                        showProgress({ label: 'Writing summary...', fraction: 0.9 });
+                        const prompt = `Rewrite this privacy policy summary to highlight key risks and benefits in simple terms: ${summaryText}`;
+                        enhancedSummary = await writer.write(prompt, { signal });
+                    }
                 } catch (error) {
                     // If writer fails, fall back to the plain summary we already have.
-                    console.warn('Writer API failed:', error);
+                    if (isCancelled(error)) {
+                        cancelled = true;
+                    } else {
+                        console.warn('Writer API failed:', error);
+                    }
                     enhancedSummary = summaryText;
+                } finally {
+                    if (writer && writer.destroy) writer.destroy();
                 }
             }
             
             // Optionally polish the final text for readability and tone with a rewriter API.
-            if (window.ai && window.ai.rewriter && enhancedSummary) {
+            if (enhancedSummary && !cancelled) {
+                let rewriter = null;
                 try {
-                    const rewriter = await window.ai.rewriter.create({
+                    rewriter = await PolicyPeekAI.createReadyAISession('rewriter', {
                         tone: 'more-casual',
                         length: 'shorter'
-                    });
+                    }, { signal });
                     
-                    enhancedSummary = await rewriter.rewrite(enhancedSummary);
+                    if (rewriter) {
+                        showProgress({ label: 'Polishing summary...', fraction: 0.95 });
+                        enhancedSummary = await rewriter.rewrite(enhancedSummary, { signal });
+                    }
                 } catch (error) {
                     // Polishing is optional; if it fails, we keep the existing enhanced summary.
-                    console.warn('Rewriter API failed:', error);
+                    if (isCancelled(error)) {
+                        cancelled = true;
+                    } else {
+                        console.warn('Rewriter API failed:', error);
+                    }
+                } finally {
+                    if (rewriter && rewriter.destroy) rewriter.destroy();
                 }
             }
             
-            // Run a local heuristic risk analysis (keyword-based) to derive risk score and found terms.
-            const riskAnalysis = analyzeRiskFactors(text);
+            // Run a local heuristic risk analysis (rule-based) to derive risk score and found terms.
+            // Non-English policies are translated on-device when allowed, else scored with native rules.
+            let riskAnalysis = await analyzeMultilingualPolicy(text, {
+                translate: CONFIG.ENABLE_TRANSLATION,
+                thresholds: PolicyPeekSettings.getRiskThresholds(settings),
+                customRules: customRules
+            });
             
-            // Choose the best available summary: AI-enhanced > AI summary > fallback generated text.
-            const finalSummary = enhancedSummary || summaryText || `Policy contains ${text.split(/\s+/).length} words. Analysis based on risk keyword detection.`;
+            // Ask the configured external provider (if any); failures keep the heuristic result.
+            if (CONFIG.ENABLE_EXTERNAL_AI && !cancelled) {
+                try {
+                    showProgress({ label: 'Asking the analysis provider...', fraction: 0.97 });
+                    riskAnalysis = await PolicyPeekProviders.enhanceWithProvider(text, riskAnalysis, { signal });
+                } catch (error) {
+                    if (!PolicyPeekProviders.isAbortError(error)) {
+                        throw error;
+                    }
+                    cancelled = true;
+                }
+            }
+            // Structured label: Prompt API when a model is ready, rule-based extraction otherwise.
+            let label = null;
+            try {
+                showProgress({ label: 'Building privacy label...', fraction: 0.98 });
+                label = cancelled ? PolicyPeekLabel.extractPrivacyLabel(text) : await PolicyPeekLabel.buildPrivacyLabel(text, { signal });
+            } catch (error) {
+                if (!isCancelled(error)) {
+                    throw error;
+                }
+                cancelled = true;
+                label = PolicyPeekLabel.extractPrivacyLabel(text);
+            }
+            
+            if (cancelled) {
+                riskAnalysis = { ...riskAnalysis, externalError: 'cancelled' };
+            }
+            
+            // Choose the best available summary: provider > AI-enhanced > AI summary > fallback generated text.
+            const external = riskAnalysis.external;
+            const readability = measureReadability(text, riskAnalysis);
+            const finalSummary = ((external && external.summary) || enhancedSummary || summaryText || `Policy contains ${readability ? readability.words : 0} words. Analysis based on risk keyword detection.`) +
+                describeAnalysisLanguage(riskAnalysis) + describeExternalAnalysis(riskAnalysis);
             
-            // Render summary and detailed key points in the popup.
-            displayAnalysisResults(finalSummary, riskAnalysis);
+            // Render summary, label card and detailed key points in the popup.
+            displayAnalysisResults(finalSummary, { ...riskAnalysis, label, compliance: runChecklists(text), readability, sections: outlinePolicy(text, riskAnalysis), policySource });
             
-            // Update the compact risk indicator to reflect the heuristic analysis.
-            updateRiskIndicator(riskAnalysis.level, riskAnalysis.description);
+            // Prefer the provider's verdict when it gave one, otherwise the heuristic level.
+            if (external && external.level) {
+                updateRiskIndicator(external.level, `${PolicyPeekProviders.PROVIDER_TYPES[external.provider].label}: ${external.level === 'risky' ? 'concerning terms found.' : 'no major red flags found.'}`);
+            } else {
+                updateRiskIndicator(riskAnalysis.level, riskAnalysis.description);
+            }
 
         } catch (error) {
             // Any unexpected error in the AI-enhanced path should trigger a robust fallback.
             console.error('Policy analysis error:', error);
             
             // Use the fallback heuristic-only analysis (no AI) and display those results.
-            const fallbackAnalysis = performFallbackAnalysis(text);
+            const fallbackAnalysis = { ...performFallbackAnalysis(text), policySource };
             displayAnalysisResults(fallbackAnalysis.summary, fallbackAnalysis);
             updateRiskIndicator(fallbackAnalysis.level, fallbackAnalysis.description);
         }
     }
 
-    function analyzeRiskFactors(text) {
-        // Lists of keywords used for a heuristic risk assessment.
-        // These are intentionally simple and case-insensitive to run quickly in the popup.
-        const riskKeywords = [
-            'sell your data', 'third parties', 'advertising partners', 'marketing purposes',
-            'indefinitely', 'permanent', 'irrevocable', 'without notice', 'at our discretion',
-            'no liability', 'as is', 'no warranty', 'indemnify', 'hold harmless'
-        ];
-
-        const positiveKeywords = [
-            'not sell', 'not share', 'encrypted', 'secure', 'privacy protection',
-            'opt-out', 'delete your data', 'user control', 'transparent'
-        ];
-
-        let riskScore = 0; // simple numeric score; higher means more risky
-        const foundRisks = []; // list of matched risky phrases
-        const foundPositives = []; // list of matched positive phrases
-
-        // Iterate risk keywords and increment score for each match.
-        riskKeywords.forEach(keyword => {
-            if (text.toLowerCase().includes(keyword.toLowerCase())) {
-                riskScore += 1;
-                foundRisks.push(keyword);
-            }
-        });
-
-        // Positive keywords reduce the score slightly to reflect mitigating language.
-        positiveKeywords.forEach(keyword => {
-            if (text.toLowerCase().includes(keyword.toLowerCase())) {
-                riskScore -= 0.5;
-                foundPositives.push(keyword);
-            }
-        });
-
-        // Normalize to human-friendly level and a short description for the UI.
-        let level, description;
-        if (riskScore >= 3) {
-            level = 'risky';
-            description = 'Multiple risk factors detected. Review carefully before accepting.';
-        } else if (riskScore >= 1) {
-            level = 'risky';
-            description = 'Some concerning terms found. Consider the implications.';
-        } else {
-            level = 'safe';
-            description = 'No major red flags detected. Appears to be standard terms.';
+    function describeAnalysisLanguage(riskAnalysis) {
+        // Only mention the language when the policy was not in English.
+        if (!riskAnalysis.language || riskAnalysis.language === 'en') {
+            return '';
         }
+        
+        const languageName = LANGUAGE_NAMES[riskAnalysis.language] || riskAnalysis.language;
+        return riskAnalysis.translated
+            ? ` (${languageName} policy, translated on-device before analysis.)`
+            : ` (${languageName} policy, analyzed with ${languageName} rules.)`;
+    }
 
-        // Return a compact object used by rendering functions and fallbacks.
-        return {
-            level,
-            description,
-            riskScore,
-            foundRisks,
-            foundPositives
-        };
+    function describeExternalAnalysis(riskAnalysis) {
+        // Say where the summary came from, or why the provider was not used.
+        if (riskAnalysis.external) {
+            const external = riskAnalysis.external;
+            const source = PolicyPeekProviders.PROVIDER_TYPES[external.provider].label;
+            return ` (Summary by ${source}${external.model ? ` · ${external.model}` : ''}${external.truncated ? ', first part of the policy only' : ''}.)`;
+        }
+        if (riskAnalysis.externalError === 'cancelled') {
+            return ' (AI analysis cancelled; showing the built-in analysis.)';
+        }
+        if (riskAnalysis.externalError) {
+            return ` (External analysis unavailable: ${riskAnalysis.externalError}. Showing the built-in analysis.)`;
+        }
+        return '';
     }
 
     function performFallbackAnalysis(text) {
         // When AI is unavailable or fails, construct a readable summary using only heuristics.
-        const wordCount = text.split(/\s+/).length;
-        const riskAnalysis = analyzeRiskFactors(text);
+        const thresholds = PolicyPeekSettings.getRiskThresholds(settings);
+        const riskAnalysis = analyzeRiskFactors(text, { thresholds, customRules });
+        const readability = measureReadability(text, riskAnalysis);
         
         // Build a short natural-language summary describing what was found.
-        let summary = `Analysis of ${wordCount} words completed using keyword detection. `;
+        let summary = `Analysis of ${readability ? readability.words : 0} words completed using keyword detection.${describeAnalysisLanguage(riskAnalysis)} `;
         
         if (riskAnalysis.foundRisks.length > 0) {
             summary += `Found ${riskAnalysis.foundRisks.length} potential risk factor(s). `;
@@ -523,9 +1499,9 @@ document.addEventListener('DOMContentLoaded', function() {
             summary += `Also identified ${riskAnalysis.foundPositives.length} positive privacy aspect(s). `;
         }
         
-        if (riskAnalysis.riskScore >= 3) {
+        if (riskAnalysis.riskScore >= thresholds.highRisk) {
             summary += `High risk score (${riskAnalysis.riskScore}) suggests careful review recommended.`;
-        } else if (riskAnalysis.riskScore >= 1) {
+        } else if (riskAnalysis.riskScore >= thresholds.risky) {
             summary += `Moderate risk score (${riskAnalysis.riskScore}) - some concerns identified.`;
         } else {
             summary += `Low risk score (${riskAnalysis.riskScore}) - appears to be standard terms.`;
@@ -538,29 +1514,235 @@ document.addEventListener('DOMContentLoaded', function() {
             description: riskAnalysis.description,
             riskScore: riskAnalysis.riskScore,
             foundRisks: riskAnalysis.foundRisks,
-            foundPositives: riskAnalysis.foundPositives
+            foundPositives: riskAnalysis.foundPositives,
+            categories: riskAnalysis.categories,
+            findings: riskAnalysis.findings,
+            label: PolicyPeekLabel.extractPrivacyLabel(text),
+            compliance: runChecklists(text),
+            readability: readability,
+            sections: outlinePolicy(text, riskAnalysis)
+        };
+    }
+
+    // Per-section scores use the whole policy's language, so a short section is not misread as another one.
+    function outlinePolicy(text, riskAnalysis) {
+        return PolicyPeekSections.outlineSections(PolicyPeekSections.segmentPolicyText(text), {
+            thresholds: PolicyPeekSettings.getRiskThresholds(settings),
+            customRules: customRules,
+            language: riskAnalysis.language
+        });
+    }
+
+    function renderOutline(sections) {
+        // A table of contents is only useful with two or more sections; each entry expands to its summary and findings.
+        if (!sections || sections.length < 2) {
+            return '';
+        }
+        const entriesHTML = sections.map(section => {
+            const findingCount = section.risks + section.positives;
+            const chipClass = section.level === 'risky' ? ' label-chip-warning' : '';
+            const score = findingCount > 0 ? ` · ${section.riskScore > 0 ? '+' : ''}${section.riskScore}` : '';
+            const findingsHTML = section.findings.length > 0
+                ? `<ul>${section.findings.map(finding =>
+                    `<li title="${escapeHTML(finding.sentence)}">${finding.type === 'risk' ? '⚠️' : '✅'} ${escapeHTML(finding.label)}` +
+                    `<div class="outline-explanation">${escapeHTML(finding.explanation)}</div></li>`
+                ).join('')}</ul>`
+                : '<p class="outline-none">No risky or protective clauses found.</p>';
+            return `<details class="outline-entry outline-depth-${section.depth}"><summary><span class="outline-heading">${escapeHTML(section.heading)}</span>` +
+                `<span class="label-chip${chipClass}">${findingCount} finding(s)${score}</span></summary>` +
+                `<p class="outline-summary">${escapeHTML(section.summary)}</p>${findingsHTML}</details>`;
+        }).join('');
+        return `<h4 class="label-heading">📑 Sections <span class="label-source">${sections.length} found</span></h4>${entriesHTML}`;
+    }
+
+    async function displayPageOutline(tab) {
+        try {
+            // Policy pages only; the outline follows the page's own headings where it has them.
+            const page = await PolicyPeekSections.readTabSections(tab.id);
+            if (!page || !page.isPolicyPage || tab !== currentTab) {
+                return;
+            }
+            const language = window.PolicyPeekLanguage.detectLanguageHeuristic(page.text).language;
+            const outlineHTML = renderOutline(PolicyPeekSections.outlineSections(PolicyPeekSections.normalizePageSections(page), {
+                thresholds: PolicyPeekSettings.getRiskThresholds(settings),
+                customRules: customRules,
+                language: language
+            }));
+            if (!outlineHTML) {
+                return;
+            }
+            
+            const existingOutlineDiv = document.getElementById('pageOutline');
+            if (existingOutlineDiv) {
+                existingOutlineDiv.remove();
+            }
+            const outlineDiv = document.createElement('div');
+            outlineDiv.id = 'pageOutline';
+            outlineDiv.className = 'privacy-label';
+            outlineDiv.innerHTML = outlineHTML;
+            riskIndicator.appendChild(outlineDiv);
+        } catch (error) {
+            // Pages the extension cannot script (chrome://, the web store) simply get no outline.
+            console.warn('Could not outline this page:', error);
+        }
+    }
+
+    // English-only measures are skipped for policies the analyzer detected in another language.
+    function measureReadability(text, riskAnalysis) {
+        return PolicyPeekReadability.measureReadability(text, { language: riskAnalysis.language });
+    }
+
+    function renderReadability(readability) {
+        // Whole-document rows, then the same measures per section in a collapsible table.
+        if (!readability) {
+            return '';
+        }
+        const rowsHTML = PolicyPeekReadability.describeReadability(readability).map(row =>
+            `<div class="label-row"><span class="label-title">${row.title}</span><span class="label-values">${escapeHTML(row.value)}</span></div>`
+        ).join('');
+        
+        let sectionsHTML = '';
+        if (readability.sections.length > 0) {
+            const formatMeasure = (value, suffix) => value === null ? '–' : `${value}${suffix || ''}`;
+            sectionsHTML = `<details class="readability-sections"><summary>By section (${readability.sections.length})</summary>` +
+                '<table class="readability-table"><tr><th>Section</th><th>Grade</th><th>Min</th><th>Words / sentence</th><th>Legalese / 100 words</th><th>Passive</th><th>Refs</th></tr>' +
+                readability.sections.map(section =>
+                    `<tr${section.fleschKincaidGrade > 16 ? ' class="readability-hard"' : ''}><td>${escapeHTML(section.heading)}</td>` +
+                    `<td>${formatMeasure(section.fleschKincaidGrade)}</td><td>${section.readingMinutes}</td><td>${section.averageSentenceLength}</td>` +
+                    `<td>${formatMeasure(section.legalesePer100Words)}</td><td>${formatMeasure(section.passiveSentencePercent, '%')}</td><td>${section.crossReferences}</td></tr>`
+                ).join('') +
+                '</table></details>';
+        }
+        return `<h4 class="label-heading">📖 Readability</h4>${rowsHTML}${sectionsHTML}`;
+    }
+
+    function runChecklists(text) {
+        return PolicyPeekChecklists.evaluateChecklists(text, checklists, settings.complianceChecklists);
+    }
+
+    function renderCompliance(compliance) {
+        // One collapsible block per regulation; items show the sentence that satisfied (or half-satisfied) them.
+        if (!compliance || compliance.length === 0) {
+            return '';
+        }
+        const icons = { present: '✅', ambiguous: '❓', missing: '❌' };
+        
+        const blocks = compliance.map(result => {
+            if (!result.applicable) {
+                const reason = result.exemption ? ` title="${escapeHTML(result.exemption)}"` : '';
+                return `<div class="checklist checklist-skipped"${reason}>${escapeHTML(result.name)} · does not appear to apply</div>`;
+            }
+            const { present, ambiguous, missing } = result.counts;
+            const items = result.items.map(item =>
+                `<li class="checklist-${item.status}" title="${escapeHTML(item.explanation || '')}">${icons[item.status]} ${escapeHTML(item.label)}` +
+                (item.citation ? ` <span class="checklist-citation">${escapeHTML(item.citation)}</span>` : '') +
+                (item.evidence ? `<div class="checklist-evidence">"${escapeHTML(item.evidence)}"</div>` : '') + '</li>'
+            ).join('');
+            return `<details class="checklist"><summary>${escapeHTML(result.name)} · ${present} present, ${ambiguous} ambiguous, ${missing} missing</summary>` +
+                `<ul class="checklist-items">${items}</ul></details>`;
+        });
+        return `<h4 class="label-heading">⚖️ Required disclosures</h4>${blocks.join('')}`;
+    }
+
+    function renderPrivacyLabel(label) {
+        // Compact "nutrition label": one row per field, values as chips; empty rows are skipped.
+        const vocabulary = PolicyPeekLabel.PRIVACY_LABEL_VOCABULARY;
+        const chips = (ids, names) => ids.map(id => `<span class="label-chip">${escapeHTML(names ? names[id] || id : id)}</span>`).join('');
+        const rows = [];
+        const addRow = (title, valueHTML) => {
+            if (valueHTML) rows.push(`<div class="label-row"><span class="label-title">${title}</span><span class="label-values">${valueHTML}</span></div>`);
         };
+        
+        addRow('Collects', chips(label.dataCollected, vocabulary.dataCollected));
+        addRow('Used for', chips(label.purposes, vocabulary.purposes));
+        addRow('Shared with', chips(label.recipients, vocabulary.recipients) + chips(label.thirdParties));
+        addRow('Kept for', label.retention.map(entry =>
+            `<span class="label-chip${entry.indefinite ? ' label-chip-warning' : ''}" title="${escapeHTML(entry.context)}">${escapeHTML(entry.period)}</span>`
+        ).join(''));
+        addRow('Your rights', chips(label.userRights, vocabulary.userRights));
+        addRow('Opt out via', label.optOuts.map(entry =>
+            `<span class="label-chip" title="${escapeHTML(entry.detail)}">${escapeHTML(vocabulary.optOutMethods[entry.method])}</span>`
+        ).join(''));
+        
+        const contact = [];
+        if (label.contact.dpo) contact.push(`DPO${label.contact.dpoEmail ? `: ${label.contact.dpoEmail}` : ''}`);
+        label.contact.emails.filter(email => email !== label.contact.dpoEmail).slice(0, 2).forEach(email => contact.push(email));
+        addRow('Contact', chips(contact));
+        
+        const law = label.jurisdiction.governingLaw ? [`${label.jurisdiction.governingLaw} law`] : [];
+        addRow('Jurisdiction', chips(law) + chips(label.jurisdiction.regulations, vocabulary.regulations));
+        
+        if (rows.length === 0) {
+            return '';
+        }
+        const source = label.source === 'ai' ? 'extracted with on-device AI' : 'extracted by keyword rules';
+        return `<h4 class="label-heading">🏷️ Privacy label <span class="label-source">${source}</span></h4>${rows.join('')}`;
+    }
+
+    function escapeHTML(value) {
+        // Findings quote the analyzed text, so escape it before building HTML strings.
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
 
     function displayAnalysisResults(summaryText, riskAnalysis) {
+        lastAnalysis = { summary: summaryText, analysis: riskAnalysis };
+        
         // Set the main summary text; safe to assign directly since we control content.
         summary.textContent = summaryText;
+        analysisSource.textContent = riskAnalysis.policySource ? `📄 From ${describePolicySource(riskAnalysis.policySource)}` : '';
+        analysisSource.style.display = riskAnalysis.policySource ? 'block' : 'none';
+        
+        // Label card between the summary and the per-category findings.
+        const labelHTML = riskAnalysis.label ? renderPrivacyLabel(riskAnalysis.label) : '';
+        privacyLabel.innerHTML = labelHTML;
+        privacyLabel.style.display = labelHTML ? 'block' : 'none';
+        
+        const complianceHTML = renderCompliance(riskAnalysis.compliance);
+        complianceChecklist.innerHTML = complianceHTML;
+        complianceChecklist.style.display = complianceHTML ? 'block' : 'none';
+        
+        const readabilityHTML = renderReadability(riskAnalysis.readability);
+        readabilityCard.innerHTML = readabilityHTML;
+        readabilityCard.style.display = readabilityHTML ? 'block' : 'none';
+        
+        const outlineHTML = renderOutline(riskAnalysis.sections);
+        sectionOutline.innerHTML = outlineHTML;
+        sectionOutline.style.display = outlineHTML ? 'block' : 'none';
+        
+        // Group the scored findings by rule category; riskiest categories first.
+        const categoryIds = Object.keys(riskAnalysis.categories || {})
+            .sort((a, b) => riskAnalysis.categories[b].score - riskAnalysis.categories[a].score);
         
-        // Build HTML for key points: risk factors first, then positives to make concerns visible.
         let keyPointsHTML = '';
-        if (riskAnalysis.foundRisks.length > 0) {
-            // Use small headings and colored styles to visually separate risk items.
-            keyPointsHTML += '<h4 style="color: #ffcdd2; margin-bottom: 5px;">⚠️ Risk Factors:</h4><ul>';
-            riskAnalysis.foundRisks.forEach(risk => {
-                keyPointsHTML += `<li>Contains "${risk}"</li>`;
+        categoryIds.forEach(categoryId => {
+            const category = riskAnalysis.categories[categoryId];
+            const findings = riskAnalysis.findings.filter(finding => finding.category === categoryId);
+            // Red headings for categories that add risk, green for ones that reduce it.
+            const color = category.score > 0 ? '#ffcdd2' : '#c8e6c9';
+            const icon = category.score > 0 ? '⚠️' : '✅';
+            
+            keyPointsHTML += `<h4 style="color: ${color}; margin-bottom: 5px; margin-top: 10px;">${icon} ${escapeHTML(category.label)} (${category.score > 0 ? '+' : ''}${category.score})</h4><ul>`;
+            findings.forEach(finding => {
+                // Negated/qualified markers explain why a phrase scored the way it did.
+                const notes = [];
+                if (finding.qualified) notes.push('with exceptions');
+                if (finding.hedged) notes.push('hedged');
+                const noteText = notes.length > 0 ? ` <em style="opacity: 0.7;">(${notes.join(', ')})</em>` : '';
+                
+                keyPointsHTML += `<li title="${escapeHTML(finding.sentence)}">${finding.type === 'risk' ? 'Contains' : 'Mentions'} "${escapeHTML(finding.label)}"${noteText}` +
+                    `<div style="opacity: 0.7; font-size: 11px;">${escapeHTML(finding.explanation)}</div></li>`;
             });
             keyPointsHTML += '</ul>';
-        }
+        });
         
-        if (riskAnalysis.foundPositives.length > 0) {
-            keyPointsHTML += '<h4 style="color: #c8e6c9; margin-bottom: 5px; margin-top: 10px;">✅ Positive Aspects:</h4><ul>';
-            riskAnalysis.foundPositives.forEach(positive => {
-                keyPointsHTML += `<li>Mentions "${positive}"</li>`;
+        // Findings reported by an external provider are listed separately from the rule-based ones.
+        if (riskAnalysis.external && riskAnalysis.external.findings.length > 0) {
+            keyPointsHTML += '<h4 style="margin-bottom: 5px; margin-top: 10px;">🤖 Provider findings</h4><ul>';
+            riskAnalysis.external.findings.forEach(finding => {
+                keyPointsHTML += `<li title="${escapeHTML(finding.quote)}">${finding.type === 'risk' ? '⚠️' : '✅'} ${escapeHTML(finding.label)}` +
+                    (finding.explanation ? `<div style="opacity: 0.7; font-size: 11px;">${escapeHTML(finding.explanation)}</div>` : '') + '</li>';
             });
             keyPointsHTML += '</ul>';
         }
@@ -0,0 +1,436 @@
+// Policy Peek - Privacy Nutrition Label
+// Turns a policy into a structured record with a fixed schema (PRIVACY_LABEL_SCHEMA):
+// data collected, purposes, recipients, named third parties, retention periods,
+// user rights, opt-out mechanisms, contact/DPO and jurisdiction. Uses the Prompt
+// API with the schema as a response constraint when a model is ready, and
+// rule-based extraction otherwise.
+
+const PRIVACY_LABEL_VERSION = 1;
+
+// Allowed values for each list field, with display labels
+const PRIVACY_LABEL_VOCABULARY = {
+    dataCollected: {
+        'contact': 'Contact details',
+        'identifiers': 'Account & identifiers',
+        'device': 'Device data',
+        'location': 'Location',
+        'usage': 'Usage & browsing',
+        'financial': 'Payment & financial',
+        'health': 'Health',
+        'biometric': 'Biometrics',
+        'contacts': 'Address book',
+        'content': 'Your content',
+        'cookies': 'Cookies & trackers',
+        'children': "Children's data"
+    },
+    purposes: {
+        'service': 'Providing the service',
+        'advertising': 'Advertising',
+        'analytics': 'Analytics',
+        'personalization': 'Personalization',
+        'marketing': 'Marketing messages',
+        'security': 'Security & fraud prevention',
+        'legal': 'Legal compliance',
+        'research': 'Research & AI training'
+    },
+    recipients: {
+        'service-providers': 'Service providers',
+        'advertisers': 'Advertising partners',
+        'analytics-providers': 'Analytics providers',
+        'affiliates': 'Affiliates',
+        'authorities': 'Authorities & law enforcement',
+        'business-transfers': 'Buyers in a merger or sale',
+        'data-brokers': 'Data brokers'
+    },
+    userRights: {
+        'access': 'Access',
+        'deletion': 'Deletion',
+        'correction': 'Correction',
+        'portability': 'Portability',
+        'objection': 'Objection',
+        'restriction': 'Restriction',
+        'opt-out-of-sale': 'Opt out of sale/sharing',
+        'withdraw-consent': 'Withdraw consent',
+        'complaint': 'Complain to a regulator'
+    },
+    optOutMethods: {
+        'settings': 'Account or privacy settings',
+        'unsubscribe': 'Unsubscribe link',
+        'email': 'Email request',
+        'web-form': 'Web form or link',
+        'cookie-settings': 'Cookie settings',
+        'gpc': 'Global Privacy Control',
+        'do-not-track': 'Do Not Track',
+        'industry-opt-out': 'Industry opt-out page'
+    },
+    regulations: {
+        'GDPR': 'GDPR',
+        'UK-GDPR': 'UK GDPR',
+        'CCPA': 'CCPA/CPRA',
+        'COPPA': 'COPPA',
+        'LGPD': 'LGPD',
+        'PIPEDA': 'PIPEDA',
+        'VCDPA': 'Virginia CDPA'
+    }
+};
+
+// JSON Schema for the label; also passed to the Prompt API as the response constraint
+const PRIVACY_LABEL_SCHEMA = {
+    type: 'object',
+    required: ['dataCollected', 'purposes', 'recipients', 'thirdParties', 'retention', 'userRights', 'optOuts', 'contact', 'jurisdiction'],
+    additionalProperties: false,
+    properties: {
+        dataCollected: { type: 'array', items: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.dataCollected) } },
+        purposes: { type: 'array', items: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.purposes) } },
+        recipients: { type: 'array', items: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.recipients) } },
+        thirdParties: { type: 'array', maxItems: 20, items: { type: 'string' } },
+        retention: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['period', 'context'],
+                additionalProperties: false,
+                properties: {
+                    // "2 years", "30 days", "indefinitely", "as long as your account is active"
+                    period: { type: 'string' },
+                    // What is kept, in a few words
+                    context: { type: 'string' }
+                }
+            }
+        },
+        userRights: { type: 'array', items: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.userRights) } },
+        optOuts: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['method', 'detail'],
+                additionalProperties: false,
+                properties: {
+                    method: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.optOutMethods) },
+                    detail: { type: 'string' }
+                }
+            }
+        },
+        contact: {
+            type: 'object',
+            required: ['emails', 'dpo', 'dpoEmail'],
+            additionalProperties: false,
+            properties: {
+                emails: { type: 'array', maxItems: 5, items: { type: 'string' } },
+                dpo: { type: 'boolean' },
+                dpoEmail: { type: ['string', 'null'] }
+            }
+        },
+        jurisdiction: {
+            type: 'object',
+            required: ['governingLaw', 'regulations'],
+            additionalProperties: false,
+            properties: {
+                governingLaw: { type: ['string', 'null'] },
+                regulations: { type: 'array', items: { type: 'string', enum: Object.keys(PRIVACY_LABEL_VOCABULARY.regulations) } }
+            }
+        }
+    }
+};
+
+// Rule-based extraction patterns (English), keyed by vocabulary id
+const LABEL_PATTERNS = {
+    dataCollected: {
+        'contact': /\b(e-?mail address|phone number|telephone number|postal address|mailing address|your name)/i,
+        'identifiers': /\b(user ?name|account (information|details)|unique identifiers?|user id|date of birth|government[- ]issued id)/i,
+        'device': /\b(device (information|identifiers?|type|id)|ip address|browser type|operating system|advertising id)/i,
+        'location': /\b(location (data|information)|geo-?location|gps|precise location|approximate location)/i,
+        'usage': /\b(usage (data|information)|browsing (history|activity)|pages you (visit|view)|interactions? with (our|the) (service|site)|log (data|files|information))/i,
+        'financial': /\b(payment (information|details|card)|credit card|billing (information|address)|bank account|financial information|purchase history|transaction)/i,
+        'health': /\b(health (data|information)|medical|fitness data|heart rate)/i,
+        'biometric': /\b(biometric|face ?print|facial (recognition|geometry)|fingerprints?|voice ?print)/i,
+        'contacts': /\b(contact list|address book|your contacts)/i,
+        'content': /\b(content you (post|upload|share|create)|photos?|videos?|messages you send|user[- ]generated content)/i,
+        'cookies': /\b(cookies|web beacons?|pixels?|tracking technologies|local storage|sdks?)\b/i,
+        'children': /\b(children under|under the age of \d+|minors|children's (data|information|privacy))/i
+    },
+    purposes: {
+        'service': /\b(provide|operate|maintain|deliver)\b[^.]{0,40}\b(services?|products?|features?)/i,
+        'advertising': /\b(advertis\w*|ads\b|interest-based|targeted ads)/i,
+        'analytics': /\b(analytics|analy[sz]e (how|usage|trends)|measure (the )?(performance|effectiveness)|statistics)/i,
+        'personalization': /\b(personali[sz]\w*|tailor\w*|customi[sz]e (your|the) experience|recommendations?)/i,
+        'marketing': /\b(marketing|promotional|newsletters?|special offers)/i,
+        'security': /\b(security|fraud|abuse|protect (our|the) (services?|users))/i,
+        'legal': /\b(comply with (applicable )?(laws?|legal obligations)|legal (obligations?|requirements)|law enforcement requests?)/i,
+        'research': /\b(research and development|train (our )?(models?|algorithms|artificial intelligence)|machine learning|improve (our )?(ai|models))/i
+    },
+    recipients: {
+        'service-providers': /\b(service providers?|vendors?|processors?|contractors)\b/i,
+        'advertisers': /\b(advertis\w+ (partners?|networks?|companies)|advertisers)\b/i,
+        'analytics-providers': /\b(analytics (providers?|partners?|services?))\b/i,
+        'affiliates': /\b(affiliates?|subsidiaries|group companies|corporate family)\b/i,
+        'authorities': /\b(law enforcement|government (agencies|authorities)|public authorities|regulators|courts?)\b/i,
+        'business-transfers': /\b(merger|acquisition|sale of (all|some|our) (or substantially all )?(of )?(our )?(assets|business)|bankruptcy|reorgani[sz]ation)\b/i,
+        'data-brokers': /\b(data brokers?)\b/i
+    },
+    userRights: {
+        'access': /\bright (to|of) access|\baccess (to )?(the |your )?(personal )?(data|information) we hold|\brequest (a copy|access)/i,
+        'deletion': /\bright to (erasure|deletion|be forgotten)|\b(request|ask us to) (the )?delet/i,
+        'correction': /\bright to (rectification|correct\w*)|\b(correct|update|rectify) (inaccurate|your) (personal )?(data|information)/i,
+        'portability': /\b(data )?portability\b/i,
+        'objection': /\bright to object|\bobject to (the )?processing/i,
+        'restriction': /\brestrict(ion of)? (the )?processing/i,
+        'opt-out-of-sale': /\bdo not (sell|share) my personal information|\bopt[- ]out of (the )?(sale|sharing)/i,
+        'withdraw-consent': /\bwithdraw (your )?consent/i,
+        'complaint': /\b(lodge|file) a complaint|\bsupervisory authority/i
+    },
+    optOutMethods: {
+        'settings': /\b(account|privacy|ad) settings|\bsettings page/i,
+        'unsubscribe': /\bunsubscribe/i,
+        'email': /\b(by )?(e-?mail(ing)? us|contact(ing)? us at)\b[^.]{0,60}@/i,
+        'web-form': /\b(web ?form|online form|"?do not sell( or share)?"? link|privacy request (form|portal))/i,
+        'cookie-settings': /\b(cookie (settings|preferences|banner|consent tool)|manage cookies|browser settings)/i,
+        'gpc': /\bglobal privacy control|\bgpc\b/i,
+        'do-not-track': /\bdo not track\b/i,
+        'industry-opt-out': /\b(aboutads\.info|youradchoices|youronlinechoices|networkadvertising\.org|optout\.aboutads)/i
+    },
+    regulations: {
+        'GDPR': /\b(gdpr|general data protection regulation)\b/i,
+        'UK-GDPR': /\buk gdpr\b|\bdata protection act 2018\b/i,
+        'CCPA': /\b(ccpa|cpra|california consumer privacy act|california privacy rights act)\b/i,
+        'COPPA': /\b(coppa|children's online privacy protection act)\b/i,
+        'LGPD': /\b(lgpd|lei geral de prote)/i,
+        'PIPEDA': /\bpipeda\b/i,
+        'VCDPA': /\b(vcdpa|virginia consumer data protection act)\b/i
+    }
+};
+
+// Well-known companies that policies name as recipients
+const KNOWN_THIRD_PARTIES = [
+    'Google', 'Google Analytics', 'Meta', 'Facebook', 'Instagram', 'Amazon', 'Amazon Web Services', 'Microsoft', 'Apple',
+    'Stripe', 'PayPal', 'Salesforce', 'Twitter', 'TikTok', 'LinkedIn', 'Criteo', 'Adobe', 'Mixpanel', 'Segment',
+    'Hotjar', 'Cloudflare', 'Zendesk', 'HubSpot', 'Mailchimp', 'Twilio', 'Snowflake', 'OpenAI', 'Braze', 'Oracle'
+];
+
+const RETENTION_CUE = /\b(retain|retention|keep|kept|store|stored|storage period|delete|deleted|deletion|erase|anonymi[sz]e)/i;
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, eighteen: 18, 'twenty-four': 24, thirty: 30, sixty: 60, ninety: 90
+};
+const DURATION_UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+const DURATION_PATTERN = new RegExp(`\\b(\\d+|${Object.keys(NUMBER_WORDS).join('|')})(?:\\s*\\(\\d+\\))?[\\s-]*(day|week|month|year)s?\\b`, 'i');
+const INDEFINITE_PATTERN = /\b(indefinitely|permanently|forever|as long as (necessary|needed|required|your account|you (have|maintain|use))|for as long as|until you delete)\b/i;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const GOVERNING_LAW_PATTERN = /\bgoverned by (?:and construed in accordance with )?the laws? of (?:(?:the )?(?:[Ss]tate|[Cc]ommonwealth|[Pp]rovince|[Rr]epublic) of )?(?<place>[A-Z][\w.]*(?:[ -](?:of |and )?[A-Z][\w.]*){0,3})/;
+
+// Resolve helpers in Node (require) or in the browser (globals from rules.js / ai-adapter.js)
+function getLabelRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+function getLabelAI() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./ai-adapter.js');
+    }
+    return self.PolicyPeekAI;
+}
+
+// "2 years" -> { days: 730, indefinite: false }; "as long as necessary" -> { days: null, indefinite: true }
+function parseRetentionPeriod(phrase) {
+    const match = String(phrase || '').match(DURATION_PATTERN);
+    if (match) {
+        const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : NUMBER_WORDS[match[1].toLowerCase()];
+        return { days: amount * DURATION_UNIT_DAYS[match[2].toLowerCase()], indefinite: false };
+    }
+    return { days: null, indefinite: INDEFINITE_PATTERN.test(String(phrase || '')) };
+}
+
+function createEmptyLabel(source) {
+    return {
+        version: PRIVACY_LABEL_VERSION,
+        source,
+        dataCollected: [],
+        purposes: [],
+        recipients: [],
+        thirdParties: [],
+        retention: [],
+        userRights: [],
+        optOuts: [],
+        contact: { emails: [], dpo: false, dpoEmail: null },
+        jurisdiction: { governingLaw: null, regulations: [] }
+    };
+}
+
+function truncateLabelText(text, maxLength) {
+    const trimmed = String(text || '').trim();
+    return trimmed.length > maxLength ? `${trimmed.slice(0, maxLength - 1)}…` : trimmed;
+}
+
+// Rule-based extraction: match each vocabulary pattern sentence by sentence
+function extractPrivacyLabel(text) {
+    const label = createEmptyLabel('rules');
+    const sentences = getLabelRuleEngine().splitSentences(text);
+    const found = { dataCollected: new Set(), purposes: new Set(), recipients: new Set(), userRights: new Set(), regulations: new Set() };
+    const optOutMethods = new Map();
+
+    sentences.forEach(sentence => {
+        ['dataCollected', 'purposes', 'recipients', 'userRights', 'regulations'].forEach(field => {
+            Object.entries(LABEL_PATTERNS[field]).forEach(([id, pattern]) => {
+                if (pattern.test(sentence)) found[field].add(id);
+            });
+        });
+
+        // Opt-outs only count in sentences that talk about opting out or choices
+        if (/\b(opt[- ]?out|unsubscribe|choices?|disable|turn off|manage|withdraw|object)\b/i.test(sentence)) {
+            Object.entries(LABEL_PATTERNS.optOutMethods).forEach(([id, pattern]) => {
+                if (pattern.test(sentence) && !optOutMethods.has(id)) optOutMethods.set(id, truncateLabelText(sentence, 160));
+            });
+        }
+
+        if (RETENTION_CUE.test(sentence) && label.retention.length < 10) {
+            const period = sentence.match(DURATION_PATTERN) || sentence.match(INDEFINITE_PATTERN);
+            if (period) {
+                label.retention.push({ period: period[0], context: truncateLabelText(sentence, 160), ...parseRetentionPeriod(period[0]) });
+            }
+        }
+
+        if (/\bdata protection officer\b|\bdpo\b/i.test(sentence)) {
+            label.contact.dpo = true;
+            const dpoEmail = sentence.match(EMAIL_PATTERN);
+            if (dpoEmail && !label.contact.dpoEmail) label.contact.dpoEmail = dpoEmail[0];
+        }
+
+        const governingLaw = !label.jurisdiction.governingLaw && sentence.match(GOVERNING_LAW_PATTERN);
+        if (governingLaw) {
+            label.jurisdiction.governingLaw = governingLaw.groups.place.replace(/[.,]+$/, '');
+        }
+    });
+
+    label.dataCollected = [...found.dataCollected];
+    label.purposes = [...found.purposes];
+    label.recipients = [...found.recipients];
+    label.userRights = [...found.userRights];
+    label.jurisdiction.regulations = [...found.regulations];
+    label.optOuts = [...optOutMethods].map(([method, detail]) => ({ method, detail }));
+    label.contact.emails = [...new Set(String(text).match(EMAIL_PATTERN) || [])].slice(0, 5);
+    label.thirdParties = KNOWN_THIRD_PARTIES.filter(name => new RegExp(`\\b${name}\\b`).test(text))
+        // Drop "Google" when "Google Analytics" is listed, and similar
+        .filter((name, index, names) => !names.some(other => other !== name && other.startsWith(`${name} `)));
+
+    return label;
+}
+
+// Keep only schema-valid values from a model reply; names and emails must appear in the policy
+function normalizePrivacyLabel(data, text) {
+    const label = createEmptyLabel('ai');
+    const source = String(text || '');
+    const lowerSource = source.toLowerCase();
+    const pick = (values, vocabulary) => [...new Set((Array.isArray(values) ? values : []).filter(value => Object.prototype.hasOwnProperty.call(vocabulary, value)))];
+    const quoted = value => typeof value === 'string' && value.trim() && lowerSource.includes(value.trim().toLowerCase());
+
+    label.dataCollected = pick(data.dataCollected, PRIVACY_LABEL_VOCABULARY.dataCollected);
+    label.purposes = pick(data.purposes, PRIVACY_LABEL_VOCABULARY.purposes);
+    label.recipients = pick(data.recipients, PRIVACY_LABEL_VOCABULARY.recipients);
+    label.userRights = pick(data.userRights, PRIVACY_LABEL_VOCABULARY.userRights);
+    label.thirdParties = [...new Set((Array.isArray(data.thirdParties) ? data.thirdParties : []).filter(quoted).map(name => name.trim()))].slice(0, 20);
+
+    label.retention = (Array.isArray(data.retention) ? data.retention : [])
+        .filter(entry => entry && typeof entry.period === 'string' && entry.period.trim())
+        .slice(0, 10)
+        .map(entry => ({
+            period: truncateLabelText(entry.period, 80),
+            context: truncateLabelText(entry.context, 160),
+            ...parseRetentionPeriod(entry.period)
+        }));
+
+    label.optOuts = (Array.isArray(data.optOuts) ? data.optOuts : [])
+        .filter(entry => entry && Object.prototype.hasOwnProperty.call(PRIVACY_LABEL_VOCABULARY.optOutMethods, entry.method))
+        .slice(0, 10)
+        .map(entry => ({ method: entry.method, detail: truncateLabelText(entry.detail, 160) }));
+
+    const contact = data.contact || {};
+    label.contact = {
+        emails: (Array.isArray(contact.emails) ? contact.emails : []).filter(quoted).slice(0, 5),
+        dpo: contact.dpo === true,
+        dpoEmail: quoted(contact.dpoEmail) ? contact.dpoEmail.trim() : null
+    };
+
+    const jurisdiction = data.jurisdiction || {};
+    label.jurisdiction = {
+        governingLaw: typeof jurisdiction.governingLaw === 'string' && jurisdiction.governingLaw.trim() ? truncateLabelText(jurisdiction.governingLaw, 80) : null,
+        regulations: pick(jurisdiction.regulations, PRIVACY_LABEL_VOCABULARY.regulations)
+    };
+
+    return label;
+}
+
+// The sentences any label pattern matches, within a character budget, so long policies fit the prompt
+function selectLabelSentences(text, maxChars) {
+    const patterns = Object.values(LABEL_PATTERNS).flatMap(group => Object.values(group))
+        .concat([RETENTION_CUE, GOVERNING_LAW_PATTERN, /data protection officer|@/i]);
+    const selected = [];
+    let length = 0;
+
+    for (const sentence of getLabelRuleEngine().splitSentences(text)) {
+        if (!patterns.some(pattern => pattern.test(sentence))) continue;
+        if (length + sentence.length + 1 > maxChars) break;
+        selected.push(sentence);
+        length += sentence.length + 1;
+    }
+    return selected.join('\n');
+}
+
+// Prompt API extraction; returns null when no language model is ready
+async function extractPrivacyLabelWithAI(text, options = {}) {
+    const session = await getLabelAI().createReadyAISession('languageModel', {
+        initialPrompts: [{
+            role: 'system',
+            content: 'You extract a privacy label from privacy policy excerpts. Use only the allowed values, only facts stated in the text, and empty lists when the text says nothing.'
+        }]
+    }, { signal: options.signal });
+    if (!session) {
+        return null;
+    }
+
+    try {
+        // Leave room for the schema and the reply in the context window
+        const maxChars = Number.isFinite(session.inputQuota) ? Math.floor(session.inputQuota * 1.5) : 6000;
+        const excerpt = selectLabelSentences(text, maxChars);
+        const reply = await session.prompt(`Policy excerpts:\n${excerpt}`, {
+            responseConstraint: PRIVACY_LABEL_SCHEMA,
+            signal: options.signal
+        });
+        return normalizePrivacyLabel(JSON.parse(reply), text);
+    } finally {
+        if (session.destroy) session.destroy();
+    }
+}
+
+// Label for a policy: Prompt API when available, rule-based otherwise (cancellation is passed on)
+async function buildPrivacyLabel(text, options = {}) {
+    try {
+        const label = await extractPrivacyLabelWithAI(text, options);
+        if (label) {
+            return label;
+        }
+    } catch (error) {
+        if (error && error.name === 'AbortError') {
+            throw error;
+        }
+        console.warn('Prompt API label extraction failed, using rule-based extraction:', error);
+    }
+    return extractPrivacyLabel(text);
+}
+
+// Export label helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRIVACY_LABEL_VERSION, PRIVACY_LABEL_SCHEMA, PRIVACY_LABEL_VOCABULARY, parseRetentionPeriod,
+        extractPrivacyLabel, normalizePrivacyLabel, buildPrivacyLabel
+    };
+} else {
+    self.PolicyPeekLabel = {
+        PRIVACY_LABEL_VERSION, PRIVACY_LABEL_SCHEMA, PRIVACY_LABEL_VOCABULARY, parseRetentionPeriod,
+        extractPrivacyLabel, normalizePrivacyLabel, buildPrivacyLabel
+    };
+}
@@ -0,0 +1,331 @@
+// Policy Peek - External Analysis Providers
+// Optional remote analysis behind CONFIG.ENABLE_EXTERNAL_AI. Three provider
+// types share one request/response schema (see README): the generic
+// POLICY_ANALYSIS_API_URL endpoint, OpenAI-compatible chat completions and a
+// local Ollama server. The heuristic analysis always remains the fallback.
+
+const PROVIDER_SETTINGS_KEY = 'aiProvider';
+const PROVIDER_SCHEMA_VERSION = 1;
+
+// Provider settings live in chrome.storage.local so API keys never leave this device via sync
+const DEFAULT_PROVIDER_SETTINGS = {
+    // 'none', 'generic', 'openai' or 'ollama'
+    type: 'none',
+    // Empty endpoint / model means the provider default below
+    endpoint: '',
+    model: '',
+    apiKey: '',
+    timeoutMs: 30000,
+    retries: 2
+};
+
+const PROVIDER_TYPES = {
+    generic: { label: 'Policy analysis API', defaultEndpoint: '', defaultModel: '' },
+    openai: { label: 'OpenAI-compatible API', defaultEndpoint: 'https://api.openai.com/v1', defaultModel: 'gpt-4o-mini' },
+    ollama: { label: 'Ollama (local)', defaultEndpoint: 'http://localhost:11434', defaultModel: 'llama3.1' }
+};
+
+// Longer policies are cut before sending; the heuristic analysis still covers the full text
+const MAX_PROVIDER_TEXT_CHARS = 60000;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+const PROVIDER_SYSTEM_PROMPT = [
+    'You review privacy policies and terms of service for ordinary users.',
+    'Reply with a single JSON object and nothing else, in this shape:',
+    '{"summary": string, "level": "safe" | "risky", "riskScore": number,',
+    ' "findings": [{"type": "risk" | "positive", "category": string, "label": string, "explanation": string, "quote": string}]}',
+    'summary is at most five plain sentences. quote is copied verbatim from the policy.'
+].join('\n');
+
+// Resolve the configuration in Node (require) or in the browser (global from config.js)
+function getProviderConfig() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./config.js').CONFIG;
+    }
+    return self.PolicyPeekConfig.CONFIG;
+}
+
+async function getProviderSettings() {
+    try {
+        const stored = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY]);
+        return { ...DEFAULT_PROVIDER_SETTINGS, ...(stored[PROVIDER_SETTINGS_KEY] || {}) };
+    } catch (error) {
+        console.error('Error reading provider settings, external analysis disabled:', error);
+        return { ...DEFAULT_PROVIDER_SETTINGS };
+    }
+}
+
+async function saveProviderSettings(changes) {
+    const updated = { ...(await getProviderSettings()), ...changes };
+    await chrome.storage.local.set({ [PROVIDER_SETTINGS_KEY]: updated });
+    return updated;
+}
+
+// Whether external analysis should run at all for these settings
+function isProviderEnabled(providerSettings) {
+    return Boolean(getProviderConfig().ENABLE_EXTERNAL_AI && providerSettings && PROVIDER_TYPES[providerSettings.type]);
+}
+
+function getProviderEndpoint(providerSettings) {
+    if (providerSettings.endpoint) {
+        return providerSettings.endpoint.replace(/\/+$/, '');
+    }
+    if (providerSettings.type === 'generic') {
+        return getProviderConfig().POLICY_ANALYSIS_API_URL;
+    }
+    return PROVIDER_TYPES[providerSettings.type].defaultEndpoint;
+}
+
+function getProviderModel(providerSettings) {
+    return providerSettings.model || PROVIDER_TYPES[providerSettings.type].defaultModel;
+}
+
+function createAbortError(message) {
+    return new DOMException(message || 'Analysis cancelled', 'AbortError');
+}
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+// Resolve after ms, or reject straight away when the caller cancels
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Seconds from a Retry-After header, or exponential backoff
+function getRetryDelay(response, attempt) {
+    const retryAfter = response ? Number(response.headers.get('retry-after')) : NaN;
+    const delay = retryAfter > 0 ? retryAfter * 1000 : RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+// POST JSON with a per-attempt timeout, retrying network errors, timeouts and retryable statuses.
+// Aborting options.signal cancels the request and any pending retry.
+async function postJSONWithRetry(url, body, headers, options = {}) {
+    const timeoutMs = options.timeoutMs || DEFAULT_PROVIDER_SETTINGS.timeoutMs;
+    const retries = options.retries !== undefined ? options.retries : DEFAULT_PROVIDER_SETTINGS.retries;
+    const signal = options.signal;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (signal && signal.aborted) {
+            throw createAbortError();
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        let response = null;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (response.ok) {
+                return await response.json();
+            }
+
+            lastError = new Error(`Provider responded with HTTP ${response.status}`);
+            if (!RETRYABLE_STATUS_CODES.includes(response.status)) {
+                throw lastError;
+            }
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            if (error === lastError) {
+                throw error;
+            }
+            lastError = timedOut ? new Error(`Provider did not respond within ${timeoutMs} ms`) : error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        if (attempt < retries) {
+            console.warn(`Provider request failed (${lastError.message}), retrying...`);
+            await waitForRetry(getRetryDelay(response, attempt), signal);
+        }
+    }
+
+    throw lastError;
+}
+
+// Body sent to the generic endpoint; also the user message for chat-based providers
+function buildProviderRequest(text, options = {}) {
+    const heuristic = options.heuristic || null;
+    return {
+        schemaVersion: PROVIDER_SCHEMA_VERSION,
+        text: String(text).slice(0, MAX_PROVIDER_TEXT_CHARS),
+        truncated: String(text).length > MAX_PROVIDER_TEXT_CHARS,
+        language: options.language || null,
+        url: options.url || null,
+        heuristic: heuristic ? {
+            riskScore: heuristic.riskScore,
+            level: heuristic.level,
+            risks: heuristic.foundRisks,
+            positives: heuristic.foundPositives
+        } : null
+    };
+}
+
+// Model replies sometimes wrap the JSON in a code fence or add a sentence around it
+function parseModelJSON(content) {
+    const text = String(content || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < start) {
+        throw new Error('Provider reply did not contain a JSON object');
+    }
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+// Check a provider reply against the response schema and drop anything unexpected
+function normalizeProviderResponse(data) {
+    if (!data || typeof data !== 'object' || typeof data.summary !== 'string' || !data.summary.trim()) {
+        throw new Error('Provider response is missing a summary');
+    }
+
+    const findings = (Array.isArray(data.findings) ? data.findings : [])
+        .filter(finding => finding && typeof finding.label === 'string' && finding.label.trim())
+        .slice(0, 50)
+        .map(finding => ({
+            type: finding.type === 'positive' ? 'positive' : 'risk',
+            category: typeof finding.category === 'string' ? finding.category : 'other',
+            label: finding.label.trim(),
+            explanation: typeof finding.explanation === 'string' ? finding.explanation : '',
+            quote: typeof finding.quote === 'string' ? finding.quote : ''
+        }));
+
+    return {
+        summary: data.summary.trim(),
+        level: data.level === 'safe' || data.level === 'risky' ? data.level : null,
+        riskScore: typeof data.riskScore === 'number' && isFinite(data.riskScore) ? data.riskScore : null,
+        findings
+    };
+}
+
+function buildChatMessages(request) {
+    return [
+        { role: 'system', content: PROVIDER_SYSTEM_PROMPT },
+        { role: 'user', content: JSON.stringify(request) }
+    ];
+}
+
+// One adapter per provider type: build the HTTP call, then pull the schema object out of the reply
+const PROVIDER_ADAPTERS = {
+    generic: async (request, providerSettings, requestOptions) => {
+        const headers = providerSettings.apiKey ? { Authorization: `Bearer ${providerSettings.apiKey}` } : {};
+        return postJSONWithRetry(getProviderEndpoint(providerSettings), request, headers, requestOptions);
+    },
+
+    openai: async (request, providerSettings, requestOptions) => {
+        const headers = providerSettings.apiKey ? { Authorization: `Bearer ${providerSettings.apiKey}` } : {};
+        const reply = await postJSONWithRetry(`${getProviderEndpoint(providerSettings)}/chat/completions`, {
+            model: getProviderModel(providerSettings),
+            messages: buildChatMessages(request),
+            response_format: { type: 'json_object' },
+            temperature: 0
+        }, headers, requestOptions);
+
+        const choice = reply && Array.isArray(reply.choices) ? reply.choices[0] : null;
+        return parseModelJSON(choice && choice.message ? choice.message.content : '');
+    },
+
+    ollama: async (request, providerSettings, requestOptions) => {
+        const reply = await postJSONWithRetry(`${getProviderEndpoint(providerSettings)}/api/chat`, {
+            model: getProviderModel(providerSettings),
+            messages: buildChatMessages(request),
+            format: 'json',
+            stream: false,
+            options: { temperature: 0 }
+        }, {}, requestOptions);
+
+        return parseModelJSON(reply && reply.message ? reply.message.content : '');
+    }
+};
+
+// Run one provider and return the normalized response; throws on failure or cancellation
+async function analyzeWithProvider(text, providerSettings, options = {}) {
+    const adapter = PROVIDER_ADAPTERS[providerSettings.type];
+    if (!adapter) {
+        throw new Error(`Unknown analysis provider "${providerSettings.type}"`);
+    }
+
+    const request = buildProviderRequest(text, options);
+    const data = await adapter(request, providerSettings, {
+        timeoutMs: Number(providerSettings.timeoutMs) || DEFAULT_PROVIDER_SETTINGS.timeoutMs,
+        retries: Number.isInteger(providerSettings.retries) ? providerSettings.retries : DEFAULT_PROVIDER_SETTINGS.retries,
+        signal: options.signal
+    });
+
+    return {
+        ...normalizeProviderResponse(data),
+        provider: providerSettings.type,
+        model: getProviderModel(providerSettings) || null,
+        truncated: request.truncated
+    };
+}
+
+// Attach the provider result to a heuristic analysis. Provider failures keep the heuristic
+// result (with externalError set); cancellation is passed on to the caller.
+async function enhanceWithProvider(text, heuristicAnalysis, options = {}) {
+    const providerSettings = options.providerSettings || await getProviderSettings();
+    if (!isProviderEnabled(providerSettings)) {
+        return heuristicAnalysis;
+    }
+
+    try {
+        const external = await analyzeWithProvider(text, providerSettings, {
+            ...options,
+            language: heuristicAnalysis.language,
+            heuristic: heuristicAnalysis
+        });
+        return { ...heuristicAnalysis, external };
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.warn('External analysis failed, using heuristic result:', error);
+        return { ...heuristicAnalysis, externalError: error.message };
+    }
+}
+
+// Export provider helpers (self works in the options page, the popup and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PROVIDER_SETTINGS, PROVIDER_TYPES, getProviderSettings, saveProviderSettings, isProviderEnabled,
+        buildProviderRequest, normalizeProviderResponse, analyzeWithProvider, enhanceWithProvider, isAbortError
+    };
+} else {
+    self.PolicyPeekProviders = {
+        DEFAULT_PROVIDER_SETTINGS, PROVIDER_TYPES, getProviderSettings, saveProviderSettings, isProviderEnabled,
+        buildProviderRequest, normalizeProviderResponse, analyzeWithProvider, enhanceWithProvider, isAbortError
+    };
+}
@@ -0,0 +1,205 @@
+// Policy Peek - Service Ratings
+// Offline ratings for services: a grade from A to E and the clauses that decided
+// it, looked up by domain so a visit to a rated service does not start from zero.
+// No ratings ship with the extension: a dataset is imported from the options
+// page as an update file { "sha256": "<hex>", "dataset": { ... } } whose checksum
+// covers JSON.stringify(dataset) (tools/pack-ratings.js writes one, and
+// ratings/example-dataset.json shows the format). The dataset names its source
+// and license, which the popup shows with every rating.
+
+const RATINGS_FORMAT_VERSION = 1;
+const IMPORTED_RATINGS_KEY = 'serviceRatings';
+
+const RATING_DOMAIN_LIST = { type: 'array', maxItems: 50, items: { type: 'string', pattern: '^[a-z0-9-]+(\\.[a-z0-9-]+)+$' } };
+
+// JSON Schema (same subset as RULE_PACK_SCHEMA) describing a ratings dataset
+const RATINGS_SCHEMA = {
+    type: 'object',
+    required: ['formatVersion', 'version', 'updated', 'services'],
+    additionalProperties: false,
+    properties: {
+        formatVersion: { type: 'integer', enum: [RATINGS_FORMAT_VERSION] },
+        version: { type: 'string', minLength: 1, maxLength: 20 },
+        updated: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        source: { type: 'string', maxLength: 200 },
+        license: { type: 'string', maxLength: 200 },
+        sourceUrl: { type: 'string', pattern: '^https://', maxLength: 300 },
+        description: { type: 'string', maxLength: 500 },
+        services: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5000,
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'grade', 'domains'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,59}$' },
+                    name: { type: 'string', minLength: 1, maxLength: 80 },
+                    grade: { type: 'string', enum: ['A', 'B', 'C', 'D', 'E'] },
+                    domains: { ...RATING_DOMAIN_LIST, minItems: 1 },
+                    aliases: RATING_DOMAIN_LIST,
+                    summary: { type: 'string', maxLength: 300 },
+                    url: { type: 'string', pattern: '^https://', maxLength: 300 },
+                    notable: {
+                        type: 'array',
+                        maxItems: 20,
+                        items: {
+                            type: 'object',
+                            required: ['type', 'text'],
+                            additionalProperties: false,
+                            properties: {
+                                type: { type: 'string', enum: ['risk', 'positive', 'neutral'] },
+                                text: { type: 'string', minLength: 1, maxLength: 200 }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// What each grade means, for the popup and the options page
+const RATING_GRADES = {
+    A: 'Respects your privacy and rights',
+    B: 'Fair, with minor issues',
+    C: 'Some concerning terms',
+    D: 'Many concerning terms',
+    E: 'Serious concerns'
+};
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getRatingsSchemaValidator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rule-packs.js').validateAgainstSchema;
+    }
+    return self.PolicyPeekRulePacks.validateAgainstSchema;
+}
+
+// Schema validation plus the checks JSON Schema cannot express (unique ids, one service per domain)
+function validateRatingsDataset(dataset) {
+    const errors = getRatingsSchemaValidator()(dataset, RATINGS_SCHEMA, 'dataset');
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const seenIds = new Set();
+    const seenDomains = new Map();
+    dataset.services.forEach((service, index) => {
+        if (seenIds.has(service.id)) {
+            errors.push(`dataset.services[${index}].id "${service.id}" is used more than once`);
+        }
+        seenIds.add(service.id);
+        service.domains.concat(service.aliases || []).forEach(domain => {
+            if (seenDomains.has(domain)) {
+                errors.push(`dataset.services[${index}] lists ${domain}, already claimed by "${seenDomains.get(domain)}"`);
+            }
+            seenDomains.set(domain, service.id);
+        });
+    });
+
+    return errors;
+}
+
+// Hex SHA-256 of a string (Web Crypto exists in the popup, the options page, the worker and Node 20)
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Wrap a dataset in an update file with its checksum
+async function packRatingsDataset(dataset) {
+    return { sha256: await sha256Hex(JSON.stringify(dataset)), dataset };
+}
+
+// Parse an update file's text and check its checksum and contents; throws with every problem listed
+async function parseRatingsUpdate(jsonText) {
+    let update;
+    try {
+        update = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Ratings file is not valid JSON: ${error.message}`);
+    }
+    if (!update || typeof update !== 'object' || typeof update.sha256 !== 'string' || !update.dataset) {
+        throw new Error('Ratings file must contain "sha256" and "dataset"');
+    }
+
+    const checksum = await sha256Hex(JSON.stringify(update.dataset));
+    if (checksum !== update.sha256.toLowerCase()) {
+        throw new Error('Ratings file checksum does not match its dataset; the file is damaged');
+    }
+
+    const errors = validateRatingsDataset(update.dataset);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ratings dataset:\n${errors.join('\n')}`);
+    }
+    return update;
+}
+
+async function getImportedRatings() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+        return null;
+    }
+    const stored = await chrome.storage.local.get([IMPORTED_RATINGS_KEY]);
+    return stored[IMPORTED_RATINGS_KEY] || null;
+}
+
+// { dataset, importedAt, sha256 } of the imported ratings, or null when none are imported
+async function loadRatings() {
+    const imported = await getImportedRatings();
+    return imported ? { dataset: imported.dataset, importedAt: imported.importedAt, sha256: imported.sha256 } : null;
+}
+
+async function importRatings(jsonText) {
+    const update = await parseRatingsUpdate(jsonText);
+    const entry = { dataset: update.dataset, sha256: update.sha256.toLowerCase(), importedAt: Date.now() };
+    await chrome.storage.local.set({ [IMPORTED_RATINGS_KEY]: entry });
+    return entry;
+}
+
+async function resetRatings() {
+    await chrome.storage.local.remove([IMPORTED_RATINGS_KEY]);
+}
+
+// Domain -> { service, domain, alias } for every domain and alias, built once per dataset object
+const ratingIndexes = new WeakMap();
+
+function getRatingIndex(dataset) {
+    if (!ratingIndexes.has(dataset)) {
+        const index = new Map();
+        dataset.services.forEach(service => {
+            service.domains.forEach(domain => index.set(domain, { service, domain, alias: false }));
+            (service.aliases || []).forEach(domain => index.set(domain, { service, domain, alias: true }));
+        });
+        ratingIndexes.set(dataset, index);
+    }
+    return ratingIndexes.get(dataset);
+}
+
+// The rating for a hostname, its nearest listed parent domain ("music.youtube.com"
+// -> youtube.com -> Google) or null: { service, domain, alias, grade, gradeLabel }
+function findServiceRating(hostname, dataset) {
+    const index = getRatingIndex(dataset);
+    const labels = String(hostname || '').toLowerCase().replace(/\.$/, '').split('.');
+    for (let start = 0; start < labels.length - 1; start++) {
+        const match = index.get(labels.slice(start).join('.'));
+        if (match) {
+            return { ...match, grade: match.service.grade, gradeLabel: RATING_GRADES[match.service.grade] };
+        }
+    }
+    return null;
+}
+
+// Export rating helpers (self is the options page or the popup window)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RATINGS_SCHEMA, RATING_GRADES, validateRatingsDataset, packRatingsDataset, parseRatingsUpdate,
+        loadRatings, importRatings, resetRatings, findServiceRating
+    };
+} else {
+    self.PolicyPeekRatings = {
+        RATINGS_SCHEMA, RATING_GRADES, validateRatingsDataset, packRatingsDataset, parseRatingsUpdate,
+        loadRatings, importRatings, resetRatings, findServiceRating
+    };
+}
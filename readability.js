@@ -0,0 +1,142 @@
+// Policy Peek - Readability Metrics
+// How hard a policy is to read, for the whole document and for each of its
+// sections: Flesch-Kincaid grade, estimated reading time, average sentence
+// length, legalese and passive-voice density, and the number of cross-references
+// ("as defined in Section 4") a reader has to chase. The grade, legalese and
+// passive-voice measures are English formulas and are left out for other languages.
+
+// Policies are read slower than prose; 200 words per minute is a careful adult reader
+const READING_WORDS_PER_MINUTE = 200;
+// Sections shorter than this are headings or fragments, too small to score
+const MIN_SECTION_WORDS = 20;
+
+// Legal boilerplate that plain-language guides ask drafters to avoid
+const LEGALESE_PATTERN = /\b(?:here(?:by|in|inafter|of|to|under|tofore|with)|there(?:of|in|to|under|by)|where(?:as|by|in|of)|notwithstanding|pursuant to|aforementioned|aforesaid|forthwith|inter alia|in lieu of|mutatis mutandis|indemnif(?:y|ies|ication)|without limitation|including but not limited to|to the (?:fullest|maximum) extent permitted|in (?:its|our) sole discretion|shall)\b/gi;
+
+// "is collected", "will be shared", "have been retained": a form of "be" and a past participle
+const PASSIVE_PATTERN = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|(?:known|made|given|taken|seen|held|kept|sent|shown|written|sold|told|found|built|bought|brought|chosen|done|drawn|forgiven|hidden|paid|put|read|set|shared|withheld))\b/i;
+
+// References a reader has to look up elsewhere in the document or in another one
+const CROSS_REFERENCE_PATTERN = /\b(?:(?:sections?|clauses?|paragraphs?|articles?|schedules?|appendix|annex|exhibit)\s+\d+(?:\.\d+)*(?:\s*\([a-z0-9]+\))*|as (?:defined|described|set (?:forth|out)|provided|specified|detailed|explained) (?:in|below|above|herein|hereunder))/gi;
+
+// Flesch-Kincaid grade bands, easiest first
+const READABILITY_LEVELS = [
+    { maxGrade: 8, label: 'Easy to read' },
+    { maxGrade: 12, label: 'Fairly difficult' },
+    { maxGrade: 16, label: 'Difficult (college level)' },
+    { maxGrade: Infinity, label: 'Very difficult (graduate level)' }
+];
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getReadabilityRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+function getReadabilitySectionSplitter() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./summarizer.js').splitPolicySections;
+    }
+    return self.PolicyPeekSummarizer.splitPolicySections;
+}
+
+// Vowel groups, less a silent final "e", at least one per word; close enough for grade formulas
+function countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length <= 3) {
+        return 1;
+    }
+    const groups = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function describeGrade(grade) {
+    return READABILITY_LEVELS.find(level => grade <= level.maxGrade).label;
+}
+
+// Metrics for one piece of text; null when it has no words
+function measureText(text, english) {
+    const words = String(text || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+    if (words.length === 0) {
+        return null;
+    }
+    const sentences = getReadabilityRuleEngine().splitSentences(text);
+    const sentenceCount = Math.max(1, sentences.length);
+    const averageSentenceLength = words.length / sentenceCount;
+    const crossReferences = (text.match(CROSS_REFERENCE_PATTERN) || []).length;
+
+    const metrics = {
+        words: words.length,
+        sentences: sentenceCount,
+        readingMinutes: Math.max(1, Math.round(words.length / READING_WORDS_PER_MINUTE)),
+        averageSentenceLength: round(averageSentenceLength, 1),
+        crossReferences,
+        fleschKincaidGrade: null,
+        level: null,
+        legaleseTerms: null,
+        legalesePer100Words: null,
+        passiveSentencePercent: null
+    };
+
+    if (english) {
+        const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+        const grade = 0.39 * averageSentenceLength + 11.8 * (syllables / words.length) - 15.59;
+        const legaleseTerms = (text.match(LEGALESE_PATTERN) || []).length;
+        const passiveSentences = sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)).length;
+        metrics.fleschKincaidGrade = round(Math.max(0, grade), 1);
+        metrics.level = describeGrade(metrics.fleschKincaidGrade);
+        metrics.legaleseTerms = legaleseTerms;
+        metrics.legalesePer100Words = round(legaleseTerms / words.length * 100, 1);
+        metrics.passiveSentencePercent = Math.round(passiveSentences / sentenceCount * 100);
+    }
+    return metrics;
+}
+
+// { ...metrics for the whole text, english, sections: [{ heading, ...metrics }] } or null for empty text.
+//   options.language  ISO code of the text (defaults to English); only English gets the grade,
+//                     legalese and passive-voice measures
+// Sections come from the policy's own headings; a policy without headings has none.
+function measureReadability(text, options = {}) {
+    const english = !options.language || options.language === 'en';
+    const sections = getReadabilitySectionSplitter()(text);
+    // Headings are not sentences; counting them would shorten the average sentence
+    const overall = measureText(sections.length > 1 ? sections.map(section => section.text).join('\n') : text, english);
+    if (!overall) {
+        return null;
+    }
+
+    const sectionMetrics = sections.length > 1
+        ? sections
+            .map(section => ({ heading: section.heading || 'Introduction', metrics: measureText(section.text, english) }))
+            .filter(section => section.metrics && section.metrics.words >= MIN_SECTION_WORDS)
+            .map(section => ({ heading: section.heading, ...section.metrics }))
+        : [];
+
+    return { ...overall, english, sections: sectionMetrics };
+}
+
+// Metrics as { title, value } rows for the popup and reports; measures left out for the language are skipped
+function describeReadability(metrics) {
+    return [
+        { title: 'Reading level', value: metrics.fleschKincaidGrade !== null ? `Grade ${metrics.fleschKincaidGrade} · ${metrics.level}` : null },
+        { title: 'Reading time', value: `About ${metrics.readingMinutes} min (${metrics.words} words)` },
+        { title: 'Sentences', value: `${metrics.averageSentenceLength} words on average` },
+        { title: 'Legalese', value: metrics.legaleseTerms !== null ? `${metrics.legaleseTerms} term(s), ${metrics.legalesePer100Words} per 100 words` : null },
+        { title: 'Passive voice', value: metrics.passiveSentencePercent !== null ? `${metrics.passiveSentencePercent}% of sentences` : null },
+        { title: 'Cross-references', value: String(metrics.crossReferences) }
+    ].filter(row => row.value !== null);
+}
+
+// Export readability helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { READING_WORDS_PER_MINUTE, countSyllables, measureReadability, describeReadability };
+} else {
+    self.PolicyPeekReadability = { READING_WORDS_PER_MINUTE, countSyllables, measureReadability, describeReadability };
+}
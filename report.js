@@ -0,0 +1,460 @@
+// Policy Peek - Analysis Reports
+// Turns analysis results into reports that outlive the popup: Markdown for
+// tickets, JSON with rule IDs and evidence for tooling, and a self-contained
+// HTML page that prints cleanly. A report covers one or more documents (the
+// pasted policy, or every linked policy of a site with its change history).
+
+// Bumped when the JSON layout changes
+const REPORT_FORMAT_VERSION = 1;
+
+const REPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    html: { extension: 'html', mimeType: 'text/html' }
+};
+
+const CHECKLIST_STATUS_ICONS = { present: '✅', ambiguous: '❓', missing: '❌' };
+
+const POLICY_TYPE_NAMES = { privacy: 'Privacy policy', terms: 'Terms', cookies: 'Cookie policy', pasted: 'Pasted policy' };
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getReportAnalyzer() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./analyzer.js');
+    }
+    return self.PolicyPeekAnalyzer;
+}
+
+function getReportLabelVocabulary() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./privacy-label.js').PRIVACY_LABEL_VOCABULARY;
+    }
+    return self.PolicyPeekLabel.PRIVACY_LABEL_VOCABULARY;
+}
+
+function getReportReadability() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./readability.js');
+    }
+    return self.PolicyPeekReadability;
+}
+
+function getExtensionVersion() {
+    try {
+        return chrome.runtime.getManifest().version;
+    } catch (error) {
+        return null;
+    }
+}
+
+// One analyzed document in report form; analysis is an analyzeRiskFactors result
+function buildReportDocument({ title, url, type, summary, analysis, label, compliance, change }) {
+    const categories = (analysis && analysis.categories) || {};
+    const categoryLabel = categoryId => categories[categoryId] ? categories[categoryId].label : categoryId;
+    const external = analysis && analysis.external;
+
+    return {
+        title: title || null,
+        url: url || null,
+        type: type || null,
+        summary: summary || null,
+        level: analysis ? analysis.level : null,
+        riskScore: analysis ? analysis.riskScore : null,
+        description: analysis ? analysis.description : null,
+        language: analysis && analysis.language ? analysis.language : null,
+        translated: Boolean(analysis && analysis.translated),
+        scoreBreakdown: Object.entries(categories)
+            .map(([category, entry]) => ({ category, label: entry.label, score: entry.score, risks: entry.risks, positives: entry.positives }))
+            .sort((a, b) => b.score - a.score),
+        findings: ((analysis && analysis.findings) || []).map(finding => ({
+            ruleId: finding.ruleId,
+            type: finding.type,
+            category: finding.category,
+            categoryLabel: categoryLabel(finding.category),
+            label: finding.label,
+            weight: finding.weight,
+            negated: Boolean(finding.negated),
+            qualified: Boolean(finding.qualified),
+            hedged: Boolean(finding.hedged),
+            explanation: finding.explanation || null,
+            evidence: finding.sentence || null
+        })),
+        providerFindings: external ? external.findings.map(finding => ({
+            provider: external.provider,
+            type: finding.type,
+            label: finding.label,
+            explanation: finding.explanation || null,
+            evidence: finding.quote || null
+        })) : [],
+        privacyLabel: label || (analysis && analysis.label) || null,
+        compliance: compliance || (analysis && analysis.compliance) || null,
+        readability: (analysis && analysis.readability) || null,
+        change: change ? {
+            changedAt: new Date(change.toDate).toISOString(),
+            previousRiskScore: change.previousRiskScore,
+            riskScore: change.riskScore,
+            added: change.added.length,
+            removed: change.removed.length,
+            reworded: change.reworded.length,
+            riskChanges: change.riskChanges.map(({ change: kind, sentence, gained, lost }) => ({ change: kind, sentence, gained, lost }))
+        } : null
+    };
+}
+
+// report: { url, title, source, documents: [buildReportDocument options] }
+function buildReport({ url, title, source, documents }) {
+    let hostname = null;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        // Pasted text analyzed on a page without a URL (new tab page)
+    }
+
+    return {
+        reportVersion: REPORT_FORMAT_VERSION,
+        analyzerVersion: getReportAnalyzer().ANALYZER_VERSION,
+        extensionVersion: getExtensionVersion(),
+        generatedAt: new Date().toISOString(),
+        source: source,
+        url: url || null,
+        hostname: hostname,
+        title: title || null,
+        documents: documents.map(buildReportDocument)
+    };
+}
+
+// Label fields as { title, values } rows, the same rows the popup's label card shows
+function describePrivacyLabel(label) {
+    const vocabulary = getReportLabelVocabulary();
+    const names = (ids, table) => ids.map(id => table[id] || id);
+    const contact = [];
+    if (label.contact.dpo) contact.push(`DPO${label.contact.dpoEmail ? `: ${label.contact.dpoEmail}` : ''}`);
+    label.contact.emails.filter(email => email !== label.contact.dpoEmail).forEach(email => contact.push(email));
+
+    return [
+        { title: 'Collects', values: names(label.dataCollected, vocabulary.dataCollected) },
+        { title: 'Used for', values: names(label.purposes, vocabulary.purposes) },
+        { title: 'Shared with', values: names(label.recipients, vocabulary.recipients).concat(label.thirdParties) },
+        { title: 'Kept for', values: label.retention.map(entry => entry.period) },
+        { title: 'Your rights', values: names(label.userRights, vocabulary.userRights) },
+        { title: 'Opt out via', values: label.optOuts.map(entry => vocabulary.optOutMethods[entry.method] || entry.method) },
+        { title: 'Contact', values: contact },
+        {
+            title: 'Jurisdiction',
+            values: (label.jurisdiction.governingLaw ? [`${label.jurisdiction.governingLaw} law`] : [])
+                .concat(names(label.jurisdiction.regulations, vocabulary.regulations))
+        }
+    ].filter(row => row.values.length > 0);
+}
+
+// English-only readability measures are null for other languages
+function formatMeasure(value, suffix) {
+    return value === null ? '–' : `${value}${suffix || ''}`;
+}
+
+function describeDocument(reportDocument) {
+    return reportDocument.title || POLICY_TYPE_NAMES[reportDocument.type] || reportDocument.url || 'Policy';
+}
+
+function describeLevel(reportDocument) {
+    if (reportDocument.level === null) {
+        return 'Not analyzed';
+    }
+    return `${reportDocument.level === 'risky' ? 'Risky' : 'Safe'} (score ${reportDocument.riskScore})`;
+}
+
+function describeFindingNotes(finding) {
+    const notes = [];
+    if (finding.negated) notes.push('negated');
+    if (finding.qualified) notes.push('with exceptions');
+    if (finding.hedged) notes.push('hedged');
+    return notes.join(', ');
+}
+
+function reportHeading(report) {
+    return `Policy Peek report${report.hostname ? `: ${report.hostname}` : ''}`;
+}
+
+// Markdown pipes and line breaks would break the table layout
+function escapeMarkdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function toMarkdown(report) {
+    const lines = [
+        `# ${reportHeading(report)}`,
+        '',
+        `- **URL:** ${report.url || 'n/a'}`,
+        `- **Generated:** ${report.generatedAt}`,
+        `- **Analyzer version:** ${report.analyzerVersion}${report.extensionVersion && report.extensionVersion !== report.analyzerVersion ? ` (extension ${report.extensionVersion})` : ''}`,
+        `- **Source:** ${report.source}`
+    ];
+
+    report.documents.forEach(reportDocument => {
+        lines.push('', `## ${describeDocument(reportDocument)}`, '');
+        if (reportDocument.url && reportDocument.url !== report.url) lines.push(`- **Document:** ${reportDocument.url}`);
+        lines.push(`- **Verdict:** ${describeLevel(reportDocument)}`);
+        if (reportDocument.language) lines.push(`- **Language:** ${reportDocument.language}${reportDocument.translated ? ' (translated before analysis)' : ''}`);
+
+        if (reportDocument.summary) {
+            lines.push('', '### Summary', '', reportDocument.summary);
+        }
+
+        if (reportDocument.scoreBreakdown.length > 0) {
+            lines.push('', '### Score breakdown', '', '| Category | Score | Risks | Protections |', '| --- | ---: | ---: | ---: |');
+            reportDocument.scoreBreakdown.forEach(entry => {
+                lines.push(`| ${escapeMarkdownCell(entry.label)} | ${entry.score > 0 ? '+' : ''}${entry.score} | ${entry.risks} | ${entry.positives} |`);
+            });
+        }
+
+        if (reportDocument.findings.length > 0) {
+            lines.push('', '### Findings', '');
+            reportDocument.findings.forEach(finding => {
+                const notes = describeFindingNotes(finding);
+                lines.push(`- ${finding.type === 'risk' ? '⚠️' : '✅'} **${finding.label}** \`${finding.ruleId}\` (${finding.categoryLabel}, weight ${finding.weight}${notes ? `, ${notes}` : ''})`);
+                if (finding.explanation) lines.push(`  ${finding.explanation}`);
+                if (finding.evidence) lines.push(`  > ${finding.evidence.replace(/\s*\n\s*/g, ' ')}`);
+            });
+        }
+
+        if (reportDocument.providerFindings.length > 0) {
+            lines.push('', '### Provider findings', '');
+            reportDocument.providerFindings.forEach(finding => {
+                lines.push(`- ${finding.type === 'risk' ? '⚠️' : '✅'} **${finding.label}**${finding.explanation ? `: ${finding.explanation}` : ''}`);
+                if (finding.evidence) lines.push(`  > ${finding.evidence.replace(/\s*\n\s*/g, ' ')}`);
+            });
+        }
+
+        if (reportDocument.privacyLabel) {
+            const rows = describePrivacyLabel(reportDocument.privacyLabel);
+            if (rows.length > 0) {
+                lines.push('', '### Privacy label', '');
+                rows.forEach(row => lines.push(`- **${row.title}:** ${row.values.join(', ')}`));
+            }
+        }
+
+        if (reportDocument.readability) {
+            const readability = reportDocument.readability;
+            lines.push('', '### Readability', '');
+            getReportReadability().describeReadability(readability).forEach(row => lines.push(`- **${row.title}:** ${row.value}`));
+            if (readability.sections.length > 0) {
+                lines.push('', '| Section | Grade | Minutes | Words / sentence | Legalese / 100 words | Passive | Cross-references |', '| --- | ---: | ---: | ---: | ---: | ---: | ---: |');
+                readability.sections.forEach(section => {
+                    lines.push(`| ${escapeMarkdownCell(section.heading)} | ${formatMeasure(section.fleschKincaidGrade)} | ${section.readingMinutes} | ${section.averageSentenceLength} | ` +
+                        `${formatMeasure(section.legalesePer100Words)} | ${formatMeasure(section.passiveSentencePercent, '%')} | ${section.crossReferences} |`);
+                });
+            }
+        }
+
+        (reportDocument.compliance || []).forEach(result => {
+            lines.push('', `### ${result.name} disclosures`, '');
+            if (!result.applicable) {
+                lines.push(`Does not appear to apply${result.exemption ? `: "${result.exemption}"` : '.'}`);
+                return;
+            }
+            lines.push(`${result.counts.present} present, ${result.counts.ambiguous} ambiguous, ${result.counts.missing} missing`, '');
+            result.items.forEach(item => {
+                lines.push(`- ${CHECKLIST_STATUS_ICONS[item.status]} **${item.label}**${item.citation ? ` (${item.citation})` : ''}: ${item.status}`);
+                if (item.evidence) lines.push(`  > ${item.evidence.replace(/\s*\n\s*/g, ' ')}`);
+            });
+        });
+
+        if (reportDocument.change) {
+            const change = reportDocument.change;
+            lines.push('', '### Last change', '',
+                `Changed ${change.changedAt}: +${change.added} added, −${change.removed} removed, ${change.reworded} reworded` +
+                (change.previousRiskScore !== null && change.riskScore !== null ? `; risk score ${change.previousRiskScore} → ${change.riskScore}` : ''));
+            change.riskChanges.forEach(riskChange => {
+                lines.push(`- ${riskChange.change}: ${riskChange.gained.concat(riskChange.lost).join(', ')}`, `  > ${riskChange.sentence}`);
+            });
+        }
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+function toJSON(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+function escapeReportHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+const REPORT_STYLES = `
+    body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212121; max-width: 820px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 18px; margin-top: 28px; border-bottom: 2px solid #667eea; padding-bottom: 4px; }
+    h3 { font-size: 15px; margin: 18px 0 6px; }
+    dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; color: #555; }
+    dl.meta dt { font-weight: 600; }
+    dl.meta dd { margin: 0; word-break: break-all; }
+    .verdict { display: inline-block; padding: 2px 10px; border-radius: 10px; color: #fff; font-weight: 600; }
+    .verdict-risky { background: #f44336; }
+    .verdict-safe { background: #4caf50; }
+    .verdict-none { background: #9e9e9e; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    td.number { text-align: right; }
+    ul.findings { padding-left: 18px; }
+    ul.findings li { margin-bottom: 8px; }
+    .rule-id { font-family: monospace; font-size: 12px; color: #666; }
+    .notes, .explanation { color: #555; }
+    blockquote { margin: 4px 0 0; padding-left: 10px; border-left: 3px solid #ccc; color: #444; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        h2 { break-after: avoid; }
+        li, tr { break-inside: avoid; }
+    }
+`;
+
+// Self-contained page (inline styles, no scripts or remote resources) for printing or archiving
+function toPrintableHTML(report) {
+    const escape = escapeReportHTML;
+    const parts = [
+        `<h1>${escape(reportHeading(report))}</h1>`,
+        '<dl class="meta">',
+        `<dt>URL</dt><dd>${escape(report.url || 'n/a')}</dd>`,
+        `<dt>Generated</dt><dd>${escape(report.generatedAt)}</dd>`,
+        `<dt>Analyzer version</dt><dd>${escape(report.analyzerVersion)}${report.extensionVersion && report.extensionVersion !== report.analyzerVersion ? ` (extension ${escape(report.extensionVersion)})` : ''}</dd>`,
+        `<dt>Source</dt><dd>${escape(report.source)}</dd>`,
+        '</dl>'
+    ];
+
+    report.documents.forEach(reportDocument => {
+        const verdictClass = reportDocument.level ? `verdict-${reportDocument.level}` : 'verdict-none';
+        parts.push(`<h2>${escape(describeDocument(reportDocument))}</h2>`);
+        if (reportDocument.url && reportDocument.url !== report.url) parts.push(`<p>${escape(reportDocument.url)}</p>`);
+        parts.push(`<p><span class="verdict ${verdictClass}">${escape(describeLevel(reportDocument))}</span></p>`);
+
+        if (reportDocument.summary) {
+            parts.push('<h3>Summary</h3>', `<p>${escape(reportDocument.summary)}</p>`);
+        }
+
+        if (reportDocument.scoreBreakdown.length > 0) {
+            parts.push('<h3>Score breakdown</h3>', '<table><thead><tr><th>Category</th><th>Score</th><th>Risks</th><th>Protections</th></tr></thead><tbody>');
+            reportDocument.scoreBreakdown.forEach(entry => {
+                parts.push(`<tr><td>${escape(entry.label)}</td><td class="number">${entry.score > 0 ? '+' : ''}${entry.score}</td><td class="number">${entry.risks}</td><td class="number">${entry.positives}</td></tr>`);
+            });
+            parts.push('</tbody></table>');
+        }
+
+        if (reportDocument.findings.length > 0) {
+            parts.push('<h3>Findings</h3>', '<ul class="findings">');
+            reportDocument.findings.forEach(finding => {
+                const notes = describeFindingNotes(finding);
+                parts.push(`<li>${finding.type === 'risk' ? '⚠️' : '✅'} <strong>${escape(finding.label)}</strong> <span class="rule-id">${escape(finding.ruleId)}</span>` +
+                    ` <span class="notes">(${escape(finding.categoryLabel)}, weight ${finding.weight}${notes ? `, ${escape(notes)}` : ''})</span>` +
+                    (finding.explanation ? `<div class="explanation">${escape(finding.explanation)}</div>` : '') +
+                    (finding.evidence ? `<blockquote>${escape(finding.evidence)}</blockquote>` : '') + '</li>');
+            });
+            parts.push('</ul>');
+        }
+
+        if (reportDocument.providerFindings.length > 0) {
+            parts.push('<h3>Provider findings</h3>', '<ul class="findings">');
+            reportDocument.providerFindings.forEach(finding => {
+                parts.push(`<li>${finding.type === 'risk' ? '⚠️' : '✅'} <strong>${escape(finding.label)}</strong>` +
+                    (finding.explanation ? `<div class="explanation">${escape(finding.explanation)}</div>` : '') +
+                    (finding.evidence ? `<blockquote>${escape(finding.evidence)}</blockquote>` : '') + '</li>');
+            });
+            parts.push('</ul>');
+        }
+
+        if (reportDocument.privacyLabel) {
+            const rows = describePrivacyLabel(reportDocument.privacyLabel);
+            if (rows.length > 0) {
+                parts.push('<h3>Privacy label</h3>', '<table><tbody>');
+                rows.forEach(row => parts.push(`<tr><th>${escape(row.title)}</th><td>${row.values.map(escape).join(', ')}</td></tr>`));
+                parts.push('</tbody></table>');
+            }
+        }
+
+        if (reportDocument.readability) {
+            const readability = reportDocument.readability;
+            parts.push('<h3>Readability</h3>', '<table><tbody>');
+            getReportReadability().describeReadability(readability).forEach(row => parts.push(`<tr><th>${escape(row.title)}</th><td>${escape(row.value)}</td></tr>`));
+            parts.push('</tbody></table>');
+            if (readability.sections.length > 0) {
+                parts.push('<table><thead><tr><th>Section</th><th>Grade</th><th>Minutes</th><th>Words / sentence</th><th>Legalese / 100 words</th><th>Passive</th><th>Cross-references</th></tr></thead><tbody>');
+                readability.sections.forEach(section => {
+                    parts.push(`<tr><td>${escape(section.heading)}</td><td class="number">${formatMeasure(section.fleschKincaidGrade)}</td><td class="number">${section.readingMinutes}</td>` +
+                        `<td class="number">${section.averageSentenceLength}</td><td class="number">${formatMeasure(section.legalesePer100Words)}</td>` +
+                        `<td class="number">${formatMeasure(section.passiveSentencePercent, '%')}</td><td class="number">${section.crossReferences}</td></tr>`);
+                });
+                parts.push('</tbody></table>');
+            }
+        }
+
+        (reportDocument.compliance || []).forEach(result => {
+            parts.push(`<h3>${escape(result.name)} disclosures</h3>`);
+            if (!result.applicable) {
+                parts.push(`<p>Does not appear to apply.</p>${result.exemption ? `<blockquote>${escape(result.exemption)}</blockquote>` : ''}`);
+                return;
+            }
+            parts.push(`<p>${result.counts.present} present, ${result.counts.ambiguous} ambiguous, ${result.counts.missing} missing</p>`, '<ul class="findings">');
+            result.items.forEach(item => {
+                parts.push(`<li>${CHECKLIST_STATUS_ICONS[item.status]} <strong>${escape(item.label)}</strong>` +
+                    (item.citation ? ` <span class="rule-id">${escape(item.citation)}</span>` : '') +
+                    ` <span class="notes">(${item.status})</span>` +
+                    (item.evidence ? `<blockquote>${escape(item.evidence)}</blockquote>` : '') + '</li>');
+            });
+            parts.push('</ul>');
+        });
+
+        if (reportDocument.change) {
+            const change = reportDocument.change;
+            parts.push('<h3>Last change</h3>',
+                `<p>Changed ${escape(change.changedAt)}: +${change.added} added, −${change.removed} removed, ${change.reworded} reworded` +
+                (change.previousRiskScore !== null && change.riskScore !== null ? `; risk score ${change.previousRiskScore} → ${change.riskScore}` : '') + '</p>');
+            if (change.riskChanges.length > 0) {
+                parts.push('<ul class="findings">');
+                change.riskChanges.forEach(riskChange => {
+                    parts.push(`<li>${escape(riskChange.change)}: ${riskChange.gained.concat(riskChange.lost).map(escape).join(', ')}<blockquote>${escape(riskChange.sentence)}</blockquote></li>`);
+                });
+                parts.push('</ul>');
+            }
+        }
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(reportHeading(report))}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+// policy-peek-example.com-2026-10-19.md
+function getReportFileName(report, format) {
+    const subject = (report.hostname || 'policy').replace(/[^a-z0-9.-]+/gi, '-');
+    return `policy-peek-${subject}-${report.generatedAt.slice(0, 10)}.${REPORT_FORMATS[format].extension}`;
+}
+
+// { fileName, mimeType, content } for one of the REPORT_FORMATS
+function renderReport(report, format) {
+    const renderers = { markdown: toMarkdown, json: toJSON, html: toPrintableHTML };
+    if (!renderers[format]) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+    return {
+        fileName: getReportFileName(report, format),
+        mimeType: REPORT_FORMATS[format].mimeType,
+        content: renderers[format](report)
+    };
+}
+
+// Export report helpers (self is the popup window, the only page that loads them)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPORT_FORMAT_VERSION, REPORT_FORMATS, buildReport, toMarkdown, toJSON, toPrintableHTML, renderReport };
+} else {
+    self.PolicyPeekReport = { REPORT_FORMAT_VERSION, REPORT_FORMATS, buildReport, toMarkdown, toJSON, toPrintableHTML, renderReport };
+}
@@ -0,0 +1,278 @@
+// Policy Peek - Custom Rule Packs
+// User-defined JSON rule packs: validated against RULE_PACK_SCHEMA, stored in
+// chrome.storage.local, and compiled into extra rules for the rule engine
+// (manual and fetched-policy analysis) and extra keywords for page scanning.
+
+const RULE_PACKS_KEY = 'rulePacks';
+const RULE_PACK_FORMAT_VERSION = 1;
+
+// JSON Schema (draft-07 subset) describing a rule pack file
+const RULE_PACK_SCHEMA = {
+    type: 'object',
+    required: ['formatVersion', 'id', 'name', 'rules'],
+    additionalProperties: false,
+    properties: {
+        formatVersion: { type: 'integer', enum: [RULE_PACK_FORMAT_VERSION] },
+        id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{1,49}$' },
+        name: { type: 'string', minLength: 1, maxLength: 80 },
+        version: { type: 'string', maxLength: 20 },
+        description: { type: 'string', maxLength: 500 },
+        author: { type: 'string', maxLength: 80 },
+        categories: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['label'],
+                additionalProperties: false,
+                properties: { label: { type: 'string', minLength: 1, maxLength: 60 } }
+            }
+        },
+        pageKeywords: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                policy: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 2, maxLength: 80 } },
+                risky: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 2, maxLength: 80 } }
+            }
+        },
+        rules: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 200,
+            items: {
+                type: 'object',
+                required: ['id', 'category', 'label', 'pattern', 'weight', 'explanation'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9.-]{0,59}$' },
+                    category: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$' },
+                    label: { type: 'string', minLength: 1, maxLength: 80 },
+                    pattern: { type: 'string', minLength: 2, maxLength: 500 },
+                    flags: { type: 'string', pattern: '^[imsu]*$' },
+                    weight: { type: 'number', minimum: -5, maximum: 5 },
+                    explanation: { type: 'string', minLength: 1, maxLength: 300 },
+                    negatable: { type: 'boolean' },
+                    negatedLabel: { type: 'string', maxLength: 80 },
+                    negatedWeight: { type: 'number', minimum: -5, maximum: 0 },
+                    languages: { type: 'array', items: { type: 'string', pattern: '^[a-z]{2}$' } },
+                    scanPages: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Validate a value against the schema subset used above; returns a list of error strings
+function validateAgainstSchema(value, schema, path = 'pack') {
+    const errors = [];
+    const actualType = describeType(value);
+    const typeMatches = schema.type === 'number'
+        ? actualType === 'number' || actualType === 'integer'
+        : actualType === schema.type;
+
+    if (schema.type && !typeMatches) {
+        return [`${path} must be of type ${schema.type}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} has an invalid format`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`));
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(child, schema.additionalProperties, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Schema validation plus the checks JSON Schema cannot express (regex syntax, unique ids)
+function validateRulePack(pack) {
+    const errors = validateAgainstSchema(pack, RULE_PACK_SCHEMA);
+    if (errors.length > 0 || !Array.isArray(pack.rules)) {
+        return errors;
+    }
+
+    const seenIds = new Set();
+    pack.rules.forEach((rule, index) => {
+        if (seenIds.has(rule.id)) {
+            errors.push(`pack.rules[${index}].id "${rule.id}" is used more than once`);
+        }
+        seenIds.add(rule.id);
+
+        try {
+            new RegExp(rule.pattern, rule.flags || 'i');
+        } catch (error) {
+            errors.push(`pack.rules[${index}].pattern is not a valid regular expression: ${error.message}`);
+        }
+
+        if (rule.weight === 0) {
+            errors.push(`pack.rules[${index}].weight must not be 0`);
+        }
+    });
+
+    return errors;
+}
+
+// Parse and validate a pack file's text; throws with all validation errors listed
+function parseRulePack(jsonText) {
+    let pack;
+    try {
+        pack = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Rule pack is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateRulePack(pack);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rule pack:\n${errors.join('\n')}`);
+    }
+    return pack;
+}
+
+async function listRulePacks() {
+    const stored = await chrome.storage.local.get([RULE_PACKS_KEY]);
+    return stored[RULE_PACKS_KEY] || [];
+}
+
+// Import (or replace, by id) a pack; new packs start enabled
+async function importRulePack(jsonText) {
+    const pack = parseRulePack(jsonText);
+    const packs = await listRulePacks();
+    const existing = packs.find(stored => stored.pack.id === pack.id);
+    const entry = {
+        pack,
+        enabled: existing ? existing.enabled : true,
+        importedAt: Date.now()
+    };
+
+    const updated = packs.filter(stored => stored.pack.id !== pack.id).concat(entry);
+    await chrome.storage.local.set({ [RULE_PACKS_KEY]: updated });
+    return entry;
+}
+
+async function exportRulePack(packId) {
+    const packs = await listRulePacks();
+    const entry = packs.find(stored => stored.pack.id === packId);
+    if (!entry) {
+        throw new Error(`Rule pack "${packId}" not found`);
+    }
+    return JSON.stringify(entry.pack, null, 2);
+}
+
+async function setRulePackEnabled(packId, enabled) {
+    const packs = await listRulePacks();
+    packs.forEach(stored => {
+        if (stored.pack.id === packId) stored.enabled = enabled;
+    });
+    await chrome.storage.local.set({ [RULE_PACKS_KEY]: packs });
+}
+
+async function removeRulePack(packId) {
+    const packs = await listRulePacks();
+    await chrome.storage.local.set({ [RULE_PACKS_KEY]: packs.filter(stored => stored.pack.id !== packId) });
+}
+
+// Compile enabled packs into engine rules ({ rules, categories }); ids are prefixed with the pack id
+function compileRulePacks(packEntries) {
+    const rules = [];
+    const categories = {};
+
+    (packEntries || []).filter(entry => entry.enabled).forEach(({ pack }) => {
+        Object.assign(categories, pack.categories || {});
+        pack.rules.forEach(rule => {
+            rules.push({
+                ...rule,
+                id: `${pack.id}/${rule.id}`,
+                pattern: new RegExp(rule.pattern, rule.flags || 'i'),
+                packId: pack.id
+            });
+        });
+    });
+
+    return { rules, categories };
+}
+
+// Extra keywords and serializable patterns for the injected page detector
+function getRulePackPageKeywords(packEntries) {
+    const policyKeywords = [];
+    const riskyKeywords = [];
+    const riskyPatterns = [];
+
+    (packEntries || []).filter(entry => entry.enabled).forEach(({ pack }) => {
+        const pageKeywords = pack.pageKeywords || {};
+        policyKeywords.push(...(pageKeywords.policy || []));
+        riskyKeywords.push(...(pageKeywords.risky || []));
+
+        pack.rules
+            .filter(rule => rule.scanPages && rule.weight > 0)
+            .forEach(rule => riskyPatterns.push({ source: rule.pattern, flags: rule.flags || 'i', label: rule.label }));
+    });
+
+    return { policyKeywords, riskyKeywords, riskyPatterns };
+}
+
+// Enabled packs, compiled for analysis and page scanning in one read
+async function getActiveRulePacks() {
+    try {
+        const packs = await listRulePacks();
+        return {
+            ...compileRulePacks(packs),
+            pageKeywords: getRulePackPageKeywords(packs)
+        };
+    } catch (error) {
+        console.error('Error loading rule packs:', error);
+        return { rules: [], categories: {}, pageKeywords: { policyKeywords: [], riskyKeywords: [], riskyPatterns: [] } };
+    }
+}
+
+// Export rule pack helpers (self works in the options page, the popup and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RULE_PACK_SCHEMA, validateAgainstSchema, validateRulePack, parseRulePack, listRulePacks, importRulePack, exportRulePack,
+        setRulePackEnabled, removeRulePack, compileRulePacks, getRulePackPageKeywords, getActiveRulePacks
+    };
+} else {
+    self.PolicyPeekRulePacks = {
+        RULE_PACK_SCHEMA, validateAgainstSchema, validateRulePack, parseRulePack, listRulePacks, importRulePack, exportRulePack,
+        setRulePackEnabled, removeRulePack, compileRulePacks, getRulePackPageKeywords, getActiveRulePacks
+    };
+}
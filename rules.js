@@ -0,0 +1,645 @@
+// Policy Peek - Clause Rule Engine
+// Splits policy text into sentences and evaluates each one against a set of
+// weighted rules. Rules are grouped into categories; the category scores add
+// up to the overall risk score.
+
+const RULE_CATEGORIES = {
+    'data-sale': { label: 'Data sale' },
+    'third-party-sharing': { label: 'Third-party sharing' },
+    'advertising': { label: 'Advertising & tracking' },
+    'retention': { label: 'Data retention' },
+    'content-rights': { label: 'Content rights' },
+    'arbitration': { label: 'Arbitration & class-action waiver' },
+    'unilateral-changes': { label: 'Unilateral changes' },
+    'liability': { label: 'Liability' },
+    'user-rights': { label: 'User rights' },
+    'security': { label: 'Security' },
+    'transparency': { label: 'Transparency' }
+};
+
+// Each rule matches within a single sentence.
+//   weight        > 0 for risks, < 0 for protections
+//   negatable     whether a preceding "not"/"never" flips the meaning (default true)
+//   negatedLabel  protection recorded when a negatable risk is negated, e.g. "we never sell your data"
+//   negatedWeight weight of that protection
+const POLICY_RULES = [
+    {
+        id: 'data-sale.sell',
+        category: 'data-sale',
+        label: 'sell your data',
+        pattern: /\b(?:sell|sells|selling|sold|rent|rents|renting|trade|trades|monetiz\w*)\b[^.;]{0,60}?\b(?:data|information|details)\b/i,
+        weight: 3,
+        negatedLabel: 'does not sell your data',
+        negatedWeight: -1,
+        explanation: 'Your personal information may be sold or rented to other companies.'
+    },
+    {
+        id: 'data-sale.sale-of',
+        category: 'data-sale',
+        label: 'sale of personal information',
+        pattern: /\bsale of (?:your )?personal (?:data|information)\b/i,
+        weight: 3,
+        negatedLabel: 'no sale of personal information',
+        negatedWeight: -1,
+        explanation: 'The policy describes selling personal information.'
+    },
+    {
+        id: 'sharing.third-parties',
+        category: 'third-party-sharing',
+        label: 'third parties',
+        pattern: /\b(?:share|shares|sharing|shared|disclose|discloses|disclosed|transfer|transfers|provide|provides)\b[^.;]{0,80}?\bthird[\s-]part(?:y|ies)\b/i,
+        weight: 1.5,
+        negatedLabel: 'does not share with third parties',
+        negatedWeight: -1,
+        explanation: 'Data is passed to companies outside the service.'
+    },
+    {
+        id: 'sharing.affiliates',
+        category: 'third-party-sharing',
+        label: 'affiliates and partners',
+        pattern: /\b(?:share|shares|sharing|shared|disclose|discloses|disclosed)\b[^.;]{0,80}?\b(?:affiliates|business partners|subsidiaries|corporate family)\b/i,
+        weight: 1,
+        negatedLabel: 'does not share with affiliates',
+        negatedWeight: -0.5,
+        explanation: 'Data is shared across a corporate group or with business partners.'
+    },
+    {
+        id: 'advertising.partners',
+        category: 'advertising',
+        label: 'advertising partners',
+        pattern: /\b(?:advertising partners|ad networks|advertisers|targeted advertising|personalized ads|interest-based advertising)\b/i,
+        weight: 1.5,
+        negatedLabel: 'no targeted advertising',
+        negatedWeight: -0.5,
+        explanation: 'Your activity may be used to target advertising.'
+    },
+    {
+        id: 'advertising.marketing',
+        category: 'advertising',
+        label: 'marketing purposes',
+        pattern: /\bmarketing purposes\b/i,
+        weight: 1,
+        negatedLabel: 'not used for marketing',
+        negatedWeight: -0.5,
+        explanation: 'Your data may be used for marketing.'
+    },
+    {
+        id: 'retention.indefinite',
+        category: 'retention',
+        label: 'indefinitely',
+        pattern: /\b(?:indefinitely|permanently|forever|for an unlimited (?:period|time))\b/i,
+        weight: 1.5,
+        negatedLabel: 'not kept indefinitely',
+        negatedWeight: -0.5,
+        explanation: 'Data may be kept with no end date.'
+    },
+    {
+        id: 'retention.as-long-as',
+        category: 'retention',
+        label: 'as long as we need',
+        pattern: /\bfor as long as (?:we|it is|necessary for our)\b/i,
+        weight: 0.5,
+        negatable: false,
+        explanation: 'Retention is open-ended and decided by the company.'
+    },
+    {
+        id: 'content.irrevocable-license',
+        category: 'content-rights',
+        label: 'irrevocable license',
+        pattern: /\b(?:irrevocable|perpetual|permanent)\b[^.;]{0,60}?\blicen[cs]e\b/i,
+        weight: 2,
+        negatedLabel: 'no permanent content license',
+        negatedWeight: -0.5,
+        explanation: 'You grant a license to your content that cannot be withdrawn.'
+    },
+    {
+        id: 'arbitration.binding',
+        category: 'arbitration',
+        label: 'binding arbitration',
+        pattern: /\b(?:binding|mandatory|individual) arbitration\b/i,
+        weight: 2,
+        negatedLabel: 'no mandatory arbitration',
+        negatedWeight: -0.5,
+        explanation: 'Disputes go to a private arbitrator instead of a court.'
+    },
+    {
+        id: 'arbitration.class-action-waiver',
+        category: 'arbitration',
+        label: 'class-action waiver',
+        pattern: /\b(?:waive|waives|waiver)\b[^.;]{0,60}?\bclass[\s-]action|\bclass[\s-]action\b[^.;]{0,60}?\b(?:waive|waiver|not permitted|may not|will not)\b|\bonly (?:in|on) an individual basis\b/i,
+        weight: 2,
+        negatable: false,
+        explanation: 'You give up the right to join a class action.'
+    },
+    {
+        id: 'changes.without-notice',
+        category: 'unilateral-changes',
+        label: 'without notice',
+        pattern: /\bwithout (?:prior |advance |any )?notice\b/i,
+        weight: 1,
+        negatedLabel: 'changes announced in advance',
+        negatedWeight: -0.5,
+        explanation: 'Terms or access can change without you being told.'
+    },
+    {
+        id: 'changes.discretion',
+        category: 'unilateral-changes',
+        label: 'at our discretion',
+        pattern: /\b(?:at|in) (?:our|its) (?:sole|absolute|sole and absolute) discretion\b|\bat our discretion\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'The company reserves the right to decide alone.'
+    },
+    {
+        id: 'changes.modify-any-time',
+        category: 'unilateral-changes',
+        label: 'may change terms at any time',
+        pattern: /\b(?:change|modify|update|amend|revise)\b[^.;]{0,60}?\b(?:at any time|from time to time)\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'The terms can be changed unilaterally.'
+    },
+    {
+        id: 'changes.continued-use',
+        category: 'unilateral-changes',
+        label: 'continued use means acceptance',
+        pattern: /\bcontinued use\b[^.;]{0,80}?\b(?:constitutes|means|signifies|deemed)\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'Using the service after a change counts as agreeing to it.'
+    },
+    {
+        id: 'liability.not-liable',
+        category: 'liability',
+        label: 'no liability',
+        pattern: /\b(?:no|not|never|nor)\b[^.;]{0,30}?\b(?:liable|liability|responsible)\b|\blimitation of liability\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'The company limits or excludes its responsibility for harm.'
+    },
+    {
+        id: 'liability.as-is',
+        category: 'liability',
+        label: 'as is',
+        pattern: /\bas[\s-]is\b|\bas available\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'The service is provided without any guarantees.'
+    },
+    {
+        id: 'liability.no-warranty',
+        category: 'liability',
+        label: 'no warranty',
+        pattern: /\b(?:no|without|disclaims?|disclaimer of)\b[^.;]{0,30}?\bwarrant(?:y|ies)\b/i,
+        weight: 1,
+        negatable: false,
+        explanation: 'Warranties are disclaimed.'
+    },
+    {
+        id: 'liability.indemnify',
+        category: 'liability',
+        label: 'indemnify',
+        pattern: /\b(?:indemnif\w*|hold harmless)\b/i,
+        weight: 1.5,
+        negatedLabel: 'no indemnification duty',
+        negatedWeight: -0.5,
+        explanation: 'You may have to cover the company\'s legal costs.'
+    },
+    {
+        id: 'rights.opt-out',
+        category: 'user-rights',
+        label: 'opt-out',
+        pattern: /\bopt[\s-]?out\b/i,
+        weight: -0.5,
+        explanation: 'You can refuse some processing.'
+    },
+    {
+        id: 'rights.delete',
+        category: 'user-rights',
+        label: 'delete your data',
+        pattern: /\b(?:delete|erase|remove|deletion|erasure)\b[^.;]{0,40}?\b(?:your|personal)\b[^.;]{0,20}?\b(?:data|information|account)\b/i,
+        weight: -0.5,
+        explanation: 'You can have your data deleted.'
+    },
+    {
+        id: 'rights.access',
+        category: 'user-rights',
+        label: 'right to access your data',
+        pattern: /\bright to (?:access|rectif\w*|correct|portab\w*|object|restrict)\b|\bdata portability\b/i,
+        weight: -0.5,
+        explanation: 'You can see, correct or take your data with you.'
+    },
+    {
+        id: 'rights.user-control',
+        category: 'user-rights',
+        label: 'user control',
+        pattern: /\buser control\b|\byou (?:can|may) (?:control|manage|choose)\b/i,
+        weight: -0.5,
+        explanation: 'You get choices about how data is used.'
+    },
+    {
+        id: 'security.encryption',
+        category: 'security',
+        label: 'encrypted',
+        pattern: /\bencrypt\w*\b/i,
+        weight: -0.5,
+        explanation: 'Data is encrypted.'
+    },
+    {
+        id: 'security.safeguards',
+        category: 'security',
+        label: 'secure',
+        pattern: /\b(?:securely|secure servers?|security measures|safeguards|privacy protection)\b/i,
+        weight: -0.5,
+        explanation: 'The company describes its security safeguards.'
+    },
+    {
+        id: 'transparency.transparent',
+        category: 'transparency',
+        label: 'transparent',
+        pattern: /\btransparen\w*\b/i,
+        weight: -0.5,
+        explanation: 'The policy commits to being open about data use.'
+    }
+];
+
+// Native-language patterns for the same rules, so non-English policies are
+// still scored when no on-device translator is available. Rules without a
+// pattern for a language are skipped for that language. Avoid \b next to
+// accented letters: JavaScript word boundaries only know ASCII.
+const NATIVE_RULE_PATTERNS = {
+    de: {
+        'data-sale.sell': /(?:verkauf\w*|vermiet\w*|veräußer\w*)[^.;]{0,60}?(?:daten|informationen)|(?:daten|informationen)[^.;]{0,60}?(?:verkauf\w*|vermiet\w*|veräußer\w*)/i,
+        'data-sale.sale-of': /verkauf (?:ihrer |von )?personenbezogenen daten/i,
+        'sharing.third-parties': /(?:weitergeb\w*|weitergegeben|übermitt\w*|teilen|offenleg\w*)[^.;]{0,80}?\bdritte|\bdritte[nr]?\b[^.;]{0,80}?(?:weiter|übermitt|offengelegt|geteilt)|drittanbieter/i,
+        'advertising.partners': /werbepartner\w*|personalisierte werbung|werbenetzwerk\w*|zielgerichtete werbung|interessenbasierte werbung/i,
+        'advertising.marketing': /marketingzweck\w*|zu werbezwecken/i,
+        'retention.indefinite': /unbefristet|unbegrenzt|dauerhaft gespeichert|auf unbestimmte zeit/i,
+        'content.irrevocable-license': /(?:unwiderruflich\w*|zeitlich unbegrenzt\w*)[^.;]{0,60}?(?:lizenz|nutzungsrecht)/i,
+        'arbitration.binding': /schiedsverfahren|schiedsgericht/i,
+        'arbitration.class-action-waiver': /sammelklage|verbandsklage|gruppenklage/i,
+        'changes.without-notice': /ohne (?:vorherige )?(?:ankündigung|benachrichtigung|vorankündigung)/i,
+        'changes.discretion': /nach (?:unserem|eigenem|freiem) (?:alleinigen )?ermessen/i,
+        'changes.modify-any-time': /(?:jederzeit|von zeit zu zeit)[^.;]{0,60}?(?:ändern|anpassen|aktualisieren)/i,
+        'liability.not-liable': /\b(?:keine|nicht)\b[^.;]{0,30}?haft\w*|haftungsausschluss|haftungsbeschränkung/i,
+        'liability.as-is': /wie besehen|ohne mängelgewähr/i,
+        'liability.no-warranty': /\b(?:keine|ohne)\b[^.;]{0,30}?(?:gewährleistung|garantie)/i,
+        'liability.indemnify': /freistell\w*|schadlos (?:zu )?halten/i,
+        'rights.opt-out': /widerspruch\w*|widersprechen|abmelden|opt-out/i,
+        'rights.delete': /(?:löschung|löschen)[^.;]{0,40}?(?:daten|konto|informationen)/i,
+        'rights.access': /recht auf (?:auskunft|berichtigung|datenübertragbarkeit|einschränkung)/i,
+        'security.encryption': /verschlüssel\w*/i,
+        'security.safeguards': /sicherheitsmaßnahmen|technische und organisatorische maßnahmen/i,
+        'transparency.transparent': /transparen\w*/i
+    },
+    fr: {
+        'data-sale.sell': /\b(?:vend(?:re|ons|ent|u|us)|vente|lou(?:er|ons)|cédons|céder|commercialis\w*)[^.;]{0,60}?(?:données|informations)/i,
+        'data-sale.sale-of': /vente (?:de |des )?(?:vos )?données personnelles/i,
+        'sharing.third-parties': /(?:partag\w*|communiqu\w*|transf[eé]r\w*|divulgu\w*|transmett\w*|transmis)[^.;]{0,80}?\btiers\b/i,
+        'advertising.partners': /partenaires publicitaires|publicité ciblée|publicités personnalisées|réseaux publicitaires|annonceurs/i,
+        'advertising.marketing': /fins (?:de )?marketing|fins commerciales|prospection commerciale/i,
+        'retention.indefinite': /indéfiniment|pour une durée illimitée|sans limitation de durée|de manière permanente/i,
+        'content.irrevocable-license': /(?:irrévocable|perpétuel\w*)[^.;]{0,60}?licence|licence[^.;]{0,60}?(?:irrévocable|perpétuel\w*)/i,
+        'arbitration.binding': /arbitrage/i,
+        'arbitration.class-action-waiver': /action (?:collective|de groupe)|recours collectif/i,
+        'changes.without-notice': /sans (?:préavis|notification|avis préalable|vous en informer)/i,
+        'changes.discretion': /à (?:notre|sa) (?:seule |entière )?discrétion/i,
+        'changes.modify-any-time': /(?:modifier|mettre à jour|changer)[^.;]{0,60}?(?:à tout moment|de temps à autre)|(?:à tout moment|de temps à autre)[^.;]{0,60}?(?:modifi|mettre à jour)/i,
+        'liability.not-liable': /\b(?:aucune|pas|saurait)\b[^.;]{0,30}?responsab\w*|limitation de responsabilité/i,
+        'liability.as-is': /en l'état|tel quel/i,
+        'liability.no-warranty': /\b(?:aucune|sans)\b[^.;]{0,30}?garantie/i,
+        'liability.indemnify': /indemnis\w*/i,
+        'rights.opt-out': /vous opposer|droit d'opposition|désinscri\w*|retirer votre consentement|opt-out/i,
+        'rights.delete': /(?:supprim\w*|effac\w*|suppression)[^.;]{0,40}?(?:données|compte|informations)/i,
+        'rights.access': /droit (?:d'accès|de rectification|à la portabilité|d'effacement|à la limitation)/i,
+        'security.encryption': /chiffr\w*|crypt\w*/i,
+        'security.safeguards': /mesures de sécurité|mesures techniques et organisationnelles/i,
+        'transparency.transparent': /transparen\w*/i
+    },
+    es: {
+        'data-sale.sell': /\b(?:vend\w*|venta|alquil\w*|comercializ\w*)[^.;]{0,60}?(?:datos|información)/i,
+        'data-sale.sale-of': /venta de (?:sus )?datos personales/i,
+        'sharing.third-parties': /(?:compart\w*|comunic\w*|transfer\w*|cede\w*|cedi\w*|divulg\w*)[^.;]{0,80}?\bterceros\b/i,
+        'advertising.partners': /socios publicitarios|publicidad (?:personalizada|dirigida|segmentada)|redes publicitarias|anunciantes/i,
+        'advertising.marketing': /fines (?:de )?(?:marketing|comerciales|publicitarios)|mercadotecnia/i,
+        'retention.indefinite': /indefinidamente|por tiempo indefinido|de forma permanente|sin límite de tiempo/i,
+        'content.irrevocable-license': /(?:irrevocable|perpetua)[^.;]{0,60}?licencia|licencia[^.;]{0,60}?(?:irrevocable|perpetua)/i,
+        'arbitration.binding': /arbitraje/i,
+        'arbitration.class-action-waiver': /demandas? colectivas?|acci(?:ón|ones) colectivas?|acción de clase/i,
+        'changes.without-notice': /sin (?:previo )?aviso|sin notificación/i,
+        'changes.discretion': /a (?:nuestra|su) (?:entera |sola |exclusiva )?discreción/i,
+        'changes.modify-any-time': /(?:modificar|cambiar|actualizar)[^.;]{0,60}?(?:en cualquier momento|de vez en cuando)|en cualquier momento[^.;]{0,60}?(?:modific|cambi|actualiz)/i,
+        'liability.not-liable': /\b(?:ninguna|no)\b[^.;]{0,30}?responsab\w*|limitación de responsabilidad/i,
+        'liability.as-is': /tal cual|tal como está/i,
+        'liability.no-warranty': /\b(?:ninguna|sin)\b[^.;]{0,30}?garantía/i,
+        'liability.indemnify': /indemniz\w*|mantener indemne/i,
+        'rights.opt-out': /oponerse|derecho de oposición|darse de baja|retirar (?:su|el) consentimiento|opt-out/i,
+        'rights.delete': /(?:eliminar|suprimir|borrar|supresión|eliminación)[^.;]{0,40}?(?:datos|cuenta|información)/i,
+        'rights.access': /derecho (?:de |a la )(?:acceso|rectificación|portabilidad|supresión|limitación)/i,
+        'security.encryption': /cifr\w*|encript\w*/i,
+        'security.safeguards': /medidas de seguridad|medidas técnicas y organizativas/i,
+        'transparency.transparent': /transparen\w*/i
+    },
+    it: {
+        'data-sale.sell': /\b(?:vend\w*|noleggi\w*|cedere|cediamo|commercializz\w*)[^.;]{0,60}?(?:dati|informazioni)/i,
+        'data-sale.sale-of': /vendita (?:dei |di )?(?:suoi |tuoi )?dati personali/i,
+        'sharing.third-parties': /(?:condivid\w*|comunic\w*|trasferi\w*|trasmett\w*|divulg\w*|cedut\w*)[^.;]{0,80}?\bterz[ie]\b/i,
+        'advertising.partners': /partner pubblicitari|pubblicità (?:personalizzata|mirata)|reti pubblicitarie|inserzionisti/i,
+        'advertising.marketing': /finalità (?:di )?marketing|scopi (?:di )?marketing|fini commerciali/i,
+        'retention.indefinite': /indefinitamente|a tempo indeterminato|in modo permanente|senza limiti di tempo/i,
+        'content.irrevocable-license': /(?:irrevocabile|perpetua)[^.;]{0,60}?licenza|licenza[^.;]{0,60}?(?:irrevocabile|perpetua)/i,
+        'arbitration.binding': /arbitrato/i,
+        'arbitration.class-action-waiver': /azion[ei] collettiv[ae]|class action/i,
+        'changes.without-notice': /senza (?:alcun )?preavviso|senza (?:previa )?notifica/i,
+        'changes.discretion': /a (?:nostra|sua) (?:esclusiva |totale |sola )?discrezione/i,
+        'changes.modify-any-time': /(?:modificare|aggiornare|cambiare)[^.;]{0,60}?(?:in qualsiasi momento|di tanto in tanto)|in qualsiasi momento[^.;]{0,60}?(?:modific|aggiorn)/i,
+        'liability.not-liable': /\b(?:nessuna|non)\b[^.;]{0,30}?responsab\w*|limitazione di responsabilità/i,
+        'liability.as-is': /così com'è|così come sono/i,
+        'liability.no-warranty': /\b(?:nessuna|senza)\b[^.;]{0,30}?garanzi[ae]/i,
+        'liability.indemnify': /manlev\w*|indennizz\w*|tenere indenne/i,
+        'rights.opt-out': /opporsi|diritto di opposizione|disiscri\w*|revocare il consenso|opt-out/i,
+        'rights.delete': /(?:cancella\w*|elimina\w*)[^.;]{0,40}?(?:dati|account|informazioni)/i,
+        'rights.access': /diritto (?:di |all'|alla )(?:accesso|rettifica|portabilità|cancellazione|limitazione)/i,
+        'security.encryption': /crittograf\w*|cifrat\w*/i,
+        'security.safeguards': /misure di sicurezza|misure tecniche e organizzative/i,
+        'transparency.transparent': /trasparen\w*/i
+    },
+    nl: {
+        'data-sale.sell': /(?:verkop\w*|verkoch\w*|verhur\w*)[^.;]{0,60}?(?:gegevens|informatie)|(?:gegevens|informatie)[^.;]{0,60}?(?:verkopen|verkocht|verhuren)/i,
+        'data-sale.sale-of': /verkoop van (?:uw |je )?persoonsgegevens/i,
+        'sharing.third-parties': /(?:delen|gedeeld|verstrekken|verstrekt|doorgeven|doorgegeven|overdragen)[^.;]{0,80}?\bderden\b|\bderden\b[^.;]{0,80}?(?:delen|gedeeld|verstrekt|doorgegeven)/i,
+        'advertising.partners': /advertentiepartners|reclamepartners|gepersonaliseerde advertenties|gerichte advertenties|adverteerders/i,
+        'advertising.marketing': /marketingdoeleinden/i,
+        'retention.indefinite': /onbepaalde tijd|onbeperkt bewaard|permanent bewaard|voor altijd/i,
+        'content.irrevocable-license': /(?:onherroepelijk\w*|eeuwigdurend\w*)[^.;]{0,60}?licentie/i,
+        'arbitration.binding': /arbitrage/i,
+        'arbitration.class-action-waiver': /collectieve (?:actie|rechtsvordering)|groepsvordering|class action/i,
+        'changes.without-notice': /zonder (?:voorafgaande )?(?:kennisgeving|aankondiging)/i,
+        'changes.discretion': /naar (?:ons|eigen) (?:eigen )?(?:goeddunken|inzicht)/i,
+        'changes.modify-any-time': /(?:op elk moment|te allen tijde|van tijd tot tijd)[^.;]{0,60}?(?:wijzigen|aanpassen|bijwerken)|(?:wijzigen|aanpassen)[^.;]{0,60}?(?:op elk moment|te allen tijde)/i,
+        'liability.not-liable': /\b(?:geen|niet)\b[^.;]{0,30}?aansprakelijk\w*|beperking van aansprakelijkheid/i,
+        'liability.as-is': /in de huidige staat|zoals deze is/i,
+        'liability.no-warranty': /\b(?:geen|zonder)\b[^.;]{0,30}?garantie/i,
+        'liability.indemnify': /vrijwar\w*|schadeloos (?:te )?stellen/i,
+        'rights.opt-out': /bezwaar (?:te )?maken|recht van bezwaar|afmelden|toestemming intrekken|opt-out/i,
+        'rights.delete': /(?:verwijder\w*|wissen)[^.;]{0,40}?(?:gegevens|account|informatie)/i,
+        'rights.access': /recht op (?:inzage|rectificatie|correctie|overdraagbaarheid|dataportabiliteit|beperking|vergetelheid)/i,
+        'security.encryption': /versleutel\w*|encryptie/i,
+        'security.safeguards': /beveiligingsmaatregelen|technische en organisatorische maatregelen/i,
+        'transparency.transparent': /transparan\w*/i
+    },
+    pt: {
+        'data-sale.sell': /\b(?:vend\w*|alug\w*|comercializ\w*)[^.;]{0,60}?(?:dados|informações)/i,
+        'data-sale.sale-of': /venda de (?:seus )?dados pessoais/i,
+        'sharing.third-parties': /(?:compartilh\w*|partilh\w*|divulg\w*|transfer\w*|fornec\w*)[^.;]{0,80}?\bterceiros\b/i,
+        'advertising.partners': /parceiros (?:de publicidade|publicitários)|publicidade (?:personalizada|direcionada|dirigida)|anunciantes/i,
+        'advertising.marketing': /fins de marketing|finalidades de marketing|fins comerciais/i,
+        'retention.indefinite': /indefinidamente|por tempo indeterminado|permanentemente/i,
+        'content.irrevocable-license': /(?:irrevogável|perpétua)[^.;]{0,60}?licença|licença[^.;]{0,60}?(?:irrevogável|perpétua)/i,
+        'arbitration.binding': /arbitragem/i,
+        'arbitration.class-action-waiver': /aç(?:ão|ões) coletivas?/i,
+        'changes.without-notice': /sem (?:aviso|notificação)/i,
+        'changes.discretion': /a (?:nosso|seu) (?:exclusivo )?critério/i,
+        'changes.modify-any-time': /(?:alterar|modificar|atualizar)[^.;]{0,60}?(?:a qualquer momento|periodicamente)|a qualquer momento[^.;]{0,60}?(?:alter|modific|atualiz)/i,
+        'liability.not-liable': /(?:\bnenhuma\b|\bnão)[^.;]{0,30}?responsab\w*|limitação de responsabilidade/i,
+        'liability.as-is': /no estado em que se encontra|tal como está/i,
+        'liability.no-warranty': /\b(?:nenhuma|sem)\b[^.;]{0,30}?garantia/i,
+        'liability.indemnify': /indeniz\w*|indemniz\w*/i,
+        'rights.opt-out': /opor-se|direito de oposição|cancelar a inscrição|revogar (?:o|seu) consentimento|opt-out/i,
+        'rights.delete': /(?:excluir|eliminar|apagar|exclusão|eliminação)[^.;]{0,40}?(?:dados|conta|informações)/i,
+        'rights.access': /direito (?:de |à |ao )(?:acesso|retificação|correção|portabilidade|eliminação|exclusão)/i,
+        'security.encryption': /criptograf\w*|cifrad\w*|encriptad\w*/i,
+        'security.safeguards': /medidas de segurança|medidas técnicas e organizativas/i,
+        'transparency.transparent': /transpar\w*/i
+    }
+};
+
+// Per-language negation, exception and hedge words. negationScope 'clause'
+// checks the whole clause, for languages that put the negation after the verb
+// ("Wir verkaufen Ihre Daten nicht").
+const LANGUAGE_GRAMMAR = {
+    en: {
+        negation: /\b(?:not|never|no|none|neither|nor|cannot)\b|n't\b/i,
+        exception: /\b(?:except|unless|other than|apart from|save for|excluding|with the exception of)\b/i,
+        hedge: /\b(?:may|might|could)\b/i,
+        clauseBreak: /,|\b(?:but|however|although|while|whereas|except|unless|other than)\b/i,
+        negationScope: 'before'
+    },
+    de: {
+        negation: /\b(?:nicht|nie|niemals|kein\w*|weder)\b/i,
+        exception: /\b(?:außer|es sei denn|ausgenommen|mit ausnahme)/i,
+        hedge: /\b(?:kann|können|könnte|möglicherweise|dürfen)\b/i,
+        clauseBreak: /,|\b(?:aber|jedoch|außer|sondern)\b/i,
+        negationScope: 'clause'
+    },
+    fr: {
+        negation: /\b(?:ne|pas|jamais|aucun\w*|ni|nullement)\b|\bn'/i,
+        exception: /\b(?:sauf|excepté|hormis)\b|à l'exception d/i,
+        hedge: /\b(?:peut|pouvons|peuvent|pourrait|pourrions|susceptibles?)\b/i,
+        clauseBreak: /,|\b(?:mais|cependant|toutefois|sauf)\b/i,
+        negationScope: 'before'
+    },
+    es: {
+        negation: /\b(?:no|nunca|ningún|ninguna|ni|tampoco)\b|\bjamás/i,
+        exception: /\b(?:excepto|salvo|a menos que)\b|con excepción de/i,
+        hedge: /\b(?:puede|podemos|pueden|podría|podríamos)/i,
+        clauseBreak: /,|\b(?:pero|sin embargo|excepto|salvo)\b/i,
+        negationScope: 'before'
+    },
+    it: {
+        negation: /\b(?:non|mai|nessun\w*)\b|\bné\s/i,
+        exception: /\b(?:tranne|salvo|eccetto|a meno che)\b|ad eccezione d/i,
+        hedge: /\b(?:possiamo|possono|potrebbe|potremmo)\b|\bpuò/i,
+        clauseBreak: /,|\b(?:ma|tuttavia|tranne|salvo)\b/i,
+        negationScope: 'before'
+    },
+    nl: {
+        negation: /\b(?:niet|nooit|geen|noch)\b/i,
+        exception: /\b(?:behalve|tenzij|uitgezonderd)\b|met uitzondering van/i,
+        hedge: /\b(?:kan|kunnen|mogen|mag|zou|zouden)\b/i,
+        clauseBreak: /,|\b(?:maar|echter|behalve|tenzij)\b/i,
+        negationScope: 'clause'
+    },
+    pt: {
+        negation: /\b(?:nunca|jamais|nenhum\w*|nem)\b|\bnão/i,
+        exception: /\b(?:exceto|salvo|a menos que)\b|com exceção de/i,
+        hedge: /\b(?:pode|podemos|podem|poderá|poderemos|poderia)/i,
+        clauseBreak: /,|\b(?:mas|porém|contudo|exceto|salvo)\b/i,
+        negationScope: 'before'
+    }
+};
+
+// Rules for a language: English uses POLICY_RULES as-is, other languages swap in native patterns
+function getRulesForLanguage(language, rules) {
+    const baseRules = rules || POLICY_RULES;
+    const nativePatterns = NATIVE_RULE_PATTERNS[language];
+    if (!language || language === 'en' || !nativePatterns) {
+        return baseRules;
+    }
+
+    return baseRules
+        .filter(rule => nativePatterns[rule.id])
+        .map(rule => ({ ...rule, pattern: nativePatterns[rule.id] }));
+}
+
+// Words that end in a period but do not end a sentence
+const ABBREVIATIONS = ['e.g', 'i.e', 'etc', 'inc', 'ltd', 'llc', 'co', 'corp', 'u.s', 'u.k', 'no', 'vs', 'art', 'sec', 'para'];
+
+const MAX_EVIDENCE_LENGTH = 300;
+
+// Split text into sentences, keeping list items and headings (line breaks) apart
+function splitSentences(text) {
+    const sentences = [];
+
+    String(text || '').split(/\n+/).forEach(line => {
+        let current = '';
+        const parts = line.split(/(?<=[.!?;])\s+/);
+
+        parts.forEach(part => {
+            current = current ? `${current} ${part}` : part;
+            const lastWord = (current.match(/(\S+)\.$/) || [])[1];
+            if (lastWord && ABBREVIATIONS.includes(lastWord.toLowerCase())) {
+                return;
+            }
+            if (current.trim()) {
+                sentences.push(current.trim());
+            }
+            current = '';
+        });
+
+        if (current.trim()) {
+            sentences.push(current.trim());
+        }
+    });
+
+    return sentences;
+}
+
+// Look for a negation in the same clause: shortly before the match, or anywhere
+// in the clause for languages that negate after the verb
+function isNegated(sentence, match, grammar) {
+    const clausesBefore = sentence.slice(0, match.index).split(grammar.clauseBreak);
+    const clauseBefore = clausesBefore[clausesBefore.length - 1];
+
+    if (grammar.negationScope === 'clause') {
+        const clauseAfter = sentence.slice(match.index + match[0].length).split(grammar.clauseBreak)[0];
+        return grammar.negation.test(`${clauseBefore} ${clauseAfter}`);
+    }
+
+    const words = clauseBefore.trim().split(/\s+/).slice(-8).join(' ');
+    return grammar.negation.test(words);
+}
+
+// Evaluate a single sentence against one rule and return a finding (or null)
+function evaluateRule(rule, sentence, grammar) {
+    const match = rule.pattern.exec(sentence);
+    if (!match) {
+        return null;
+    }
+
+    const negatable = rule.negatable !== false;
+    const negated = negatable && isNegated(sentence, match, grammar);
+    const qualified = grammar.exception.test(sentence.slice(match.index));
+    const hedged = grammar.hedge.test(sentence);
+
+    let type = rule.weight > 0 ? 'risk' : 'positive';
+    let label = rule.label;
+    let weight = rule.weight;
+
+    if (negated && type === 'risk') {
+        if (qualified) {
+            // "We do not sell your data except to our partners": still a risk, but a narrower one
+            weight = rule.weight * 0.5;
+        } else if (rule.negatedLabel) {
+            type = 'positive';
+            label = rule.negatedLabel;
+            weight = rule.negatedWeight;
+        } else {
+            return null;
+        }
+    } else if (negated) {
+        // "We do not encrypt" is not a protection
+        return null;
+    } else if (type === 'positive' && (hedged || qualified)) {
+        // "You may be able to opt out unless..." is a weaker promise
+        weight = rule.weight * 0.5;
+    }
+
+    return {
+        ruleId: rule.id,
+        category: rule.category,
+        type,
+        label,
+        weight,
+        negated,
+        qualified,
+        hedged,
+        explanation: rule.explanation,
+        sentence: sentence.length > MAX_EVIDENCE_LENGTH ? `${sentence.slice(0, MAX_EVIDENCE_LENGTH)}...` : sentence
+    };
+}
+
+// Evaluate all rules against every sentence. Each rule contributes its strongest
+// finding once, so long policies that repeat a phrase are not over-counted.
+//   options.language    ISO code of the text (defaults to English)
+//   options.rules       rule list to use instead of POLICY_RULES
+//   options.extraRules  additional rules (e.g. from custom rule packs), applied to every
+//                       language unless the rule lists its own `languages`
+//   options.categories  labels for categories the built-in list does not know
+function evaluatePolicyText(text, options = {}) {
+    const language = LANGUAGE_GRAMMAR[options.language] ? options.language : 'en';
+    const grammar = LANGUAGE_GRAMMAR[language];
+    const extraRules = (options.extraRules || []).filter(rule => !rule.languages || rule.languages.includes(language));
+    const activeRules = getRulesForLanguage(language, options.rules).concat(extraRules);
+    const categoryLabels = { ...options.categories, ...RULE_CATEGORIES };
+    const sentences = splitSentences(text);
+    const findings = [];
+    const strongestByRule = {};
+
+    sentences.forEach(sentence => {
+        activeRules.forEach(rule => {
+            const finding = evaluateRule(rule, sentence, grammar);
+            if (!finding) {
+                return;
+            }
+
+            findings.push(finding);
+
+            const key = `${rule.id}:${finding.type}`;
+            const strongest = strongestByRule[key];
+            if (!strongest || Math.abs(finding.weight) > Math.abs(strongest.weight)) {
+                strongestByRule[key] = finding;
+            }
+        });
+    });
+
+    const categories = {};
+    Object.values(strongestByRule).forEach(finding => {
+        if (!categories[finding.category]) {
+            const categoryInfo = categoryLabels[finding.category] || { label: finding.category };
+            categories[finding.category] = { label: categoryInfo.label, score: 0, risks: 0, positives: 0 };
+        }
+
+        const category = categories[finding.category];
+        category.score += finding.weight;
+        category[finding.type === 'risk' ? 'risks' : 'positives'] += 1;
+    });
+
+    const score = Object.values(categories).reduce((total, category) => total + category.score, 0);
+
+    return {
+        language,
+        sentenceCount: sentences.length,
+        score,
+        categories,
+        findings,
+        scoredFindings: Object.values(strongestByRule)
+    };
+}
+
+// Export rule engine (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RULE_CATEGORIES, POLICY_RULES, NATIVE_RULE_PATTERNS, splitSentences, getRulesForLanguage, evaluatePolicyText };
+} else {
+    self.PolicyPeekRules = { RULE_CATEGORIES, POLICY_RULES, NATIVE_RULE_PATTERNS, splitSentences, getRulesForLanguage, evaluatePolicyText };
+}
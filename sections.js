@@ -0,0 +1,202 @@
+// Policy Peek - Policy Sections
+// Splits a policy into sections and scores each one, so the popup can show a
+// table of contents with a risk score per section ("Sharing: 4 findings").
+// Live pages are split along their DOM headings (readPageSections runs in the
+// tab); plain text along heading-like lines and, when it has none, along its
+// numbered clauses ("1. ...", "2. ...").
+
+// A page needs two headings with at least this much text under them to be outlined by its DOM
+const MIN_SECTION_CHARS = 40;
+// Sentences quoted as a section's summary in the table of contents
+const SECTION_SUMMARY_SENTENCES = 2;
+const MAX_SECTION_SUMMARY_LENGTH = 300;
+const MAX_SECTION_HEADING_LENGTH = 80;
+// Words of a numbered clause shown as its heading
+const CLAUSE_HEADING_WORDS = 6;
+
+// Top-level numbered clauses ("3. We share...", "4) Retention"), not sub-clauses like "3.1"
+const NUMBERED_CLAUSE_PATTERN = /^(\d{1,2})[.)]\s+(\S.*)$/;
+
+// Resolve helpers in Node (require) or in the browser (globals from their scripts)
+function getSectionSplitter() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./summarizer.js').splitPolicySections;
+    }
+    return self.PolicyPeekSummarizer.splitPolicySections;
+}
+
+function getSectionAnalyzer() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./analyzer.js');
+    }
+    return self.PolicyPeekAnalyzer;
+}
+
+function getSectionRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+function shortenHeading(heading) {
+    const text = String(heading || '').replace(/\s+/g, ' ').trim();
+    return text.length > MAX_SECTION_HEADING_LENGTH ? `${text.slice(0, MAX_SECTION_HEADING_LENGTH)}...` : text;
+}
+
+// Clauses numbered 1, 2, 3... in order; a clause's first words become its heading
+function splitNumberedClauses(text) {
+    const clauses = [];
+    let current = { heading: null, lines: [] };
+    let expected = 1;
+
+    String(text || '').split(/\n/).forEach(line => {
+        const trimmed = line.trim();
+        const match = trimmed.match(NUMBERED_CLAUSE_PATTERN);
+        // Only the next number in sequence starts a clause, so "2) ..." inside a list does not
+        if (match && Number(match[1]) === expected) {
+            if (current.heading || current.lines.length > 0) clauses.push(current);
+            const words = match[2].replace(/[.:;]$/, '').split(/\s+/);
+            const opening = words.length > CLAUSE_HEADING_WORDS ? `${words.slice(0, CLAUSE_HEADING_WORDS).join(' ')}...` : words.join(' ');
+            current = { heading: `${match[1]}. ${opening}`, lines: [trimmed] };
+            expected += 1;
+        } else if (trimmed) {
+            current.lines.push(trimmed);
+        }
+    });
+    if (current.heading || current.lines.length > 0) clauses.push(current);
+
+    return clauses.map(clause => ({ heading: clause.heading, text: clause.lines.join('\n') }));
+}
+
+// [{ heading, level, text }] for plain text; text without any structure is one untitled section
+function segmentPolicyText(text) {
+    const byHeadings = getSectionSplitter()(text);
+    const sections = byHeadings.filter(section => section.heading).length >= 2 ? byHeadings : splitNumberedClauses(text);
+    const structured = sections.filter(section => section.heading).length >= 2 ? sections : [{ heading: null, text: String(text || '').trim() }];
+
+    return structured
+        .filter(section => section.text)
+        .map(section => ({
+            heading: section.heading ? shortenHeading(section.heading) : null,
+            // "2.1 Cookies" sits under "2. Sharing"
+            level: section.heading && /^\d+\.\d+/.test(section.heading) ? 2 : 1,
+            text: section.text
+        }));
+}
+
+// Runs in the page (serialized by chrome.scripting), so it must stay self-contained.
+// Walks the main content in document order and starts a section at every h1-h4
+// (or role="heading"); returns the full text too, for pages without headings.
+function readPageSections() {
+    const POLICY_PAGE = /privacy|terms|conditions|cookie[s]?[-_ ]policy|legal|data[-_ ]protection|gdpr|ccpa|datenschutz|confidentialit|privacidad|nutzungsbedingungen|conditions[-_ ]g[ée]n[ée]rales|condiciones/i;
+    const SKIP = 'script, style, noscript, template, nav, header, footer, aside, [aria-hidden="true"], #policy-peek-highlighter, #policy-peek-consent-guard';
+    const HEADING = 'h1, h2, h3, h4, [role="heading"]';
+    const BLOCK = 'p, li, div, section, article, td, th, dd, dt, blockquote, pre, tr, h5, h6';
+
+    // Prefer <main> or the largest <article>, like the policy fetcher
+    const articles = Array.from(document.querySelectorAll('article'));
+    const largestArticle = articles.sort((a, b) => b.innerText.length - a.innerText.length)[0];
+    const root = document.querySelector('main, [role="main"]') || largestArticle || document.body;
+    if (!root) {
+        return { url: location.href, title: document.title, isPolicyPage: false, sections: [], text: '' };
+    }
+
+    const sections = [];
+    let current = { heading: null, level: 1, parts: [] };
+    let lastBlock = null;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.matches(SKIP)) return NodeFilter.FILTER_REJECT;
+                return node.matches(HEADING) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+            return node.nodeValue.trim() && !node.parentElement.closest(HEADING) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            if (current.heading || current.parts.length > 0) sections.push(current);
+            const ariaLevel = Number(node.getAttribute('aria-level'));
+            const level = /^H\d$/.test(node.tagName) ? Number(node.tagName[1]) : ariaLevel || 2;
+            current = { heading: node.innerText.replace(/\s+/g, ' ').trim(), level, parts: [] };
+            lastBlock = null;
+            continue;
+        }
+        const block = node.parentElement.closest(BLOCK);
+        if (block !== lastBlock && current.parts.length > 0) current.parts.push('\n');
+        lastBlock = block;
+        current.parts.push(node.nodeValue.replace(/\s+/g, ' '));
+    }
+    if (current.heading || current.parts.length > 0) sections.push(current);
+
+    // Heading levels are relative: the page's top level becomes level 1
+    const topLevel = Math.min(...sections.filter(section => section.heading).map(section => section.level), 6);
+    return {
+        url: location.href,
+        title: document.title,
+        isPolicyPage: POLICY_PAGE.test(`${location.pathname} ${document.title}`),
+        sections: sections.map(section => ({
+            heading: section.heading || null,
+            level: Math.max(1, section.level - topLevel + 1),
+            text: section.parts.join('').replace(/ *\n */g, '\n').trim()
+        })),
+        text: root.innerText
+    };
+}
+
+// { url, title, isPolicyPage, sections, text } for the document the tab shows
+async function readTabSections(tabId) {
+    const results = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: readPageSections
+    });
+    return results && results[0] ? results[0].result : null;
+}
+
+// Page sections with text; falls back to the plain-text segmentation when the page has fewer than two real headings
+function normalizePageSections(page) {
+    const titled = page.sections.filter(section => section.heading && section.text.length >= MIN_SECTION_CHARS);
+    if (titled.length < 2) {
+        return segmentPolicyText(page.text);
+    }
+    return page.sections
+        .filter(section => section.text)
+        .map(section => ({ heading: section.heading ? shortenHeading(section.heading) : null, level: Math.min(section.level, 3), text: section.text }));
+}
+
+// First sentences of a section, for the expanded table of contents entry
+function summarizeSection(text) {
+    const summary = getSectionRuleEngine().splitSentences(text).slice(0, SECTION_SUMMARY_SENTENCES).join(' ');
+    return summary.length > MAX_SECTION_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SECTION_SUMMARY_LENGTH)}...` : summary;
+}
+
+// Table of contents entries: [{ id, heading, depth, words, summary, riskScore, level, risks, positives, findings }]
+//   options  passed to analyzeRiskFactors (thresholds, customRules, language of the whole policy,
+//            so a short section is not misread as another language)
+function outlineSections(sections, options = {}) {
+    const { analyzeRiskFactors } = getSectionAnalyzer();
+    return sections.map((section, index) => {
+        const analysis = analyzeRiskFactors(section.text, options);
+        return {
+            id: `section-${index + 1}`,
+            heading: section.heading || (index === 0 ? 'Introduction' : `Part ${index + 1}`),
+            depth: section.level,
+            words: section.text.split(/\s+/).filter(Boolean).length,
+            summary: summarizeSection(section.text),
+            riskScore: analysis.riskScore,
+            level: analysis.level,
+            risks: analysis.findings.filter(finding => finding.type === 'risk').length,
+            positives: analysis.findings.filter(finding => finding.type === 'positive').length,
+            findings: analysis.findings
+        };
+    });
+}
+
+// Export section helpers (self is the popup window; readPageSections is injected into the page on its own)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { segmentPolicyText, readPageSections, readTabSections, normalizePageSections, outlineSections };
+} else {
+    self.PolicyPeekSections = { segmentPolicyText, readPageSections, readTabSections, normalizePageSections, outlineSections };
+}
@@ -0,0 +1,88 @@
+// Policy Peek - Settings
+// User preferences stored in chrome.storage.sync, shared by the options
+// page, the popup and the background worker.
+
+const DEFAULT_SETTINGS = {
+    // Scan pages automatically when they finish loading
+    autoScanEnabled: true,
+    // Show ⚠️ / 📄 badges on the toolbar icon
+    badgesEnabled: true,
+    // Add ⚠️ indicators next to policy links on web pages
+    indicatorsEnabled: true,
+    // Highlight matched risky and positive clauses when a policy page is opened
+    highlightsEnabled: true,
+    // Show a risk card next to "I agree to the Terms" checkboxes, sign-up buttons and clickwrap dialogs
+    consentGuardEnabled: true,
+    // Show a system notification when risky terms are found
+    notificationsEnabled: true,
+    // Regulatory disclosure checklists (ids of the files in checklists/) run on analyzed policies
+    complianceChecklists: ['gdpr', 'ccpa', 'coppa'],
+    // Risk score at which a policy is labelled risky, and at which it counts as high risk
+    riskThreshold: 1,
+    highRiskThreshold: 3,
+    // Hostnames that are always scanned / never scanned ("example.com" also covers its subdomains)
+    allowList: [],
+    denyList: []
+};
+
+// Read settings, filling in defaults for anything not saved yet
+async function getSettings() {
+    try {
+        const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+        console.error('Error reading settings, using defaults:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+async function saveSettings(changes) {
+    await chrome.storage.sync.set(changes);
+    return getSettings();
+}
+
+// Normalize a list entry: lower case, no scheme, path or leading "*."
+function normalizeSitePattern(entry) {
+    return String(entry || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/\/.*$/, '')
+        .replace(/^\*\./, '')
+        .replace(/^www\./, '');
+}
+
+function hostnameMatchesList(hostname, list) {
+    const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+    return (list || []).some(entry => {
+        const pattern = normalizeSitePattern(entry);
+        return pattern && (host === pattern || host.endsWith(`.${pattern}`));
+    });
+}
+
+// Decide whether a site may be scanned: the deny list always wins, allow-listed
+// sites are scanned even with auto-scan off, everything else follows auto-scan
+function shouldScanSite(hostname, settings) {
+    if (hostnameMatchesList(hostname, settings.denyList)) {
+        return false;
+    }
+    if (hostnameMatchesList(hostname, settings.allowList)) {
+        return true;
+    }
+    return settings.autoScanEnabled;
+}
+
+// Thresholds in the shape analyzeRiskFactors expects
+function getRiskThresholds(settings) {
+    return {
+        risky: Number(settings.riskThreshold),
+        highRisk: Number(settings.highRiskThreshold)
+    };
+}
+
+// Export settings helpers (self works in the options page, the popup and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_SETTINGS, getSettings, saveSettings, normalizeSitePattern, hostnameMatchesList, shouldScanSite, getRiskThresholds };
+} else {
+    self.PolicyPeekSettings = { DEFAULT_SETTINGS, getSettings, saveSettings, normalizeSitePattern, hostnameMatchesList, shouldScanSite, getRiskThresholds };
+}
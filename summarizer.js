@@ -0,0 +1,197 @@
+// Policy Peek - Long Policy Summarization
+// Map-reduce summarization for policies longer than one summarizer call can
+// take: the text is split along its sections into chunks that fit the input
+// budget, each chunk is summarized, and the partial summaries are merged
+// (in rounds, if needed) into one final summary.
+
+// Rough characters per token for budgeting when the session cannot measure input
+const SUMMARY_CHARS_PER_TOKEN = 3;
+// Budget used when the session reports no input quota
+const DEFAULT_SUMMARY_CHUNK_CHARS = 8000;
+// Leave room for the context string and tokenizer differences
+const SUMMARY_QUOTA_MARGIN = 0.8;
+const MIN_SUMMARY_CHUNK_CHARS = 500;
+const MAX_REDUCE_ROUNDS = 4;
+
+const REDUCE_CONTEXT = 'These are summaries of consecutive parts of one privacy policy or terms of service. Merge them and keep every risk to the user.';
+
+// Resolve the rule engine in Node (require) or in the browser (global from rules.js)
+function getSummaryRuleEngine() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./rules.js');
+    }
+    return self.PolicyPeekRules;
+}
+
+// Short lines that look like headings: "3. Sharing", "SECTION 4 - COOKIES", "Your rights:"
+function isSectionHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 100 || /[.;,]$/.test(trimmed)) {
+        return false;
+    }
+    return /^(\d+(\.\d+)*[.)]?|[IVX]+\.|section\s+\d+|article\s+\d+)\s+\S/i.test(trimmed) ||
+        (/[A-Z]/.test(trimmed) && trimmed === trimmed.toUpperCase()) ||
+        /:$/.test(trimmed);
+}
+
+// Split policy text into { heading, text } sections; text before the first heading has heading null
+function splitPolicySections(text) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    String(text || '').split(/\n/).forEach(line => {
+        if (isSectionHeading(line)) {
+            if (current.heading || current.lines.length > 0) sections.push(current);
+            current = { heading: line.trim(), lines: [] };
+        } else if (line.trim()) {
+            current.lines.push(line.trim());
+        }
+    });
+    if (current.heading || current.lines.length > 0) sections.push(current);
+
+    return sections.map(section => ({ heading: section.heading, text: section.lines.join('\n') }));
+}
+
+// Break one oversized piece into paragraphs, then sentences, then hard cuts
+function splitOversizedPiece(piece, maxChars) {
+    if (piece.length <= maxChars) {
+        return [piece];
+    }
+
+    const paragraphs = piece.split(/\n+/);
+    if (paragraphs.length > 1) {
+        return paragraphs.flatMap(paragraph => splitOversizedPiece(paragraph, maxChars));
+    }
+
+    const sentences = getSummaryRuleEngine().splitSentences(piece);
+    if (sentences.length > 1) {
+        return sentences.flatMap(sentence => splitOversizedPiece(sentence, maxChars));
+    }
+
+    const cuts = [];
+    for (let start = 0; start < piece.length; start += maxChars) {
+        cuts.push(piece.slice(start, start + maxChars));
+    }
+    return cuts;
+}
+
+// Pack pieces greedily into chunks of at most maxChars, keeping their order
+function packPieces(pieces, maxChars, separator) {
+    const chunks = [];
+    let current = '';
+
+    pieces.forEach(piece => {
+        if (current && current.length + separator.length + piece.length > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}${separator}${piece}` : piece;
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+}
+
+// Chunks follow section boundaries where possible; small sections share a chunk
+function chunkPolicyText(text, maxChars) {
+    const pieces = splitPolicySections(text).flatMap(section => {
+        const sectionText = section.heading ? `${section.heading}\n${section.text}` : section.text;
+        return splitOversizedPiece(sectionText, maxChars);
+    });
+    return packPieces(pieces, maxChars, '\n\n');
+}
+
+// Character budget per summarizer call, from the session's token quota when it reports one
+function getSummaryChunkChars(session) {
+    if (session && Number.isFinite(session.inputQuota) && session.inputQuota > 0) {
+        return Math.max(MIN_SUMMARY_CHUNK_CHARS, Math.floor(session.inputQuota * SUMMARY_CHARS_PER_TOKEN * SUMMARY_QUOTA_MARGIN));
+    }
+    return DEFAULT_SUMMARY_CHUNK_CHARS;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Summarization cancelled', 'AbortError');
+    }
+}
+
+// Summarize one chunk; when the session rejects it as too large, summarize its halves instead
+async function summarizeChunk(session, chunk, options) {
+    throwIfCancelled(options.signal);
+    try {
+        return await session.summarize(chunk, { signal: options.signal, context: options.context });
+    } catch (error) {
+        const tooLarge = error && (error.name === 'QuotaExceededError' || /too large|quota/i.test(error.message || ''));
+        if (!tooLarge || chunk.length < MIN_SUMMARY_CHUNK_CHARS * 2) {
+            throw error;
+        }
+
+        const halves = chunkPolicyText(chunk, Math.ceil(chunk.length / 2));
+        const parts = [];
+        for (const half of halves) {
+            parts.push(await summarizeChunk(session, half, options));
+        }
+        return parts.join('\n');
+    }
+}
+
+// Summarize a policy of any length with a summarizer session from createSession({ signal }).
+// onProgress receives { stage: 'map' | 'reduce', completed, total }. Aborting options.signal
+// stops the run and destroys the session.
+async function summarizeLongText(text, options = {}) {
+    const signal = options.signal;
+    const onProgress = options.onProgress || (() => {});
+    throwIfCancelled(signal);
+
+    const session = await options.createSession({ signal });
+    let destroyed = false;
+    const destroySession = () => {
+        if (!destroyed && session && typeof session.destroy === 'function') session.destroy();
+        destroyed = true;
+    };
+    if (signal) signal.addEventListener('abort', destroySession, { once: true });
+
+    try {
+        const maxChars = getSummaryChunkChars(session);
+        const chunks = chunkPolicyText(text, maxChars);
+        if (chunks.length === 0) {
+            return '';
+        }
+
+        // Map: one summary per chunk
+        let partials = [];
+        for (let index = 0; index < chunks.length; index++) {
+            onProgress({ stage: 'map', completed: index, total: chunks.length });
+            partials.push(await summarizeChunk(session, chunks[index], { signal }));
+        }
+        onProgress({ stage: 'map', completed: chunks.length, total: chunks.length });
+
+        if (partials.length === 1) {
+            return partials[0];
+        }
+
+        // Reduce: merge partial summaries, in several rounds when they do not fit one call
+        for (let round = 0; round < MAX_REDUCE_ROUNDS && partials.length > 1; round++) {
+            const groups = packPieces(partials, maxChars, '\n');
+            const merged = [];
+            for (let index = 0; index < groups.length; index++) {
+                onProgress({ stage: 'reduce', completed: index, total: groups.length });
+                merged.push(await summarizeChunk(session, groups[index], { signal, context: REDUCE_CONTEXT }));
+            }
+            onProgress({ stage: 'reduce', completed: groups.length, total: groups.length });
+            partials = merged;
+        }
+
+        return partials.join('\n');
+    } finally {
+        if (signal) signal.removeEventListener('abort', destroySession);
+        destroySession();
+    }
+}
+
+// Export summarization helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { splitPolicySections, chunkPolicyText, summarizeLongText };
+} else {
+    self.PolicyPeekSummarizer = { splitPolicySections, chunkPolicyText, summarizeLongText };
+}
@@ -0,0 +1,74 @@
+// Policy Peek - Detector tests
+// Runs detector.js against saved pages in test/fixtures/pages.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { detectPolicyContent, getDetectionKeywords } = require('../detector.js');
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+const PAGE_URL = 'https://www.example.com/item';
+
+function loadPage(name, options = {}) {
+    const html = fs.readFileSync(path.join(PAGES_DIR, name), 'utf8');
+    return new JSDOM(html, { url: PAGE_URL, ...options });
+}
+
+test('finds footer policy links and risky terms', () => {
+    const result = detectPolicyContent(loadPage('shop-footer.html').window.document);
+
+    assert.equal(result.hasPolicyContent, true);
+    assert.deepEqual(result.foundPolicyLinks, [
+        { text: 'Privacy Policy', href: 'https://www.example.com/legal/privacy' },
+        { text: 'Terms of Service', href: 'https://www.example.com/legal/terms' },
+        { text: 'Cookie Preferences', href: 'https://www.example.com/legal/cookies' }
+    ]);
+    assert.deepEqual(result.foundRiskyTerms, ['third parties', 'advertising partners']);
+    assert.equal(result.hostname, 'www.example.com');
+    assert.equal(result.language, 'en');
+});
+
+test('reports nothing on a page without policy content', () => {
+    const result = detectPolicyContent(loadPage('news-article.html').window.document);
+
+    assert.equal(result.hasPolicyContent, false);
+    assert.equal(result.hasRiskyKeywords, false);
+    assert.deepEqual(result.foundPolicyLinks, []);
+});
+
+test('ignores links in template and noscript blocks', () => {
+    const result = detectPolicyContent(loadPage('consent-banner.html').window.document);
+
+    assert.deepEqual(result.foundPolicyLinks, [
+        { text: 'Privacy notice', href: 'https://cdn.example.net/consent/privacy-notice.html' }
+    ]);
+    assert.deepEqual(result.foundRiskyTerms, ['without notice']);
+    assert.equal(result.language, 'de');
+});
+
+test('returns a result that survives structured cloning', () => {
+    for (const name of fs.readdirSync(PAGES_DIR)) {
+        const result = detectPolicyContent(loadPage(name).window.document);
+        assert.equal('policyLinkMatches' in result, false, name);
+        assert.deepEqual(structuredClone(result), result, name);
+    }
+});
+
+test('scanPage marks policy links in the page and returns the same result', async () => {
+    const dom = loadPage('shop-footer.html', { runScripts: 'outside-only' });
+    const { window } = dom;
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'detector.js'), 'utf8'));
+
+    try {
+        const result = await window.PolicyPeekDetector.scanPage(getDetectionKeywords(), { watch: false });
+        const expected = detectPolicyContent(loadPage('shop-footer.html').window.document);
+
+        assert.deepEqual(JSON.parse(JSON.stringify(result.foundPolicyLinks)), expected.foundPolicyLinks);
+        assert.equal('policyLinkMatches' in result, false);
+        assert.equal(window.document.querySelectorAll('.policy-peek-indicator').length, 3);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,101 @@
+// Policy Peek - File import tests
+// Runs file-import.js and pdf-text.js (with the vendored pdf.js) on the sample files in test/fixtures/files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectFileType, extractFileText } = require('../file-import.js');
+const { extractPdfText } = require('../pdf-text.js');
+
+const FILES_DIR = path.join(__dirname, 'fixtures', 'files');
+
+function loadFile(name, type = '') {
+    return new File([fs.readFileSync(path.join(FILES_DIR, name))], name, { type });
+}
+
+test('reads a PDF set in a standard font across pages', async () => {
+    const result = await extractFileText(loadFile('policy-standard-font.pdf'));
+
+    assert.equal(result.type, 'pdf');
+    assert.equal(result.pages, 2);
+    assert.equal(result.text, [
+        'Example Privacy Policy',
+        'We collect your email address when you create an account.',
+        'We share purchase data with advertising partners and may',
+        'sell your data.',
+        '',
+        'You can ask us to delete your data at any time. We keep',
+        '“backups” for 30 days – then they’re gone.'
+    ].join('\n'));
+});
+
+test('decodes an embedded font through its ToUnicode CMap', async () => {
+    const result = await extractFileText(loadFile('policy-embedded-font.pdf'));
+
+    assert.equal(result.text, [
+        'Datenschutzerklärung',
+        'Wir speichern Ihre Daten nur so lange wie nötig.',
+        'Sie können der Verarbeitung jederzeit widersprechen.'
+    ].join('\n'));
+});
+
+test('finds pages stored in compressed object streams', async () => {
+    const bytes = new Uint8Array(fs.readFileSync(path.join(FILES_DIR, 'policy-object-streams.pdf')));
+    const result = await extractPdfText(bytes);
+
+    assert.equal(result.pages, 1);
+    assert.equal(result.text, 'Cookie Policy\nWe use cookies to remember your preferences.\nThird parties may read these cookies.');
+});
+
+test('explains that a PDF without a text layer needs OCR', async () => {
+    await assert.rejects(extractFileText(loadFile('scanned-page.pdf')), /has no text layer/);
+});
+
+test('refuses a PDF whose font does not map to characters instead of returning garbage', async () => {
+    await assert.rejects(extractFileText(loadFile('embedded-font-without-tounicode.pdf')), /fonts do not map to characters/);
+});
+
+test('asks for an unprotected copy of a password-protected PDF', async () => {
+    await assert.rejects(extractFileText(loadFile('password-protected.pdf')), /password-protected/);
+});
+
+test('reports a damaged PDF', async () => {
+    const file = new File(['%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\n'], 'broken.pdf');
+    await assert.rejects(extractFileText(file), /not a PDF or is damaged/);
+});
+
+test('reads the paragraphs, tabs, line breaks and title of a DOCX file', async () => {
+    const result = await extractFileText(loadFile('terms.docx'));
+
+    assert.equal(result.type, 'docx');
+    assert.equal(result.title, 'Example Terms of Service');
+    assert.equal(result.text, [
+        'Terms of Service',
+        'By using the service you agree to these terms & our privacy policy.',
+        'Contact:\tlegal@example.com',
+        'Example Ltd, 1 Main Street',
+        'We may change these terms without notice.'
+    ].join('\n'));
+});
+
+test('reports a truncated DOCX file as damaged', async () => {
+    const bytes = fs.readFileSync(path.join(FILES_DIR, 'terms.docx'));
+    const file = new File([bytes.subarray(0, bytes.length - 200)], 'terms.docx');
+
+    await assert.rejects(extractFileText(file), /This file is damaged/);
+});
+
+test('recognizes files by content before their name', () => {
+    const pdf = new TextEncoder().encode('%PDF-1.7\n');
+    const zip = new Uint8Array([0x50, 0x4B, 0x03, 0x04, 0]);
+
+    assert.equal(detectFileType('policy.txt', 'text/plain', pdf), 'pdf');
+    assert.equal(detectFileType('terms.docx', '', zip), 'docx');
+    assert.equal(detectFileType('sheet.xlsx', '', zip), null);
+    assert.equal(detectFileType('notes.md', '', new Uint8Array(0)), 'txt');
+});
+
+test('rejects unsupported files', async () => {
+    await assert.rejects(extractFileText(new File(['GIF89a'], 'logo.gif', { type: 'image/gif' })), /is not a PDF, DOCX, HTML or TXT file/);
+});
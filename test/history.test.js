@@ -0,0 +1,152 @@
+// Policy Peek - Policy history tests
+// Runs history.js's diff, retention and eviction against an in-memory chrome.storage.local.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffPolicyVersions, recordPolicyVersion, getPolicyHistory } = require('../history.js');
+
+// chrome.storage.local in memory; bytesPerKey stands in for getBytesInUse when set. Like the
+// real API, every call answers in a later task, so concurrent callers can interleave.
+function installStorage(options = {}) {
+    const store = {};
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const nextTask = () => new Promise(resolve => setImmediate(resolve));
+    global.chrome = {
+        storage: {
+            local: {
+                async get(keys) {
+                    await nextTask();
+                    const result = {};
+                    [].concat(keys).forEach(key => {
+                        if (key in store) result[key] = copy(store[key]);
+                    });
+                    return result;
+                },
+                async set(items) {
+                    await nextTask();
+                    Object.assign(store, copy(items));
+                },
+                async remove(keys) {
+                    [].concat(keys).forEach(key => delete store[key]);
+                },
+                async getBytesInUse(keys) {
+                    return [].concat(keys).filter(key => key in store).length * (options.bytesPerKey || 0);
+                }
+            }
+        }
+    };
+    return store;
+}
+
+// Date.now() advancing one second per call, so hosts get distinct last-seen times
+function useSteppingClock(t) {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => (now += 1000));
+}
+
+test('diff pairs rewordings and lists added and removed sentences', () => {
+    const diff = diffPolicyVersions(
+        ['We collect your email address.', 'We keep server logs for 30 days.', 'You can delete your account at any time.'],
+        ['We collect your email address and phone number.', 'You can delete your account at any time.', 'We may sell your data to advertising partners.'],
+        'en'
+    );
+
+    assert.deepEqual(diff.reworded, [{ before: 'We collect your email address.', after: 'We collect your email address and phone number.' }]);
+    assert.deepEqual(diff.removed, ['We keep server logs for 30 days.']);
+    assert.deepEqual(diff.added, ['We may sell your data to advertising partners.']);
+    assert.deepEqual(diff.riskChanges, [{
+        change: 'added',
+        sentence: 'We may sell your data to advertising partners.',
+        gained: ['+sell your data', '+advertising partners'],
+        lost: []
+    }]);
+});
+
+test('diff only pairs rewordings between the same unchanged sentences', () => {
+    const diff = diffPolicyVersions(
+        ['We collect your email address.', 'Contact us by mail.', 'We share usage data with partners.'],
+        ['We share usage data with partners.', 'Contact us by mail.', 'We collect your email address and name.'],
+        'en'
+    );
+
+    assert.deepEqual(diff.reworded, []);
+    assert.equal(diff.added.length + diff.removed.length, 4);
+});
+
+test('diff reports a complete rewrite as added and removed sentences', () => {
+    const before = count => Array.from({ length: count }, (_, index) => `Clause ${index} explains how we use your data.`);
+    const after = count => Array.from({ length: count }, (_, index) => `Clause ${index} explains how we use your personal data.`);
+
+    assert.equal(diffPolicyVersions(before(100), after(100), 'en').reworded.length, 100);
+
+    const rewrite = diffPolicyVersions(before(101), after(101), 'en');
+    assert.equal(rewrite.reworded.length, 0);
+    assert.equal(rewrite.removed.length, 101);
+    assert.equal(rewrite.added.length, 101);
+});
+
+test('records a new version only when the text changes, and keeps the last three', async t => {
+    installStorage();
+    useSteppingClock(t);
+
+    assert.deepEqual(await recordPolicyVersion('example.com', 'privacy', 'We collect your email address.', null), { changed: false, diff: null });
+    assert.equal((await recordPolicyVersion('example.com', 'privacy', 'We  collect your email address.', null)).changed, false);
+
+    const result = await recordPolicyVersion('example.com', 'privacy', 'We collect your email address. We may sell your data.', null);
+    assert.equal(result.changed, true);
+    assert.deepEqual(result.diff.added, ['We may sell your data.']);
+
+    await recordPolicyVersion('example.com', 'privacy', 'Version four.', null);
+    await recordPolicyVersion('example.com', 'privacy', 'Version five.', null);
+    const history = await getPolicyHistory('example.com');
+    assert.equal(history.changes.privacy.versionCount, 3);
+    assert.deepEqual(history.changes.privacy.lastDiff.added, ['Version five.']);
+});
+
+test('stores at most 2000 sentences per version', async t => {
+    const store = installStorage();
+    useSteppingClock(t);
+    const text = Array.from({ length: 2500 }, (_, index) => `Sentence number ${index} of the policy.`).join(' ');
+
+    await recordPolicyVersion('example.com', 'terms', text, null);
+    assert.equal(store['history_example.com'].types.terms.versions[0].sentences.length, 2000);
+});
+
+test('evicts the least recently seen hosts beyond 50', async t => {
+    const store = installStorage();
+    useSteppingClock(t);
+
+    for (let index = 0; index < 50; index++) {
+        await recordPolicyVersion(`site${index}.example`, 'privacy', `Policy of site ${index}.`, null);
+    }
+    await recordPolicyVersion('site0.example', 'privacy', 'Policy of site 0.', null);
+    await recordPolicyVersion('site50.example', 'privacy', 'Policy of site 50.', null);
+    await recordPolicyVersion('site51.example', 'privacy', 'Policy of site 51.', null);
+
+    assert.equal(Object.keys(store.history_index).length, 50);
+    assert.ok(store['history_site0.example'], 'a host seen again is kept');
+    assert.equal(store['history_site1.example'], undefined);
+    assert.equal(store['history_site2.example'], undefined);
+    assert.ok(store['history_site3.example']);
+});
+
+test('evicts hosts until the history fits its byte budget', async t => {
+    const store = installStorage({ bytesPerKey: 1024 * 1024 });
+    useSteppingClock(t);
+
+    for (let index = 0; index < 6; index++) {
+        await recordPolicyVersion(`site${index}.example`, 'privacy', `Policy of site ${index}.`, null);
+    }
+
+    assert.deepEqual(Object.keys(store.history_index).sort(), ['site2.example', 'site3.example', 'site4.example', 'site5.example']);
+    assert.equal(store['history_site0.example'], undefined);
+});
+
+test('keeps every host in the index when versions are recorded at the same time', async () => {
+    const store = installStorage();
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) =>
+        recordPolicyVersion(`site${index}.example`, 'privacy', `Policy of site ${index}.`, null)));
+
+    assert.equal(Object.keys(store.history_index).length, 20);
+});
@@ -0,0 +1,118 @@
+// Policy Peek - Provider tests
+// Runs providers.js against tools/mock-analysis-server.js on a free local port.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { DEFAULT_PROVIDER_SETTINGS, analyzeWithProvider, enhanceWithProvider, isAbortError } = require('../providers.js');
+
+const MOCK_SERVER = path.join(__dirname, '..', 'tools', 'mock-analysis-server.js');
+const POLICY_TEXT = 'We collect your email address. We may sell your data to advertising partners.';
+
+// Start the mock server with extra flags; resolves with its base URL and a stop function
+function startMockServer(flags = []) {
+    const child = spawn(process.execPath, [MOCK_SERVER, '--port=0', ...flags], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const stop = () => new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+    });
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/http:\/\/localhost:(\d+)/);
+            if (match) {
+                resolve({ baseUrl: `http://localhost:${match[1]}`, stop });
+            }
+        });
+        child.once('error', reject);
+        child.once('exit', code => reject(new Error(`Mock server exited with code ${code}`)));
+    });
+}
+
+function providerSettings(type, endpoint, changes = {}) {
+    return { ...DEFAULT_PROVIDER_SETTINGS, type, endpoint, model: 'mock', timeoutMs: 2000, retries: 0, ...changes };
+}
+
+test('every provider type reads the mock analysis', async () => {
+    const server = await startMockServer();
+    try {
+        const endpoints = {
+            generic: `${server.baseUrl}/analyze`,
+            openai: `${server.baseUrl}/v1`,
+            ollama: server.baseUrl
+        };
+        for (const [type, endpoint] of Object.entries(endpoints)) {
+            const result = await analyzeWithProvider(POLICY_TEXT, providerSettings(type, endpoint));
+
+            assert.equal(result.provider, type);
+            assert.equal(result.summary, 'Mock analysis of 13 words.', type);
+            assert.equal(result.level, 'risky', type);
+            assert.equal(result.riskScore, 3, type);
+            assert.deepEqual(result.findings.map(finding => finding.quote), ['We may sell your data to advertising partners.'], type);
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+test('retries a failed request', async () => {
+    const server = await startMockServer(['--fail=1']);
+    try {
+        const result = await analyzeWithProvider(POLICY_TEXT, providerSettings('generic', `${server.baseUrl}/analyze`, { retries: 1 }));
+        assert.equal(result.level, 'risky');
+    } finally {
+        await server.stop();
+    }
+});
+
+test('gives up on a provider that does not answer in time', async () => {
+    const server = await startMockServer(['--delay=1000']);
+    try {
+        await assert.rejects(
+            analyzeWithProvider(POLICY_TEXT, providerSettings('generic', `${server.baseUrl}/analyze`, { timeoutMs: 100 })),
+            /did not respond within 100 ms/
+        );
+    } finally {
+        await server.stop();
+    }
+});
+
+test('passes cancellation on to the caller', async () => {
+    const server = await startMockServer(['--delay=1000']);
+    try {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        await assert.rejects(
+            analyzeWithProvider(POLICY_TEXT, providerSettings('ollama', server.baseUrl), { signal: controller.signal }),
+            error => isAbortError(error)
+        );
+    } finally {
+        await server.stop();
+    }
+});
+
+test('rejects malformed replies and keeps the heuristic result', async () => {
+    const server = await startMockServer(['--malformed=1']);
+    try {
+        await assert.rejects(
+            analyzeWithProvider(POLICY_TEXT, providerSettings('generic', `${server.baseUrl}/analyze`)),
+            /missing a summary/
+        );
+        await assert.rejects(
+            analyzeWithProvider(POLICY_TEXT, providerSettings('openai', `${server.baseUrl}/v1`)),
+            /did not contain a JSON object/
+        );
+
+        const heuristic = { level: 'risky', riskScore: 2, foundRisks: [], foundPositives: [], language: 'en' };
+        const enhanced = await enhanceWithProvider(POLICY_TEXT, heuristic, {
+            providerSettings: providerSettings('ollama', server.baseUrl)
+        });
+        assert.equal(enhanced.external, undefined);
+        assert.match(enhanced.externalError, /did not contain a JSON object/);
+        assert.equal(enhanced.riskScore, 2);
+    } finally {
+        await server.stop();
+    }
+});
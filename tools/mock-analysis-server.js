@@ -0,0 +1,110 @@
+// Policy Peek - Mock Analysis Server
+// Local stand-in for the external analysis providers, for trying providers.js
+// without a real API. Serves the generic endpoint (POST /analyze), the
+// OpenAI-compatible endpoint (POST /v1/chat/completions) and the Ollama
+// endpoint (POST /api/chat).
+//
+//   node tools/mock-analysis-server.js [--port=8787] [--fail=N] [--delay=MS] [--malformed=1]
+//
+// --fail answers the first N requests with HTTP 503 and --delay waits before
+// each answer, to exercise retries, timeouts and cancellation. --malformed=1
+// answers with replies that break the response schema. --port=0 picks a free
+// port; the startup line names the one in use.
+
+const http = require('http');
+
+function readFlag(name, fallback) {
+    const flag = process.argv.find(arg => arg.startsWith(`--${name}=`));
+    return flag ? Number(flag.split('=')[1]) : fallback;
+}
+
+const port = readFlag('port', 8787);
+const failCount = readFlag('fail', 0);
+const delayMs = readFlag('delay', 0);
+const malformed = readFlag('malformed', 0) > 0;
+let failuresServed = 0;
+
+function buildAnalysis(request) {
+    const text = String(request.text || '');
+    const sellsData = /\bsell\b/i.test(text);
+    return {
+        summary: `Mock analysis of ${text.split(/\s+/).filter(Boolean).length} words.`,
+        level: sellsData ? 'risky' : 'safe',
+        riskScore: sellsData ? 3 : 0,
+        findings: sellsData ? [{
+            type: 'risk',
+            category: 'data-sale',
+            label: 'Sells personal data',
+            explanation: 'The policy mentions selling data.',
+            quote: (text.match(/[^.]*\bsell\b[^.]*\./i) || [''])[0].trim()
+        }] : []
+    };
+}
+
+// An analysis without its required summary, and a chat answer that is prose instead of JSON
+const MALFORMED_ANALYSIS = { level: 'risky', findings: 'none' };
+const MALFORMED_CHAT_CONTENT = 'Sorry, I cannot review this policy.';
+
+// Chat-based providers send the schema request as the last user message
+function requestFromMessages(messages) {
+    const last = (messages || []).filter(message => message.role === 'user').pop();
+    return last ? JSON.parse(last.content) : {};
+}
+
+function chatContent(body) {
+    return malformed ? MALFORMED_CHAT_CONTENT : JSON.stringify(buildAnalysis(requestFromMessages(body.messages)));
+}
+
+const routes = {
+    '/analyze': body => (malformed ? MALFORMED_ANALYSIS : buildAnalysis(body)),
+    '/v1/chat/completions': body => ({
+        choices: [{ message: { role: 'assistant', content: chatContent(body) } }]
+    }),
+    '/api/chat': body => ({
+        message: { role: 'assistant', content: chatContent(body) },
+        done: true
+    })
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (!route || req.method !== 'POST') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        if (failuresServed < failCount) {
+            failuresServed += 1;
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Simulated failure' }));
+            return;
+        }
+
+        setTimeout(() => {
+            try {
+                const reply = route(JSON.parse(raw || '{}'));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }, delayMs);
+    });
+});
+
+server.listen(port, () => console.log(`Mock analysis server listening on http://localhost:${server.address().port}`));
@@ -0,0 +1,32 @@
+// Policy Peek - Ratings Update Packer
+// Validates a ratings dataset and wraps it in the update file the options page
+// imports: { "sha256": "<hex of JSON.stringify(dataset)>", "dataset": { ... } }.
+//
+//   node tools/pack-ratings.js ratings/example-dataset.json > ratings-update.json
+//
+// Exits with status 1 and lists every problem when the dataset is invalid.
+
+const fs = require('fs');
+const { validateRatingsDataset, packRatingsDataset } = require('../ratings.js');
+
+async function main() {
+    const inputPath = process.argv[2];
+    if (!inputPath) {
+        console.error('Usage: node tools/pack-ratings.js <dataset.json>');
+        process.exit(1);
+    }
+
+    const dataset = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    const errors = validateRatingsDataset(dataset);
+    if (errors.length > 0) {
+        console.error(`Invalid ratings dataset:\n${errors.join('\n')}`);
+        process.exit(1);
+    }
+
+    process.stdout.write(`${JSON.stringify(await packRatingsDataset(dataset), null, 2)}\n`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
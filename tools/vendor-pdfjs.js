@@ -0,0 +1,41 @@
+// Policy Peek - pdf.js Vendoring
+// Copies the pdf.js legacy build pinned in package.json into vendor/pdfjs, where
+// pdf-text.js loads it from the extension package (the extension has no build
+// step, so the copied files are committed). Run after changing the version:
+//
+//   npm install && npm run vendor:pdfjs
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'node_modules', 'pdfjs-dist');
+const TARGET_DIR = path.join(__dirname, '..', 'vendor', 'pdfjs');
+
+// The library, its worker, the character maps that decode CJK fonts without a
+// ToUnicode table, and the license
+const FILES = [
+    ['legacy/build/pdf.min.mjs', 'pdf.min.mjs'],
+    ['legacy/build/pdf.worker.min.mjs', 'pdf.worker.min.mjs'],
+    ['cmaps', 'cmaps'],
+    ['LICENSE', 'LICENSE']
+];
+
+function main() {
+    const { version } = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'package.json'), 'utf8'));
+
+    fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TARGET_DIR, { recursive: true });
+    FILES.forEach(([from, to]) => {
+        fs.cpSync(path.join(SOURCE_DIR, from), path.join(TARGET_DIR, to), { recursive: true });
+    });
+    fs.writeFileSync(path.join(TARGET_DIR, 'VERSION'), `pdfjs-dist ${version}\n`);
+
+    console.log(`Copied pdf.js ${version} to ${path.relative(process.cwd(), TARGET_DIR) || '.'}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Could not copy pdf.js (run npm install first): ${error.message}`);
+    process.exit(1);
+}
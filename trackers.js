@@ -0,0 +1,239 @@
+// Policy Peek - Third-Party Traffic Check
+// Records which third-party hosts each tab contacts (chrome.webRequest in the
+// background worker), classifies them against the bundled tracker list in
+// trackers/trackers.json and flags policy claims the traffic contradicts, such
+// as "we do not share your data with third parties" on a page that loads ad
+// trackers. Records live in chrome.storage.session, start over on every
+// top-level navigation and are dropped when the tab closes.
+
+const TRACKER_LIST_FILE = 'trackers/trackers.json';
+const TRACKER_LIST_FORMAT_VERSION = 1;
+const NETWORK_RECORD_PREFIX = 'network_';
+
+// A page embedding hundreds of hosts is already telling; stop counting new ones there
+const MAX_RECORDED_HOSTS = 500;
+
+// Request bursts are written to session storage at most once per this delay per tab
+const NETWORK_PERSIST_DELAY_MS = 1000;
+
+// Public suffixes with two labels, so "shop.example.co.uk" belongs to "example.co.uk"
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+    'co.kr', 'co.in', 'co.za', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.tr', 'com.sg', 'com.hk', 'com.tw'
+]);
+
+// Registrable domain of a host: the part the site owner controls ("www.example.com" -> "example.com")
+function getSiteDomain(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':')) {
+        return host;
+    }
+    const labels = host.split('.');
+    const suffixLength = labels.length > 2 && MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-suffixLength).join('.');
+}
+
+async function readTrackerListFile() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require(`./${TRACKER_LIST_FILE}`);
+    }
+    const response = await fetch(chrome.runtime.getURL(TRACKER_LIST_FILE));
+    if (!response.ok) {
+        throw new Error(`Could not read ${TRACKER_LIST_FILE}: status ${response.status}`);
+    }
+    return response.json();
+}
+
+// The bundled list is read once per page or worker
+let trackerListPromise = null;
+
+// { categories, claims, domains: Map(domain -> { category, company }) }
+function loadTrackerList() {
+    if (!trackerListPromise) {
+        trackerListPromise = readTrackerListFile().then(list => {
+            if (list.formatVersion !== TRACKER_LIST_FORMAT_VERSION) {
+                throw new Error(`Unsupported tracker list format ${list.formatVersion}`);
+            }
+            const domains = new Map();
+            Object.entries(list.trackers).forEach(([category, companies]) => {
+                Object.entries(companies).forEach(([company, companyDomains]) => {
+                    companyDomains.forEach(domain => domains.set(domain, { category, company }));
+                });
+            });
+            return { categories: list.categories, claims: list.claims, domains };
+        }).catch(error => {
+            trackerListPromise = null;
+            throw error;
+        });
+    }
+    return trackerListPromise;
+}
+
+// The tracker entry for a host or the nearest parent domain listed, or null
+function classifyHost(hostname, trackerList) {
+    const labels = String(hostname || '').toLowerCase().split('.');
+    for (let index = 0; index < labels.length - 1; index++) {
+        const entry = trackerList.domains.get(labels.slice(index).join('.'));
+        if (entry) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+// Tab records by tab id, as promises so requests arriving while one loads all wait for it
+const tabNetworkRecords = new Map();
+const networkPersistTimers = new Map();
+
+function createNetworkRecord(pageUrl) {
+    let pageSite = '';
+    try {
+        pageSite = getSiteDomain(new URL(pageUrl).hostname);
+    } catch (error) {
+        // about:blank and other URLs without a host: every request counts as third-party
+    }
+    return { pageUrl: pageUrl || '', pageSite, startedAt: new Date().toISOString(), hosts: {} };
+}
+
+// The worker may have been restarted since the page loaded; pick up its stored record or start one
+function getNetworkRecord(tabId) {
+    if (!tabNetworkRecords.has(tabId)) {
+        tabNetworkRecords.set(tabId, (async () => {
+            const key = `${NETWORK_RECORD_PREFIX}${tabId}`;
+            const stored = await chrome.storage.session.get(key);
+            if (stored[key]) {
+                return stored[key];
+            }
+            const tab = await chrome.tabs.get(tabId).catch(() => null);
+            return createNetworkRecord(tab ? tab.url : '');
+        })().catch(error => {
+            console.warn('Policy Peek: Could not read network record:', error);
+            return createNetworkRecord('');
+        }));
+    }
+    return tabNetworkRecords.get(tabId);
+}
+
+function scheduleNetworkPersist(tabId) {
+    if (networkPersistTimers.has(tabId)) {
+        return;
+    }
+    networkPersistTimers.set(tabId, setTimeout(async () => {
+        networkPersistTimers.delete(tabId);
+        const recordPromise = tabNetworkRecords.get(tabId);
+        if (!recordPromise) {
+            return;
+        }
+        try {
+            await chrome.storage.session.set({ [`${NETWORK_RECORD_PREFIX}${tabId}`]: await recordPromise });
+        } catch (error) {
+            console.warn('Policy Peek: Could not store network record:', error);
+        }
+    }, NETWORK_PERSIST_DELAY_MS));
+}
+
+// webRequest listener: a top-level navigation starts a new record, every other
+// request to a host outside the page's site is counted against it
+function recordRequest(details) {
+    if (details.tabId < 0) {
+        return;
+    }
+    let hostname;
+    try {
+        hostname = new URL(details.url).hostname;
+    } catch (error) {
+        return;
+    }
+
+    if (details.type === 'main_frame') {
+        tabNetworkRecords.set(details.tabId, Promise.resolve(createNetworkRecord(details.url)));
+        scheduleNetworkPersist(details.tabId);
+        return;
+    }
+
+    getNetworkRecord(details.tabId).then(record => {
+        if (getSiteDomain(hostname) === record.pageSite) {
+            return;
+        }
+        if (record.hosts[hostname] === undefined && Object.keys(record.hosts).length >= MAX_RECORDED_HOSTS) {
+            return;
+        }
+        record.hosts[hostname] = (record.hosts[hostname] || 0) + 1;
+        scheduleNetworkPersist(details.tabId);
+    });
+}
+
+// Must run when the worker starts so Chrome wakes it for the events
+function startNetworkMonitor() {
+    chrome.webRequest.onBeforeRequest.addListener(recordRequest, { urls: ['http://*/*', 'https://*/*'] });
+}
+
+async function clearTabNetworkActivity(tabId) {
+    clearTimeout(networkPersistTimers.get(tabId));
+    networkPersistTimers.delete(tabId);
+    tabNetworkRecords.delete(tabId);
+    await chrome.storage.session.remove(`${NETWORK_RECORD_PREFIX}${tabId}`);
+}
+
+// { pageUrl, pageSite, startedAt, trackerCount, thirdParties: [{ site, hosts, requests, category, categoryLabel, company }] }
+// Hosts are grouped by site; known trackers come first, then the busiest sites.
+async function getTabNetworkActivity(tabId) {
+    const record = await getNetworkRecord(tabId);
+    const trackerList = await loadTrackerList();
+    const bySite = new Map();
+
+    Object.entries(record.hosts).forEach(([hostname, requests]) => {
+        const site = getSiteDomain(hostname);
+        if (!bySite.has(site)) {
+            bySite.set(site, { site, hosts: [], requests: 0, category: null, categoryLabel: null, company: null });
+        }
+        const entry = bySite.get(site);
+        entry.hosts.push(hostname);
+        entry.requests += requests;
+        const tracker = entry.category ? null : classifyHost(hostname, trackerList);
+        if (tracker) {
+            entry.category = tracker.category;
+            entry.categoryLabel = trackerList.categories[tracker.category].label;
+            entry.company = tracker.company;
+        }
+    });
+
+    const thirdParties = Array.from(bySite.values())
+        .sort((a, b) => (Boolean(b.category) - Boolean(a.category)) || (b.requests - a.requests));
+    return {
+        pageUrl: record.pageUrl,
+        pageSite: record.pageSite,
+        startedAt: record.startedAt,
+        trackerCount: thirdParties.filter(entry => entry.category).length,
+        thirdParties
+    };
+}
+
+// Policy protections the observed trackers contradict: [{ id, label, finding, evidence, trackers }]
+// analysis is an analyzeRiskFactors result; only unqualified protections count as claims.
+function findClaimContradictions(analysis, activity, trackerList) {
+    const findings = (analysis && analysis.findings) || [];
+    const trackers = activity.thirdParties.filter(entry => entry.category);
+
+    return trackerList.claims.map(claim => {
+        const finding = findings.find(candidate => candidate.type === 'positive' && claim.ruleIds.includes(candidate.ruleId));
+        const contradicting = finding ? trackers.filter(entry => claim.contradictedBy.includes(entry.category)) : [];
+        if (contradicting.length === 0) {
+            return null;
+        }
+        return {
+            id: claim.id,
+            label: claim.label,
+            finding: finding.label,
+            evidence: finding.sentence,
+            trackers: contradicting.map(({ site, company, category, categoryLabel }) => ({ site, company, category, categoryLabel }))
+        };
+    }).filter(Boolean);
+}
+
+// Export tracker helpers (self works in both the popup window and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getSiteDomain, loadTrackerList, classifyHost, startNetworkMonitor, getTabNetworkActivity, clearTabNetworkActivity, findClaimContradictions };
+} else {
+    self.PolicyPeekTrackers = { getSiteDomain, loadTrackerList, classifyHost, startNetworkMonitor, getTabNetworkActivity, clearTabNetworkActivity, findClaimContradictions };
+}